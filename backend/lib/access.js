@@ -0,0 +1,179 @@
+// lib/access.js - API keys, CORS origins and per-client rate limits
+//
+// Settings come from access.json (see loadAccessConfig). Clients send a key in
+// the X-API-Key header, or as ?apiKey= where headers can't be set (EventSource,
+// download links). Keys are optional unless requireApiKey is on, but a key
+// that is sent must be valid. Only each key's SHA-256 hash is stored.
+//
+// Every client gets a token bucket per key and IP: keyed clients use their
+// key's limit (or the default for keys), anonymous ones the anonymous limit.
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { ApiError } = require('./errors');
+
+const DEFAULT_CONFIG = {
+  requireApiKey: false,
+  // Paths that never need a key: health checks, the API document and device
+  // ingestion (devices have their own keys)
+  publicPaths: ['/api/health', '/api/openapi.json', '/api/readings'],
+  corsOrigins: ['*'],
+  trustProxy: false,
+  rateLimit: {
+    enabled: true,
+    anonymous: { capacity: 60, refillPerMinute: 60 },
+    apiKey: { capacity: 300, refillPerMinute: 300 },
+    exemptPaths: ['/api/health']
+  }
+};
+
+const hashKey = (apiKey) => crypto.createHash('sha256').update(String(apiKey)).digest('hex');
+
+const splitList = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+
+// Config file merged over the defaults. REQUIRE_API_KEY=true|false and
+// CORS_ORIGINS (comma-separated) override the file.
+function loadAccessConfig(filePath) {
+  let fileConfig = {};
+  try {
+    fileConfig = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw new Error(`Invalid access config ${filePath}: ${error.message}`);
+  }
+
+  const config = {
+    ...DEFAULT_CONFIG,
+    ...fileConfig,
+    rateLimit: { ...DEFAULT_CONFIG.rateLimit, ...fileConfig.rateLimit }
+  };
+  if (process.env.REQUIRE_API_KEY) config.requireApiKey = process.env.REQUIRE_API_KEY === 'true';
+  if (process.env.CORS_ORIGINS) config.corsOrigins = splitList(process.env.CORS_ORIGINS);
+  return config;
+}
+
+// Options for the cors package: '*' allows any origin, otherwise only the
+// listed ones get CORS headers (requests without an Origin are unaffected)
+function corsOptions(config, exposedHeaders) {
+  const origins = config.corsOrigins;
+  return {
+    origin: origins.includes('*') ? '*' : origins,
+    exposedHeaders,
+    allowedHeaders: ['Content-Type', 'X-API-Key', 'X-Admin-Token', 'X-Device-Key', 'X-Request-Id', 'Last-Event-ID']
+  };
+}
+
+const matchesPath = (paths, path) => paths.some(prefix => path === prefix || path.startsWith(`${prefix}/`));
+
+class ApiKeyService {
+  constructor({ store }) {
+    this.store = store;
+  }
+
+  get data() {
+    return this.store.load();
+  }
+
+  toPublicKey(key) {
+    const { keyHash: _keyHash, ...rest } = key;
+    return rest;
+  }
+
+  listKeys() {
+    return this.data.keys.map(key => this.toPublicKey(key));
+  }
+
+  getKey(id) {
+    const key = this.data.keys.find(k => k.id === id);
+    return key ? this.toPublicKey(key) : null;
+  }
+
+  // Returns the new key record together with the key itself, which is never shown again
+  async createKey({ name, rateLimit = null, enabled = true }) {
+    const apiKey = `ask_${crypto.randomBytes(24).toString('base64url')}`;
+    const key = {
+      id: crypto.randomUUID(),
+      name,
+      prefix: apiKey.slice(0, 8),
+      rateLimit,
+      enabled,
+      keyHash: hashKey(apiKey),
+      createdAt: new Date().toISOString()
+    };
+    await this.store.update(data => data.keys.push(key));
+    return { key: this.toPublicKey(key), apiKey };
+  }
+
+  async updateKey(id, changes) {
+    const updated = await this.store.update(data => {
+      const key = data.keys.find(k => k.id === id);
+      if (!key) return null;
+      Object.assign(key, changes, { updatedAt: new Date().toISOString() });
+      return key;
+    });
+    return updated && this.toPublicKey(updated);
+  }
+
+  async deleteKey(id) {
+    return this.store.update(data => {
+      const index = data.keys.findIndex(k => k.id === id);
+      if (index === -1) return false;
+      data.keys.splice(index, 1);
+      return true;
+    });
+  }
+
+  authenticate(apiKey) {
+    if (!apiKey) return null;
+    const hash = Buffer.from(hashKey(apiKey), 'hex');
+    const key = this.data.keys.find(k => crypto.timingSafeEqual(Buffer.from(k.keyHash, 'hex'), hash));
+    return key && key.enabled !== false ? key : null;
+  }
+}
+
+// Sets req.client = { keyId, name, ip, policy }; rejects bad keys, and
+// missing ones when keys are required
+function identifyClient({ config, apiKeys }) {
+  return (req, res, next) => {
+    const path = req.baseUrl + req.path;
+    const sent = req.get('X-API-Key') || req.query.apiKey;
+    const key = apiKeys.authenticate(sent);
+
+    if (sent && !key) return next(new ApiError(401, 'INVALID_API_KEY', 'The API key is invalid or disabled'));
+    if (!key && config.requireApiKey && !matchesPath(config.publicPaths, path)) {
+      return next(new ApiError(401, 'API_KEY_REQUIRED', 'An API key is required; send it in the X-API-Key header'));
+    }
+
+    req.client = key
+      ? { keyId: key.id, name: key.name, ip: req.ip, policy: key.rateLimit || config.rateLimit.apiKey }
+      : { keyId: null, name: null, ip: req.ip, policy: config.rateLimit.anonymous };
+    next();
+  };
+}
+
+// Token bucket per key and IP with RateLimit-* headers
+// (draft-ietf-httpapi-ratelimit-headers) on every limited response
+function rateLimit({ config, limiter }) {
+  return (req, res, next) => {
+    const path = req.baseUrl + req.path;
+    if (!config.rateLimit.enabled || matchesPath(config.rateLimit.exemptPaths, path)) return next();
+
+    const { policy, keyId, ip } = req.client;
+    const result = limiter.take(`${keyId || 'anonymous'}|${ip}`, policy);
+    const windowSeconds = Math.round((policy.capacity / policy.refillPerMinute) * 60);
+    res.set({
+      'RateLimit-Policy': `${policy.capacity};w=${windowSeconds}`,
+      'RateLimit-Limit': String(result.limit),
+      'RateLimit-Remaining': String(result.remaining),
+      'RateLimit-Reset': String(result.resetSeconds)
+    });
+
+    if (!result.allowed) {
+      return next(new ApiError(429, 'RATE_LIMITED', 'Too many requests, slow down', {
+        headers: { 'Retry-After': String(result.retryAfterSeconds) }
+      }));
+    }
+    next();
+  };
+}
+
+module.exports = { loadAccessConfig, corsOptions, ApiKeyService, identifyClient, rateLimit, DEFAULT_CONFIG };
@@ -0,0 +1,250 @@
+// lib/advice.js - Health guidance and outdoor activity planning
+//
+// Risk is taken from the position of the AQI category within its standard
+// (both supported standards have six bands), so advice reads the same
+// whichever standard the user picked. Sensitive profiles treat a reading one
+// band worse than everyone else, and so does vigorous exercise, because
+// breathing rate, and with it the dose, rises with exertion.
+
+const { getStandard, POLLUTANT_LABELS } = require('./aqi');
+const { HOUR_MS, localHour } = require('./forecast');
+const { LOCALES, DEFAULT_LANGUAGE, createTranslator } = require('./i18n');
+
+const RISK_LEVELS = ['low', 'moderate', 'elevated', 'high', 'very-high', 'severe'];
+
+const PROFILES = {
+  general: { label: 'General public', sensitive: false },
+  asthma: { label: 'Asthma or lung disease', sensitive: true },
+  elderly: { label: 'Older adults', sensitive: true },
+  children: { label: 'Children', sensitive: true },
+  pregnant: { label: 'Pregnant', sensitive: true },
+  athlete: { label: 'Outdoor athlete', sensitive: false }
+};
+
+const ACTIVITIES = {
+  walk: { label: 'Walking', intensity: 'light' },
+  cycle: { label: 'Cycling', intensity: 'moderate' },
+  run: { label: 'Running', intensity: 'vigorous' },
+  sports: { label: 'Outdoor sports', intensity: 'vigorous' },
+  play: { label: 'Outdoor play', intensity: 'moderate' },
+  gardening: { label: 'Gardening', intensity: 'light' }
+};
+
+// Activity windows must fall within these local hours
+const DAYTIME = { from: 6, to: 21 };
+
+const PARTICLES = ['pm25', 'pm10'];
+
+// Text per language (see lib/i18n); headline.N matches RISK_LEVELS index N
+const MESSAGES = {
+  en: {
+    'headline.0': 'Air quality is good. Enjoy outdoor activities.',
+    'headline.1': 'Air quality is acceptable. Unusually sensitive people should watch for symptoms.',
+    'headline.2': 'Reduce long or intense outdoor exertion.',
+    'headline.3': 'Avoid long or intense outdoor exertion; keep outdoor time short.',
+    'headline.4': 'Avoid outdoor exertion and stay indoors where possible.',
+    'headline.5': 'Stay indoors with windows closed and keep activity levels low.',
+    ...Object.fromEntries(Object.entries(PROFILES).map(([id, profile]) => [`profile.${id}`, profile.label])),
+    ...Object.fromEntries(Object.entries(ACTIVITIES).map(([id, activity]) => [`activity.${id}`, activity.label])),
+    'windows.closedUntilBest': 'Keep windows closed; air out the home during the cleanest forecast hours instead.',
+    'windows.closed': 'Keep windows and doors closed while pollution is high.',
+    'windows.open': 'Opening windows to ventilate is fine.',
+    'purifier.hepa': 'Run an air purifier with a HEPA filter in the rooms you use most, sized for the room.',
+    'purifier.gas': ({ pollutant }) => `HEPA filters don't remove ${pollutant}; a purifier with an activated-carbon stage helps somewhat.`,
+    'mask.respirator': 'Wear a well-fitted N95/FFP2 respirator outdoors; cloth and surgical masks do little against fine particles.',
+    'mask.gas': ({ pollutant }) => `Masks offer little protection against ${pollutant}; limit time outdoors instead.`,
+    'mask.consider': 'Consider an N95/FFP2 respirator for longer time outdoors.',
+    'activity.ozone': 'Ozone peaks in the afternoon sun; plan outdoor exertion for the early morning.',
+    'activity.no2': 'Stay away from busy roads, where nitrogen dioxide is highest.',
+    'activity.athlete': 'Move hard sessions indoors or lower the intensity; breathing through the nose reduces the dose a little.',
+    'activity.bestTime': ({ activity, at, aqi }) => `Best time for ${activity.toLowerCase()}: ${at} (AQI around ${aqi}).`,
+    'medication.asthma': 'Keep your reliever inhaler with you and follow your asthma action plan.',
+    'health.elderly': 'People with heart or lung disease should avoid exertion and watch for chest pain, palpitations or breathlessness.',
+    'health.children': 'Children breathe more air for their size; swap long outdoor play for indoor games.',
+    'health.pregnant': 'Limit time outdoors and near traffic; talk to your doctor if you notice breathing problems.',
+    'health.symptoms': 'Seek medical advice if you have coughing, wheezing, chest tightness or unusual fatigue.'
+  },
+  hi: {
+    'headline.0': 'हवा की गुणवत्ता अच्छी है। बाहरी गतिविधियों का आनंद लें।',
+    'headline.1': 'हवा की गुणवत्ता स्वीकार्य है। असामान्य रूप से संवेदनशील लोग लक्षणों पर ध्यान दें।',
+    'headline.2': 'लंबे समय तक या ज़ोरदार बाहरी परिश्रम कम करें।',
+    'headline.3': 'लंबे या ज़ोरदार बाहरी परिश्रम से बचें; बाहर कम समय बिताएँ।',
+    'headline.4': 'बाहरी परिश्रम से बचें और जहाँ तक संभव हो घर के अंदर रहें।',
+    'headline.5': 'खिड़कियाँ बंद रखकर घर के अंदर रहें और गतिविधि कम रखें।',
+    'profile.general': 'आम जनता',
+    'profile.asthma': 'अस्थमा या फेफड़ों की बीमारी',
+    'profile.elderly': 'बुज़ुर्ग',
+    'profile.children': 'बच्चे',
+    'profile.pregnant': 'गर्भवती',
+    'profile.athlete': 'बाहर खेलने वाले खिलाड़ी',
+    'activity.walk': 'पैदल चलना',
+    'activity.cycle': 'साइकिल चलाना',
+    'activity.run': 'दौड़ना',
+    'activity.sports': 'बाहरी खेल',
+    'activity.play': 'बाहर खेलना',
+    'activity.gardening': 'बागवानी',
+    'windows.closedUntilBest': 'खिड़कियाँ बंद रखें; घर में ताज़ा हवा के लिए पूर्वानुमान के सबसे साफ़ घंटों का इंतज़ार करें।',
+    'windows.closed': 'प्रदूषण अधिक रहने तक खिड़कियाँ और दरवाज़े बंद रखें।',
+    'windows.open': 'हवा के लिए खिड़कियाँ खोलना ठीक है।',
+    'purifier.hepa': 'जिन कमरों में आप सबसे ज़्यादा रहते हैं, वहाँ कमरे के आकार के अनुसार HEPA फ़िल्टर वाला एयर प्यूरीफ़ायर चलाएँ।',
+    'purifier.gas': ({ pollutant }) => `HEPA फ़िल्टर ${pollutant} को नहीं हटाते; ऐक्टिवेटेड-कार्बन वाला प्यूरीफ़ायर कुछ हद तक मदद करता है।`,
+    'mask.respirator': 'बाहर अच्छी तरह फ़िट N95/FFP2 रेस्पिरेटर पहनें; कपड़े और सर्जिकल मास्क महीन कणों से बहुत कम बचाते हैं।',
+    'mask.gas': ({ pollutant }) => `मास्क ${pollutant} से बहुत कम सुरक्षा देते हैं; इसके बजाय बाहर कम समय बिताएँ।`,
+    'mask.consider': 'बाहर ज़्यादा देर रहने पर N95/FFP2 रेस्पिरेटर पहनने पर विचार करें।',
+    'activity.ozone': 'दोपहर की धूप में ओज़ोन सबसे अधिक होती है; बाहरी परिश्रम सुबह जल्दी करें।',
+    'activity.no2': 'व्यस्त सड़कों से दूर रहें, जहाँ नाइट्रोजन डाइऑक्साइड सबसे अधिक होती है।',
+    'activity.athlete': 'कठिन अभ्यास घर के अंदर करें या तीव्रता कम करें; नाक से साँस लेने से प्रदूषण की मात्रा थोड़ी कम होती है।',
+    'activity.bestTime': ({ activity, at, aqi }) => `सबसे अच्छा समय (${activity}): ${at} (AQI लगभग ${aqi})।`,
+    'medication.asthma': 'अपना रिलीवर इनहेलर साथ रखें और अपनी अस्थमा कार्य योजना का पालन करें।',
+    'health.elderly': 'हृदय या फेफड़ों की बीमारी वाले लोग परिश्रम से बचें और सीने में दर्द, तेज़ धड़कन या साँस फूलने पर ध्यान दें।',
+    'health.children': 'बच्चे अपने आकार की तुलना में ज़्यादा हवा साँस में लेते हैं; लंबे बाहरी खेल की जगह घर के अंदर के खेल चुनें।',
+    'health.pregnant': 'बाहर और ट्रैफ़िक के पास कम समय बिताएँ; साँस लेने में तकलीफ़ हो तो अपने डॉक्टर से बात करें।',
+    'health.symptoms': 'खाँसी, घरघराहट, सीने में जकड़न या असामान्य थकान हो तो डॉक्टर की सलाह लें।'
+  }
+};
+
+const t = createTranslator(MESSAGES);
+
+function riskLevel(categoryKey, standard, { profile, activity } = {}) {
+  const keys = getStandard(standard).categories.map(c => c.key);
+  let level = Math.max(0, keys.indexOf(categoryKey));
+  if (level === 0) return level;
+  if (PROFILES[profile]?.sensitive) level++;
+  if (activity && ACTIVITIES[activity].intensity === 'vigorous') level++;
+  return Math.min(RISK_LEVELS.length - 1, level);
+}
+
+// Guidance for indoor air, masks and profile-specific precautions
+function recommendations({ level, dominantPollutant, profile, activity, bestWindow, timeZone, language }) {
+  const list = [];
+  const add = (type, priority, key, params) => list.push({ type, priority, text: t(language, key, params) });
+  const particulate = PARTICLES.includes(dominantPollutant);
+  const pollutant = POLLUTANT_LABELS[dominantPollutant] || 'Pollution';
+
+  if (level >= 2) {
+    add('windows', level >= 3 ? 'important' : 'advised', bestWindow ? 'windows.closedUntilBest' : 'windows.closed');
+  } else {
+    add('windows', 'info', 'windows.open');
+  }
+
+  if (level >= 2) {
+    add('purifier', level >= 3 ? 'important' : 'advised', particulate ? 'purifier.hepa' : 'purifier.gas', { pollutant });
+  }
+
+  if (level >= 3) {
+    add('mask', 'important', particulate ? 'mask.respirator' : 'mask.gas', { pollutant });
+  } else if (level === 2 && particulate && PROFILES[profile].sensitive) {
+    add('mask', 'advised', 'mask.consider');
+  }
+
+  if (level >= 2 && dominantPollutant === 'o3') add('activity', 'advised', 'activity.ozone');
+  if (level >= 2 && dominantPollutant === 'no2') add('activity', 'advised', 'activity.no2');
+
+  switch (profile) {
+    case 'asthma':
+      if (level >= 1) add('medication', level >= 3 ? 'important' : 'advised', 'medication.asthma');
+      break;
+    case 'elderly':
+    case 'children':
+    case 'pregnant':
+      if (level >= 2) add('health', 'advised', `health.${profile}`);
+      break;
+    case 'athlete':
+      if (level >= 2) add('activity', 'advised', 'activity.athlete');
+      break;
+    default:
+      break;
+  }
+
+  if (level >= 4) {
+    add('health', 'important', 'health.symptoms');
+  }
+  if (bestWindow && level >= 2) {
+    const at = new Date(bestWindow.start).toLocaleString(LOCALES[language], { timeZone, weekday: 'short', hour: '2-digit', minute: '2-digit' });
+    add('activity', 'advised', 'activity.bestTime', { activity: t(language, `activity.${activity}`), at, aqi: bestWindow.averageAqi });
+  }
+  return list;
+}
+
+// Non-overlapping windows of `durationMinutes` within daytime hours, best
+// (lowest mean AQI, then lowest peak) first
+function bestWindows(points, { durationMinutes, timeZone, profile, activity, standard, count = 3 }) {
+  const length = Math.ceil(durationMinutes / 60);
+  const candidates = [];
+
+  for (let i = 0; i + length <= points.length; i++) {
+    const slice = points.slice(i, i + length);
+    const start = new Date(slice[0].time).getTime();
+    const startHour = localHour(start, timeZone);
+    if (startHour < DAYTIME.from || startHour + durationMinutes / 60 > DAYTIME.to) continue;
+
+    const aqis = slice.map(p => p.aqi);
+    const peak = slice.reduce((worst, p) => (p.aqi > worst.aqi ? p : worst));
+    candidates.push({
+      start,
+      end: start + durationMinutes * 60000,
+      averageAqi: Math.round(aqis.reduce((sum, aqi) => sum + aqi, 0) / aqis.length),
+      peakAqi: peak.aqi,
+      upperAqi: Math.max(...slice.map(p => p.upper?.aqi ?? p.aqi)),
+      category: peak.category,
+      categoryKey: peak.categoryKey,
+      color: peak.color
+    });
+  }
+
+  candidates.sort((a, b) => a.averageAqi - b.averageAqi || a.peakAqi - b.peakAqi || a.start - b.start);
+
+  const chosen = [];
+  for (const candidate of candidates) {
+    if (chosen.length >= count) break;
+    if (chosen.some(c => candidate.start < c.end && c.start < candidate.end)) continue;
+    chosen.push(candidate);
+  }
+
+  return chosen.map(window => {
+    const level = riskLevel(window.categoryKey, standard, { profile, activity });
+    return {
+      ...window,
+      start: new Date(window.start).toISOString(),
+      end: new Date(window.end).toISOString(),
+      risk: RISK_LEVELS[level],
+      suitable: level <= 1
+    };
+  });
+}
+
+// current and forecast are /api/aqi/current and hourly /api/aqi/forecast
+// bodies; `language` picks the text (category names are left to the caller)
+function buildAdvice({ current, forecast, profile, activity, durationMinutes, standard, language = DEFAULT_LANGUAGE }) {
+  const level = riskLevel(current.categoryKey, standard, { profile });
+  const activityLevel = riskLevel(current.categoryKey, standard, { profile, activity });
+  const upcoming = forecast.forecast.filter(p => new Date(p.time).getTime() > Date.now() - HOUR_MS);
+  const windows = bestWindows(upcoming, { durationMinutes, timeZone: forecast.timeZone, profile, activity, standard });
+
+  return {
+    location: current.location,
+    locationId: current.locationId,
+    standard,
+    profile: { id: profile, ...PROFILES[profile], label: t(language, `profile.${profile}`) },
+    activity: { id: activity, ...ACTIVITIES[activity], label: t(language, `activity.${activity}`), durationMinutes },
+    current: {
+      aqi: current.aqi,
+      category: current.category,
+      categoryKey: current.categoryKey,
+      color: current.color,
+      dominantPollutant: current.dominantPollutant,
+      risk: RISK_LEVELS[level],
+      activityRisk: RISK_LEVELS[activityLevel]
+    },
+    headline: t(language, `headline.${level}`),
+    recommendations: recommendations({
+      level, dominantPollutant: current.dominantPollutant, profile, activity, bestWindow: windows[0], timeZone: forecast.timeZone, language
+    }),
+    bestWindows: windows,
+    timeZone: forecast.timeZone,
+    forecastHours: upcoming.length,
+    generatedAt: new Date().toISOString()
+  };
+}
+
+module.exports = { PROFILES, ACTIVITIES, RISK_LEVELS, riskLevel, bestWindows, buildAdvice };
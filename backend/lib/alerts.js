@@ -0,0 +1,463 @@
+// lib/alerts.js - User-defined AQI alert rules and their evaluation
+//
+// Rule types:
+//   threshold  metric is above/below a value       ("AQI above 150")
+//   change     metric moved by a percentage within a window ("PM2.5 +50% in 60 min")
+//   forecast   forecast reaches a category within N days ("Unhealthy tomorrow")
+//
+// A rule fires once when its condition becomes true and stays quiet until the
+// condition clears and its cooldown has passed, so a long episode produces a
+// single alert rather than one per evaluation.
+
+const crypto = require('crypto');
+const { POLLUTANTS, POLLUTANT_LABELS, DEFAULT_STANDARD, getStandard, computeAQI } = require('./aqi');
+const { deliverWebhook, webhookUrlError } = require('./webhooks');
+const { logger } = require('./logger');
+const { DEFAULT_LANGUAGE, LOCALES, categoryLabel, createTranslator } = require('./i18n');
+
+const RULE_TYPES = ['threshold', 'change', 'forecast'];
+const METRICS = ['aqi', ...POLLUTANTS];
+const OPERATORS = ['above', 'below'];
+const DEFAULT_COOLDOWN_MINUTES = 60;
+
+const metricLabel = (metric) => (metric === 'aqi' ? 'AQI' : POLLUTANT_LABELS[metric]);
+const formatForecastTime = (time, timeZone, language) =>
+  new Date(time).toLocaleString(LOCALES[language], { timeZone, weekday: 'short', hour: '2-digit', minute: '2-digit' });
+
+// Event messages per language (see lib/i18n). Events keep the key and params
+// next to the English message, so history can be shown in any language.
+const MESSAGES = {
+  en: {
+    threshold: ({ metric, location, value, operator, threshold }) => `${metric} at ${location} is ${value}, ${operator} ${threshold}`,
+    change: ({ metric, location, changePercent, windowMinutes, past, value }) =>
+      `${metric} at ${location} ${changePercent >= 0 ? 'rose' : 'fell'} ${Math.abs(changePercent)}% in ${windowMinutes} min (${past} → ${value})`,
+    forecast: ({ location, category, at, aqi }) => `Forecast for ${location}: ${category} expected (${at}, AQI ${aqi})`
+  },
+  hi: {
+    threshold: ({ metric, location, value, operator, threshold }) =>
+      `${location} में ${metric} ${value} है, ${threshold} से ${operator === 'below' ? 'नीचे' : 'ऊपर'}`,
+    change: ({ metric, location, changePercent, windowMinutes, past, value }) =>
+      `${location} में ${metric} ${windowMinutes} मिनट में ${Math.abs(changePercent)}% ${changePercent >= 0 ? 'बढ़ा' : 'घटा'} (${past} → ${value})`,
+    forecast: ({ location, category, at, aqi }) => `${location} का पूर्वानुमान: ${category} की संभावना (${at}, AQI ${aqi})`
+  }
+};
+
+const t = createTranslator(MESSAGES);
+
+// Message for an event's `text` ({ key, params }) in `language`
+function alertMessage({ key, params }, language = DEFAULT_LANGUAGE) {
+  const { metric, category, time, timeZone, ...rest } = params;
+  return t(language, key, {
+    ...rest,
+    ...(metric && { metric: metricLabel(metric) }),
+    ...(category && { category: categoryLabel(category, language) }),
+    ...(time && { at: formatForecastTime(time, timeZone, language) })
+  });
+}
+
+function isPositiveNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+// Validate a rule body. With `partial` only the supplied fields are checked
+// (for PATCH). Webhooks must use one of `webhookHosts`. Returns
+// { value, errors } where errors maps field -> message.
+function validateRule(input = {}, { partial = false, webhookHosts = [] } = {}) {
+  const errors = {};
+  const value = {};
+  const has = (field) => input[field] !== undefined && input[field] !== null;
+  const required = (field) => !partial || has(field);
+
+  if (has('name')) {
+    if (typeof input.name !== 'string' || input.name.length > 100) errors.name = 'must be a string of at most 100 characters';
+    else value.name = input.name.trim();
+  }
+
+  if (required('type')) {
+    if (!RULE_TYPES.includes(input.type)) errors.type = `must be one of ${RULE_TYPES.join(', ')}`;
+    else value.type = input.type;
+  }
+
+  if (has('standard')) {
+    if (!getStandard(input.standard)) errors.standard = 'unknown AQI standard';
+    else value.standard = input.standard;
+  }
+
+  const type = value.type || input.type;
+
+  if (type === 'threshold' || type === 'change') {
+    if (required('metric')) {
+      if (!METRICS.includes(input.metric)) errors.metric = `must be one of ${METRICS.join(', ')}`;
+      else value.metric = input.metric;
+    }
+  }
+
+  if (type === 'threshold') {
+    if (has('operator') || !partial) {
+      const operator = input.operator || 'above';
+      if (!OPERATORS.includes(operator)) errors.operator = 'must be above or below';
+      else value.operator = operator;
+    }
+    if (required('threshold')) {
+      if (!isPositiveNumber(input.threshold)) errors.threshold = 'must be a positive number';
+      else value.threshold = input.threshold;
+    }
+  }
+
+  if (type === 'change') {
+    if (required('changePercent')) {
+      if (typeof input.changePercent !== 'number' || !Number.isFinite(input.changePercent) || input.changePercent === 0) {
+        errors.changePercent = 'must be a non-zero number (negative for drops)';
+      } else {
+        value.changePercent = input.changePercent;
+      }
+    }
+    if (has('windowMinutes') || !partial) {
+      const windowMinutes = input.windowMinutes ?? 60;
+      if (!isPositiveNumber(windowMinutes) || windowMinutes > 24 * 60) errors.windowMinutes = 'must be between 1 and 1440';
+      else value.windowMinutes = windowMinutes;
+    }
+  }
+
+  if (type === 'forecast') {
+    const standard = getStandard(value.standard || input.standard || DEFAULT_STANDARD);
+    if (required('category')) {
+      if (!standard || !standard.categories.some(c => c.key === input.category)) {
+        errors.category = 'must be a category key of the rule\'s standard';
+      } else {
+        value.category = input.category;
+      }
+    }
+    if (has('withinDays') || !partial) {
+      const withinDays = input.withinDays ?? 1;
+      if (!Number.isInteger(withinDays) || withinDays < 1 || withinDays > 7) errors.withinDays = 'must be an integer from 1 to 7';
+      else value.withinDays = withinDays;
+    }
+  }
+
+  if (has('cooldownMinutes')) {
+    if (typeof input.cooldownMinutes !== 'number' || input.cooldownMinutes < 0) errors.cooldownMinutes = 'must be zero or more';
+    else value.cooldownMinutes = input.cooldownMinutes;
+  }
+
+  if (has('enabled')) {
+    if (typeof input.enabled !== 'boolean') errors.enabled = 'must be true or false';
+    else value.enabled = input.enabled;
+  }
+
+  if (has('webhooks')) {
+    const error = Array.isArray(input.webhooks)
+      ? input.webhooks.map(url => webhookUrlError(url, webhookHosts)).find(Boolean)
+      : 'must be a list of URLs';
+    if (error) errors.webhooks = error;
+    else value.webhooks = input.webhooks;
+  }
+
+  return { value, errors };
+}
+
+class AlertService {
+  // getCurrent(locationId, standard) and getForecast(locationId, standard)
+  // return the same bodies as /api/aqi/current and /api/aqi/forecast.
+  // webhookUrls receive every alert; rules may add their own webhooks on
+  // webhookHosts.
+  constructor({ store, historyStore, getCurrent, getForecast, webhookUrls = [], webhookHosts = [], intervalMs = 300000, maxEvents = 500 }) {
+    this.store = store;
+    this.historyStore = historyStore;
+    this.getCurrent = getCurrent;
+    this.getForecast = getForecast;
+    this.webhookUrls = webhookUrls;
+    this.webhookHosts = webhookHosts;
+    this.intervalMs = intervalMs;
+    this.maxEvents = maxEvents;
+    this.timer = null;
+    this.running = null;
+    this.lastRun = null;
+  }
+
+  get data() {
+    return this.store.load();
+  }
+
+  // === Rules ===
+  listRules() {
+    return this.data.rules.map(rule => ({ ...rule, state: this.data.state[rule.id] || null }));
+  }
+
+  getRule(id) {
+    return this.data.rules.find(rule => rule.id === id) || null;
+  }
+
+  async createRule(fields) {
+    const now = new Date().toISOString();
+    const rule = {
+      id: crypto.randomUUID(),
+      name: fields.name || null,
+      standard: DEFAULT_STANDARD,
+      cooldownMinutes: DEFAULT_COOLDOWN_MINUTES,
+      enabled: true,
+      webhooks: [],
+      ...fields,
+      createdAt: now,
+      updatedAt: now
+    };
+    await this.store.update(data => data.rules.push(rule));
+    return rule;
+  }
+
+  async updateRule(id, changes) {
+    return this.store.update(data => {
+      const rule = data.rules.find(r => r.id === id);
+      if (!rule) return null;
+      Object.assign(rule, changes, { updatedAt: new Date().toISOString() });
+      // Changing the condition starts the rule over
+      delete data.state[id];
+      return rule;
+    });
+  }
+
+  async deleteRule(id) {
+    return this.store.update(data => {
+      const index = data.rules.findIndex(r => r.id === id);
+      if (index === -1) return false;
+      data.rules.splice(index, 1);
+      delete data.state[id];
+      return true;
+    });
+  }
+
+  // === Alert history ===
+  listEvents({ unreadOnly = false, limit = 50 } = {}) {
+    const events = unreadOnly ? this.data.events.filter(e => !e.read) : this.data.events;
+    return events.slice(0, limit);
+  }
+
+  unreadCount() {
+    return this.data.events.filter(e => !e.read).length;
+  }
+
+  // Mark the given event IDs read, or every event when `ids` is omitted
+  async markRead(ids) {
+    return this.store.update(data => {
+      let changed = 0;
+      data.events.forEach(event => {
+        if (!event.read && (!ids || ids.includes(event.id))) {
+          event.read = true;
+          changed++;
+        }
+      });
+      return changed;
+    });
+  }
+
+  // === Evaluation ===
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      this.evaluateAll().catch(error => logger.error('Alert evaluation failed', { error }));
+    }, this.intervalMs);
+    this.timer.unref();
+    logger.info('Alert scheduler running', { intervalSeconds: Math.round(this.intervalMs / 1000) });
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Evaluate every enabled rule once. Overlapping calls share one run.
+  evaluateAll() {
+    if (!this.running) {
+      this.running = this.runEvaluation().finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  async runEvaluation() {
+    const rules = this.data.rules.filter(rule => rule.enabled);
+    // Rules on the same location and standard share one lookup per run
+    const lookups = new Map();
+    const memo = (key, load) => {
+      if (!lookups.has(key)) lookups.set(key, load());
+      return lookups.get(key);
+    };
+
+    const triggered = [];
+    let errors = 0;
+    let skipped = 0;
+
+    for (const rule of rules) {
+      try {
+        const outcome = await this.evaluateRule(rule, memo);
+        if (!outcome) {
+          skipped++;
+          continue;
+        }
+        const event = await this.applyOutcome(rule, outcome);
+        if (event) triggered.push(event);
+      } catch (error) {
+        errors++;
+        logger.error('Alert rule could not be evaluated', { ruleId: rule.id, error });
+      }
+    }
+
+    await Promise.all(triggered.map(event => this.deliver(event)));
+    this.lastRun = { at: new Date().toISOString(), rules: rules.length, triggered: triggered.length, skipped, errors };
+    return this.lastRun;
+  }
+
+  // Returns { active, value, text, details }; `text` is for alertMessage().
+  // Null when only synthetic data is available, leaving the rule's state as is.
+  async evaluateRule(rule, memo) {
+    const standard = rule.standard || DEFAULT_STANDARD;
+    const current = () => memo(`current:${rule.locationId}:${standard}`, () => this.getCurrent(rule.locationId, standard));
+
+    if (rule.type === 'threshold') {
+      const reading = await current();
+      if (reading.synthetic) return null;
+      const value = reading[rule.metric];
+      const active = rule.operator === 'below' ? value < rule.threshold : value > rule.threshold;
+      return {
+        active,
+        value,
+        color: reading.color,
+        text: {
+          key: 'threshold',
+          params: { metric: rule.metric, location: rule.locationName, value, operator: rule.operator, threshold: rule.threshold }
+        }
+      };
+    }
+
+    if (rule.type === 'change') {
+      const reading = await current();
+      if (reading.synthetic) return null;
+      const value = reading[rule.metric];
+      const past = await this.pastValue(rule, standard);
+      if (past === null || past === 0) return { active: false, value, text: null };
+
+      const changePercent = Math.round(((value - past) / past) * 1000) / 10;
+      const active = rule.changePercent > 0 ? changePercent >= rule.changePercent : changePercent <= rule.changePercent;
+      return {
+        active,
+        value,
+        color: reading.color,
+        details: { previous: past, changePercent },
+        text: {
+          key: 'change',
+          params: { metric: rule.metric, location: rule.locationName, changePercent, windowMinutes: rule.windowMinutes, past, value }
+        }
+      };
+    }
+
+    if (rule.type === 'forecast') {
+      const forecast = await memo(`forecast:${rule.locationId}:${standard}`, () => this.getForecast(rule.locationId, standard));
+      if (forecast.synthetic) return null;
+      const categories = getStandard(standard).categories.map(c => c.key);
+      const target = categories.indexOf(rule.category);
+      const horizon = Date.now() + rule.withinDays * 24 * 60 * 60 * 1000;
+
+      const hit = forecast.forecast.find(point =>
+        new Date(point.time) <= horizon && categories.indexOf(point.categoryKey) >= target);
+
+      return {
+        active: Boolean(hit),
+        value: hit ? hit.aqi : null,
+        color: hit ? hit.color : null,
+        text: hit && {
+          key: 'forecast',
+          params: { location: rule.locationName, category: hit.category, time: hit.time, timeZone: forecast.timeZone, aqi: hit.aqi }
+        }
+      };
+    }
+
+    throw new Error(`Unknown rule type: ${rule.type}`);
+  }
+
+  // Stored reading closest to `windowMinutes` ago, or null without history
+  async pastValue(rule, standard) {
+    const windowMs = rule.windowMinutes * 60 * 1000;
+    const target = Date.now() - windowMs;
+    const readings = await this.historyStore.query({
+      locationId: rule.locationId,
+      from: new Date(target - windowMs / 2),
+      to: new Date(target + windowMs / 2)
+    });
+    if (readings.length === 0) return null;
+
+    const closest = readings.reduce((best, reading) =>
+      Math.abs(new Date(reading.time) - target) < Math.abs(new Date(best.time) - target) ? reading : best
+    );
+    return rule.metric === 'aqi' ? computeAQI(closest, standard).aqi : closest[rule.metric];
+  }
+
+  // Update rule state and record an event when the rule newly fires
+  async applyOutcome(rule, outcome) {
+    return this.store.update(data => {
+      const now = Date.now();
+      const state = data.state[rule.id] || { active: false, lastTriggeredAt: null };
+      state.lastEvaluatedAt = new Date(now).toISOString();
+      state.lastValue = outcome.value;
+
+      const cooledDown = !state.lastTriggeredAt
+        || now - new Date(state.lastTriggeredAt).getTime() >= (rule.cooldownMinutes ?? DEFAULT_COOLDOWN_MINUTES) * 60000;
+      const fires = outcome.active && !state.active && cooledDown;
+
+      // Stay "active" until the condition clears so one episode fires once
+      state.active = outcome.active && (state.active || fires);
+      data.state[rule.id] = state;
+      if (!fires) return null;
+
+      state.lastTriggeredAt = new Date(now).toISOString();
+      const event = {
+        id: crypto.randomUUID(),
+        ruleId: rule.id,
+        ruleName: rule.name,
+        type: rule.type,
+        locationId: rule.locationId,
+        location: rule.locationName,
+        value: outcome.value,
+        color: outcome.color || null,
+        message: outcome.text && alertMessage(outcome.text),
+        text: outcome.text || null,
+        details: outcome.details || null,
+        triggeredAt: state.lastTriggeredAt,
+        read: false,
+        deliveries: []
+      };
+      data.events.unshift(event);
+      data.events.splice(this.maxEvents);
+      return event;
+    });
+  }
+
+  async deliver(event) {
+    const rule = this.getRule(event.ruleId);
+    const ruleUrls = ((rule && rule.webhooks) || []).filter(url => !this.webhookUrls.includes(url));
+    if (this.webhookUrls.length === 0 && ruleUrls.length === 0) return;
+
+    const payload = {
+      event: 'aqi.alert',
+      alert: { id: event.id, rule: event.ruleName || event.ruleId, location: event.location, message: event.message, value: event.value, triggeredAt: event.triggeredAt }
+    };
+    // Rule webhooks are checked again, in case the allowed hosts changed
+    const deliverToRule = (url) => {
+      const error = webhookUrlError(url, this.webhookHosts);
+      return error
+        ? { url, ok: false, status: null, attempts: 0, error: `webhook ${error}` }
+        : deliverWebhook(url, payload, { publicOnly: true });
+    };
+    const deliveries = await Promise.all([
+      ...this.webhookUrls.map(url => deliverWebhook(url, payload)),
+      ...[...new Set(ruleUrls)].map(deliverToRule)
+    ]);
+
+    await this.store.update(data => {
+      const stored = data.events.find(e => e.id === event.id);
+      if (stored) stored.deliveries = deliveries;
+    });
+  }
+}
+
+module.exports = { AlertService, validateRule, alertMessage, RULE_TYPES, METRICS };
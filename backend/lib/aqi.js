@@ -0,0 +1,187 @@
+// lib/aqi.js - AQI engine (sub-indices, overall AQI, dominant pollutant)
+
+// Concentrations coming out of the model are in µg/m³ (CO in mg/m³).
+// US EPA breakpoints for gases are defined in ppb/ppm, so those are converted
+// using molar volume at 25 °C / 1 atm.
+const { categoryLabel } = require('./i18n');
+
+const MOLAR_VOLUME = 24.45;
+const MOLECULAR_WEIGHT = { no2: 46.01, so2: 64.07, o3: 48.0, co: 28.01 };
+
+const POLLUTANTS = ['pm25', 'pm10', 'no2', 'so2', 'co', 'o3'];
+
+const POLLUTANT_LABELS = {
+  pm25: 'PM2.5',
+  pm10: 'PM10',
+  no2: 'NO2',
+  so2: 'SO2',
+  co: 'CO',
+  o3: 'O3'
+};
+
+// Each row: [concentration low, concentration high, index low, index high]
+const STANDARDS = {
+  'us-epa': {
+    id: 'us-epa',
+    name: 'US EPA AQI',
+    categories: [
+      { key: 'good', label: 'Good', min: 0, max: 50, color: '#22c55e', textColor: '#16a34a' },
+      { key: 'moderate', label: 'Moderate', min: 51, max: 100, color: '#eab308', textColor: '#ca8a04' },
+      { key: 'usg', label: 'Unhealthy for Sensitive Groups', min: 101, max: 150, color: '#f97316', textColor: '#ea580c' },
+      { key: 'unhealthy', label: 'Unhealthy', min: 151, max: 200, color: '#ef4444', textColor: '#dc2626' },
+      { key: 'very-unhealthy', label: 'Very Unhealthy', min: 201, max: 300, color: '#a855f7', textColor: '#9333ea' },
+      { key: 'hazardous', label: 'Hazardous', min: 301, max: 500, color: '#7f1d1d', textColor: '#7f1d1d' }
+    ],
+    units: { pm25: 'µg/m³', pm10: 'µg/m³', no2: 'ppb', so2: 'ppb', co: 'ppm', o3: 'ppb' },
+    // 2024 revision of the PM2.5 table; O3 uses 8-hour values up to 200 ppb,
+    // beyond which the 1-hour hazardous band is applied.
+    breakpoints: {
+      pm25: [[0, 9.0, 0, 50], [9.1, 35.4, 51, 100], [35.5, 55.4, 101, 150], [55.5, 125.4, 151, 200], [125.5, 225.4, 201, 300], [225.5, 325.4, 301, 500]],
+      pm10: [[0, 54, 0, 50], [55, 154, 51, 100], [155, 254, 101, 150], [255, 354, 151, 200], [355, 424, 201, 300], [425, 604, 301, 500]],
+      no2: [[0, 53, 0, 50], [54, 100, 51, 100], [101, 360, 101, 150], [361, 649, 151, 200], [650, 1249, 201, 300], [1250, 2049, 301, 500]],
+      so2: [[0, 35, 0, 50], [36, 75, 51, 100], [76, 185, 101, 150], [186, 304, 151, 200], [305, 604, 201, 300], [605, 1004, 301, 500]],
+      co: [[0, 4.4, 0, 50], [4.5, 9.4, 51, 100], [9.5, 12.4, 101, 150], [12.5, 15.4, 151, 200], [15.5, 30.4, 201, 300], [30.5, 50.4, 301, 500]],
+      o3: [[0, 54, 0, 50], [55, 70, 51, 100], [71, 85, 101, 150], [86, 105, 151, 200], [106, 200, 201, 300], [405, 604, 301, 500]]
+    },
+    // EPA truncates concentrations before looking them up
+    precision: { pm25: 1, pm10: 0, no2: 0, so2: 0, co: 1, o3: 0 }
+  },
+  'in-cpcb': {
+    id: 'in-cpcb',
+    name: 'India CPCB NAQI',
+    categories: [
+      { key: 'good', label: 'Good', min: 0, max: 50, color: '#16a34a', textColor: '#15803d' },
+      { key: 'satisfactory', label: 'Satisfactory', min: 51, max: 100, color: '#84cc16', textColor: '#65a30d' },
+      { key: 'moderate', label: 'Moderately Polluted', min: 101, max: 200, color: '#eab308', textColor: '#ca8a04' },
+      { key: 'poor', label: 'Poor', min: 201, max: 300, color: '#f97316', textColor: '#ea580c' },
+      { key: 'very-poor', label: 'Very Poor', min: 301, max: 400, color: '#ef4444', textColor: '#dc2626' },
+      { key: 'severe', label: 'Severe', min: 401, max: 500, color: '#991b1b', textColor: '#991b1b' }
+    ],
+    units: { pm25: 'µg/m³', pm10: 'µg/m³', no2: 'µg/m³', so2: 'µg/m³', co: 'mg/m³', o3: 'µg/m³' },
+    // The "Severe" band is open-ended in the NAQI tables; the upper
+    // concentrations below only set the slope used to reach 500.
+    breakpoints: {
+      pm25: [[0, 30, 0, 50], [31, 60, 51, 100], [61, 90, 101, 200], [91, 120, 201, 300], [121, 250, 301, 400], [251, 380, 401, 500]],
+      pm10: [[0, 50, 0, 50], [51, 100, 51, 100], [101, 250, 101, 200], [251, 350, 201, 300], [351, 430, 301, 400], [431, 600, 401, 500]],
+      no2: [[0, 40, 0, 50], [41, 80, 51, 100], [81, 180, 101, 200], [181, 280, 201, 300], [281, 400, 301, 400], [401, 800, 401, 500]],
+      so2: [[0, 40, 0, 50], [41, 80, 51, 100], [81, 380, 101, 200], [381, 800, 201, 300], [801, 1600, 301, 400], [1601, 2100, 401, 500]],
+      co: [[0, 1.0, 0, 50], [1.1, 2.0, 51, 100], [2.1, 10, 101, 200], [10.1, 17, 201, 300], [17.1, 34, 301, 400], [34.1, 50, 401, 500]],
+      o3: [[0, 50, 0, 50], [51, 100, 51, 100], [101, 168, 101, 200], [169, 208, 201, 300], [209, 748, 301, 400], [749, 1000, 401, 500]]
+    },
+    precision: { pm25: 0, pm10: 0, no2: 0, so2: 0, co: 1, o3: 0 }
+  }
+};
+
+const DEFAULT_STANDARD = 'us-epa';
+
+function getStandard(id) {
+  return STANDARDS[id || DEFAULT_STANDARD] || null;
+}
+
+// Convert a model concentration (µg/m³, CO mg/m³) into the unit the
+// standard's breakpoint table expects.
+function toStandardUnits(pollutant, value, standard) {
+  const unit = standard.units[pollutant];
+  // µg/m³ -> ppb and mg/m³ -> ppm share the same conversion factor
+  if (unit === 'ppb' || unit === 'ppm') {
+    return value * MOLAR_VOLUME / MOLECULAR_WEIGHT[pollutant];
+  }
+  return value;
+}
+
+function truncate(value, digits) {
+  const factor = Math.pow(10, digits);
+  return Math.floor(value * factor) / factor;
+}
+
+// Linear interpolation within the matching breakpoint band
+function computeSubIndex(pollutant, concentration, standardId) {
+  const standard = getStandard(standardId);
+  if (!standard) throw new Error(`Unknown AQI standard: ${standardId}`);
+
+  const table = standard.breakpoints[pollutant];
+  if (!table || concentration === null || concentration === undefined || isNaN(concentration)) {
+    return null;
+  }
+
+  const value = truncate(
+    Math.max(0, toStandardUnits(pollutant, Number(concentration), standard)),
+    standard.precision[pollutant]
+  );
+
+  const band = table.find(([, cHigh]) => value <= cHigh);
+  if (!band) return 500;
+
+  const [cLow, cHigh, iLow, iHigh] = band;
+  const index = ((iHigh - iLow) / (cHigh - cLow)) * (value - cLow) + iLow;
+  return Math.round(Math.min(iHigh, Math.max(iLow, index)));
+}
+
+// `language` translates the label (see lib/i18n); keys stay the same
+function getAQICategory(aqi, standardId, language) {
+  const standard = getStandard(standardId);
+  if (!standard) throw new Error(`Unknown AQI standard: ${standardId}`);
+
+  const value = Math.round(aqi);
+  const category = standard.categories.find(c => value <= c.max)
+    || standard.categories[standard.categories.length - 1];
+
+  return {
+    key: category.key,
+    label: categoryLabel(category.label, language),
+    color: category.color,
+    textColor: category.textColor
+  };
+}
+
+// Overall AQI is the maximum sub-index; the pollutant that produced it is
+// reported as dominant.
+function computeAQI(concentrations, standardId) {
+  const standard = getStandard(standardId);
+  if (!standard) throw new Error(`Unknown AQI standard: ${standardId}`);
+
+  const subIndices = {};
+  let aqi = null;
+  let dominantPollutant = null;
+
+  for (const pollutant of POLLUTANTS) {
+    const subIndex = computeSubIndex(pollutant, concentrations[pollutant], standard.id);
+    if (subIndex === null) continue;
+
+    subIndices[pollutant] = subIndex;
+    if (aqi === null || subIndex > aqi) {
+      aqi = subIndex;
+      dominantPollutant = pollutant;
+    }
+  }
+
+  if (aqi === null) throw new Error('No pollutant concentrations available to compute AQI');
+
+  return {
+    aqi,
+    standard: standard.id,
+    category: getAQICategory(aqi, standard.id),
+    dominantPollutant,
+    subIndices
+  };
+}
+
+function listStandards(language) {
+  return Object.values(STANDARDS).map(standard => ({
+    id: standard.id,
+    name: standard.name,
+    categories: standard.categories.map(category => ({ ...category, label: categoryLabel(category.label, language) })),
+    units: standard.units
+  }));
+}
+
+module.exports = {
+  POLLUTANTS,
+  POLLUTANT_LABELS,
+  DEFAULT_STANDARD,
+  getStandard,
+  computeSubIndex,
+  computeAQI,
+  getAQICategory,
+  listStandards
+};
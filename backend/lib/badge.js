@@ -0,0 +1,58 @@
+// lib/badge.js - Flat SVG badges for embedding a reading in wikis and READMEs
+//
+// The badge has two parts, like the usual build badges: a grey label on the
+// left and the AQI and category on the right, filled with the category color.
+// Text widths are estimated from the font size, since there's no font to
+// measure with; Verdana at 11px averages close to 7px per character.
+
+const BADGE_HEIGHT = 20;
+const CHAR_WIDTH = 7;
+const PADDING = 6;
+const LABEL_COLOR = '#555555';
+
+function escapeXml(text) {
+  return String(text).replace(/[<>&"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+function textWidth(text) {
+  return Math.ceil(text.length * CHAR_WIDTH) + PADDING * 2;
+}
+
+// Dark text on light category colors (e.g. yellow), white otherwise
+function contrastingText(hexColor) {
+  const [r, g, b] = [1, 3, 5].map(i => parseInt(hexColor.slice(i, i + 2), 16) / 255);
+  const luminance = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+  return luminance > 0.6 ? '#1f2937' : '#ffffff';
+}
+
+function renderBadge({ label, value, color }) {
+  const labelWidth = textWidth(label);
+  const valueWidth = textWidth(value);
+  const width = labelWidth + valueWidth;
+  const title = `${label}: ${value}`;
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${BADGE_HEIGHT}" role="img" aria-label="${escapeXml(title)}">
+  <title>${escapeXml(title)}</title>
+  <clipPath id="r"><rect width="${width}" height="${BADGE_HEIGHT}" rx="3"/></clipPath>
+  <g clip-path="url(#r)">
+    <rect width="${labelWidth}" height="${BADGE_HEIGHT}" fill="${LABEL_COLOR}"/>
+    <rect x="${labelWidth}" width="${valueWidth}" height="${BADGE_HEIGHT}" fill="${color}"/>
+  </g>
+  <g font-family="Verdana,DejaVu Sans,sans-serif" font-size="11" text-anchor="middle">
+    <text x="${labelWidth / 2}" y="14" fill="#ffffff">${escapeXml(label)}</text>
+    <text x="${labelWidth + valueWidth / 2}" y="14" fill="${contrastingText(color)}">${escapeXml(value)}</text>
+  </g>
+</svg>
+`;
+}
+
+// Badge for a current report; `label` defaults to the place name
+function aqiBadge(report, label) {
+  return renderBadge({
+    label: label || report.location,
+    value: `AQI ${report.aqi} · ${report.category}`,
+    color: report.color
+  });
+}
+
+module.exports = { renderBadge, aqiBadge };
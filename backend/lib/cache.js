@@ -0,0 +1,130 @@
+// lib/cache.js - In-memory TTL cache with request coalescing
+//
+// `wrap(key, ttlMs, compute)` returns a fresh cached value when there is one,
+// otherwise runs `compute` once and shares the pending promise with every
+// concurrent caller asking for the same key.
+
+const crypto = require('crypto');
+
+class ResponseCache {
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 500;
+    this.entries = new Map();
+    this.inFlight = new Map();
+    this.counters = { hits: 0, misses: 0, coalesced: 0, evictions: 0 };
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    // Re-insert so Map order doubles as least-recently-used order
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  set(key, value, ttlMs) {
+    const now = Date.now();
+    const entry = {
+      key,
+      value,
+      etag: `W/"${crypto.createHash('sha1').update(JSON.stringify(value)).digest('base64url')}"`,
+      storedAt: now,
+      expiresAt: now + ttlMs,
+      hits: 0
+    };
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.counters.evictions++;
+    }
+    return entry;
+  }
+
+  // Resolves to { entry, status } where status is HIT, MISS or COALESCED
+  async wrap(key, ttlMs, compute) {
+    const cached = this.get(key);
+    if (cached) {
+      cached.hits++;
+      this.counters.hits++;
+      return { entry: cached, status: 'HIT' };
+    }
+
+    if (this.inFlight.has(key)) {
+      this.counters.coalesced++;
+      return { entry: await this.inFlight.get(key), status: 'COALESCED' };
+    }
+
+    this.counters.misses++;
+    const pending = Promise.resolve()
+      .then(compute)
+      .then(value => this.set(key, value, ttlMs))
+      .finally(() => this.inFlight.delete(key));
+    this.inFlight.set(key, pending);
+
+    return { entry: await pending, status: 'MISS' };
+  }
+
+  // Remove every entry whose key starts with `prefix` (all entries when omitted)
+  purge(prefix = '') {
+    let removed = 0;
+    for (const key of [...this.entries.keys()]) {
+      if (key.startsWith(prefix)) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  getStats() {
+    const lookups = this.counters.hits + this.counters.misses + this.counters.coalesced;
+    return {
+      entries: this.entries.size,
+      maxEntries: this.maxEntries,
+      inFlight: this.inFlight.size,
+      ...this.counters,
+      hitRate: lookups ? (this.counters.hits + this.counters.coalesced) / lookups : 0
+    };
+  }
+
+  list() {
+    const now = Date.now();
+    return [...this.entries.values()]
+      .filter(entry => entry.expiresAt > now)
+      .map(entry => ({
+        key: entry.key,
+        etag: entry.etag,
+        hits: entry.hits,
+        ageSeconds: Math.round((now - entry.storedAt) / 1000),
+        expiresInSeconds: Math.round((entry.expiresAt - now) / 1000)
+      }));
+  }
+}
+
+// Normalize free-text locations so "  gurugram,  Haryana " and
+// "Gurugram, Haryana" share a cache entry.
+function normalizeLocation(location) {
+  return String(location)
+    .trim()
+    .toLowerCase()
+    .replace(/\s*,\s*/g, ',')
+    .replace(/\s+/g, ' ')
+    .replace(/,+$/, '');
+}
+
+function buildCacheKey(endpoint, location, params = {}) {
+  const query = Object.keys(params)
+    .sort()
+    .map(name => `${name}=${params[name]}`)
+    .join('&');
+  return `${endpoint}:${normalizeLocation(location)}${query ? `?${query}` : ''}`;
+}
+
+module.exports = { ResponseCache, normalizeLocation, buildCacheKey };
@@ -0,0 +1,208 @@
+// lib/episodes.js - Pollution episodes and anomalies in stored readings
+//
+// Works on hourly AQI: readings (after withAQI) are averaged per hour first,
+// so a burst of sensor uploads weighs the same as one model reading. Three
+// things are looked for:
+//   anomalies      an hour-to-hour change far outside the recent variation,
+//                  scored against the median and MAD of the trailing day's
+//                  changes, which a few earlier spikes can't inflate
+//   episodes       runs of hours above an AQI threshold, e.g. a smoke event,
+//                  reported with start, end, duration and peak
+//   disagreements  runs of hours where the location differs a lot from the
+//                  median of nearby locations with stored readings, which
+//                  usually means a local source or a faulty sensor
+
+const { getAQICategory } = require('./aqi');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const DEFAULT_OPTIONS = {
+  thresholdAqi: 100,
+  minEpisodeHours: 3,
+  // Missing or dipping hours inside a run that don't end it
+  maxGapHours: 1,
+  anomalyZScore: 4,
+  minAnomalyChange: 30,
+  baselineHours: 24,
+  minBaselineHours: 6,
+  minDisagreement: 50,
+  minDisagreementHours: 2
+};
+
+// Scale of 1 MAD for normally distributed data; the floor keeps a perfectly
+// flat baseline from turning every small wobble into an anomaly
+const MAD_TO_SIGMA = 1.4826;
+const MIN_SCALE = 5;
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// [{ time, aqi, peak }] per hour with readings, oldest first; `peak` is the
+// hour's highest reading, kept for its dominant pollutant
+function hourlySeries(readings) {
+  const hours = new Map();
+  for (const reading of readings) {
+    if (typeof reading.aqi !== 'number') continue;
+    const start = Math.floor(Date.parse(reading.time) / HOUR_MS) * HOUR_MS;
+    if (!hours.has(start)) hours.set(start, { sum: 0, count: 0, peak: reading });
+    const hour = hours.get(start);
+    hour.sum += reading.aqi;
+    hour.count++;
+    if (reading.aqi > hour.peak.aqi) hour.peak = reading;
+  }
+  return [...hours.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([start, hour]) => ({ time: start, aqi: Math.round(hour.sum / hour.count), peak: hour.peak }));
+}
+
+// Splits flagged hours into runs, allowing gaps of up to maxGapHours
+function groupRuns(hours, maxGapHours) {
+  const runs = [];
+  for (const hour of hours) {
+    const run = runs[runs.length - 1];
+    if (run && hour.time - run[run.length - 1].time <= (maxGapHours + 1) * HOUR_MS) run.push(hour);
+    else runs.push([hour]);
+  }
+  return runs;
+}
+
+function describeSpan(run, latestTime) {
+  const start = run[0].time;
+  const end = run[run.length - 1].time + HOUR_MS;
+  return {
+    start: new Date(start).toISOString(),
+    end: new Date(end).toISOString(),
+    durationHours: (end - start) / HOUR_MS,
+    ongoing: run[run.length - 1].time === latestTime
+  };
+}
+
+function detectAnomalies(series, options) {
+  const anomalies = [];
+  const changes = [];
+
+  for (let i = 1; i < series.length; i++) {
+    const previous = series[i - 1];
+    const point = series[i];
+    // Only compare neighbouring hours; a gap says nothing about the rate
+    if (point.time - previous.time > HOUR_MS) continue;
+    const change = point.aqi - previous.aqi;
+    while (changes.length > 0 && point.time - changes[0].time > options.baselineHours * HOUR_MS) changes.shift();
+    const baseline = changes.map(c => c.change);
+
+    if (baseline.length >= options.minBaselineHours && Math.abs(change) >= options.minAnomalyChange) {
+      const center = median(baseline);
+      const scale = Math.max(MIN_SCALE, MAD_TO_SIGMA * median(baseline.map(value => Math.abs(value - center))));
+      const zScore = (change - center) / scale;
+      if (Math.abs(zScore) >= options.anomalyZScore) {
+        anomalies.push({
+          time: new Date(point.time).toISOString(),
+          direction: change > 0 ? 'rise' : 'drop',
+          aqi: point.aqi,
+          previousAqi: previous.aqi,
+          change,
+          zScore: round(zScore)
+        });
+      }
+    }
+    changes.push({ time: point.time, change });
+  }
+  return anomalies;
+}
+
+function detectEpisodes(series, options, standard) {
+  const latestTime = series[series.length - 1]?.time;
+  const above = series.filter(point => point.aqi > options.thresholdAqi);
+
+  return groupRuns(above, options.maxGapHours)
+    .map(run => {
+      const span = describeSpan(run, latestTime);
+      const peak = run.reduce((worst, point) => (point.aqi > worst.aqi ? point : worst));
+      const category = getAQICategory(peak.aqi, standard);
+      return {
+        ...span,
+        hoursAbove: run.length,
+        meanAqi: Math.round(run.reduce((sum, point) => sum + point.aqi, 0) / run.length),
+        peak: {
+          time: new Date(peak.time).toISOString(),
+          aqi: peak.aqi,
+          category: category.label,
+          color: category.color,
+          dominantPollutant: peak.peak.dominantPollutant
+        }
+      };
+    })
+    .filter(episode => episode.durationHours >= options.minEpisodeHours);
+}
+
+// neighbors: [{ id, name, distanceKm, series }] with series from hourlySeries()
+function detectDisagreements(series, neighbors, options) {
+  const latestTime = series[series.length - 1]?.time;
+  const neighborHours = neighbors.map(neighbor => ({
+    neighbor,
+    byTime: new Map(neighbor.series.map(point => [point.time, point.aqi]))
+  }));
+
+  const flagged = [];
+  for (const point of series) {
+    const present = neighborHours.filter(({ byTime }) => byTime.has(point.time));
+    if (present.length === 0) continue;
+    const neighborMedian = median(present.map(({ byTime }) => byTime.get(point.time)));
+    const difference = point.aqi - neighborMedian;
+    // Large in absolute terms and relative to the neighbours' level
+    if (Math.abs(difference) >= options.minDisagreement && Math.abs(difference) >= neighborMedian / 2) {
+      flagged.push({ ...point, difference, neighborMedian, neighbors: present.map(({ neighbor }) => neighbor) });
+    }
+  }
+
+  // A switch from higher to lower starts a new run
+  const runs = groupRuns(flagged, options.maxGapHours)
+    .flatMap(run => run.reduce((parts, hour) => {
+      const part = parts[parts.length - 1];
+      if (part && Math.sign(part[0].difference) === Math.sign(hour.difference)) part.push(hour);
+      else parts.push([hour]);
+      return parts;
+    }, []));
+
+  return runs
+    .filter(run => run.length >= options.minDisagreementHours)
+    .map(run => {
+      const largest = run.reduce((max, hour) => (Math.abs(hour.difference) > Math.abs(max.difference) ? hour : max));
+      const involved = new Map(run.flatMap(hour => hour.neighbors).map(n => [n.id, { id: n.id, name: n.name, distanceKm: n.distanceKm }]));
+      return {
+        ...describeSpan(run, latestTime),
+        direction: largest.difference > 0 ? 'higher' : 'lower',
+        maxDifference: Math.round(Math.abs(largest.difference)),
+        aqi: largest.aqi,
+        neighborMedian: Math.round(largest.neighborMedian),
+        time: new Date(largest.time).toISOString(),
+        neighbors: [...involved.values()]
+      };
+    });
+}
+
+// readings: the location's stored readings after withAQI(); neighbors:
+// [{ id, name, distanceKm, readings }] the same for nearby locations
+function analyzeReadings(readings, { standard, neighbors = [], ...overrides } = {}) {
+  const options = { ...DEFAULT_OPTIONS, ...overrides };
+  const series = hourlySeries(readings);
+  const neighborSeries = neighbors
+    .map(({ readings: neighborReadings, ...neighbor }) => ({ ...neighbor, series: hourlySeries(neighborReadings) }))
+    .filter(neighbor => neighbor.series.length > 0);
+
+  return {
+    hours: series.length,
+    thresholdAqi: options.thresholdAqi,
+    neighbors: neighborSeries.map(({ id, name, distanceKm, series: hours }) => ({ id, name, distanceKm, hours: hours.length })),
+    episodes: detectEpisodes(series, options, standard),
+    anomalies: detectAnomalies(series, options),
+    disagreements: detectDisagreements(series, neighborSeries, options)
+  };
+}
+
+module.exports = { analyzeReadings, hourlySeries, DEFAULT_OPTIONS };
@@ -0,0 +1,110 @@
+// lib/errors.js - API error model shared by every route
+//
+// Every error response uses one envelope:
+//   { "error": { "code", "message", "requestId", "fields"?, ...extra } }
+// Routes throw ApiError (or let library errors propagate); errorHandler maps
+// known library error codes to HTTP statuses and never leaks internals such as
+// Python stderr to the client.
+
+const crypto = require('crypto');
+const { logger, requestContext } = require('./logger');
+
+class ApiError extends Error {
+  constructor(status, code, message, { fields, extra, headers } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.fields = fields;
+    this.extra = extra;
+    this.headers = headers;
+  }
+}
+
+const badRequest = (message, fields) => new ApiError(400, 'VALIDATION_FAILED', message, { fields });
+const unprocessable = (message, fields) => new ApiError(422, 'UNPROCESSABLE', message, { fields });
+const notFound = (message, code = 'NOT_FOUND') => new ApiError(404, code, message);
+
+// Library error codes (lib/locations, lib/modelPool, lib/providers, lib/liveUpdates) and what clients see
+const KNOWN_ERRORS = {
+  LOCATION_NOT_FOUND: { status: 404 },
+  LOCATION_REQUIRED: { status: 400 },
+  INVALID_COORDINATES: { status: 400 },
+  POOL_BUSY: { status: 503, message: 'The prediction service is busy, try again shortly', retryAfter: 5 },
+  PYTHON_UNAVAILABLE: { status: 503, message: 'The prediction service is unavailable', retryAfter: 30 },
+  WORKER_CRASHED: { status: 503, message: 'The prediction service restarted, try again', retryAfter: 5 },
+  POOL_CLOSED: { status: 503, message: 'The server is shutting down', retryAfter: 5 },
+  STREAM_FULL: { status: 503, retryAfter: 30 },
+  MODEL_TIMEOUT: { status: 504, message: 'The prediction service timed out' },
+  MODEL_ERROR: { status: 500, message: 'The prediction service failed' },
+  FIXTURE_MISSING: { status: 503, message: 'No recorded model response for this request' },
+  PROVIDER_TIMEOUT: { status: 504, message: 'The data provider timed out' },
+  NO_DATA: { status: 503, message: 'No data provider has data for this location', retryAfter: 60 },
+  UNSUPPORTED: { status: 503, message: 'No configured data provider supports this request', retryAfter: 60 },
+  NO_PROVIDER: { status: 503, message: 'No data provider is available', retryAfter: 30 }
+};
+
+function toApiError(error) {
+  if (error instanceof ApiError) return error;
+
+  // Malformed JSON bodies from express.json()
+  if (error.type === 'entity.parse.failed') return new ApiError(400, 'INVALID_JSON', 'Request body is not valid JSON');
+  if (error.type === 'entity.too.large') return new ApiError(413, 'PAYLOAD_TOO_LARGE', 'Request body is too large');
+
+  const known = KNOWN_ERRORS[error.code];
+  if (!known) return new ApiError(500, 'INTERNAL_ERROR', 'Internal server error');
+
+  return new ApiError(known.status, error.code, known.message || error.message, {
+    extra: error.suggestions ? { suggestions: error.suggestions } : undefined,
+    headers: known.retryAfter ? { 'Retry-After': String(known.retryAfter) } : undefined
+  });
+}
+
+function errorBody(error, requestId) {
+  return {
+    error: {
+      code: error.code,
+      message: error.message,
+      requestId,
+      ...(error.fields && error.fields.length > 0 ? { fields: error.fields } : {}),
+      ...error.extra
+    }
+  };
+}
+
+// Assigns each request an ID (honouring an incoming X-Request-Id), echoes it
+// back and handles the rest of the request in a context that logs carry it from
+function requestId(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && /^[\w.-]{1,100}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  requestContext.run({ requestId: req.id }, next);
+}
+
+function notFoundHandler(req, res, next) {
+  next(notFound(`No route for ${req.method} ${req.baseUrl}${req.path}`));
+}
+
+// eslint-disable-next-line no-unused-vars -- Express recognises error handlers by arity
+function errorHandler(error, req, res, next) {
+  const apiError = toApiError(error);
+  if (apiError.status >= 500) {
+    logger.error('Request failed', { requestId: req.id, method: req.method, path: req.originalUrl.split('?')[0], error });
+  }
+  if (res.headersSent) return res.end();
+
+  if (apiError.headers) res.set(apiError.headers);
+  res.status(apiError.status).json(errorBody(apiError, req.id));
+}
+
+module.exports = {
+  ApiError,
+  badRequest,
+  unprocessable,
+  notFound,
+  toApiError,
+  errorBody,
+  requestId,
+  notFoundHandler,
+  errorHandler
+};
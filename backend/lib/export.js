@@ -0,0 +1,99 @@
+// lib/export.js - Readings and forecasts as CSV, JSON or NDJSON downloads
+//
+// Exports are written row by row as history is read from disk, so a year of
+// readings never sits in memory. Every format carries the same flat rows:
+// observed readings first (oldest first), then forecast points. JSON wraps
+// them as { meta, rows }; NDJSON starts with a { type: "meta" } line.
+
+const { POLLUTANTS } = require('./aqi');
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+const COLUMNS = ['type', 'time', 'aqi', 'category', 'dominantPollutant', ...POLLUTANTS, 'aqiLower', 'aqiUpper', 'source'];
+
+function csvValue(value) {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// A history entry after withAQI()
+function observedRow(reading) {
+  return {
+    type: 'observed',
+    time: reading.time,
+    aqi: reading.aqi,
+    category: reading.category,
+    dominantPollutant: reading.dominantPollutant,
+    ...Object.fromEntries(POLLUTANTS.map(p => [p, reading[p]])),
+    source: reading.source
+  };
+}
+
+// A point of a forecastReport(); `source` names the provider
+function forecastRow(point, provider) {
+  return {
+    type: 'forecast',
+    time: point.time,
+    aqi: point.aqi,
+    category: point.category,
+    dominantPollutant: point.dominantPollutant,
+    ...Object.fromEntries(POLLUTANTS.map(p => [p, point[p]])),
+    aqiLower: point.lower?.aqi,
+    aqiUpper: point.upper?.aqi,
+    source: provider
+  };
+}
+
+// Text chunks for one export: header(), row() per row, then footer()
+function createSerializer(format, meta) {
+  switch (format) {
+    case 'csv':
+      return {
+        header: () => `${COLUMNS.join(',')}\r\n`,
+        row: (row) => `${COLUMNS.map(column => csvValue(row[column])).join(',')}\r\n`,
+        footer: () => ''
+      };
+    case 'ndjson':
+      return {
+        header: () => `${JSON.stringify({ type: 'meta', ...meta })}\n`,
+        row: (row) => `${JSON.stringify(row)}\n`,
+        footer: () => ''
+      };
+    default: {
+      let rows = 0;
+      return {
+        header: () => `{"meta":${JSON.stringify(meta)},"rows":[`,
+        row: (row) => `${rows++ === 0 ? '' : ','}\n${JSON.stringify(row)}`,
+        footer: () => '\n]}\n'
+      };
+    }
+  }
+}
+
+// Resolves once `chunk` is buffered, waiting for 'drain' when the client reads
+// slower than we write; also resolves if the client goes away
+function writeChunk(res, chunk) {
+  if (res.write(chunk)) return Promise.resolve();
+  return new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+function exportFilename(locationId, from, to, format) {
+  const day = (date) => date.toISOString().slice(0, 10);
+  const safeId = String(locationId).replace(/[^a-z0-9.-]/gi, '_');
+  return `airsense360-${safeId}-${day(from)}-to-${day(to)}.${EXPORT_FORMATS[format].extension}`;
+}
+
+module.exports = { EXPORT_FORMATS, COLUMNS, observedRow, forecastRow, createSerializer, writeChunk, exportFilename };
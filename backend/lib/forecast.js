@@ -0,0 +1,106 @@
+// lib/forecast.js - Forecast horizons and hourly-to-daily aggregation
+//
+// Providers always forecast hourly from the next full hour. Daily forecasts
+// cover whole calendar days in the configured time zone, starting with
+// today; each daily point averages that day's hourly values and bounds.
+
+const { POLLUTANTS } = require('./aqi');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const FORECAST_LIMITS = {
+  hourly: { unit: 'hours', default: 24, max: 72 },
+  daily: { unit: 'days', default: 3, max: 7 }
+};
+const GRANULARITIES = Object.keys(FORECAST_LIMITS);
+
+// Milliseconds `timeZone` is ahead of UTC at `time`
+function zoneOffsetMs(timeZone, time) {
+  const name = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'longOffset' })
+    .formatToParts(new Date(time))
+    .find(part => part.type === 'timeZoneName').value;
+  const match = /GMT([+-])(\d{2}):(\d{2})/.exec(name);
+  if (!match) return 0;
+  return (match[1] === '-' ? -1 : 1) * (Number(match[2]) * 60 + Number(match[3])) * 60000;
+}
+
+function startOfLocalDay(time, timeZone) {
+  const offset = zoneOffsetMs(timeZone, time);
+  const local = time + offset;
+  return local - (((local % DAY_MS) + DAY_MS) % DAY_MS) - offset;
+}
+
+// Fractional hour of the day (0–24) in `timeZone`
+function localHour(time, timeZone) {
+  const local = time + zoneOffsetMs(timeZone, time);
+  return (((local % DAY_MS) + DAY_MS) % DAY_MS) / HOUR_MS;
+}
+
+function localDate(time, timeZone) {
+  return new Date(time + zoneOffsetMs(timeZone, time)).toISOString().slice(0, 10);
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Hourly window a provider must cover: { start, hours }
+function forecastWindow({ granularity, horizon, timeZone, now = Date.now() }) {
+  const start = Math.ceil(now / HOUR_MS) * HOUR_MS;
+  if (granularity === 'hourly') return { start: new Date(start).toISOString(), hours: horizon };
+
+  // Counted from the day of the first forecast hour, which is tomorrow just before midnight
+  const end = startOfLocalDay(start, timeZone) + horizon * DAY_MS;
+  return { start: new Date(start).toISOString(), hours: Math.max(1, Math.ceil((end - start) / HOUR_MS)) };
+}
+
+const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+function averageConcentrations(list) {
+  const result = {};
+  POLLUTANTS.forEach(pollutant => {
+    const values = list.map(item => item[pollutant]).filter(value => typeof value === 'number');
+    const scale = pollutant === 'co' ? 100 : 10;
+    if (values.length > 0) result[pollutant] = Math.round(average(values) * scale) / scale;
+  });
+  return result;
+}
+
+// Group hourly points into local calendar days
+function toDaily(points, timeZone) {
+  const days = new Map();
+  points.forEach(point => {
+    const time = new Date(point.time).getTime();
+    const date = localDate(time, timeZone);
+    if (!days.has(date)) days.set(date, { start: startOfLocalDay(time, timeZone), points: [] });
+    days.get(date).points.push(point);
+  });
+
+  return [...days.entries()].map(([date, day]) => ({
+    time: new Date(day.start).toISOString(),
+    date,
+    hours: day.points.length,
+    values: averageConcentrations(day.points.map(p => p.values)),
+    lower: averageConcentrations(day.points.map(p => p.lower)),
+    upper: averageConcentrations(day.points.map(p => p.upper))
+  }));
+}
+
+module.exports = {
+  FORECAST_LIMITS,
+  GRANULARITIES,
+  HOUR_MS,
+  DAY_MS,
+  forecastWindow,
+  toDaily,
+  startOfLocalDay,
+  localDate,
+  localHour,
+  isValidTimeZone
+};
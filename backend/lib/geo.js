@@ -0,0 +1,63 @@
+// lib/geo.js - Small geodesy helpers shared by location and station lookups
+
+const EARTH_RADIUS_KM = 6371;
+
+function toRadians(degrees) {
+  return degrees * Math.PI / 180;
+}
+
+// Great-circle distance in kilometres
+function haversineKm(lat1, lon1, lat2, lon2) {
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+// Initial great-circle bearing from point 1 to point 2, 0-360 clockwise from north
+function bearingDegrees(lat1, lon1, lat2, lon2) {
+  const dLon = toRadians(lon2 - lon1);
+  const y = Math.sin(dLon) * Math.cos(toRadians(lat2));
+  const x = Math.cos(toRadians(lat1)) * Math.sin(toRadians(lat2))
+    - Math.sin(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.cos(dLon);
+  return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+const COMPASS_POINTS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+
+function compassDirection(bearing) {
+  return COMPASS_POINTS[Math.round(bearing / 45) % COMPASS_POINTS.length];
+}
+
+function isValidCoordinate(lat, lon) {
+  return Number.isFinite(lat) && Number.isFinite(lon)
+    && lat >= -90 && lat <= 90 && lon >= -180 && lon <= 180;
+}
+
+// Parses "minLon,minLat,maxLon,maxLat" (the GeoJSON bbox order). Returns null
+// when the string is malformed or the box is empty.
+function parseBBox(input) {
+  const parts = String(input).split(',').map(part => parseFloat(part));
+  if (parts.length !== 4 || parts.some(part => !Number.isFinite(part))) return null;
+
+  const [minLon, minLat, maxLon, maxLat] = parts;
+  if (!isValidCoordinate(minLat, minLon) || !isValidCoordinate(maxLat, maxLon)) return null;
+  if (minLon >= maxLon || minLat >= maxLat) return null;
+  return { minLon, minLat, maxLon, maxLat };
+}
+
+function bboxContains(bbox, lat, lon) {
+  return lat >= bbox.minLat && lat <= bbox.maxLat && lon >= bbox.minLon && lon <= bbox.maxLon;
+}
+
+module.exports = {
+  EARTH_RADIUS_KM,
+  toRadians,
+  haversineKm,
+  bearingDegrees,
+  compassDirection,
+  isValidCoordinate,
+  parseBBox,
+  bboxContains
+};
@@ -0,0 +1,226 @@
+// lib/historyStore.js - Append-only store of past readings
+//
+// Readings are kept as newline-delimited JSON, one directory per location and
+// one file per UTC day:
+//   <rootDir>/<locationId>/2025-01-31.ndjson
+// Only pollutant concentrations are stored; AQI is derived at read time so
+// history can be viewed under any standard.
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { POLLUTANTS, computeAQI } = require('./aqi');
+const { startOfLocalDay } = require('./forecast');
+const { logger } = require('./logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+const INTERVAL_MS = {
+  hourly: 60 * 60 * 1000,
+  daily: DAY_MS
+};
+
+function safeDirName(locationId) {
+  return String(locationId).replace(/[^a-z0-9.-]/gi, '_');
+}
+
+function dayKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+class HistoryStore {
+  constructor(options = {}) {
+    this.rootDir = options.rootDir;
+    this.retentionDays = options.retentionDays || 90;
+    this.lastPrune = 0;
+  }
+
+  // Append one reading. `reading` needs locationId, location, lat, lon and
+  // the pollutant concentrations; `time` defaults to now.
+  async record(reading) {
+    const time = reading.time ? new Date(reading.time) : new Date();
+    const entry = {
+      time: time.toISOString(),
+      locationId: reading.locationId,
+      location: reading.location,
+      lat: reading.lat,
+      lon: reading.lon,
+      source: reading.source || 'model'
+    };
+    POLLUTANTS.forEach(pollutant => {
+      if (reading[pollutant] !== undefined && reading[pollutant] !== null) entry[pollutant] = reading[pollutant];
+    });
+
+    const dir = path.join(this.rootDir, safeDirName(reading.locationId));
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.appendFile(path.join(dir, `${dayKey(time)}.ndjson`), JSON.stringify(entry) + '\n');
+
+    if (Date.now() - this.lastPrune > PRUNE_INTERVAL_MS) {
+      this.lastPrune = Date.now();
+      this.prune().catch(error => logger.error('History prune failed', { error }));
+    }
+    return entry;
+  }
+
+  // Async iterator over stored readings for one location, oldest first.
+  // Reads line by line so long ranges never sit in memory all at once.
+  async *stream({ locationId, from, to }) {
+    const dir = path.join(this.rootDir, safeDirName(locationId));
+    const files = await this.listDayFiles(dir, from, to);
+
+    for (const file of files) {
+      const lines = readline.createInterface({
+        input: fs.createReadStream(path.join(dir, file)),
+        crlfDelay: Infinity
+      });
+      for await (const line of lines) {
+        if (!line.trim()) continue;
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch {
+          continue; // a torn write from a crash; skip it
+        }
+        const time = new Date(entry.time);
+        if (time >= from && time <= to) yield entry;
+      }
+    }
+  }
+
+  async query(options) {
+    const readings = [];
+    for await (const entry of this.stream(options)) readings.push(entry);
+    return readings;
+  }
+
+  async listDayFiles(dir, from, to) {
+    let files;
+    try {
+      files = await fs.promises.readdir(dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    const first = dayKey(from);
+    const last = dayKey(to);
+    return files
+      .filter(file => file.endsWith('.ndjson'))
+      .filter(file => {
+        const day = file.slice(0, 10);
+        return day >= first && day <= last;
+      })
+      .sort();
+  }
+
+  // Location IDs that have any stored readings
+  async listLocations() {
+    try {
+      const dirs = await fs.promises.readdir(this.rootDir, { withFileTypes: true });
+      return dirs.filter(dir => dir.isDirectory()).map(dir => dir.name);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  // Throws unless readings can be written under rootDir
+  async checkWritable() {
+    await fs.promises.mkdir(this.rootDir, { recursive: true });
+    await fs.promises.access(this.rootDir, fs.constants.W_OK);
+  }
+
+  // Delete day files older than the retention window
+  async prune() {
+    const cutoff = dayKey(new Date(Date.now() - this.retentionDays * DAY_MS));
+    for (const dir of await this.listLocations()) {
+      const dirPath = path.join(this.rootDir, dir);
+      for (const file of await fs.promises.readdir(dirPath)) {
+        if (file.endsWith('.ndjson') && file.slice(0, 10) < cutoff) {
+          await fs.promises.unlink(path.join(dirPath, file));
+        }
+      }
+    }
+  }
+}
+
+function emptyStats() {
+  return { min: null, max: null, mean: null, sum: 0, count: 0 };
+}
+
+function addToStats(stats, value) {
+  if (value === undefined || value === null || isNaN(value)) return;
+  stats.min = stats.min === null ? value : Math.min(stats.min, value);
+  stats.max = stats.max === null ? value : Math.max(stats.max, value);
+  stats.sum += value;
+  stats.count++;
+}
+
+// Decimal places kept in means; CO is measured in mg/m³, so 0.1 is too coarse
+const MEAN_DIGITS = { co: 2 };
+
+function finishStats(stats, name) {
+  const scale = 10 ** (MEAN_DIGITS[name] ?? 1);
+  return {
+    min: stats.min,
+    max: stats.max,
+    mean: stats.count ? Math.round((stats.sum / stats.count) * scale) / scale : null
+  };
+}
+
+// Attach AQI for the requested standard to each stored reading
+function withAQI(entry, standard) {
+  const { aqi, category, dominantPollutant } = computeAQI(entry, standard);
+  return {
+    time: entry.time,
+    aqi,
+    category: category.label,
+    color: category.color,
+    dominantPollutant,
+    source: entry.source,
+    ...Object.fromEntries(POLLUTANTS.filter(p => entry[p] !== undefined).map(p => [p, entry[p]]))
+  };
+}
+
+// Group readings into hourly or daily buckets with min/max/mean per series.
+// Daily buckets are calendar days in `timeZone`.
+function aggregateReadings(readings, interval, timeZone = 'UTC') {
+  const bucketMs = INTERVAL_MS[interval];
+  const buckets = new Map();
+  const series = ['aqi', ...POLLUTANTS];
+
+  for (const reading of readings) {
+    const time = new Date(reading.time).getTime();
+    const start = interval === 'daily' ? startOfLocalDay(time, timeZone) : Math.floor(time / bucketMs) * bucketMs;
+    if (!buckets.has(start)) {
+      buckets.set(start, { count: 0, stats: Object.fromEntries(series.map(name => [name, emptyStats()])) });
+    }
+    const bucket = buckets.get(start);
+    bucket.count++;
+    series.forEach(name => addToStats(bucket.stats[name], reading[name]));
+  }
+
+  return [...buckets.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([start, bucket]) => {
+      const point = { time: new Date(start).toISOString(), count: bucket.count };
+      series.forEach(name => {
+        if (bucket.stats[name].count) point[name] = finishStats(bucket.stats[name], name);
+      });
+      return point;
+    });
+}
+
+// Min/max/mean of AQI and each pollutant over a whole range
+function summarizeReadings(readings) {
+  const stats = Object.fromEntries(['aqi', ...POLLUTANTS].map(name => [name, emptyStats()]));
+  readings.forEach(reading => Object.keys(stats).forEach(name => addToStats(stats[name], reading[name])));
+
+  return Object.fromEntries(
+    Object.entries(stats)
+      .filter(([, value]) => value.count > 0)
+      .map(([name, value]) => [name, finishStats(value, name)])
+  );
+}
+
+module.exports = { HistoryStore, withAQI, aggregateReadings, summarizeReadings, INTERVAL_MS };
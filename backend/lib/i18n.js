@@ -0,0 +1,114 @@
+// lib/i18n.js - Response language (English and Hindi)
+//
+// The language is taken from ?lang= when given, otherwise from the
+// Accept-Language header, and falls back to English. Only text written for
+// people is translated: category names, health advice and alert messages.
+// Keys, IDs and error messages stay English so clients can match on them.
+//
+// Reports are cached once for every language, so their category names are
+// swapped on the way out: language() wraps res.json for non-English requests
+// and replaces each `category` it recognises, leaving the cached value as is.
+
+const LANGUAGES = ['en', 'hi'];
+const DEFAULT_LANGUAGE = 'en';
+
+// Locale for dates and numbers inside generated text
+const LOCALES = { en: 'en-GB', hi: 'hi-IN' };
+
+// English label -> translation, for every standard's categories
+const CATEGORY_LABELS = {
+  hi: {
+    'Good': 'अच्छा',
+    'Moderate': 'मध्यम',
+    'Unhealthy for Sensitive Groups': 'संवेदनशील समूहों के लिए अस्वास्थ्यकर',
+    'Unhealthy': 'अस्वास्थ्यकर',
+    'Very Unhealthy': 'बहुत अस्वास्थ्यकर',
+    'Hazardous': 'खतरनाक',
+    'Satisfactory': 'संतोषजनक',
+    'Moderately Polluted': 'मध्यम प्रदूषित',
+    'Poor': 'खराब',
+    'Very Poor': 'बहुत खराब',
+    'Severe': 'गंभीर'
+  }
+};
+
+// 'hi-IN' -> 'hi'; undefined when the language isn't supported
+function supportedLanguage(tag) {
+  const base = String(tag || '').trim().toLowerCase().split(/[-_]/)[0];
+  return LANGUAGES.includes(base) ? base : undefined;
+}
+
+// Language tags of an Accept-Language header, highest quality first
+function parseAcceptLanguage(header) {
+  if (!header) return [];
+  return header.split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.map(p => p.trim().match(/^q=([\d.]+)$/)).find(Boolean);
+      return { tag, quality: q ? Number(q[1]) : 1, index };
+    })
+    .filter(({ tag, quality }) => tag && quality > 0)
+    .sort((a, b) => b.quality - a.quality || a.index - b.index)
+    .map(({ tag }) => tag);
+}
+
+function negotiateLanguage(lang, acceptLanguage) {
+  return supportedLanguage(lang)
+    || parseAcceptLanguage(acceptLanguage).map(supportedLanguage).find(Boolean)
+    || DEFAULT_LANGUAGE;
+}
+
+function categoryLabel(label, language = DEFAULT_LANGUAGE) {
+  return CATEGORY_LABELS[language]?.[label] || label;
+}
+
+// Copy of `value` with every known `category` label translated
+function localizeCategories(value, language) {
+  if (!CATEGORY_LABELS[language] || value === null || typeof value !== 'object') return value;
+  if (Array.isArray(value)) return value.map(item => localizeCategories(item, language));
+  if (Object.getPrototypeOf(value) !== Object.prototype) return value;
+
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = key === 'category' && typeof item === 'string'
+      ? categoryLabel(item, language)
+      : localizeCategories(item, language);
+  }
+  return copy;
+}
+
+// Message lookup over per-language catalogs. Entries are strings or
+// functions of the params; missing entries fall back to English.
+function createTranslator(catalogs) {
+  return (language, key, params = {}) => {
+    const message = catalogs[language]?.[key] ?? catalogs[DEFAULT_LANGUAGE][key];
+    if (message === undefined) throw new Error(`Missing message: ${key}`);
+    return typeof message === 'function' ? message(params) : message;
+  };
+}
+
+// Sets req.language and localizes category names in JSON responses
+function language() {
+  return (req, res, next) => {
+    req.language = negotiateLanguage(req.query.lang, req.get('Accept-Language'));
+    res.vary('Accept-Language');
+    res.set('Content-Language', req.language);
+
+    if (req.language !== DEFAULT_LANGUAGE) {
+      const json = res.json.bind(res);
+      res.json = body => json(localizeCategories(body, req.language));
+    }
+    next();
+  };
+}
+
+module.exports = {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  LOCALES,
+  negotiateLanguage,
+  categoryLabel,
+  localizeCategories,
+  createTranslator,
+  language
+};
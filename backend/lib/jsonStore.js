@@ -0,0 +1,67 @@
+// lib/jsonStore.js - Small JSON document persisted to a local file
+//
+// The whole document lives in memory; every save rewrites the file through a
+// temporary file + rename so a crash never leaves half-written JSON behind.
+// Saves are serialized, so concurrent callers can't interleave writes.
+//
+// A missing file starts from the defaults. A file that isn't valid JSON is
+// renamed to <file>.corrupt-<timestamp> first, so the next save can't destroy
+// what it held; any other read error is thrown.
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+class JsonFileStore {
+  constructor(filePath, defaults = {}) {
+    this.filePath = filePath;
+    this.defaults = defaults;
+    this.data = null;
+    this.saving = Promise.resolve();
+  }
+
+  load() {
+    if (this.data) return this.data;
+    let text;
+    try {
+      text = fs.readFileSync(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      this.data = structuredClone(this.defaults);
+      return this.data;
+    }
+
+    try {
+      this.data = { ...structuredClone(this.defaults), ...JSON.parse(text) };
+    } catch (error) {
+      const corruptPath = `${this.filePath}.corrupt-${Date.now()}`;
+      fs.renameSync(this.filePath, corruptPath);
+      logger.error('Store file is not valid JSON; moved it aside and starting empty', { file: this.filePath, movedTo: corruptPath, error });
+      this.data = structuredClone(this.defaults);
+    }
+    return this.data;
+  }
+
+  // Apply `mutator` to the document and persist it. Returns the mutator's result.
+  async update(mutator) {
+    const data = this.load();
+    const result = mutator(data);
+    await this.save();
+    return result;
+  }
+
+  save() {
+    const snapshot = JSON.stringify(this.load(), null, 2);
+    this.saving = this.saving
+      .catch(() => {})
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        const tempPath = `${this.filePath}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tempPath, snapshot);
+        await fs.promises.rename(tempPath, this.filePath);
+      });
+    return this.saving;
+  }
+}
+
+module.exports = { JsonFileStore };
@@ -0,0 +1,171 @@
+// lib/liveUpdates.js - Server-Sent Events fan-out for live AQI updates
+//
+// Clients watching the same location and standard share one channel. Each
+// channel polls its sources on an interval and only pushes an event when a
+// source's ETag changes, so a stream that is idle costs a cache lookup per
+// tick. Recent events are buffered so a reconnecting client that sends
+// Last-Event-ID gets exactly what it missed.
+
+const crypto = require('crypto');
+const { toApiError } = require('./errors');
+const { logger } = require('./logger');
+
+class LiveUpdateHub {
+  constructor(options = {}) {
+    this.intervalMs = options.intervalMs || 60000;
+    this.heartbeatMs = options.heartbeatMs || 15000;
+    this.bufferSize = options.bufferSize || 50;
+    this.retainMs = options.retainMs ?? 5 * 60000;
+    this.maxClients = options.maxClients || 200;
+    this.retryMs = options.retryMs || 5000;
+
+    // Event IDs are "<epoch>.<seq>" so IDs from before a restart never match
+    this.epoch = crypto.randomBytes(3).toString('hex');
+    this.seq = 0;
+    this.channels = new Map();
+    this.clientCount = 0;
+
+    this.heartbeat = setInterval(() => this.sendHeartbeats(), this.heartbeatMs);
+    this.heartbeat.unref();
+  }
+
+  // Attach an HTTP response as a subscriber. `sources` maps event names to
+  // async functions resolving to { value, etag }.
+  subscribe(req, res, { key, sources, lastEventId }) {
+    if (this.clientCount >= this.maxClients) {
+      const error = new Error('Too many live update subscribers, try again later');
+      error.code = 'STREAM_FULL';
+      throw error;
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${this.retryMs}\n\n`);
+
+    const channel = this.openChannel(key, sources);
+    channel.clients.add(res);
+    this.clientCount++;
+
+    req.on('close', () => {
+      if (!channel.clients.delete(res)) return;
+      this.clientCount--;
+      if (channel.clients.size === 0) this.idleChannel(channel);
+    });
+
+    const missed = this.eventsSince(channel, lastEventId);
+    if (missed) {
+      missed.forEach(event => writeEvent(res, event));
+    } else {
+      // New subscriber, or one whose last event has aged out: send a snapshot
+      channel.latest.forEach(event => writeEvent(res, event));
+    }
+
+    if (!channel.polled) this.poll(channel);
+  }
+
+  openChannel(key, sources) {
+    let channel = this.channels.get(key);
+    if (!channel) {
+      channel = { key, sources, clients: new Set(), buffer: [], latest: new Map(), etags: new Map(), timer: null, expiry: null, polled: false, polling: null };
+      this.channels.set(key, channel);
+    }
+
+    clearTimeout(channel.expiry);
+    channel.expiry = null;
+    if (!channel.timer) {
+      channel.timer = setInterval(() => this.poll(channel), this.intervalMs);
+      channel.timer.unref();
+    }
+    return channel;
+  }
+
+  // Stop polling once nobody listens, but keep the buffer around for a while
+  // so clients that briefly drop can still resume
+  idleChannel(channel) {
+    clearInterval(channel.timer);
+    channel.timer = null;
+    channel.expiry = setTimeout(() => this.channels.delete(channel.key), this.retainMs);
+    channel.expiry.unref();
+  }
+
+  // Events after `lastEventId`, or null when the ID isn't in the buffer
+  eventsSince(channel, lastEventId) {
+    if (!lastEventId) return null;
+    const index = channel.buffer.findIndex(event => event.id === lastEventId);
+    return index === -1 ? null : channel.buffer.slice(index + 1);
+  }
+
+  poll(channel) {
+    if (channel.polling) return channel.polling;
+
+    channel.polling = (async () => {
+      for (const [name, source] of Object.entries(channel.sources)) {
+        try {
+          const { value, etag } = await source();
+          if (channel.etags.get(name) === etag) continue;
+          channel.etags.set(name, etag);
+          this.publish(channel, name, value);
+        } catch (error) {
+          logger.error('Live update failed', { channel: channel.key, event: name, error });
+          // Forget the ETag so the next successful refresh is sent, which
+          // tells clients the source has recovered
+          channel.etags.delete(name);
+          const { code, message } = toApiError(error);
+          this.publish(channel, 'status', { source: name, ok: false, code, message }, { buffered: false });
+        }
+      }
+      channel.polled = true;
+    })().finally(() => {
+      channel.polling = null;
+    });
+    return channel.polling;
+  }
+
+  publish(channel, name, data, { buffered = true } = {}) {
+    const event = { id: `${this.epoch}.${++this.seq}`, event: name, data };
+    if (buffered) {
+      channel.buffer.push(event);
+      if (channel.buffer.length > this.bufferSize) channel.buffer.shift();
+      channel.latest.set(name, event);
+    }
+    channel.clients.forEach(res => writeEvent(res, event));
+  }
+
+  sendHeartbeats() {
+    const line = `: heartbeat ${new Date().toISOString()}\n\n`;
+    this.channels.forEach(channel => channel.clients.forEach(res => res.write(line)));
+  }
+
+  getStats() {
+    return {
+      clients: this.clientCount,
+      channels: [...this.channels.values()].map(channel => ({
+        key: channel.key,
+        clients: channel.clients.size,
+        buffered: channel.buffer.length
+      }))
+    };
+  }
+
+  close() {
+    clearInterval(this.heartbeat);
+    this.channels.forEach(channel => {
+      clearInterval(channel.timer);
+      clearTimeout(channel.expiry);
+      channel.clients.forEach(res => res.end());
+    });
+    this.channels.clear();
+    this.clientCount = 0;
+  }
+}
+
+function writeEvent(res, { id, event, data }) {
+  res.write(`id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+module.exports = { LiveUpdateHub };
@@ -0,0 +1,214 @@
+// lib/locations.js - Location resolution against the bundled offline gazetteer
+//
+// Inputs can be a place name ("Gurugram, Haryana", "gurgaon"), a coordinate
+// string ("28.46, 77.03"), explicit lat/lon, or a gazetteer ID. Everything is
+// resolved to one canonical shape:
+//   { id, name, displayName, state, type, lat, lon, source, nearestPlace? }
+
+const { haversineKm, isValidCoordinate, bboxContains } = require('./geo');
+const gazetteer = require('../data/gazetteer.json');
+
+// Coordinates closer than this to a gazetteer entry take its name
+const NAMED_PLACE_RADIUS_KM = 25;
+// Larger administrative units come first when a map can't show every place
+const TYPE_PRIORITY = { district: 0, city: 1, locality: 2 };
+const COORDINATE_PATTERN = /^\s*(-?\d{1,2}(?:\.\d+)?)\s*°?\s*([NS])?\s*[,;\s]\s*(-?\d{1,3}(?:\.\d+)?)\s*°?\s*([EW])?\s*$/i;
+
+function locationError(code, message, extra = {}) {
+  const error = new Error(message);
+  error.code = code;
+  Object.assign(error, extra);
+  return error;
+}
+
+function normalizeName(value) {
+  return String(value)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function displayNameOf(place) {
+  return place.name === place.state ? place.name : `${place.name}, ${place.state}`;
+}
+
+const places = gazetteer.map(place => ({
+  ...place,
+  displayName: displayNameOf(place),
+  searchNames: [place.name, ...(place.aliases || [])].map(normalizeName),
+  searchState: normalizeName(place.state)
+}));
+
+const placesById = new Map(places.map(place => [place.id, place]));
+
+function toPublicPlace(place) {
+  return {
+    id: place.id,
+    name: place.name,
+    displayName: place.displayName,
+    state: place.state,
+    type: place.type,
+    lat: place.lat,
+    lon: place.lon
+  };
+}
+
+// Returns { lat, lon } for strings like "28.46, 77.03" or "28.46N 77.03E"
+function parseCoordinates(input) {
+  const match = COORDINATE_PATTERN.exec(String(input));
+  if (!match) return null;
+
+  let lat = parseFloat(match[1]);
+  let lon = parseFloat(match[3]);
+  if (match[2] && match[2].toUpperCase() === 'S') lat = -Math.abs(lat);
+  if (match[4] && match[4].toUpperCase() === 'W') lon = -Math.abs(lon);
+
+  return isValidCoordinate(lat, lon) ? { lat, lon } : null;
+}
+
+function scoreName(name, query) {
+  if (name === query) return 100;
+  if (name.startsWith(query)) return 80;
+  if (name.split(' ').some(word => word.startsWith(query))) return 60;
+  if (name.includes(query)) return 40;
+  return 0;
+}
+
+// Autocomplete search. A trailing ", State" narrows results to that state.
+function searchLocations(query, { limit = 8 } = {}) {
+  const [namePart, ...qualifiers] = String(query || '').split(',');
+  const name = normalizeName(namePart);
+  const state = normalizeName(qualifiers.join(' '));
+  if (!name) return [];
+
+  return places
+    .map(place => {
+      if (state && !place.searchState.startsWith(state)) return null;
+      // Matches on the official name rank slightly above alias matches
+      const score = Math.max(...place.searchNames.map((n, i) => scoreName(n, name) - (i > 0 ? 5 : 0)));
+      return score > 0 ? { place, score } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score || a.place.name.length - b.place.name.length
+      || a.place.name.localeCompare(b.place.name))
+    .slice(0, limit)
+    .map(({ place, score }) => ({ ...toPublicPlace(place), score }));
+}
+
+function getLocationById(id) {
+  const place = placesById.get(id);
+  return place ? toPublicPlace(place) : null;
+}
+
+// Nearest gazetteer entry to a coordinate (linear scan; the gazetteer is small)
+function reverseGeocode(lat, lon) {
+  let nearest = null;
+  for (const place of places) {
+    const distanceKm = haversineKm(lat, lon, place.lat, place.lon);
+    if (!nearest || distanceKm < nearest.distanceKm) nearest = { place, distanceKm };
+  }
+  return nearest && {
+    ...toPublicPlace(nearest.place),
+    distanceKm: Math.round(nearest.distanceKm * 10) / 10
+  };
+}
+
+// Gazetteer places inside a bounding box, districts and cities first and then
+// by distance from the box centre
+function listLocationsInBBox(bbox, { limit = 40 } = {}) {
+  const centerLat = (bbox.minLat + bbox.maxLat) / 2;
+  const centerLon = (bbox.minLon + bbox.maxLon) / 2;
+
+  return places
+    .filter(place => bboxContains(bbox, place.lat, place.lon))
+    .map(place => ({ place, distanceKm: haversineKm(centerLat, centerLon, place.lat, place.lon) }))
+    .sort((a, b) => (TYPE_PRIORITY[a.place.type] ?? 3) - (TYPE_PRIORITY[b.place.type] ?? 3) || a.distanceKm - b.distanceKm)
+    .slice(0, limit)
+    .map(({ place }) => ({ ...toPublicPlace(place), source: 'gazetteer' }));
+}
+
+// Gazetteer places within radiusKm of a coordinate, nearest first
+function listLocationsNear(lat, lon, { radiusKm = 25, limit = 10 } = {}) {
+  return places
+    .map(place => ({ place, distanceKm: haversineKm(lat, lon, place.lat, place.lon) }))
+    .filter(({ distanceKm }) => distanceKm <= radiusKm)
+    .sort((a, b) => a.distanceKm - b.distanceKm)
+    .slice(0, limit)
+    .map(({ place, distanceKm }) => ({ ...toPublicPlace(place), distanceKm: Math.round(distanceKm * 10) / 10 }));
+}
+
+function resolveCoordinates(lat, lon) {
+  if (!isValidCoordinate(lat, lon)) {
+    throw locationError('INVALID_COORDINATES', 'lat must be within ±90 and lon within ±180');
+  }
+
+  const nearest = reverseGeocode(lat, lon);
+  const named = nearest && nearest.distanceKm <= NAMED_PLACE_RADIUS_KM;
+  const label = `${lat.toFixed(4)}, ${lon.toFixed(4)}`;
+
+  return {
+    // Rounded to ~100 m so nearby GPS fixes share cache entries
+    id: `geo:${lat.toFixed(3)},${lon.toFixed(3)}`,
+    name: named ? nearest.name : label,
+    displayName: named ? nearest.displayName : label,
+    state: named ? nearest.state : null,
+    type: 'coordinates',
+    lat,
+    lon,
+    source: 'coordinates',
+    nearestPlace: nearest && { id: nearest.id, name: nearest.displayName, distanceKm: nearest.distanceKm }
+  };
+}
+
+// Resolve request parameters (locationId, lat/lon or location) to a place.
+// Throws with code INVALID_COORDINATES or LOCATION_NOT_FOUND.
+function resolveLocation({ location, lat, lon, locationId } = {}) {
+  if (locationId && String(locationId).startsWith('geo:')) {
+    const coordinates = parseCoordinates(String(locationId).slice(4));
+    if (!coordinates) throw locationError('INVALID_COORDINATES', `Invalid coordinate location ID: ${locationId}`);
+    return resolveCoordinates(coordinates.lat, coordinates.lon);
+  }
+
+  if (locationId) {
+    const place = getLocationById(locationId);
+    if (!place) throw locationError('LOCATION_NOT_FOUND', `Unknown location ID: ${locationId}`);
+    return { ...place, source: 'gazetteer' };
+  }
+
+  if (lat !== undefined || lon !== undefined) {
+    if (lat === undefined || lon === undefined) {
+      throw locationError('INVALID_COORDINATES', 'lat and lon are required together');
+    }
+    return resolveCoordinates(parseFloat(lat), parseFloat(lon));
+  }
+
+  if (!location || !String(location).trim()) {
+    throw locationError('LOCATION_REQUIRED', 'Location is required');
+  }
+
+  const coordinates = parseCoordinates(location);
+  if (coordinates) return resolveCoordinates(coordinates.lat, coordinates.lon);
+
+  const matches = searchLocations(location, { limit: 5 });
+  // Only exact and prefix matches resolve; weaker matches become suggestions
+  if (matches.length === 0 || matches[0].score < 75) {
+    throw locationError('LOCATION_NOT_FOUND', `Location not found: ${location}`, {
+      suggestions: matches.map(({ id, displayName }) => ({ id, displayName }))
+    });
+  }
+
+  const { score: _score, ...place } = matches[0];
+  return { ...place, source: 'gazetteer' };
+}
+
+module.exports = {
+  parseCoordinates,
+  searchLocations,
+  getLocationById,
+  reverseGeocode,
+  listLocationsInBBox,
+  listLocationsNear,
+  resolveLocation
+};
@@ -0,0 +1,103 @@
+// lib/logger.js - Structured logs with levels and request IDs
+//
+// Writes one JSON object per line: { time, level, msg, requestId?, ...fields }.
+// LOG_LEVEL (debug, info, warn, error; default info) drops lower levels and
+// LOG_FORMAT=pretty prints readable lines for local development instead.
+//
+// The request ID comes from the async context the requestId middleware opens,
+// so anything logged while handling a request (cache lookups, provider and
+// model calls) is tagged without passing the ID around.
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const requestContext = new AsyncLocalStorage();
+
+const currentRequestId = () => requestContext.getStore()?.requestId;
+
+// Errors don't serialise to JSON on their own; keep what's useful
+function serializeFields(fields) {
+  const result = {};
+  for (const [name, value] of Object.entries(fields)) {
+    if (value === undefined) continue;
+    result[name] = value instanceof Error
+      ? { ...(value.code ? { code: value.code } : {}), message: value.message }
+      : value;
+  }
+  return result;
+}
+
+class Logger {
+  constructor({ level = 'info', format = 'json', fields = {} } = {}) {
+    this.level = LEVELS[level] ? level : 'info';
+    this.format = format;
+    this.fields = fields;
+  }
+
+  // Logger that adds `fields` to every entry, e.g. { component: 'alerts' }
+  child(fields) {
+    return new Logger({ level: this.level, format: this.format, fields: { ...this.fields, ...fields } });
+  }
+
+  isEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.level];
+  }
+
+  log(level, msg, fields = {}) {
+    if (!this.isEnabled(level)) return;
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg,
+      ...serializeFields({ requestId: currentRequestId(), ...this.fields, ...fields })
+    };
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write((this.format === 'pretty' ? prettyLine(entry) : JSON.stringify(entry)) + '\n');
+  }
+
+  debug(msg, fields) {
+    this.log('debug', msg, fields);
+  }
+
+  info(msg, fields) {
+    this.log('info', msg, fields);
+  }
+
+  warn(msg, fields) {
+    this.log('warn', msg, fields);
+  }
+
+  error(msg, fields) {
+    this.log('error', msg, fields);
+  }
+}
+
+function prettyLine({ time, level, msg, requestId, ...fields }) {
+  const extra = Object.entries(fields).map(([name, value]) => `${name}=${typeof value === 'object' ? JSON.stringify(value) : value}`);
+  return [time, level.toUpperCase().padEnd(5), requestId ? `[${requestId}]` : null, msg, ...extra].filter(Boolean).join(' ');
+}
+
+const logger = new Logger({ level: process.env.LOG_LEVEL, format: process.env.LOG_FORMAT });
+
+// One entry per finished request. The query string is left out since it can
+// carry an API key.
+function requestLogger() {
+  return (req, res, next) => {
+    const started = process.hrtime.bigint();
+    res.on('finish', () => {
+      logger.info('Request completed', {
+        requestId: req.id,
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        status: res.statusCode,
+        durationMs: Math.round(Number(process.hrtime.bigint() - started) / 1e5) / 10,
+        operationId: req.operationId,
+        keyId: req.client?.keyId || undefined
+      });
+    });
+    next();
+  };
+}
+
+module.exports = { Logger, logger, requestContext, currentRequestId, requestLogger, LEVELS };
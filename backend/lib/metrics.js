@@ -0,0 +1,161 @@
+// lib/metrics.js - Counters, gauges and histograms in Prometheus text format
+//
+// Modules register instruments on the shared `metrics` registry and update
+// them as things happen; values that other components already count (cache
+// stats, provider health) are copied in by collect() callbacks right before
+// each scrape. Declaring the same name twice returns the first instrument.
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+};
+
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  // Label values in declared order; missing ones become ""
+  labelsFor(labels = {}) {
+    return Object.fromEntries(this.labelNames.map(name => [name, labels[name] ?? '']));
+  }
+
+  seriesFor(labels, create) {
+    const resolved = this.labelsFor(labels);
+    const key = JSON.stringify(resolved);
+    if (!this.series.has(key)) this.series.set(key, create(resolved));
+    return this.series.get(key);
+  }
+}
+
+// Counter or gauge: one number per label set
+class Value extends Metric {
+  inc(labels, amount = 1) {
+    this.seriesFor(labels, resolved => ({ labels: resolved, value: 0 })).value += amount;
+  }
+
+  set(labels, value) {
+    this.seriesFor(labels, resolved => ({ labels: resolved, value: 0 })).value = value;
+  }
+
+  reset() {
+    this.series.clear();
+  }
+
+  render() {
+    return [...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`);
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels, value) {
+    const series = this.seriesFor(labels, resolved => ({
+      labels: resolved,
+      counts: new Array(this.buckets.length).fill(0),
+      sum: 0,
+      count: 0
+    }));
+    const index = this.buckets.findIndex(bound => value <= bound);
+    if (index !== -1) series.counts[index]++;
+    series.sum += value;
+    series.count++;
+  }
+
+  // Starts a timer; call the returned function with the labels when done
+  startTimer() {
+    const started = process.hrtime.bigint();
+    return (labels) => this.observe(labels, Number(process.hrtime.bigint() - started) / 1e9);
+  }
+
+  render() {
+    const lines = [];
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      let cumulative = 0;
+      this.buckets.forEach((bound, i) => {
+        cumulative += counts[i];
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${cumulative}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+    this.collectors = [];
+  }
+
+  register(name, create) {
+    if (!this.metrics.has(name)) this.metrics.set(name, create());
+    return this.metrics.get(name);
+  }
+
+  counter(name, help, labelNames) {
+    return this.register(name, () => new Value('counter', name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames) {
+    return this.register(name, () => new Value('gauge', name, help, labelNames));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this.register(name, () => new Histogram(name, help, labelNames, buckets));
+  }
+
+  // fn runs before every render to copy in current values
+  collect(fn) {
+    this.collectors.push(fn);
+  }
+
+  render() {
+    this.collectors.forEach(fn => fn());
+    const lines = [];
+    for (const metric of this.metrics.values()) {
+      lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`, ...metric.render());
+    }
+    return lines.join('\n') + '\n';
+  }
+}
+
+const metrics = new MetricsRegistry();
+
+const httpDuration = metrics.histogram(
+  'http_request_duration_seconds',
+  'Time to send the response, by route and status',
+  ['method', 'route', 'status']
+);
+
+// Times every request. Routes are labelled by operation ID (or the Express
+// route pattern) so path parameters and unknown URLs don't add series.
+function httpMetrics() {
+  return (req, res, next) => {
+    const done = httpDuration.startTimer();
+    res.on('finish', () => {
+      done({
+        method: req.method,
+        route: req.operationId || req.route?.path || 'unmatched',
+        status: res.statusCode
+      });
+    });
+    next();
+  };
+}
+
+module.exports = { MetricsRegistry, metrics, httpMetrics, DEFAULT_BUCKETS };
@@ -0,0 +1,95 @@
+// lib/modelFixtures.js - Record and replay model calls
+//
+// In "record" mode every successful model call is also written to a fixture
+// file; in "replay" mode calls are answered from those files and Python is
+// never started, so tests and demos run offline with stable numbers.
+//
+// A fixture is keyed by the action and its params, except a forecast's
+// `start`: that moves every hour, so replayed forecast points are shifted
+// from the recorded start to the requested one instead.
+//
+// A missing fixture fails the request (503) instead of falling back to
+// another provider, so replayed runs never quietly serve other data.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const FIXTURE_MODES = ['off', 'record', 'replay'];
+
+function fixtureError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  error.fallback = false;
+  return error;
+}
+
+// JSON with sorted keys, so params built in a different order match
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+class ModelFixtures {
+  constructor({ mode = 'off', dir }) {
+    if (!FIXTURE_MODES.includes(mode)) {
+      throw new Error(`Unknown model fixture mode "${mode}" (expected ${FIXTURE_MODES.join(', ')})`);
+    }
+    this.mode = mode;
+    this.dir = dir;
+    this.counters = { recorded: 0, replayed: 0, missing: 0 };
+  }
+
+  fileFor(action, params) {
+    const { start: _start, ...keyParams } = params;
+    const hash = crypto.createHash('sha256').update(canonicalJson({ action, params: keyParams })).digest('hex');
+    return path.join(this.dir, `${action}-${hash.slice(0, 16)}.json`);
+  }
+
+  async record(action, params, result) {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    const fixture = { action, params, recordedAt: new Date().toISOString(), result };
+    await fs.promises.writeFile(this.fileFor(action, params), JSON.stringify(fixture, null, 2) + '\n');
+    this.counters.recorded++;
+  }
+
+  async replay(action, params) {
+    const file = this.fileFor(action, params);
+    let fixture;
+    try {
+      fixture = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      this.counters.missing++;
+      throw fixtureError('FIXTURE_MISSING', `No recorded model response for ${action} (${path.basename(file)})`);
+    }
+    this.counters.replayed++;
+    return shiftForecast(fixture, params.start);
+  }
+
+  // Wraps a model call according to the mode
+  async call(action, params, callModel) {
+    if (this.mode === 'replay') return this.replay(action, params);
+    const result = await callModel();
+    if (this.mode === 'record') await this.record(action, params, result);
+    return result;
+  }
+
+  getStats() {
+    return { mode: this.mode, dir: this.dir, ...this.counters };
+  }
+}
+
+function shiftForecast(fixture, start) {
+  if (!start || !fixture.params.start || !Array.isArray(fixture.result)) return fixture.result;
+  const shiftMs = Date.parse(start) - Date.parse(fixture.params.start);
+  return fixture.result.map(point => ({
+    ...point,
+    time: new Date(Date.parse(point.time) + shiftMs).toISOString()
+  }));
+}
+
+module.exports = { ModelFixtures, FIXTURE_MODES };
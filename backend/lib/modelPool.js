@@ -0,0 +1,307 @@
+// lib/modelPool.js - Pool of long-lived ml_model.py workers
+//
+// Each worker is started with `--worker` and speaks newline-delimited JSON
+// over stdin/stdout:
+//   -> {"id": 1, "action": "predict_current", "params": {...}, "requestId": "..."}
+//   <- {"id": 1, "ok": true, "result": {...}}
+// A worker handles one request at a time; extra calls wait in a bounded queue.
+// requestId is the HTTP request that caused the call, so worker output and
+// failures can be traced back to it.
+//
+// Crashed workers restart with exponential backoff. When no interpreter can
+// start the model at all, the pool waits out the same backoff before trying
+// again and fails calls straight away in the meantime.
+
+const { spawn } = require('child_process');
+const readline = require('readline');
+const { logger: rootLogger, currentRequestId } = require('./logger');
+const { metrics } = require('./metrics');
+
+const logger = rootLogger.child({ component: 'modelPool' });
+
+const callDuration = metrics.histogram(
+  'model_call_duration_seconds',
+  'Model call time including queueing, by action and outcome (ok or error code)',
+  ['action', 'outcome'],
+  [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]
+);
+const callFailures = metrics.counter('model_call_failures_total', 'Failed model calls by action and error code', ['action', 'code']);
+
+const PYTHON_EXECUTABLES = ['python3', 'python', 'py'];
+const BASE_RESTART_DELAY_MS = 500;
+const MAX_RESTART_DELAY_MS = 30000;
+const STDERR_TAIL_LENGTH = 2000;
+
+function poolError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+class ModelWorkerPool {
+  constructor(options = {}) {
+    this.scriptPath = options.scriptPath;
+    this.size = Math.max(1, options.size || 2);
+    this.timeoutMs = options.timeoutMs || 10000;
+    this.maxQueue = options.maxQueue ?? 100;
+    this.executables = options.executables || PYTHON_EXECUTABLES;
+    this.seed = options.seed ?? null;
+
+    this.executable = null; // resolved once a worker reports ready
+    this.workers = new Array(this.size).fill(null);
+    this.restartAttempts = new Array(this.size).fill(0);
+    this.restartTimers = new Array(this.size).fill(null);
+    this.startFailures = 0;
+    this.startRetryAt = 0;
+    this.queue = [];
+    this.nextRequestId = 1;
+    this.closed = false;
+    this.lastError = null;
+    this.counters = { completed: 0, failed: 0, timeouts: 0, rejected: 0, restarts: 0 };
+  }
+
+  // Queue a model call. Rejects immediately with POOL_BUSY when the queue is full.
+  call(action, params, { timeoutMs } = {}) {
+    if (this.closed) {
+      return Promise.reject(poolError('POOL_CLOSED', 'Model worker pool is shut down'));
+    }
+    if (this.queue.length >= this.maxQueue) {
+      this.counters.rejected++;
+      return Promise.reject(poolError('POOL_BUSY', 'All model workers are busy, try again shortly'));
+    }
+    if (Date.now() < this.startRetryAt && !this.workers.some(Boolean)) {
+      return Promise.reject(poolError('PYTHON_UNAVAILABLE', this.lastError));
+    }
+
+    this.ensureWorkers();
+
+    return new Promise((resolve, reject) => {
+      const task = {
+        id: null,
+        action,
+        params,
+        requestId: currentRequestId(),
+        done: callDuration.startTimer(),
+        resolve,
+        reject,
+        settled: false,
+        worker: null
+      };
+      task.timer = setTimeout(() => this.handleTimeout(task), timeoutMs || this.timeoutMs);
+      this.queue.push(task);
+      this.dispatch();
+    });
+  }
+
+  ensureWorkers() {
+    if (Date.now() < this.startRetryAt) return;
+    for (let slot = 0; slot < this.size; slot++) {
+      if (!this.workers[slot] && !this.restartTimers[slot]) this.spawnWorker(slot);
+    }
+  }
+
+  spawnWorker(slot, executableIndex = 0, previousFailure = null) {
+    const executable = this.executable || this.executables[executableIndex];
+    const child = spawn(executable, ['-u', this.scriptPath, '--worker'], {
+      stdio: ['pipe', 'pipe', 'pipe'],
+      env: this.seed === null ? process.env : { ...process.env, MODEL_SEED: String(this.seed) }
+    });
+
+    const worker = { slot, child, executable, ready: false, task: null, exited: false, stderrTail: '' };
+    this.workers[slot] = worker;
+
+    // An interpreter that starts but can't load the model (e.g. numpy is
+    // missing) is more useful to report than a later "not found".
+    const tryNextExecutable = (reason, isStartupFailure) => {
+      const failure = isStartupFailure ? reason : previousFailure || reason;
+      if (this.executable || executableIndex + 1 >= this.executables.length) {
+        this.lastError = failure;
+        this.failQueue(poolError('PYTHON_UNAVAILABLE', failure));
+        this.backOffStart();
+        return;
+      }
+      this.spawnWorker(slot, executableIndex + 1, isStartupFailure ? reason : previousFailure);
+    };
+
+    child.on('error', (error) => {
+      if (worker.exited) return;
+      worker.exited = true;
+      if (this.workers[slot] === worker) this.workers[slot] = null;
+      logger.error('Python executable failed', { executable, error });
+      if (!this.closed) tryNextExecutable('No Python executable found. Please install Python.', false);
+    });
+
+    child.stdin.on('error', () => {
+      // The exit handler deals with dead workers; ignore EPIPE here
+    });
+
+    readline.createInterface({ input: child.stdout }).on('line', (line) => {
+      this.handleLine(worker, line);
+    });
+
+    // Raw worker output is only logged at debug level; failures surface as
+    // errors on the call, with the tail of stderr as detail
+    readline.createInterface({ input: child.stderr }).on('line', (line) => {
+      worker.stderrTail = (worker.stderrTail + line + '\n').slice(-STDERR_TAIL_LENGTH);
+      if (line.trim()) logger.debug('Model worker output', { worker: slot, requestId: worker.task?.requestId, line });
+    });
+
+    child.on('exit', (code, signal) => {
+      if (worker.exited) return;
+      worker.exited = true;
+      if (this.workers[slot] === worker) this.workers[slot] = null;
+
+      const details = worker.stderrTail.trim() || `exit code ${code}${signal ? `, signal ${signal}` : ''}`;
+      if (worker.task) {
+        this.settle(worker.task, poolError('WORKER_CRASHED', `Model worker crashed: ${details}`));
+      }
+      if (this.closed) return;
+
+      // A worker that never became ready with an unresolved interpreter most
+      // likely means this executable can't run the model; try the next one.
+      if (!worker.ready && !this.executable) {
+        tryNextExecutable(`Python process failed: ${details}`, true);
+        return;
+      }
+
+      logger.error('Model worker exited, restarting', { worker: slot, details });
+      this.scheduleRestart(slot);
+    });
+  }
+
+  // Every slot fails the same way, so a round of failures counts once
+  backOffStart() {
+    if (Date.now() < this.startRetryAt) return;
+    const delay = Math.min(MAX_RESTART_DELAY_MS, BASE_RESTART_DELAY_MS * Math.pow(2, this.startFailures++));
+    this.startRetryAt = Date.now() + delay;
+    logger.error('Model workers could not start, retrying later', { retryInMs: delay, error: this.lastError });
+  }
+
+  scheduleRestart(slot) {
+    const attempt = this.restartAttempts[slot]++;
+    const delay = Math.min(MAX_RESTART_DELAY_MS, BASE_RESTART_DELAY_MS * Math.pow(2, attempt));
+    this.counters.restarts++;
+    this.restartTimers[slot] = setTimeout(() => {
+      this.restartTimers[slot] = null;
+      if (!this.closed) this.spawnWorker(slot);
+    }, delay);
+    this.restartTimers[slot].unref();
+  }
+
+  handleLine(worker, line) {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch {
+      logger.warn('Ignoring non-JSON worker output', { worker: worker.slot, line });
+      return;
+    }
+
+    if (message.type === 'ready') {
+      worker.ready = true;
+      this.executable = worker.executable;
+      this.lastError = null;
+      this.startFailures = 0;
+      this.startRetryAt = 0;
+      this.dispatch();
+      return;
+    }
+
+    const task = worker.task;
+    if (!task || message.id !== task.id) return; // late reply for a timed-out call
+
+    worker.task = null;
+    this.restartAttempts[worker.slot] = 0;
+    if (message.ok) {
+      this.settle(task, null, message.result);
+    } else {
+      this.settle(task, poolError('MODEL_ERROR', message.error || 'Model call failed'));
+    }
+    this.dispatch();
+  }
+
+  dispatch() {
+    while (this.queue.length > 0) {
+      const worker = this.workers.find(w => w && w.ready && !w.task);
+      if (!worker) return;
+
+      const task = this.queue.shift();
+      task.id = this.nextRequestId++;
+      task.worker = worker;
+      worker.task = task;
+      worker.child.stdin.write(JSON.stringify({
+        id: task.id,
+        action: task.action,
+        params: task.params,
+        requestId: task.requestId
+      }) + '\n');
+    }
+  }
+
+  handleTimeout(task) {
+    if (task.settled) return;
+    this.counters.timeouts++;
+
+    const queued = this.queue.indexOf(task);
+    if (queued !== -1) this.queue.splice(queued, 1);
+
+    const worker = task.worker;
+    this.settle(task, poolError('MODEL_TIMEOUT', `Model call "${task.action}" timed out`));
+
+    // The worker is stuck on this request; replace it rather than wait
+    if (worker && worker.task === task) {
+      worker.task = null;
+      worker.ready = false;
+      worker.child.kill('SIGKILL');
+    }
+  }
+
+  settle(task, error, result) {
+    if (task.settled) return;
+    task.settled = true;
+    clearTimeout(task.timer);
+    task.done({ action: task.action, outcome: error ? error.code : 'ok' });
+    if (error) {
+      this.counters.failed++;
+      callFailures.inc({ action: task.action, code: error.code });
+      logger.warn('Model call failed', { action: task.action, requestId: task.requestId, error });
+      task.reject(error);
+    } else {
+      this.counters.completed++;
+      task.resolve(result);
+    }
+  }
+
+  failQueue(error) {
+    const pending = this.queue.splice(0);
+    pending.forEach(task => this.settle(task, error));
+  }
+
+  getStats() {
+    const workers = this.workers.filter(Boolean);
+    return {
+      size: this.size,
+      executable: this.executable,
+      ready: workers.filter(w => w.ready).length,
+      busy: workers.filter(w => w.task).length,
+      queued: this.queue.length,
+      maxQueue: this.maxQueue,
+      lastError: this.lastError,
+      ...this.counters
+    };
+  }
+
+  close() {
+    this.closed = true;
+    this.failQueue(poolError('POOL_CLOSED', 'Model worker pool is shut down'));
+    this.restartTimers.forEach(timer => timer && clearTimeout(timer));
+    this.workers.forEach(worker => {
+      if (!worker) return;
+      if (worker.task) this.settle(worker.task, poolError('POOL_CLOSED', 'Model worker pool is shut down'));
+      worker.child.stdin.end();
+      worker.child.kill();
+    });
+  }
+}
+
+module.exports = { ModelWorkerPool };
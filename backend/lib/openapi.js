@@ -0,0 +1,148 @@
+// lib/openapi.js - Route registry that validates requests and documents them
+//
+// Routes are declared through a scope instead of app.get()/router.post()
+// directly:
+//
+//   const routes = api.scope(app);
+//   routes.get('/api/aqi/current', { operationId, summary, query, responses }, handler);
+//
+// The same spec object drives request validation (lib/validation) and the
+// generated OpenAPI 3 document, so the two can't drift apart.
+
+const { validateRequest } = require('./validation');
+
+const ERROR_DESCRIPTIONS = {
+  400: 'Invalid request parameters',
+  401: 'Missing or invalid credentials',
+  404: 'Resource not found',
+  409: 'Conflicts with the current state of the resource',
+  422: 'Request is well-formed but cannot be processed',
+  429: 'Rate limit exceeded; see Retry-After and the RateLimit-* headers',
+  500: 'Internal server error',
+  503: 'Service temporarily unavailable; see Retry-After',
+  504: 'Prediction service timed out'
+};
+
+// Keys our validator understands that aren't part of OpenAPI's schema object
+const VALIDATOR_ONLY_KEYS = new Set(['patternMessage']);
+
+function toOpenApiSchema(schema) {
+  if (Array.isArray(schema)) return schema.map(toOpenApiSchema);
+  if (!schema || typeof schema !== 'object') return schema;
+  return Object.fromEntries(
+    Object.entries(schema)
+      .filter(([key]) => !VALIDATOR_ONLY_KEYS.has(key))
+      .map(([key, value]) => [key, key === 'enum' || key === 'required' ? value : toOpenApiSchema(value)])
+  );
+}
+
+class ApiRegistry {
+  constructor({ title, version, description }) {
+    this.info = { title, version, description };
+    this.operations = [];
+    this.schemas = {};
+    this.securitySchemes = {};
+    this.middleware = [];
+  }
+
+  // Middleware run for every declared route ahead of its own spec.before (e.g.
+  // client identification and rate limiting). Register before declaring routes.
+  use(...middleware) {
+    this.middleware.push(...middleware);
+  }
+
+  // Register a reusable component schema; returns a $ref to it
+  schema(name, schema) {
+    this.schemas[name] = schema;
+    return { $ref: `#/components/schemas/${name}` };
+  }
+
+  securityScheme(name, scheme) {
+    this.securitySchemes[name] = scheme;
+  }
+
+  // Wrap an Express app or router. `prefix` is where a router gets mounted so
+  // documented paths match what clients call. spec.before runs ahead of
+  // validation (e.g. auth checks). req.operationId names the matched route.
+  scope(target, prefix = '') {
+    const register = (method) => (path, spec, ...handlers) => {
+      this.operations.push({ method, path: prefix + path, spec });
+      const tag = (req, res, next) => {
+        req.operationId = spec.operationId;
+        next();
+      };
+      target[method](path, tag, ...this.middleware, ...(spec.before || []), validateRequest(spec), ...handlers);
+    };
+    return { get: register('get'), post: register('post'), put: register('put'), patch: register('patch'), delete: register('delete') };
+  }
+
+  document({ servers } = {}) {
+    const paths = {};
+
+    for (const { method, path, spec } of this.operations) {
+      const openApiPath = path.replace(/:(\w+)/g, '{$1}');
+      paths[openApiPath] = paths[openApiPath] || {};
+      paths[openApiPath][method] = this.describeOperation(spec);
+    }
+
+    return {
+      openapi: '3.0.3',
+      info: this.info,
+      ...(servers ? { servers } : {}),
+      paths,
+      components: {
+        schemas: toOpenApiSchema(this.schemas),
+        ...(Object.keys(this.securitySchemes).length > 0 ? { securitySchemes: this.securitySchemes } : {})
+      }
+    };
+  }
+
+  describeOperation(spec) {
+    const parameters = [
+      ...this.describeParameters(spec.params, 'path'),
+      ...this.describeParameters(spec.query, 'query')
+    ];
+
+    const responses = {};
+    for (const [status, response] of Object.entries(spec.responses || { 200: { description: 'OK' } })) {
+      responses[status] = {
+        description: response.description,
+        ...(response.schema ? { content: { [response.contentType || 'application/json']: { schema: toOpenApiSchema(response.schema) } } } : {})
+      };
+    }
+    const errorStatuses = new Set([400, 429, 500, ...(spec.errors || [])]);
+    for (const status of [...errorStatuses].sort()) {
+      responses[status] = {
+        description: ERROR_DESCRIPTIONS[status],
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } }
+      };
+    }
+
+    return {
+      operationId: spec.operationId,
+      summary: spec.summary,
+      ...(spec.description ? { description: spec.description } : {}),
+      tags: spec.tags,
+      ...(parameters.length > 0 ? { parameters } : {}),
+      ...(spec.body ? { requestBody: { required: true, content: { 'application/json': { schema: toOpenApiSchema(spec.body) } } } } : {}),
+      responses,
+      ...(spec.security ? { security: spec.security } : {})
+    };
+  }
+
+  describeParameters(schema, location) {
+    if (!schema) return [];
+    return Object.entries(schema.properties || {}).map(([name, property]) => {
+      const { description, ...propertySchema } = property;
+      return {
+        name,
+        in: location,
+        required: location === 'path' || (schema.required || []).includes(name),
+        ...(description ? { description } : {}),
+        schema: toOpenApiSchema(propertySchema)
+      };
+    });
+  }
+}
+
+module.exports = { ApiRegistry };
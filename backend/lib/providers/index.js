@@ -0,0 +1,193 @@
+// lib/providers/index.js - Data providers and the fallback chain in front of them
+//
+// A provider answers current(place), forecast(place, { start, hours }) and
+// nearby(stations) with pollutant concentrations in the backend's units
+// (forecasts as hourly { time, values, lower, upper } points), and
+// reports status() as { available, details }. The chain tries providers in
+// priority order, each under its own timeout. A failure whose code the
+// fallback rules allow moves on to the next provider; after maxFailures
+// consecutive failures a provider is skipped for cooldownSeconds. Errors
+// marked `fallback: false` (a missing replay fixture) always reach the client
+// and don't count against the provider.
+//
+// The mock provider only answers when listed explicitly (e.g.
+// DATA_PROVIDERS=mock). Its values are marked synthetic and are never stored
+// in history or alerted on.
+
+const fs = require('fs');
+const path = require('path');
+const { PythonProvider } = require('./python');
+const { OpenAQFileProvider } = require('./openaq');
+const { MockProvider } = require('./mock');
+const { logger } = require('../logger');
+
+const PROVIDER_TYPES = {
+  python: PythonProvider,
+  openaq: OpenAQFileProvider,
+  mock: MockProvider
+};
+
+const DEFAULT_CONFIG = {
+  priority: ['python', 'openaq'],
+  fallback: { on: '*', maxFailures: 3, cooldownSeconds: 60 },
+  providers: {
+    python: { timeoutMs: 10000 },
+    openaq: { timeoutMs: 2000, paths: ['data/openaq'] },
+    mock: { timeoutMs: 1000 }
+  }
+};
+
+function providerError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Config file merged over the defaults. DATA_PROVIDERS (comma-separated)
+// overrides the priority without editing the file.
+function loadProviderConfig(filePath) {
+  let fileConfig = {};
+  try {
+    fileConfig = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw new Error(`Invalid provider config ${filePath}: ${error.message}`);
+  }
+
+  const config = {
+    priority: fileConfig.priority || DEFAULT_CONFIG.priority,
+    fallback: { ...DEFAULT_CONFIG.fallback, ...fileConfig.fallback },
+    providers: {},
+    baseDir: path.dirname(filePath)
+  };
+  for (const name of Object.keys(PROVIDER_TYPES)) {
+    config.providers[name] = { ...DEFAULT_CONFIG.providers[name], ...fileConfig.providers?.[name] };
+  }
+  if (process.env.DATA_PROVIDERS) {
+    config.priority = process.env.DATA_PROVIDERS.split(',').map(name => name.trim()).filter(Boolean);
+  }
+
+  const unknown = config.priority.filter(name => !PROVIDER_TYPES[name]);
+  if (unknown.length > 0) throw new Error(`Unknown data provider(s): ${unknown.join(', ')}`);
+  return config;
+}
+
+class ProviderChain {
+  constructor(config) {
+    this.fallback = config.fallback;
+    this.entries = config.priority
+      .filter(name => config.providers[name].enabled !== false)
+      .map(name => {
+        const options = { ...config.providers[name], baseDir: config.baseDir };
+        return {
+          name,
+          provider: new PROVIDER_TYPES[name](options),
+          timeoutMs: options.timeoutMs,
+          stats: { successes: 0, failures: 0, consecutiveFailures: 0, lastSuccessAt: null, lastError: null },
+          cooldownUntil: 0
+        };
+      });
+  }
+
+  get(name) {
+    return this.entries.find(entry => entry.name === name)?.provider;
+  }
+
+  // Resolves to { result, provider, synthetic } from the first provider that
+  // answers
+  async call(method, ...args) {
+    let lastError = null;
+    const now = Date.now();
+
+    for (const entry of this.entries) {
+      if (entry.cooldownUntil > now) continue;
+
+      try {
+        const result = await withTimeout(entry.provider[method](...args), entry.timeoutMs, entry.name);
+        entry.stats.successes++;
+        entry.stats.consecutiveFailures = 0;
+        entry.stats.lastSuccessAt = new Date().toISOString();
+        return { result, provider: entry.name, synthetic: Boolean(entry.provider.synthetic) };
+      } catch (error) {
+        // Report a real failure over "no data here" from a later provider
+        if (!lastError || !isSoftFailure(error)) lastError = error;
+        this.recordFailure(entry, error);
+        if (!this.shouldFallBack(error)) throw error;
+        logger.warn('Provider failed, trying next', { provider: entry.name, method, error });
+      }
+    }
+
+    throw lastError || providerError('NO_PROVIDER', 'No data provider is available');
+  }
+
+  // Asks every enabled provider, cooling down or not, for current conditions
+  // at `place`. Used by the readiness check; doesn't touch failure counts.
+  check(place) {
+    return Promise.all(this.entries.map(async (entry) => {
+      const started = Date.now();
+      try {
+        await withTimeout(entry.provider.current(place), entry.timeoutMs, entry.name);
+        return { name: entry.name, ok: true, durationMs: Date.now() - started };
+      } catch (error) {
+        // Having no data for this place still means the provider works
+        const ok = isSoftFailure(error);
+        return {
+          name: entry.name,
+          ok,
+          durationMs: Date.now() - started,
+          ...(ok ? { note: error.message } : { error: { code: error.code || 'ERROR', message: error.message } })
+        };
+      }
+    }));
+  }
+
+  recordFailure(entry, error) {
+    // A provider that simply has no data or lacks a method isn't unhealthy
+    if (isSoftFailure(error) || error.fallback === false) return;
+    entry.stats.failures++;
+    entry.stats.consecutiveFailures++;
+    entry.stats.lastError = { code: error.code || 'ERROR', message: error.message, at: new Date().toISOString() };
+    if (entry.stats.consecutiveFailures >= this.fallback.maxFailures) {
+      entry.cooldownUntil = Date.now() + this.fallback.cooldownSeconds * 1000;
+    }
+  }
+
+  shouldFallBack(error) {
+    const { on } = this.fallback;
+    if (error.fallback === false) return false;
+    return on === '*' || (Array.isArray(on) && on.includes(error.code));
+  }
+
+  getStatus() {
+    const now = Date.now();
+    return this.entries.map((entry, index) => {
+      const { available, details } = entry.provider.status();
+      return {
+        name: entry.name,
+        priority: index + 1,
+        available,
+        coolingDown: entry.cooldownUntil > now,
+        cooldownUntil: entry.cooldownUntil > now ? new Date(entry.cooldownUntil).toISOString() : null,
+        timeoutMs: entry.timeoutMs,
+        ...entry.stats,
+        details
+      };
+    });
+  }
+
+  close() {
+    this.entries.forEach(({ provider }) => provider.close?.());
+  }
+}
+
+const isSoftFailure = (error) => error.code === 'NO_DATA' || error.code === 'UNSUPPORTED';
+
+function withTimeout(promise, timeoutMs, name) {
+  if (!timeoutMs) return promise;
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(providerError('PROVIDER_TIMEOUT', `Provider ${name} timed out after ${timeoutMs} ms`)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+module.exports = { ProviderChain, loadProviderConfig, PROVIDER_TYPES };
@@ -0,0 +1,89 @@
+// lib/providers/mock.js - Deterministic synthetic concentrations
+//
+// Values depend only on the seed, the rounded coordinates and the hour, so the
+// same request answers the same way all hour and across restarts. Useful for
+// demos and tests; the values are synthetic, so they aren't stored or alerted
+// on (see providers/index.js).
+
+const crypto = require('crypto');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// mulberry32: tiny, fast, good enough for plausible-looking numbers
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+class MockProvider {
+  constructor(options = {}) {
+    this.name = 'mock';
+    this.synthetic = true;
+    this.seed = String(options.seed ?? 'airsense360');
+  }
+
+  random(lat, lon, time, salt = '') {
+    const hour = Math.floor(time / HOUR_MS);
+    const key = `${this.seed}|${lat.toFixed(2)}|${lon.toFixed(2)}|${hour}|${salt}`;
+    return createRandom(crypto.createHash('sha1').update(key).digest().readUInt32LE(0));
+  }
+
+  concentrations(lat, lon, time = Date.now(), salt) {
+    const random = this.random(lat, lon, time, salt);
+    const pm25 = 25 + random() * 85;
+    return {
+      pm25: round(pm25),
+      pm10: round(pm25 * (1.4 + random() * 0.5)),
+      no2: round(15 + random() * 45),
+      so2: round(4 + random() * 16),
+      co: round(0.4 + random() * 1.6, 2),
+      o3: round(30 + random() * 90)
+    };
+  }
+
+  async current(place) {
+    return this.concentrations(place.lat, place.lon);
+  }
+
+  // Hourly points like the Python model: the current values follow a daily
+  // cycle with a little noise, and the bounds widen with lead time
+  async forecast(place, { start, hours }) {
+    const startMs = new Date(start).getTime();
+    const base = this.concentrations(place.lat, place.lon);
+    const forecast = [];
+    for (let step = 0; step < hours; step++) {
+      const time = startMs + step * HOUR_MS;
+      const cycle = 1 + 0.25 * Math.sin((2 * Math.PI * (time / HOUR_MS + place.lon / 15 - 4)) / 24);
+      const noise = this.random(place.lat, place.lon, time, 'forecast');
+      const scaled = (factor) => Object.fromEntries(Object.entries(base)
+        .map(([pollutant, value]) => [pollutant, round(value * factor, pollutant === 'co' ? 2 : 1)]));
+      const level = cycle * (0.95 + noise() * 0.1);
+      const spread = 0.1 + 0.03 * Math.sqrt(step + 1);
+      forecast.push({
+        time: new Date(time).toISOString(),
+        values: scaled(level),
+        lower: scaled(level * (1 - spread)),
+        upper: scaled(level * (1 + spread))
+      });
+    }
+    return forecast;
+  }
+
+  async nearby(stations) {
+    return stations.map(station => ({ ...this.concentrations(station.lat, station.lon), id: station.id }));
+  }
+
+  status() {
+    return { available: true, details: { seed: this.seed } };
+  }
+}
+
+module.exports = { MockProvider };
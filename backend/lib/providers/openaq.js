@@ -0,0 +1,234 @@
+// lib/providers/openaq.js - Measurements from local OpenAQ-format files
+//
+// Reads OpenAQ measurement exports dropped into a directory: the JSON API
+// format ({ "results": [...] } or a bare array) and the CSV download format
+// (header row with location, utc, parameter, value, unit, latitude,
+// longitude). Each station's newest value per pollutant answers requests for
+// places within radiusKm. Files are re-read when they change on disk.
+
+const fs = require('fs');
+const path = require('path');
+const { POLLUTANTS } = require('../aqi');
+const { StationIndex } = require('../stations');
+const { logger } = require('../logger');
+
+const RESCAN_INTERVAL_MS = 30000;
+const MOLAR_VOLUME = 24.45; // litres per mole at 25 °C, 1 atm
+const MOLECULAR_WEIGHTS = { no2: 46.01, so2: 64.07, co: 28.01, o3: 48.0 };
+const PARAMETER_ALIASES = { 'pm2.5': 'pm25', pm25: 'pm25', pm10: 'pm10', no2: 'no2', so2: 'so2', co: 'co', o3: 'o3' };
+
+function providerError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Convert to the backend's units: µg/m³, with CO in mg/m³
+function toBackendUnits(parameter, value, unit) {
+  const normalized = String(unit || '').toLowerCase().replace('µ', 'u').replace('μ', 'u');
+  let ugm3;
+  if (normalized === 'ppm' || normalized === 'ppb') {
+    const weight = MOLECULAR_WEIGHTS[parameter];
+    if (!weight) return null;
+    ugm3 = value * weight / MOLAR_VOLUME * (normalized === 'ppm' ? 1000 : 1);
+  } else if (normalized === 'ug/m3' || normalized === 'ug/m³' || normalized === '') {
+    ugm3 = value;
+  } else if (normalized === 'mg/m3' || normalized === 'mg/m³') {
+    ugm3 = value * 1000;
+  } else {
+    return null;
+  }
+  return parameter === 'co' ? Math.round(ugm3 / 10) / 100 : Math.round(ugm3 * 10) / 10;
+}
+
+// Minimal RFC 4180 line splitter: quoted fields may contain commas and ""
+function splitCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields;
+}
+
+function parseCsv(text) {
+  const lines = text.split(/\r?\n/).filter(line => line.trim());
+  if (lines.length === 0) return [];
+  const header = splitCsvLine(lines[0]).map(name => name.trim().toLowerCase());
+  return lines.slice(1).map(line => {
+    const values = splitCsvLine(line);
+    const row = Object.fromEntries(header.map((name, i) => [name, values[i]]));
+    return {
+      locationId: row.locationid || row.location_id,
+      location: row.location,
+      city: row.city,
+      parameter: row.parameter,
+      value: parseFloat(row.value),
+      unit: row.unit,
+      time: row.utc || row['date.utc'] || row.datetime,
+      lat: parseFloat(row.latitude),
+      lon: parseFloat(row.longitude)
+    };
+  });
+}
+
+function parseJson(text) {
+  const data = JSON.parse(text);
+  const results = Array.isArray(data) ? data : data.results || [];
+  return results.map(row => ({
+    locationId: row.locationId ?? row.location_id,
+    location: row.location,
+    city: row.city,
+    parameter: row.parameter?.name || row.parameter,
+    value: Number(row.value),
+    unit: row.unit || row.parameter?.units,
+    time: row.date?.utc || row.datetime?.utc || row.utc,
+    lat: row.coordinates?.latitude,
+    lon: row.coordinates?.longitude
+  }));
+}
+
+class OpenAQFileProvider {
+  constructor(options = {}) {
+    this.name = 'openaq';
+    this.paths = (options.paths || []).map(p => path.resolve(options.baseDir || process.cwd(), p));
+    this.radiusKm = options.radiusKm || 25;
+    this.maxAgeHours = options.maxAgeHours ?? null;
+    this.stations = [];
+    this.index = new StationIndex([]);
+    this.fileStamps = '';
+    this.lastScan = 0;
+    this.loadError = null;
+  }
+
+  listFiles() {
+    return this.paths.flatMap(target => {
+      let stat;
+      try {
+        stat = fs.statSync(target);
+      } catch {
+        return [];
+      }
+      if (!stat.isDirectory()) return [{ file: target, mtimeMs: stat.mtimeMs }];
+      return fs.readdirSync(target)
+        .filter(name => /\.(json|csv)$/i.test(name))
+        .map(name => path.join(target, name))
+        .map(file => ({ file, mtimeMs: fs.statSync(file).mtimeMs }));
+    });
+  }
+
+  // Reload when the set of files or any modification time changed
+  refresh() {
+    if (Date.now() - this.lastScan < RESCAN_INTERVAL_MS) return;
+    this.lastScan = Date.now();
+
+    const files = this.listFiles();
+    const stamps = files.map(({ file, mtimeMs }) => `${file}@${mtimeMs}`).join('|');
+    if (stamps === this.fileStamps) return;
+    this.fileStamps = stamps;
+
+    const stations = new Map();
+    this.loadError = null;
+    for (const { file } of files) {
+      try {
+        const text = fs.readFileSync(file, 'utf8');
+        const rows = /\.csv$/i.test(file) ? parseCsv(text) : parseJson(text);
+        rows.forEach(row => addMeasurement(stations, row));
+      } catch (error) {
+        this.loadError = `${path.basename(file)}: ${error.message}`;
+        logger.error('Could not read OpenAQ file', { file, error });
+      }
+    }
+    this.stations = [...stations.values()];
+    this.index = new StationIndex(this.stations);
+    logger.info('Loaded OpenAQ stations', { stations: this.stations.length, files: files.length });
+  }
+
+  // Newest values of the closest station within radiusKm that has any fresh data
+  latestNear(lat, lon) {
+    this.refresh();
+    const cutoff = this.maxAgeHours === null ? null : Date.now() - this.maxAgeHours * 60 * 60 * 1000;
+    for (const station of this.index.nearby(lat, lon, { radiusKm: this.radiusKm })) {
+      const values = {};
+      for (const [pollutant, { value, time }] of Object.entries(station.latest)) {
+        if (cutoff === null || time >= cutoff) values[pollutant] = value;
+      }
+      if (Object.keys(values).length > 0) return values;
+    }
+    return null;
+  }
+
+  async current(place) {
+    const values = this.latestNear(place.lat, place.lon);
+    if (!values) throw providerError('NO_DATA', `No OpenAQ measurements within ${this.radiusKm} km`);
+    return values;
+  }
+
+  async forecast() {
+    throw providerError('UNSUPPORTED', 'OpenAQ files only contain observations');
+  }
+
+  // All-or-nothing, so a response never mixes sources between stations
+  async nearby(stations) {
+    return stations.map(station => {
+      const values = this.latestNear(station.lat, station.lon);
+      if (!values) throw providerError('NO_DATA', `No OpenAQ measurements near ${station.name}`);
+      return { ...values, id: station.id };
+    });
+  }
+
+  status() {
+    this.refresh();
+    const newest = Math.max(0, ...this.stations.flatMap(station => Object.values(station.latest).map(v => v.time)));
+    return {
+      available: this.stations.length > 0,
+      details: {
+        paths: this.paths,
+        stations: this.stations.length,
+        newestMeasurement: newest ? new Date(newest).toISOString() : null,
+        loadError: this.loadError
+      }
+    };
+  }
+}
+
+function addMeasurement(stations, row) {
+  const pollutant = PARAMETER_ALIASES[String(row.parameter || '').toLowerCase()];
+  const time = new Date(row.time).getTime();
+  if (!pollutant || !POLLUTANTS.includes(pollutant) || !Number.isFinite(row.value) || Number.isNaN(time)) return;
+  if (!Number.isFinite(row.lat) || !Number.isFinite(row.lon)) return;
+
+  const value = toBackendUnits(pollutant, row.value, row.unit);
+  if (value === null || value < 0) return;
+
+  const id = String(row.locationId ?? `${row.location}@${row.lat.toFixed(4)},${row.lon.toFixed(4)}`);
+  let station = stations.get(id);
+  if (!station) {
+    station = { id, name: row.location, city: row.city, lat: row.lat, lon: row.lon, latest: {} };
+    stations.set(id, station);
+  }
+  if (!station.latest[pollutant] || station.latest[pollutant].time < time) {
+    station.latest[pollutant] = { value, time };
+  }
+}
+
+module.exports = { OpenAQFileProvider, toBackendUnits, parseCsv, parseJson };
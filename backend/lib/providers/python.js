@@ -0,0 +1,71 @@
+// lib/providers/python.js - The ml_model.py predictor behind a worker pool
+//
+// `seed` makes the model deterministic (see ml_model.py). `fixtures`
+// ({ mode, dir }) records model responses or replays them without starting
+// Python; see lib/modelFixtures.js.
+
+const path = require('path');
+const { ModelWorkerPool } = require('../modelPool');
+const { ModelFixtures } = require('../modelFixtures');
+
+class PythonProvider {
+  constructor(options = {}) {
+    this.name = 'python';
+    this.timeoutMs = options.timeoutMs || 10000;
+    this.fixtures = new ModelFixtures({
+      mode: options.fixtures?.mode,
+      dir: path.resolve(options.baseDir || process.cwd(), options.fixtures?.dir || 'fixtures/model')
+    });
+    this.pool = this.fixtures.mode === 'replay' ? null : new ModelWorkerPool({
+      scriptPath: options.scriptPath || path.join(__dirname, '..', '..', 'ml_model.py'),
+      size: options.poolSize,
+      timeoutMs: this.timeoutMs,
+      maxQueue: options.maxQueue,
+      seed: options.seed
+    });
+  }
+
+  call(action, params) {
+    return this.fixtures.call(action, params, () => this.pool.call(action, params));
+  }
+
+  current(place) {
+    return this.call('predict_current', locationParams(place));
+  }
+
+  forecast(place, { start, hours }) {
+    return this.call('predict_forecast', { ...locationParams(place), start, hours });
+  }
+
+  nearby(stations) {
+    return this.call('predict_nearby', {
+      stations: stations.map(station => ({
+        id: station.id,
+        name: station.name,
+        latitude: station.lat,
+        longitude: station.lon
+      }))
+    });
+  }
+
+  // Healthy until a worker fails to start; the pool clears lastError once one
+  // is ready. Replay needs no workers at all.
+  status() {
+    if (!this.pool) return { available: true, details: { fixtures: this.fixtures.getStats() } };
+    const stats = this.pool.getStats();
+    return {
+      available: !stats.lastError,
+      details: this.fixtures.mode === 'off' ? stats : { ...stats, fixtures: this.fixtures.getStats() }
+    };
+  }
+
+  close() {
+    this.pool?.close();
+  }
+}
+
+function locationParams(place) {
+  return { location: place.displayName, latitude: place.lat, longitude: place.lon };
+}
+
+module.exports = { PythonProvider };
@@ -0,0 +1,60 @@
+// lib/rateLimit.js - Token buckets per client
+//
+// Each bucket holds up to `capacity` tokens and refills continuously at
+// `refillPerMinute`; a request takes one token. So a client can burst up to
+// the capacity and then sustain the refill rate. Buckets are created on first
+// use with the policy of that client and dropped once they have refilled
+// completely, since a full bucket is the same as no bucket.
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+class TokenBucketLimiter {
+  constructor({ maxBuckets = 10000 } = {}) {
+    this.maxBuckets = maxBuckets;
+    this.buckets = new Map();
+    this.lastSweep = Date.now();
+  }
+
+  // policy: { capacity, refillPerMinute }. Returns what the RateLimit-*
+  // headers need: { allowed, limit, remaining, resetSeconds, retryAfterSeconds }
+  take(key, policy, now = Date.now()) {
+    this.sweep(now);
+    const ratePerMs = policy.refillPerMinute / 60000;
+
+    let bucket = this.buckets.get(key);
+    if (!bucket) {
+      if (this.buckets.size >= this.maxBuckets) this.buckets.delete(this.buckets.keys().next().value);
+      bucket = { tokens: policy.capacity, updatedAt: now };
+      this.buckets.set(key, bucket);
+    }
+    bucket.capacity = policy.capacity;
+    bucket.ratePerMs = ratePerMs;
+    bucket.tokens = Math.min(policy.capacity, bucket.tokens + (now - bucket.updatedAt) * ratePerMs);
+    bucket.updatedAt = now;
+
+    const allowed = bucket.tokens >= 1;
+    if (allowed) bucket.tokens -= 1;
+
+    return {
+      allowed,
+      limit: policy.capacity,
+      remaining: Math.floor(bucket.tokens),
+      resetSeconds: Math.ceil((policy.capacity - bucket.tokens) / ratePerMs / 1000),
+      retryAfterSeconds: allowed ? 0 : Math.ceil((1 - bucket.tokens) / ratePerMs / 1000)
+    };
+  }
+
+  sweep(now) {
+    if (now - this.lastSweep < SWEEP_INTERVAL_MS) return;
+    this.lastSweep = now;
+    for (const [key, bucket] of this.buckets) {
+      if (bucket.tokens + (now - bucket.updatedAt) * bucket.ratePerMs >= bucket.capacity) this.buckets.delete(key);
+    }
+  }
+
+  get size() {
+    return this.buckets.size;
+  }
+}
+
+module.exports = { TokenBucketLimiter };
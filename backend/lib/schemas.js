@@ -0,0 +1,505 @@
+// lib/schemas.js - Shared request fragments and documented response schemas
+//
+// Request fragments are spread into route specs (see lib/openapi). Response
+// schemas only feed the OpenAPI document; registerSchemas() adds them as
+// components and returns $refs for the route specs to point at.
+
+const { POLLUTANTS, DEFAULT_STANDARD, listStandards } = require('./aqi');
+const { RISK_LEVELS } = require('./advice');
+const { LANGUAGES } = require('./i18n');
+
+const STANDARD_IDS = listStandards().map(standard => standard.id);
+
+// One of these names the location; resolveLocation() reports a 400 when none is given
+const locationQuery = {
+  location: { type: 'string', maxLength: 200, description: 'Place name, or coordinates as "lat, lon"' },
+  locationId: { type: 'string', maxLength: 100, description: 'ID from /api/locations/search (or geo:lat,lon)' },
+  lat: { type: 'number', minimum: -90, maximum: 90, description: 'Latitude; requires lon' },
+  lon: { type: 'number', minimum: -180, maximum: 180, description: 'Longitude; requires lat' }
+};
+
+const standardQuery = {
+  standard: { type: 'string', enum: STANDARD_IDS, default: DEFAULT_STANDARD, description: 'AQI standard used for index and categories' }
+};
+
+// Unsupported values fall back to Accept-Language, then English
+const languageQuery = {
+  lang: { type: 'string', maxLength: 35, description: `Response language (${LANGUAGES.join(', ')}); overrides Accept-Language` }
+};
+
+const concentrationProperties = Object.fromEntries(
+  POLLUTANTS.map(pollutant => [pollutant, { type: 'number', description: pollutant === 'co' ? 'mg/m³' : 'µg/m³' }])
+);
+
+const boundProperties = (description) => ({
+  type: 'object',
+  description,
+  properties: { aqi: { type: 'integer' }, ...concentrationProperties }
+});
+
+function registerSchemas(api) {
+  const refs = {};
+  const add = (name, schema) => {
+    refs[name] = api.schema(name, schema);
+  };
+
+  add('ErrorResponse', {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: {
+        type: 'object',
+        required: ['code', 'message', 'requestId'],
+        properties: {
+          code: { type: 'string', example: 'VALIDATION_FAILED' },
+          message: { type: 'string' },
+          requestId: { type: 'string' },
+          fields: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: { field: { type: 'string' }, message: { type: 'string' } }
+            }
+          },
+          suggestions: {
+            type: 'array',
+            items: { type: 'object', properties: { id: { type: 'string' }, displayName: { type: 'string' } } }
+          }
+        }
+      }
+    }
+  });
+
+  add('Coordinates', {
+    type: 'object',
+    properties: { lat: { type: 'number' }, lon: { type: 'number' } }
+  });
+
+  const locationFields = {
+    location: { type: 'string', description: 'Display name of the resolved location' },
+    locationId: { type: 'string' },
+    coordinates: refs.Coordinates
+  };
+
+  const providerField = {
+    provider: { type: 'string', enum: ['python', 'openaq', 'mock'], nullable: true, description: 'Data provider that answered (see /api/health)' },
+    synthetic: { type: 'boolean', description: 'Values are made up by the mock provider; they are not stored or alerted on' }
+  };
+
+  const aqiFields = {
+    aqi: { type: 'integer' },
+    standard: { type: 'string', enum: STANDARD_IDS },
+    category: { type: 'string' },
+    categoryKey: { type: 'string' },
+    color: { type: 'string', description: 'Hex colour of the category' },
+    textColor: { type: 'string' },
+    dominantPollutant: { type: 'string', enum: POLLUTANTS, nullable: true },
+    subIndices: { type: 'object', additionalProperties: { type: 'integer' } }
+  };
+
+  add('CurrentReport', {
+    type: 'object',
+    properties: {
+      ...locationFields,
+      ...aqiFields,
+      ...concentrationProperties,
+      ...providerField,
+      source: { type: 'string', enum: ['model', 'blended'], description: 'blended when ground sensors contributed' },
+      sources: {
+        type: 'object',
+        description: 'Per pollutant: where the value came from and how fresh the ground data is',
+        additionalProperties: {
+          type: 'object',
+          properties: {
+            source: { type: 'string', enum: ['model', 'sensor', 'blended'] },
+            value: { type: 'number' },
+            model: { type: 'number', nullable: true },
+            ground: { type: 'number', description: 'Weighted mean of nearby sensors' },
+            sensors: { type: 'integer' },
+            observedAt: { type: 'string', format: 'date-time', description: 'Newest contributing sensor reading' },
+            ageMinutes: { type: 'integer' }
+          }
+        }
+      },
+      groundReadings: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            deviceId: { type: 'string' },
+            name: { type: 'string' },
+            type: { type: 'string', enum: ['low-cost', 'reference'] },
+            distanceKm: { type: 'number' },
+            observedAt: { type: 'string', format: 'date-time' },
+            ageMinutes: { type: 'integer' }
+          }
+        }
+      },
+      lastUpdated: { type: 'string', format: 'date-time' }
+    }
+  });
+
+  add('ForecastReport', {
+    type: 'object',
+    properties: {
+      ...locationFields,
+      standard: { type: 'string' },
+      ...providerField,
+      granularity: { type: 'string', enum: ['hourly', 'daily'] },
+      horizon: { type: 'integer', description: 'Hours for hourly forecasts, days for daily ones' },
+      timeZone: { type: 'string', description: 'IANA zone whose calendar days daily points cover' },
+      generatedAt: { type: 'string', format: 'date-time' },
+      forecast: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            time: { type: 'string', format: 'date-time', description: 'Start of the hour, or local midnight for daily points' },
+            date: { type: 'string', description: 'Local calendar date (daily only)' },
+            hours: { type: 'integer', description: 'Hourly values averaged into a daily point; today is partial' },
+            ...aqiFields,
+            ...concentrationProperties,
+            lower: boundProperties('Lower confidence bound'),
+            upper: boundProperties('Upper confidence bound')
+          }
+        }
+      }
+    }
+  });
+
+  add('NearbyReport', {
+    type: 'object',
+    properties: {
+      ...locationFields,
+      standard: { type: 'string' },
+      ...providerField,
+      radiusKm: { type: 'number' },
+      total: { type: 'integer', description: 'Stations within the radius before limit is applied' },
+      sort: { type: 'string', enum: ['distance', 'aqi'] },
+      nearbyRegions: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            name: { type: 'string' },
+            city: { type: 'string' },
+            state: { type: 'string' },
+            coordinates: refs.Coordinates,
+            ...aqiFields,
+            distanceKm: { type: 'number' },
+            bearing: { type: 'integer', description: 'Degrees clockwise from north' },
+            direction: { type: 'string', enum: ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'] }
+          }
+        }
+      }
+    }
+  });
+
+  add('HistoryReport', {
+    type: 'object',
+    properties: {
+      ...locationFields,
+      standard: { type: 'string' },
+      interval: { type: 'string', enum: ['raw', 'hourly', 'daily'] },
+      timeZone: { type: 'string', description: 'IANA zone whose calendar days daily buckets cover' },
+      from: { type: 'string', format: 'date-time' },
+      to: { type: 'string', format: 'date-time' },
+      count: { type: 'integer' },
+      summary: { type: 'object', additionalProperties: true },
+      readings: { type: 'array', items: { type: 'object', additionalProperties: true } }
+    }
+  });
+
+  const spanProperties = {
+    start: { type: 'string', format: 'date-time' },
+    end: { type: 'string', format: 'date-time', description: 'End of the last hour in the span' },
+    durationHours: { type: 'integer' },
+    ongoing: { type: 'boolean', description: 'Includes the latest hour with readings' }
+  };
+
+  add('EpisodeReport', {
+    type: 'object',
+    properties: {
+      ...locationFields,
+      standard: { type: 'string' },
+      from: { type: 'string', format: 'date-time' },
+      to: { type: 'string', format: 'date-time' },
+      radiusKm: { type: 'number' },
+      hours: { type: 'integer', description: 'Hours with readings in the range' },
+      thresholdAqi: { type: 'integer' },
+      neighbors: {
+        type: 'array',
+        description: 'Nearby locations with readings in the range',
+        items: {
+          type: 'object',
+          properties: { id: { type: 'string' }, name: { type: 'string' }, distanceKm: { type: 'number' }, hours: { type: 'integer' } }
+        }
+      },
+      episodes: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            ...spanProperties,
+            hoursAbove: { type: 'integer', description: 'Hours above the threshold; gaps of an hour are bridged' },
+            meanAqi: { type: 'integer' },
+            peak: {
+              type: 'object',
+              properties: {
+                time: { type: 'string', format: 'date-time' },
+                aqi: { type: 'integer' },
+                category: { type: 'string' },
+                color: { type: 'string' },
+                dominantPollutant: { type: 'string', enum: POLLUTANTS }
+              }
+            }
+          }
+        }
+      },
+      anomalies: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            time: { type: 'string', format: 'date-time' },
+            direction: { type: 'string', enum: ['rise', 'drop'] },
+            aqi: { type: 'integer' },
+            previousAqi: { type: 'integer' },
+            change: { type: 'integer' },
+            zScore: { type: 'number', description: 'Change in robust standard deviations of the previous day\'s changes' }
+          }
+        }
+      },
+      disagreements: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            ...spanProperties,
+            direction: { type: 'string', enum: ['higher', 'lower'], description: 'This location compared with its neighbours' },
+            maxDifference: { type: 'integer' },
+            time: { type: 'string', format: 'date-time', description: 'Hour of the largest difference' },
+            aqi: { type: 'integer' },
+            neighborMedian: { type: 'integer' },
+            neighbors: { type: 'array', items: { type: 'object', additionalProperties: true } }
+          }
+        }
+      }
+    }
+  });
+
+  add('Place', {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      displayName: { type: 'string' },
+      state: { type: 'string', nullable: true },
+      type: { type: 'string' },
+      lat: { type: 'number' },
+      lon: { type: 'number' }
+    }
+  });
+
+  add('Standard', {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      units: { type: 'object', additionalProperties: { type: 'string' } },
+      categories: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            key: { type: 'string' },
+            label: { type: 'string' },
+            min: { type: 'integer' },
+            max: { type: 'integer' },
+            color: { type: 'string' },
+            textColor: { type: 'string' }
+          }
+        }
+      }
+    }
+  });
+
+  add('FeatureCollection', {
+    type: 'object',
+    description: 'GeoJSON FeatureCollection of Point features; properties carry AQI, category and pollutants',
+    properties: {
+      type: { type: 'string', enum: ['FeatureCollection'] },
+      bbox: { type: 'array', items: { type: 'number' } },
+      standard: { type: 'string' },
+      generatedAt: { type: 'string', format: 'date-time' },
+      features: { type: 'array', items: { type: 'object', additionalProperties: true } }
+    }
+  });
+
+  add('Advice', {
+    type: 'object',
+    properties: {
+      location: { type: 'string' },
+      locationId: { type: 'string' },
+      standard: { type: 'string' },
+      profile: { type: 'object', properties: { id: { type: 'string' }, label: { type: 'string' }, sensitive: { type: 'boolean' } } },
+      activity: {
+        type: 'object',
+        properties: { id: { type: 'string' }, label: { type: 'string' }, intensity: { type: 'string' }, durationMinutes: { type: 'integer' } }
+      },
+      current: {
+        type: 'object',
+        properties: {
+          aqi: { type: 'integer' },
+          category: { type: 'string' },
+          categoryKey: { type: 'string' },
+          color: { type: 'string' },
+          dominantPollutant: { type: 'string', nullable: true },
+          risk: { type: 'string', enum: RISK_LEVELS, description: 'Risk for this profile at rest' },
+          activityRisk: { type: 'string', enum: RISK_LEVELS, description: 'Risk for this profile doing the activity now' }
+        }
+      },
+      headline: { type: 'string' },
+      recommendations: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            type: { type: 'string', enum: ['windows', 'purifier', 'mask', 'activity', 'medication', 'health'] },
+            priority: { type: 'string', enum: ['info', 'advised', 'important'] },
+            text: { type: 'string' }
+          }
+        }
+      },
+      bestWindows: {
+        type: 'array',
+        description: 'Up to three non-overlapping daytime windows, best first',
+        items: {
+          type: 'object',
+          properties: {
+            start: { type: 'string', format: 'date-time' },
+            end: { type: 'string', format: 'date-time' },
+            averageAqi: { type: 'integer' },
+            peakAqi: { type: 'integer' },
+            upperAqi: { type: 'integer', description: 'Highest upper confidence bound in the window' },
+            category: { type: 'string' },
+            categoryKey: { type: 'string' },
+            color: { type: 'string' },
+            risk: { type: 'string', enum: RISK_LEVELS },
+            suitable: { type: 'boolean' }
+          }
+        }
+      },
+      timeZone: { type: 'string' },
+      forecastHours: { type: 'integer' },
+      generatedAt: { type: 'string', format: 'date-time' }
+    }
+  });
+
+  add('WatchlistEntry', {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      ...locationFields,
+      label: { type: 'string', nullable: true },
+      addedAt: { type: 'string', format: 'date-time' }
+    }
+  });
+
+  const batchPoint = {
+    type: 'object',
+    properties: {
+      time: { type: 'string', format: 'date-time' },
+      aqi: { type: 'integer' },
+      category: { type: 'string' },
+      categoryKey: { type: 'string' },
+      color: { type: 'string' }
+    }
+  };
+
+  add('BatchReport', {
+    type: 'object',
+    properties: {
+      standard: { type: 'string', enum: STANDARD_IDS },
+      forecastHours: { type: 'integer' },
+      generatedAt: { type: 'string', format: 'date-time' },
+      results: {
+        type: 'array',
+        description: 'One per requested location, in request order',
+        items: {
+          type: 'object',
+          properties: {
+            index: { type: 'integer', description: 'Position in the request' },
+            current: refs.CurrentReport,
+            forecast: {
+              type: 'object',
+              nullable: true,
+              properties: {
+                ...providerField,
+                peak: batchPoint,
+                points: { type: 'array', items: batchPoint }
+              }
+            },
+            error: {
+              type: 'object',
+              description: 'Set instead of current when this location failed',
+              properties: { status: { type: 'integer' }, code: { type: 'string' }, message: { type: 'string' } }
+            }
+          }
+        }
+      }
+    }
+  });
+
+  add('AlertRule', {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string', nullable: true },
+      type: { type: 'string', enum: ['threshold', 'change', 'forecast'] },
+      locationId: { type: 'string' },
+      locationName: { type: 'string' },
+      standard: { type: 'string' },
+      metric: { type: 'string' },
+      operator: { type: 'string', enum: ['above', 'below'] },
+      threshold: { type: 'number' },
+      changePercent: { type: 'number' },
+      windowMinutes: { type: 'number' },
+      category: { type: 'string' },
+      withinDays: { type: 'integer' },
+      cooldownMinutes: { type: 'number' },
+      enabled: { type: 'boolean' },
+      webhooks: { type: 'array', items: { type: 'string', format: 'uri' } },
+      createdAt: { type: 'string', format: 'date-time' },
+      updatedAt: { type: 'string', format: 'date-time' },
+      state: { type: 'object', nullable: true, additionalProperties: true }
+    }
+  });
+
+  add('AlertEvent', {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      ruleId: { type: 'string' },
+      ruleName: { type: 'string', nullable: true },
+      location: { type: 'string' },
+      message: { type: 'string', description: 'In the requested language' },
+      text: {
+        type: 'object',
+        nullable: true,
+        description: 'Message key and parameters, for clients with their own translations',
+        properties: { key: { type: 'string', enum: ['threshold', 'change', 'forecast'] }, params: { type: 'object', additionalProperties: true } }
+      },
+      value: { type: 'number', nullable: true },
+      color: { type: 'string', nullable: true },
+      triggeredAt: { type: 'string', format: 'date-time' },
+      read: { type: 'boolean' },
+      deliveries: { type: 'array', items: { type: 'object', additionalProperties: true } }
+    }
+  });
+
+  return refs;
+}
+
+module.exports = { STANDARD_IDS, locationQuery, standardQuery, languageQuery, registerSchemas };
@@ -0,0 +1,346 @@
+// lib/sensors.js - Registered ground sensors: ingestion, QC, calibration, blending
+//
+// Devices authenticate with a per-device API key; only its SHA-256 hash is
+// stored. Each incoming reading is range checked, rejected if its timestamp
+// was already seen for that device (or predates the timestamps still
+// remembered), and rejected if a pollutant has reported the exact same value
+// too many times in a row (a stuck sensor). Low-cost sensors can be
+// calibrated with a humidity correction for particulate matter and/or
+// per-pollutant linear coefficients, applied in that order.
+
+const crypto = require('crypto');
+const { POLLUTANTS } = require('./aqi');
+const { StationIndex } = require('./stations');
+const { logger } = require('./logger');
+
+const DEVICE_TYPES = ['low-cost', 'reference'];
+
+// Plausible physical ranges (µg/m³, CO in mg/m³)
+const VALID_RANGES = {
+  pm25: [0, 1000],
+  pm10: [0, 2000],
+  no2: [0, 2000],
+  so2: [0, 2000],
+  co: [0, 100],
+  o3: [0, 1000],
+  humidity: [0, 100],
+  temperature: [-50, 70]
+};
+
+const MAX_FUTURE_MS = 5 * 60 * 1000;
+const MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+const SEEN_TIMESTAMPS_PER_DEVICE = 1000;
+// Ground readings count for more than the model; reference monitors most
+const SOURCE_WEIGHTS = { reference: 1, 'low-cost': 0.5 };
+
+const hashKey = (apiKey) => crypto.createHash('sha256').update(String(apiKey)).digest('hex');
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Hygroscopic growth correction for optical PM sensors (kappa-Köhler form).
+// Humidity is capped because the correction diverges near saturation.
+function humidityFactor(humidity, { kappa = 0.4, maxHumidity = 95 } = {}) {
+  const rh = Math.min(humidity, maxHumidity) / 100;
+  if (rh <= 0) return 1;
+  return 1 + (kappa / 1.65) / (1 / rh - 1);
+}
+
+function calibrate(reading, calibration = {}) {
+  const corrected = { ...reading };
+  if (calibration.humidity && typeof reading.humidity === 'number') {
+    const factor = humidityFactor(reading.humidity, calibration.humidity);
+    ['pm25', 'pm10'].forEach(pollutant => {
+      if (typeof corrected[pollutant] === 'number') corrected[pollutant] = corrected[pollutant] / factor;
+    });
+  }
+  for (const [pollutant, { slope = 1, intercept = 0 }] of Object.entries(calibration.linear || {})) {
+    if (typeof corrected[pollutant] === 'number') corrected[pollutant] = Math.max(0, slope * corrected[pollutant] + intercept);
+  }
+  POLLUTANTS.forEach(pollutant => {
+    if (typeof corrected[pollutant] === 'number') corrected[pollutant] = round(corrected[pollutant]);
+  });
+  return corrected;
+}
+
+class SensorService {
+  constructor({ store, historyStore, blendRadiusKm = 10, maxAgeMinutes = 60, stuckCount = 6, modelWeight = 0.25 }) {
+    this.store = store;
+    this.historyStore = historyStore;
+    this.blendRadiusKm = blendRadiusKm;
+    this.maxAgeMinutes = maxAgeMinutes;
+    this.stuckCount = stuckCount;
+    this.modelWeight = modelWeight;
+    this.index = null;
+  }
+
+  get data() {
+    return this.store.load();
+  }
+
+  // Devices are few, but /current asks for neighbours on every cache miss
+  deviceIndex() {
+    if (!this.index) this.index = new StationIndex(this.data.devices);
+    return this.index;
+  }
+
+  // === Devices ===
+  toPublicDevice(device) {
+    const { apiKeyHash: _apiKeyHash, ...rest } = device;
+    return { ...rest, latest: this.data.state[device.id]?.latest || null };
+  }
+
+  listDevices() {
+    return this.data.devices.map(device => this.toPublicDevice(device));
+  }
+
+  getDevice(id) {
+    const device = this.data.devices.find(d => d.id === id);
+    return device ? this.toPublicDevice(device) : null;
+  }
+
+  // Returns the new device together with its API key, which is never shown again
+  async registerDevice({ name, type = 'low-cost', lat, lon, calibration = {} }) {
+    const apiKey = `dev_${crypto.randomBytes(24).toString('base64url')}`;
+    const device = {
+      id: crypto.randomUUID(),
+      name,
+      type,
+      lat,
+      lon,
+      calibration,
+      apiKeyHash: hashKey(apiKey),
+      createdAt: new Date().toISOString()
+    };
+    await this.store.update(data => data.devices.push(device));
+    this.index = null;
+    return { device: this.toPublicDevice(device), apiKey };
+  }
+
+  async updateDevice(id, changes) {
+    const updated = await this.store.update(data => {
+      const device = data.devices.find(d => d.id === id);
+      if (!device) return null;
+      Object.assign(device, changes, { updatedAt: new Date().toISOString() });
+      return device;
+    });
+    this.index = null;
+    return updated && this.toPublicDevice(updated);
+  }
+
+  async deleteDevice(id) {
+    const deleted = await this.store.update(data => {
+      const index = data.devices.findIndex(d => d.id === id);
+      if (index === -1) return false;
+      data.devices.splice(index, 1);
+      delete data.state[id];
+      return true;
+    });
+    this.index = null;
+    return deleted;
+  }
+
+  authenticate(apiKey) {
+    if (!apiKey) return null;
+    const hash = Buffer.from(hashKey(apiKey), 'hex');
+    return this.data.devices.find(device =>
+      crypto.timingSafeEqual(Buffer.from(device.apiKeyHash, 'hex'), hash)) || null;
+  }
+
+  // === Ingestion ===
+  // Returns { accepted: [stored readings], rejected: [{ index, errors }] }
+  async ingest(device, readings) {
+    const accepted = [];
+    const rejected = [];
+    const now = Date.now();
+
+    await this.store.update(data => {
+      const state = data.state[device.id] || { seen: [], runs: {}, latest: null, values: {} };
+      const seen = new Set(state.seen);
+
+      // Oldest first so stuck-value runs follow the sensor's own timeline
+      const ordered = readings
+        .map((reading, index) => ({ reading, index, time: new Date(reading.timestamp).getTime() }))
+        .sort((a, b) => a.time - b.time);
+
+      for (const { reading, index, time } of ordered) {
+        const errors = this.checkReading(reading, time, now, seen, state.seenBefore, state.runs);
+        if (errors.length > 0) {
+          rejected.push({ index, errors });
+          continue;
+        }
+
+        const timestamp = new Date(time).toISOString();
+        seen.add(timestamp);
+        const calibrated = calibrate(reading, device.type === 'low-cost' ? device.calibration : {});
+        const stored = { deviceId: device.id, timestamp, ...pickMeasurements(calibrated) };
+        if (!state.latest || state.latest.timestamp < timestamp) state.latest = stored;
+        // Newest value per pollutant, so partial readings still feed blending
+        POLLUTANTS.forEach(pollutant => {
+          const previous = state.values[pollutant];
+          if (typeof stored[pollutant] === 'number' && (!previous || previous.observedAt < timestamp)) {
+            state.values[pollutant] = { value: stored[pollutant], observedAt: timestamp };
+          }
+        });
+        accepted.push({ index, reading: stored });
+      }
+
+      // Only the newest timestamps are kept. Anything at or before the newest
+      // one dropped can't be checked for duplicates, so it's rejected; older
+      // than 7 days fails the age check anyway.
+      const oldestAccepted = new Date(now - MAX_AGE_MS).toISOString();
+      const kept = [...seen].filter(timestamp => timestamp >= oldestAccepted).sort();
+      const dropped = kept.length - SEEN_TIMESTAMPS_PER_DEVICE;
+      if (dropped > 0) {
+        const newestDropped = kept[dropped - 1];
+        if (!state.seenBefore || state.seenBefore < newestDropped) state.seenBefore = newestDropped;
+      }
+      state.seen = kept.slice(-SEEN_TIMESTAMPS_PER_DEVICE);
+      data.state[device.id] = state;
+    });
+
+    accepted.forEach(({ reading }) => {
+      this.historyStore.record({
+        ...reading,
+        time: reading.timestamp,
+        locationId: `device:${device.id}`,
+        location: device.name,
+        lat: device.lat,
+        lon: device.lon,
+        source: 'sensor'
+      }).catch(error => logger.error('Failed to record sensor reading', { error }));
+    });
+
+    return {
+      accepted: accepted.sort((a, b) => a.index - b.index).map(({ reading }) => reading),
+      rejected: rejected.sort((a, b) => a.index - b.index)
+    };
+  }
+
+  // `seenBefore`: timestamps at or before this one may have been seen already
+  checkReading(reading, time, now, seen, seenBefore, runs) {
+    const errors = [];
+    const timestamp = new Date(time).toISOString();
+    if (time > now + MAX_FUTURE_MS) errors.push({ field: 'timestamp', message: 'is in the future' });
+    if (time < now - MAX_AGE_MS) errors.push({ field: 'timestamp', message: 'is older than 7 days' });
+    else if (seenBefore && timestamp <= seenBefore) {
+      errors.push({ field: 'timestamp', message: 'is older than this device\'s recent readings' });
+    }
+    if (seen.has(timestamp)) errors.push({ field: 'timestamp', message: 'duplicate timestamp for this device' });
+
+    const measured = POLLUTANTS.filter(pollutant => typeof reading[pollutant] === 'number');
+    if (measured.length === 0) errors.push({ field: 'pm25', message: 'at least one pollutant value is required' });
+
+    for (const [field, [min, max]] of Object.entries(VALID_RANGES)) {
+      const value = reading[field];
+      if (typeof value === 'number' && (value < min || value > max)) {
+        errors.push({ field, message: `must be between ${min} and ${max}` });
+      }
+    }
+    if (errors.length > 0) return errors;
+
+    // A value repeated stuckCount times in a row means the sensor is stuck
+    for (const pollutant of measured) {
+      const run = runs[pollutant];
+      const count = run && run.value === reading[pollutant] ? run.count + 1 : 1;
+      if (count >= this.stuckCount) {
+        errors.push({ field: pollutant, message: `value unchanged for ${count} readings; sensor may be stuck` });
+      }
+    }
+    if (errors.length > 0) return errors;
+
+    measured.forEach(pollutant => {
+      const run = runs[pollutant];
+      runs[pollutant] = { value: reading[pollutant], count: run && run.value === reading[pollutant] ? run.count + 1 : 1 };
+    });
+    return errors;
+  }
+
+  // === Blending ===
+  // Devices within blendRadiusKm of a point with their fresh per-pollutant values
+  recentNear(lat, lon, now = Date.now()) {
+    const maxAgeMs = this.maxAgeMinutes * 60000;
+    return this.deviceIndex()
+      .nearby(lat, lon, { radiusKm: this.blendRadiusKm })
+      .map(device => {
+        const values = {};
+        Object.entries(this.data.state[device.id]?.values || {}).forEach(([pollutant, { value, observedAt }]) => {
+          const ageMs = now - new Date(observedAt).getTime();
+          if (ageMs <= maxAgeMs) values[pollutant] = { value, observedAt, ageMinutes: Math.max(0, Math.round(ageMs / 60000)) };
+        });
+        const observed = Object.values(values).map(v => v.observedAt).sort();
+        return {
+          deviceId: device.id,
+          name: device.name,
+          type: device.type,
+          distanceKm: device.distanceKm,
+          observedAt: observed[observed.length - 1],
+          ageMinutes: Math.min(...Object.values(values).map(v => v.ageMinutes)),
+          values
+        };
+      })
+      .filter(device => Object.keys(device.values).length > 0);
+  }
+
+  // Combine a model estimate with nearby ground readings. Each pollutant is a
+  // weighted mean: sensors weigh by type, distance and age; the model gets a
+  // fixed weight so a lone far-away sensor can't fully override it.
+  blend(modelConcentrations, lat, lon, now = Date.now()) {
+    const ground = this.recentNear(lat, lon, now);
+    const concentrations = {};
+    const sources = {};
+
+    for (const pollutant of POLLUTANTS) {
+      const model = modelConcentrations[pollutant];
+      const contributing = ground
+        .filter(g => g.values[pollutant])
+        .map(g => ({ ...g.values[pollutant], type: g.type, distanceKm: g.distanceKm }));
+
+      if (contributing.length === 0) {
+        concentrations[pollutant] = model;
+        sources[pollutant] = { source: 'model', value: model };
+        continue;
+      }
+
+      let weighted = 0;
+      let totalWeight = 0;
+      for (const g of contributing) {
+        const weight = SOURCE_WEIGHTS[g.type]
+          / (1 + g.distanceKm / this.blendRadiusKm)
+          / (1 + g.ageMinutes / this.maxAgeMinutes);
+        weighted += g.value * weight;
+        totalWeight += weight;
+      }
+      const groundValue = weighted / totalWeight;
+      const hasModel = typeof model === 'number';
+      const value = hasModel
+        ? (weighted + model * this.modelWeight) / (totalWeight + this.modelWeight)
+        : groundValue;
+
+      concentrations[pollutant] = round(value, pollutant === 'co' ? 2 : 1);
+      sources[pollutant] = {
+        source: hasModel ? 'blended' : 'sensor',
+        value: concentrations[pollutant],
+        model: hasModel ? model : null,
+        ground: round(groundValue, 2),
+        sensors: contributing.length,
+        observedAt: contributing.map(g => g.observedAt).sort().pop(),
+        ageMinutes: Math.min(...contributing.map(g => g.ageMinutes))
+      };
+    }
+
+    return {
+      concentrations,
+      sources,
+      groundReadings: ground.map(({ deviceId, name, type, distanceKm, observedAt, ageMinutes }) => ({ deviceId, name, type, distanceKm, observedAt, ageMinutes }))
+    };
+  }
+}
+
+function pickMeasurements(reading) {
+  return Object.fromEntries(
+    [...POLLUTANTS, 'humidity', 'temperature']
+      .filter(field => typeof reading[field] === 'number')
+      .map(field => [field, reading[field]])
+  );
+}
+
+module.exports = { SensorService, DEVICE_TYPES, VALID_RANGES, calibrate, humidityFactor };
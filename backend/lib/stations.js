@@ -0,0 +1,69 @@
+// lib/stations.js - Monitoring station registry with a grid spatial index
+//
+// Stations are bucketed into fixed-size lat/lon cells. A radius query only
+// visits the cells overlapping the circle's bounding box and then checks the
+// exact haversine distance, so lookups stay cheap as the registry grows.
+
+const { haversineKm, bearingDegrees, compassDirection } = require('./geo');
+const registry = require('../data/stations.json');
+
+const KM_PER_DEGREE_LAT = 111.32;
+
+class StationIndex {
+  constructor(stations, { cellDegrees = 0.5 } = {}) {
+    this.cellDegrees = cellDegrees;
+    this.stations = stations;
+    this.byId = new Map(stations.map(station => [station.id, station]));
+    this.cells = new Map();
+
+    for (const station of stations) {
+      const key = this.cellKey(this.cellOf(station.lat), this.cellOf(station.lon));
+      if (!this.cells.has(key)) this.cells.set(key, []);
+      this.cells.get(key).push(station);
+    }
+  }
+
+  cellOf(degrees) {
+    return Math.floor(degrees / this.cellDegrees);
+  }
+
+  cellKey(row, col) {
+    return `${row}:${col}`;
+  }
+
+  get(id) {
+    return this.byId.get(id) || null;
+  }
+
+  // Stations within `radiusKm` of a point, nearest first, each annotated with
+  // distanceKm, bearing (degrees clockwise from north) and compass direction
+  nearby(lat, lon, { radiusKm = 50, limit = Infinity } = {}) {
+    const latDelta = radiusKm / KM_PER_DEGREE_LAT;
+    // Near the poles a degree of longitude shrinks to nothing; search every column
+    const cosLat = Math.cos(lat * Math.PI / 180);
+    const lonDelta = cosLat > 0.01 ? radiusKm / (KM_PER_DEGREE_LAT * cosLat) : 180;
+
+    const matches = [];
+    for (let row = this.cellOf(lat - latDelta); row <= this.cellOf(lat + latDelta); row++) {
+      for (let col = this.cellOf(lon - lonDelta); col <= this.cellOf(lon + lonDelta); col++) {
+        for (const station of this.cells.get(this.cellKey(row, col)) || []) {
+          const distanceKm = haversineKm(lat, lon, station.lat, station.lon);
+          if (distanceKm > radiusKm) continue;
+          const bearing = bearingDegrees(lat, lon, station.lat, station.lon);
+          matches.push({
+            ...station,
+            distanceKm: Math.round(distanceKm * 10) / 10,
+            bearing: Math.round(bearing) % 360,
+            direction: compassDirection(bearing)
+          });
+        }
+      }
+    }
+
+    return matches.sort((a, b) => a.distanceKm - b.distanceKm).slice(0, limit);
+  }
+}
+
+const stationIndex = new StationIndex(registry);
+
+module.exports = { StationIndex, stationIndex };
@@ -0,0 +1,52 @@
+// lib/usage.js - Request counters per API key and endpoint
+//
+// Counted in memory since the process started; endpoints are operation IDs
+// from the route registry, so path parameters don't split the counts.
+// Requests without a key count under "anonymous".
+
+class UsageTracker {
+  constructor() {
+    this.since = new Date().toISOString();
+    this.clients = new Map();
+  }
+
+  record({ keyId, name, endpoint, status }) {
+    const id = keyId || 'anonymous';
+    if (!this.clients.has(id)) {
+      this.clients.set(id, { keyId: id, name: name || null, requests: 0, errors: 0, rateLimited: 0, lastSeenAt: null, endpoints: {} });
+    }
+    const client = this.clients.get(id);
+    const counts = client.endpoints[endpoint] || (client.endpoints[endpoint] = { requests: 0, errors: 0, rateLimited: 0 });
+
+    for (const target of [client, counts]) {
+      target.requests++;
+      if (status >= 400) target.errors++;
+      if (status === 429) target.rateLimited++;
+    }
+    client.lastSeenAt = new Date().toISOString();
+  }
+
+  // Counts each response once it has been sent
+  middleware() {
+    return (req, res, next) => {
+      res.on('finish', () => {
+        this.record({
+          keyId: req.client?.keyId,
+          name: req.client?.name,
+          endpoint: req.operationId || 'unmatched',
+          status: res.statusCode
+        });
+      });
+      next();
+    };
+  }
+
+  report(keyId) {
+    const clients = [...this.clients.values()]
+      .filter(client => !keyId || client.keyId === keyId)
+      .sort((a, b) => b.requests - a.requests);
+    return { since: this.since, clients };
+  }
+}
+
+module.exports = { UsageTracker };
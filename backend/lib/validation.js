@@ -0,0 +1,131 @@
+// lib/validation.js - Declarative request validation
+//
+// Schemas are a small subset of JSON Schema (which OpenAPI 3 uses too), so the
+// same objects validate requests and document them in /api/openapi.json:
+//   type: string | integer | number | boolean | array | object
+//   enum, minimum, maximum, minLength, maxLength, pattern, format (date-time, uri)
+//   items, maxItems, properties, required, additionalProperties: false,
+//   default, nullable
+// Query strings arrive as text, so `coerce` converts them to the declared type.
+
+const { badRequest } = require('./errors');
+
+const FORMATS = {
+  'date-time': (value) => !isNaN(new Date(value).getTime()),
+  uri: (value) => {
+    try {
+      return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch {
+      return false;
+    }
+  }
+};
+
+function coerceValue(schema, value) {
+  if (typeof value !== 'string') return value;
+  switch (schema.type) {
+    case 'integer':
+      return /^-?\d+$/.test(value.trim()) ? parseInt(value, 10) : value;
+    case 'number':
+      return value.trim() !== '' && Number.isFinite(Number(value)) ? Number(value) : value;
+    case 'boolean':
+      return value === 'true' ? true : value === 'false' ? false : value;
+    default:
+      return value;
+  }
+}
+
+function typeMatches(type, value) {
+  switch (type) {
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'array': return Array.isArray(value);
+    case 'object': return typeof value === 'object' && value !== null && !Array.isArray(value);
+    default: return typeof value === type;
+  }
+}
+
+// Returns { value, errors } where errors is a list of { field, message }
+function validate(schema, input, { coerce = false, path = '' } = {}) {
+  const errors = [];
+  const fail = (field, message) => errors.push({ field: field || '(root)', message });
+
+  const check = (node, raw, field) => {
+    const value = coerce ? coerceValue(node, raw) : raw;
+    if (value === null && node.nullable) return null;
+
+    if (node.type && !typeMatches(node.type, value)) {
+      fail(field, `must be ${node.type === 'integer' ? 'an integer' : `a ${node.type}`}`);
+      return undefined;
+    }
+    if (node.enum && !node.enum.includes(value)) {
+      fail(field, `must be one of ${node.enum.join(', ')}`);
+      return undefined;
+    }
+    if (typeof value === 'number') {
+      if (node.minimum !== undefined && value < node.minimum) fail(field, `must be at least ${node.minimum}`);
+      if (node.maximum !== undefined && value > node.maximum) fail(field, `must be at most ${node.maximum}`);
+    }
+    if (typeof value === 'string') {
+      if (node.minLength !== undefined && value.length < node.minLength) fail(field, `must be at least ${node.minLength} characters`);
+      if (node.maxLength !== undefined && value.length > node.maxLength) fail(field, `must be at most ${node.maxLength} characters`);
+      if (node.pattern && !new RegExp(node.pattern).test(value)) fail(field, node.patternMessage || `must match ${node.pattern}`);
+      if (node.format && FORMATS[node.format] && !FORMATS[node.format](value)) fail(field, `must be a valid ${node.format}`);
+    }
+    if (Array.isArray(value)) {
+      if (node.maxItems !== undefined && value.length > node.maxItems) fail(field, `must have at most ${node.maxItems} items`);
+      return node.items ? value.map((item, i) => check(node.items, item, `${field}[${i}]`)) : value;
+    }
+    if (node.type === 'object') return checkObject(node, value, field);
+    return value;
+  };
+
+  const checkObject = (node, value, field) => {
+    const result = {};
+    const properties = node.properties || {};
+    const prefix = field ? `${field}.` : '';
+
+    for (const [name, propertySchema] of Object.entries(properties)) {
+      const raw = value[name];
+      if (raw === undefined || (coerce && raw === '')) {
+        if (propertySchema.default !== undefined) result[name] = propertySchema.default;
+        else if ((node.required || []).includes(name)) fail(`${prefix}${name}`, 'is required');
+        continue;
+      }
+      const checked = check(propertySchema, raw, `${prefix}${name}`);
+      if (checked !== undefined) result[name] = checked;
+    }
+
+    if (node.additionalProperties === false) {
+      Object.keys(value)
+        .filter(name => !(name in properties))
+        .forEach(name => fail(`${prefix}${name}`, 'is not allowed'));
+    }
+    return result;
+  };
+
+  const value = check(schema, input, path);
+  return { value, errors };
+}
+
+// Express middleware validating req.query, req.params and req.body against a
+// route spec's schemas. Validated, defaulted values land on req.valid.
+function validateRequest(spec) {
+  return (req, res, next) => {
+    const valid = {};
+    const errors = [];
+
+    for (const part of ['params', 'query', 'body']) {
+      if (!spec[part]) continue;
+      const { value, errors: partErrors } = validate(spec[part], req[part] ?? {}, { coerce: part !== 'body' });
+      valid[part] = value;
+      errors.push(...partErrors);
+    }
+
+    if (errors.length > 0) return next(badRequest('Request validation failed', errors));
+    req.valid = valid;
+    next();
+  };
+}
+
+module.exports = { validate, validateRequest };
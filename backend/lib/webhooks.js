@@ -0,0 +1,112 @@
+// lib/webhooks.js - Outbound webhook delivery with retries
+//
+// Webhook URLs that clients supply (per-rule webhooks) must use a host from
+// the configured allowlist, and are only ever sent to public addresses: the
+// host is checked again when it resolves, and redirects aren't followed, so a
+// URL can't be pointed at the server's own network.
+
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+const axios = require('axios');
+const { logger } = require('./logger');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Loopback, private, link-local, carrier-grade NAT, benchmarking, multicast
+// and reserved ranges
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+  .forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+function isPrivateAddress(address) {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return isPrivateAddress(mapped[1]);
+  return PRIVATE_RANGES.check(address, net.isIPv4(address) ? 'ipv4' : 'ipv6');
+}
+
+// dns.lookup that fails for hosts resolving to a private address
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    const addresses = Array.isArray(address) ? address : [{ address }];
+    if (addresses.some(entry => isPrivateAddress(entry.address))) {
+      const blocked = new Error(`${hostname} resolves to a private address`);
+      blocked.code = 'WEBHOOK_BLOCKED';
+      return callback(blocked);
+    }
+    callback(null, address, family);
+  });
+}
+
+const publicOnlyConfig = {
+  httpAgent: new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup }),
+  maxRedirects: 0
+};
+
+// Why a client-supplied webhook URL can't be used, or null when it can.
+// `allowedHosts` entries match the host itself and its subdomains.
+function webhookUrlError(url, allowedHosts = []) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return 'is not a valid URL';
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) return 'must be an http(s) URL';
+
+  const host = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (net.isIP(host) && isPrivateAddress(host)) return 'must not point to a private or loopback address';
+  if (!allowedHosts.some(allowed => host === allowed || host.endsWith(`.${allowed}`))) {
+    return allowedHosts.length > 0
+      ? `host ${host} is not an allowed webhook host`
+      : 'are disabled on this server (no ALERT_WEBHOOK_HOSTS configured)';
+  }
+  return null;
+}
+
+// POST `payload` as JSON to `url`, retrying network errors and 5xx/429
+// responses with exponential backoff. Never throws; resolves to a delivery
+// record suitable for storing alongside the alert. With `publicOnly` the
+// request fails rather than reach a private address (see above).
+async function deliverWebhook(url, payload, options = {}) {
+  const { retries = 3, timeoutMs = 5000, baseDelayMs = 1000, publicOnly = false } = options;
+  let lastError = null;
+  let status = null;
+  let attempts = 0;
+
+  for (let attempt = 1; attempt <= retries; attempt++) {
+    attempts = attempt;
+    try {
+      const response = await axios.post(url, payload, {
+        timeout: timeoutMs,
+        headers: { 'Content-Type': 'application/json', 'User-Agent': 'AirSense360-Alerts/1.0' },
+        validateStatus: () => true,
+        ...(publicOnly && publicOnlyConfig)
+      });
+      status = response.status;
+      if (status >= 200 && status < 300) {
+        return { url, ok: true, status, attempts: attempt, deliveredAt: new Date().toISOString() };
+      }
+      lastError = `HTTP ${status}`;
+      // Other 4xx responses won't get better by retrying
+      if (status < 500 && status !== 429) break;
+    } catch (error) {
+      lastError = error.message;
+      if (error.code === 'WEBHOOK_BLOCKED') break;
+    }
+
+    if (attempt < retries) await sleep(baseDelayMs * Math.pow(2, attempt - 1));
+  }
+
+  logger.error('Webhook delivery failed', { url, status, attempts, error: lastError });
+  return { url, ok: false, status, attempts, error: lastError };
+}
+
+module.exports = { deliverWebhook, webhookUrlError, isPrivateAddress };
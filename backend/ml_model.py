@@ -1,17 +1,28 @@
+import os
 import sys
 import json
+import math
+import zlib
+from datetime import datetime, timedelta, timezone
 import numpy as np
 
 class AirQualityPredictor:
-    def __init__(self):
+    def __init__(self, seed=None):
         self.model = None
-        # Avoid unicode symbols that cause Windows cp1252 issues
-        print("Warning: Untrained model in use.")
+        self.seed = seed
+        # Avoid unicode symbols that cause Windows cp1252 issues.
+        # Goes to stderr so it never mixes with JSON replies on stdout.
+        print("Warning: Untrained model in use.", file=sys.stderr)
 
-    def get_location_features(self, location):
+    # Gurugram, used when the caller doesn't pass resolved coordinates
+    DEFAULT_COORDINATES = (28.4595, 77.0266)
+
+    def get_location_features(self, location, latitude=None, longitude=None):
+        if latitude is None or longitude is None:
+            latitude, longitude = self.DEFAULT_COORDINATES
         return {
-            'latitude': 28.4595,
-            'longitude': 77.0266,
+            'latitude': latitude,
+            'longitude': longitude,
             'elevation': 217,
             'population_density': 1000,
             'temperature': 25.0,
@@ -29,70 +40,142 @@ class AirQualityPredictor:
             'formaldehyde': 0.15
         }
 
-    def predict_current_aqi(self, location):
-        loc = self.get_location_features(location)
+    def random(self, *inputs):
+        """Random generator for one prediction. With a seed, the same seed and
+        inputs always give the same numbers; without one, every call differs."""
+        if self.seed is None:
+            return np.random.default_rng()
+        return np.random.default_rng(zlib.crc32(json.dumps([self.seed, *inputs]).encode()))
+
+    def predict_current_aqi(self, location, latitude=None, longitude=None, rng=None):
+        loc = self.get_location_features(location, latitude, longitude)
         sat = self.fetch_satellite_data(location)
+        rng = rng or self.random('current', location, latitude, longitude)
 
-        aqi = np.random.randint(80, 180)
-        pm25 = int(aqi * 0.6)
-        pm10 = int(aqi * 0.8)
+        # Concentrations in ug/m3 (CO in mg/m3); the AQI itself is computed
+        # by the Node backend for the requested national standard.
+        pm25 = rng.uniform(25, 110)
+        pm10 = pm25 * rng.uniform(1.4, 1.9)
+        o3 = rng.uniform(30, 120)
 
         return {
-            'aqi': aqi,
-            'pm25': pm25,
-            'pm10': pm10,
-            'no2': int(sat['no2']),
-            'so2': int(sat['so2']),
-            'co': round(sat['co'], 1)
+            'pm25': round(pm25, 1),
+            'pm10': round(pm10, 1),
+            'no2': round(sat['no2'], 1),
+            'so2': round(sat['so2'], 1),
+            'co': round(sat['co'], 2),
+            'o3': round(o3, 1)
         }
 
-    def predict_forecast(self, location, days=3):
-        current_aqi = self.predict_current_aqi(location)['aqi']
+    # Relative level by local solar hour: traffic pollutants peak in the
+    # morning and evening rush, ozone in the mid-afternoon sun
+    def diurnal_factor(self, pollutant, local_hour):
+        if pollutant == 'o3':
+            return 1 + 0.35 * math.cos((local_hour - 15) / 24 * 2 * math.pi)
+        morning = math.exp(-((local_hour - 8) ** 2) / 8)
+        evening = math.exp(-((local_hour - 20) ** 2) / 8)
+        return 0.8 + 0.35 * (morning + evening)
+
+    def predict_forecast(self, location, hours=24, start=None, latitude=None, longitude=None):
+        """Hourly points from `start` (ISO-8601 UTC), each with predicted
+        concentrations and lower/upper bounds that widen with lead time."""
+        rng = self.random('forecast', location, latitude, longitude, hours, start)
+        current = self.predict_current_aqi(location, latitude, longitude, rng=rng)
+        now = datetime.now(timezone.utc)
+        if start:
+            start_time = datetime.fromisoformat(start.replace('Z', '+00:00'))
+            # Seeded runs mustn't depend on the clock, only on the inputs
+            if self.seed is not None:
+                now = start_time - timedelta(hours=1)
+        else:
+            start_time = now.replace(minute=0, second=0, microsecond=0) + timedelta(hours=1)
+        if longitude is None:
+            longitude = self.DEFAULT_COORDINATES[1]
+
+        def local_hour(time):
+            return (time.hour + time.minute / 60 + longitude / 15) % 24
+
+        drift = 1.0
         forecast = []
-        for hour in range(12, 24, 3):
-            aqi = max(50, min(200, current_aqi + np.random.randint(-20, 20)))
-            forecast.append({'time': f"{hour:02d}:00", 'aqi': aqi})
-        for day in range(1, days + 1):
-            aqi = max(50, min(200, current_aqi + np.random.randint(-30, 30)))
-            forecast.append({'time': f"Day {day}", 'aqi': aqi})
+        for step in range(hours):
+            time = start_time + timedelta(hours=step)
+            drift = min(1.6, max(0.5, drift * rng.uniform(0.96, 1.04)))
+            spread = 0.1 + 0.03 * math.sqrt(step + 1)
+            point = {'time': time.strftime('%Y-%m-%dT%H:%M:%SZ'), 'values': {}, 'lower': {}, 'upper': {}}
+            for key, base in current.items():
+                shape = self.diurnal_factor(key, local_hour(time)) / self.diurnal_factor(key, local_hour(now))
+                value = max(0.0, base * drift * shape)
+                digits = 2 if key == 'co' else 1
+                point['values'][key] = round(value, digits)
+                point['lower'][key] = round(value * max(0.0, 1 - spread), digits)
+                point['upper'][key] = round(value * (1 + spread), digits)
+            forecast.append(point)
         return forecast
 
-    def predict_nearby(self, location, radius=50):
-        cities = [
-            {'name': 'Faridabad', 'distance': '12 km'},
-            {'name': 'Noida', 'distance': '28 km'},
-            {'name': 'Ghaziabad', 'distance': '35 km'},
-            {'name': 'Palwal', 'distance': '42 km'}
-        ]
+    def predict_nearby(self, stations):
+        # Stations come from the backend's registry, already filtered by radius
         results = []
-        for city in cities:
-            aqi = self.predict_current_aqi(city['name'])['aqi']
-            results.append({
-                'name': city['name'],
-                'aqi': aqi,
-                'distance': city['distance']
-            })
+        for station in stations:
+            result = self.predict_current_aqi(station['name'], station.get('latitude'), station.get('longitude'))
+            result['id'] = station['id']
+            results.append(result)
         return results
 
+def dispatch(predictor, action, params):
+    coords = {'latitude': params.get('latitude'), 'longitude': params.get('longitude')}
+    if action == 'predict_current':
+        return predictor.predict_current_aqi(params['location'], **coords)
+    if action == 'predict_forecast':
+        return predictor.predict_forecast(params['location'], params.get('hours', 24), params.get('start'), **coords)
+    if action == 'predict_nearby':
+        return predictor.predict_nearby(params.get('stations', []))
+    if action == 'ping':
+        return {'pong': True}
+    raise ValueError(f"Unknown action: {action}")
+
+def emit(message):
+    sys.stdout.write(json.dumps(message) + "\n")
+    sys.stdout.flush()
+
+def model_seed():
+    """MODEL_SEED turns on deterministic predictions; unset means random."""
+    return os.environ.get('MODEL_SEED') or None
+
+def serve():
+    """Worker mode: one JSON request per stdin line, one JSON reply per stdout line."""
+    predictor = AirQualityPredictor(seed=model_seed())
+    emit({'type': 'ready'})
+
+    for line in sys.stdin:
+        line = line.strip()
+        if not line:
+            continue
+        request_id = None
+        request = {}
+        try:
+            request = json.loads(line)
+            request_id = request.get('id')
+            result = dispatch(predictor, request['action'], request.get('params', {}))
+            emit({'id': request_id, 'ok': True, 'result': result})
+        except Exception as e:
+            # requestId is the backend's HTTP request ID, for matching up logs
+            print(f"[{request.get('requestId') or '-'}] {request.get('action')} failed: {e}", file=sys.stderr)
+            emit({'id': request_id, 'ok': False, 'error': str(e)})
+
 def main():
+    if len(sys.argv) == 2 and sys.argv[1] == '--worker':
+        serve()
+        return
+
     if len(sys.argv) != 3:
-        print("Usage: python ml_model.py <action> <params_json>", file=sys.stderr)
+        print("Usage: python ml_model.py <action> <params_json> | --worker", file=sys.stderr)
         sys.exit(1)
 
     action = sys.argv[1]
     try:
         params = json.loads(sys.argv[2])
-        predictor = AirQualityPredictor()
-
-        if action == 'predict_current':
-            result = predictor.predict_current_aqi(params['location'])
-        elif action == 'predict_forecast':
-            result = predictor.predict_forecast(params['location'], params.get('days', 3))
-        elif action == 'predict_nearby':
-            result = predictor.predict_nearby(params['location'], params.get('radius', 50))
-        else:
-            raise ValueError(f"Unknown action: {action}")
-
+        predictor = AirQualityPredictor(seed=model_seed())
+        result = dispatch(predictor, action, params)
         print(json.dumps(result))
     except Exception as e:
         print(f"Error: {e}", file=sys.stderr)
@@ -0,0 +1,147 @@
+// routes/access.js - API key management and usage counters (admin)
+//
+// Keys live in the API key store (data/apikeys.json by default); whether
+// they're required, CORS origins and default limits come from access.json.
+
+const express = require('express');
+const { notFound } = require('../lib/errors');
+
+const policySchema = {
+  type: 'object',
+  nullable: true,
+  additionalProperties: false,
+  required: ['capacity', 'refillPerMinute'],
+  description: 'Token bucket for this key; null uses the default for keys from access.json',
+  properties: {
+    capacity: { type: 'integer', minimum: 1, maximum: 100000, description: 'Burst size' },
+    refillPerMinute: { type: 'integer', minimum: 1, maximum: 100000, description: 'Sustained requests per minute' }
+  }
+};
+
+const keyProperties = {
+  name: { type: 'string', minLength: 1, maxLength: 100 },
+  rateLimit: policySchema,
+  enabled: { type: 'boolean', description: 'Disabled keys are rejected with 401' }
+};
+
+const keySchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    name: { type: 'string' },
+    prefix: { type: 'string', description: 'First characters of the key, to tell keys apart' },
+    rateLimit: { type: 'object', nullable: true, additionalProperties: true },
+    enabled: { type: 'boolean' },
+    createdAt: { type: 'string', format: 'date-time' },
+    updatedAt: { type: 'string', format: 'date-time' }
+  }
+};
+
+const countsProperties = {
+  requests: { type: 'integer' },
+  errors: { type: 'integer', description: 'Responses with status 400 or above' },
+  rateLimited: { type: 'integer', description: 'Requests rejected with 429' }
+};
+
+const usageSchema = {
+  type: 'object',
+  properties: {
+    since: { type: 'string', format: 'date-time', description: 'When counting started (server start)' },
+    clients: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          keyId: { type: 'string', description: 'Key ID, or "anonymous" for requests without a key' },
+          name: { type: 'string', nullable: true },
+          ...countsProperties,
+          lastSeenAt: { type: 'string', format: 'date-time' },
+          endpoints: {
+            type: 'object',
+            description: 'Counts per operation ID',
+            additionalProperties: { type: 'object', properties: countsProperties }
+          }
+        }
+      }
+    }
+  }
+};
+
+const idParams = { type: 'object', properties: { id: { type: 'string' } } };
+
+function createAccessRouter({ apiKeys, usage, api, requireAdmin }) {
+  const router = express.Router();
+  const routes = api.scope(router, '/api/admin');
+  api.securityScheme('apiKey', { type: 'apiKey', in: 'header', name: 'X-API-Key' });
+
+  const adminSpec = { tags: ['Admin'], before: [requireAdmin], security: [{ adminToken: [] }], errors: [401] };
+
+  routes.get('/keys', {
+    ...adminSpec,
+    operationId: 'listApiKeys',
+    summary: 'List API keys',
+    responses: { 200: { description: 'Keys', schema: { type: 'object', properties: { keys: { type: 'array', items: keySchema } } } } }
+  }, (req, res) => {
+    res.json({ keys: apiKeys.listKeys() });
+  });
+
+  routes.post('/keys', {
+    ...adminSpec,
+    operationId: 'createApiKey',
+    summary: 'Issue an API key',
+    description: 'The response contains the key itself. It is only shown once; only its hash is stored.',
+    body: { type: 'object', required: ['name'], additionalProperties: false, properties: keyProperties },
+    responses: {
+      201: {
+        description: 'Key record and the key',
+        schema: { type: 'object', properties: { key: keySchema, apiKey: { type: 'string' } } }
+      }
+    }
+  }, async (req, res) => {
+    res.status(201).json(await apiKeys.createKey(req.valid.body));
+  });
+
+  routes.patch('/keys/:id', {
+    ...adminSpec,
+    operationId: 'updateApiKey',
+    summary: 'Rename, enable or disable a key, or change its rate limit',
+    params: idParams,
+    body: { type: 'object', additionalProperties: false, properties: keyProperties },
+    responses: { 200: { description: 'Updated key', schema: keySchema } },
+    errors: [401, 404]
+  }, async (req, res) => {
+    const key = await apiKeys.updateKey(req.valid.params.id, req.valid.body);
+    if (!key) throw notFound('API key not found');
+    res.json(key);
+  });
+
+  routes.delete('/keys/:id', {
+    ...adminSpec,
+    operationId: 'deleteApiKey',
+    summary: 'Revoke an API key; it stops working immediately',
+    params: idParams,
+    responses: { 204: { description: 'Deleted' } },
+    errors: [401, 404]
+  }, async (req, res) => {
+    const deleted = await apiKeys.deleteKey(req.valid.params.id);
+    if (!deleted) throw notFound('API key not found');
+    res.status(204).end();
+  });
+
+  routes.get('/usage', {
+    ...adminSpec,
+    operationId: 'getApiUsage',
+    summary: 'Request counts per API key and endpoint since the server started',
+    query: {
+      type: 'object',
+      properties: { keyId: { type: 'string', maxLength: 100, description: 'Only this key; "anonymous" for requests without one' } }
+    },
+    responses: { 200: { description: 'Usage counters', schema: usageSchema } }
+  }, (req, res) => {
+    res.json(usage.report(req.valid.query.keyId));
+  });
+
+  return router;
+}
+
+module.exports = { createAccessRouter };
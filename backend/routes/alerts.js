@@ -0,0 +1,196 @@
+// routes/alerts.js - Alert rule CRUD and alert history
+
+const express = require('express');
+const { validateRule, alertMessage, RULE_TYPES, METRICS } = require('../lib/alerts');
+const { badRequest, unprocessable, notFound } = require('../lib/errors');
+const { STANDARD_IDS, locationQuery, languageQuery } = require('../lib/schemas');
+
+const ruleProperties = {
+  name: { type: 'string', maxLength: 100, nullable: true },
+  type: { type: 'string', enum: RULE_TYPES },
+  ...locationQuery,
+  standard: { type: 'string', enum: STANDARD_IDS },
+  metric: { type: 'string', enum: METRICS, description: 'threshold and change rules' },
+  operator: { type: 'string', enum: ['above', 'below'], description: 'threshold rules' },
+  threshold: { type: 'number', description: 'threshold rules' },
+  changePercent: { type: 'number', description: 'change rules; negative for drops' },
+  windowMinutes: { type: 'number', description: 'change rules' },
+  category: { type: 'string', description: 'forecast rules; category key of the rule\'s standard' },
+  withinDays: { type: 'integer', description: 'forecast rules' },
+  cooldownMinutes: { type: 'number', minimum: 0 },
+  enabled: { type: 'boolean' },
+  webhooks: {
+    type: 'array',
+    maxItems: 10,
+    items: { type: 'string', format: 'uri' },
+    description: 'URLs on the server\'s allowed webhook hosts (ALERT_WEBHOOK_HOSTS)'
+  }
+};
+
+const idParams = {
+  type: 'object',
+  properties: { id: { type: 'string', maxLength: 100, description: 'Alert rule ID' } }
+};
+
+// validateRule() reports { field: message }; the API reports a list
+const toFieldErrors = (errors) => Object.entries(errors).map(([field, message]) => ({ field, message }));
+
+function createAlertsRouter({ alertService, resolveLocation, api, schemas, requireAdmin }) {
+  const router = express.Router();
+  const routes = api.scope(router, '/api/alerts');
+  const tags = ['Alerts'];
+  const { webhookHosts } = alertService;
+
+  // Rules name their location the same way the AQI endpoints do
+  function withLocation(body, fields) {
+    if (body.location === undefined && body.locationId === undefined && body.lat === undefined && body.lon === undefined) return fields;
+    const place = resolveLocation(body);
+    return { ...fields, locationId: place.id, locationName: place.displayName };
+  }
+
+  // === Rules ===
+  routes.get('/rules', {
+    operationId: 'listAlertRules',
+    summary: 'List alert rules with their evaluation state',
+    tags,
+    responses: {
+      200: { description: 'Alert rules', schema: { type: 'object', properties: { rules: { type: 'array', items: schemas.AlertRule } } } }
+    }
+  }, (req, res) => {
+    res.json({ rules: alertService.listRules() });
+  });
+
+  routes.post('/rules', {
+    operationId: 'createAlertRule',
+    summary: 'Create an alert rule',
+    tags,
+    body: { type: 'object', required: ['type'], additionalProperties: false, properties: ruleProperties },
+    responses: { 201: { description: 'Created rule', schema: schemas.AlertRule } },
+    errors: [404, 422]
+  }, async (req, res) => {
+    const { value, errors } = validateRule(req.valid.body, { webhookHosts });
+    if (Object.keys(errors).length > 0) throw unprocessable('Invalid alert rule', toFieldErrors(errors));
+
+    const fields = withLocation(req.valid.body, value);
+    if (!fields.locationId) {
+      throw badRequest('A location is required', [{ field: 'location', message: 'one of location, locationId or lat/lon is required' }]);
+    }
+
+    res.status(201).json(await alertService.createRule(fields));
+  });
+
+  routes.get('/rules/:id', {
+    operationId: 'getAlertRule',
+    summary: 'Get an alert rule',
+    tags,
+    params: idParams,
+    responses: { 200: { description: 'Alert rule', schema: schemas.AlertRule } },
+    errors: [404]
+  }, (req, res) => {
+    const rule = alertService.getRule(req.valid.params.id);
+    if (!rule) throw notFound('Alert rule not found');
+    res.json(rule);
+  });
+
+  routes.patch('/rules/:id', {
+    operationId: 'updateAlertRule',
+    summary: 'Update fields of an alert rule',
+    tags,
+    params: idParams,
+    body: { type: 'object', additionalProperties: false, properties: ruleProperties },
+    responses: { 200: { description: 'Updated rule', schema: schemas.AlertRule } },
+    errors: [404, 422]
+  }, async (req, res) => {
+    const { id } = req.valid.params;
+    const existing = alertService.getRule(id);
+    if (!existing) throw notFound('Alert rule not found');
+
+    // Validate against the merged rule so type-specific fields stay consistent
+    const { errors } = validateRule({ ...existing, ...req.valid.body }, { webhookHosts });
+    const { value } = validateRule({ type: existing.type, ...req.valid.body }, { partial: true, webhookHosts });
+    if (Object.keys(errors).length > 0) throw unprocessable('Invalid alert rule', toFieldErrors(errors));
+
+    res.json(await alertService.updateRule(id, withLocation(req.valid.body, value)));
+  });
+
+  routes.delete('/rules/:id', {
+    operationId: 'deleteAlertRule',
+    summary: 'Delete an alert rule',
+    tags,
+    params: idParams,
+    responses: { 204: { description: 'Deleted' } },
+    errors: [404]
+  }, async (req, res) => {
+    const deleted = await alertService.deleteRule(req.valid.params.id);
+    if (!deleted) throw notFound('Alert rule not found');
+    res.status(204).end();
+  });
+
+  // === Alert history ===
+  routes.get('/events', {
+    operationId: 'listAlertEvents',
+    summary: 'List triggered alerts, newest first',
+    tags,
+    query: {
+      type: 'object',
+      properties: {
+        unread: { type: 'boolean', default: false, description: 'Only unread alerts' },
+        limit: { type: 'integer', minimum: 1, maximum: 500, default: 50 },
+        ...languageQuery
+      }
+    },
+    responses: {
+      200: {
+        description: 'Alert history',
+        schema: {
+          type: 'object',
+          properties: { unread: { type: 'integer' }, events: { type: 'array', items: schemas.AlertEvent } }
+        }
+      }
+    }
+  }, (req, res) => {
+    const { unread, limit } = req.valid.query;
+    // Events from before messages had keys only have the English message
+    const events = alertService.listEvents({ unreadOnly: unread, limit })
+      .map(event => (event.text ? { ...event, message: alertMessage(event.text, req.language) } : event));
+    res.json({ unread: alertService.unreadCount(), events });
+  });
+
+  routes.post('/events/read', {
+    operationId: 'markAlertEventsRead',
+    summary: 'Mark alerts read',
+    description: 'Marks the listed event IDs read, or every event when ids is omitted.',
+    tags,
+    body: {
+      type: 'object',
+      additionalProperties: false,
+      properties: { ids: { type: 'array', maxItems: 500, items: { type: 'string' } } }
+    },
+    responses: {
+      200: {
+        description: 'Events updated',
+        schema: { type: 'object', properties: { marked: { type: 'integer' }, unread: { type: 'integer' } } }
+      }
+    }
+  }, async (req, res) => {
+    const marked = await alertService.markRead(req.valid.body.ids);
+    res.json({ marked, unread: alertService.unreadCount() });
+  });
+
+  // Run the scheduler's evaluation immediately
+  routes.post('/evaluate', {
+    operationId: 'evaluateAlertRules',
+    summary: 'Evaluate every enabled rule now',
+    tags,
+    before: [requireAdmin],
+    security: [{ adminToken: [] }],
+    errors: [401],
+    responses: { 200: { description: 'Evaluation summary', schema: { type: 'object', additionalProperties: true } } }
+  }, async (req, res) => {
+    res.json(await alertService.evaluateAll());
+  });
+
+  return router;
+}
+
+module.exports = { createAlertsRouter };
@@ -0,0 +1,116 @@
+// routes/preferences.js - Dashboard settings synced between browsers
+//
+// There are no user accounts: a browser that turns on sync generates a random
+// profile ID and stores its settings under it; entering the same ID on another
+// device loads them there. Knowing the ID is all it takes to read or change
+// the profile, so IDs are long and random.
+
+const express = require('express');
+const { FORECAST_LIMITS, GRANULARITIES } = require('../lib/forecast');
+const { notFound } = require('../lib/errors');
+const { STANDARD_IDS } = require('../lib/schemas');
+const { LANGUAGES } = require('../lib/i18n');
+
+const UNITS = ['ugm3', 'ppb'];
+const THEMES = ['light', 'dark', 'system'];
+
+const settingsProperties = {
+  defaultLocation: { type: 'string', minLength: 1, maxLength: 200, description: 'Location loaded when the dashboard opens' },
+  standard: { type: 'string', enum: STANDARD_IDS },
+  units: { type: 'string', enum: UNITS, description: 'Gas concentrations in µg/m³, or ppb (CO in ppm)' },
+  forecastGranularity: { type: 'string', enum: GRANULARITIES },
+  forecastHours: { type: 'integer', minimum: 1, maximum: FORECAST_LIMITS.hourly.max },
+  forecastDays: { type: 'integer', minimum: 1, maximum: FORECAST_LIMITS.daily.max },
+  refreshMinutes: { type: 'integer', minimum: 0, maximum: 120, description: 'How often the dashboard reloads; 0 relies on live updates only' },
+  nearbyRadiusKm: { type: 'number', minimum: 1, maximum: 500 },
+  theme: { type: 'string', enum: THEMES },
+  language: { type: 'string', enum: LANGUAGES }
+};
+
+const settingsSchema = { type: 'object', additionalProperties: false, properties: settingsProperties };
+
+const profileSchema = {
+  type: 'object',
+  properties: {
+    profileId: { type: 'string' },
+    settings: settingsSchema,
+    updatedAt: { type: 'string', format: 'date-time' }
+  }
+};
+
+const profileParams = {
+  type: 'object',
+  properties: {
+    profileId: {
+      type: 'string',
+      pattern: '^[A-Za-z0-9_-]{16,64}$',
+      patternMessage: 'must be 16-64 letters, digits, - or _',
+      description: 'Sync code generated by the client'
+    }
+  }
+};
+
+function createPreferencesRouter({ store, api }) {
+  const router = express.Router();
+  const routes = api.scope(router, '/api/preferences');
+  const tags = ['Preferences'];
+
+  const toProfile = (profileId, profile) => ({ profileId, ...profile });
+
+  routes.get('/:profileId', {
+    operationId: 'getPreferences',
+    summary: 'Get the settings stored under a sync code',
+    tags,
+    params: profileParams,
+    responses: { 200: { description: 'Stored settings', schema: profileSchema } },
+    errors: [404]
+  }, (req, res) => {
+    const { profileId } = req.valid.params;
+    const profile = store.load().profiles[profileId];
+    if (!profile) throw notFound('No preferences stored for this sync code');
+    res.json(toProfile(profileId, profile));
+  });
+
+  routes.put('/:profileId', {
+    operationId: 'putPreferences',
+    summary: 'Store settings under a sync code, replacing any stored before',
+    tags,
+    params: profileParams,
+    body: {
+      type: 'object',
+      required: ['settings'],
+      additionalProperties: false,
+      properties: { settings: settingsSchema }
+    },
+    responses: { 200: { description: 'Stored settings', schema: profileSchema } }
+  }, async (req, res) => {
+    const { profileId } = req.valid.params;
+    const profile = { settings: req.valid.body.settings, updatedAt: new Date().toISOString() };
+    await store.update(data => {
+      data.profiles[profileId] = profile;
+    });
+    res.json(toProfile(profileId, profile));
+  });
+
+  routes.delete('/:profileId', {
+    operationId: 'deletePreferences',
+    summary: 'Forget the settings stored under a sync code',
+    tags,
+    params: profileParams,
+    responses: { 204: { description: 'Deleted' } },
+    errors: [404]
+  }, async (req, res) => {
+    const { profileId } = req.valid.params;
+    const deleted = await store.update(data => {
+      if (!data.profiles[profileId]) return false;
+      delete data.profiles[profileId];
+      return true;
+    });
+    if (!deleted) throw notFound('No preferences stored for this sync code');
+    res.status(204).end();
+  });
+
+  return router;
+}
+
+module.exports = { createPreferencesRouter };
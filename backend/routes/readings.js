@@ -0,0 +1,216 @@
+// routes/readings.js - Ground sensor ingestion and device registry
+
+const express = require('express');
+const { POLLUTANTS } = require('../lib/aqi');
+const { DEVICE_TYPES, VALID_RANGES } = require('../lib/sensors');
+const { ApiError, unprocessable, notFound } = require('../lib/errors');
+
+const MAX_BATCH = 500;
+
+// Range checks live in lib/sensors so a batch reports every bad reading at
+// once instead of failing on the first one
+const readingSchema = {
+  type: 'object',
+  required: ['timestamp'],
+  additionalProperties: false,
+  properties: {
+    timestamp: { type: 'string', format: 'date-time', description: 'When the sample was taken' },
+    ...Object.fromEntries(Object.keys(VALID_RANGES).map(field => [field, {
+      type: 'number',
+      description: field === 'humidity' ? 'Relative humidity, %'
+        : field === 'temperature' ? '°C'
+          : field === 'co' ? 'mg/m³' : 'µg/m³'
+    }]))
+  }
+};
+
+const calibrationSchema = {
+  type: 'object',
+  additionalProperties: false,
+  description: 'Applied to low-cost sensors: humidity correction of PM first, then linear coefficients',
+  properties: {
+    humidity: {
+      type: 'object',
+      nullable: true,
+      additionalProperties: false,
+      properties: {
+        kappa: { type: 'number', minimum: 0, maximum: 2, default: 0.4, description: 'Hygroscopic growth parameter' },
+        maxHumidity: { type: 'number', minimum: 50, maximum: 99, default: 95 }
+      }
+    },
+    linear: {
+      type: 'object',
+      additionalProperties: false,
+      properties: Object.fromEntries(POLLUTANTS.map(pollutant => [pollutant, {
+        type: 'object',
+        additionalProperties: false,
+        properties: { slope: { type: 'number', minimum: 0 }, intercept: { type: 'number' } }
+      }]))
+    }
+  }
+};
+
+const deviceProperties = {
+  name: { type: 'string', minLength: 1, maxLength: 100 },
+  type: { type: 'string', enum: DEVICE_TYPES, description: 'Only low-cost sensors are calibrated' },
+  lat: { type: 'number', minimum: -90, maximum: 90 },
+  lon: { type: 'number', minimum: -180, maximum: 180 },
+  calibration: calibrationSchema
+};
+
+const deviceSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    name: { type: 'string' },
+    type: { type: 'string', enum: DEVICE_TYPES },
+    lat: { type: 'number' },
+    lon: { type: 'number' },
+    calibration: { type: 'object', additionalProperties: true },
+    createdAt: { type: 'string', format: 'date-time' },
+    updatedAt: { type: 'string', format: 'date-time' },
+    latest: { type: 'object', nullable: true, additionalProperties: true }
+  }
+};
+
+const idParams = {
+  type: 'object',
+  properties: { id: { type: 'string', maxLength: 100, description: 'Device ID' } }
+};
+
+function createReadingsRouter({ sensorService, api, requireAdmin, onIngest = () => {} }) {
+  const router = express.Router();
+  const routes = api.scope(router, '/api');
+
+  api.securityScheme('deviceKey', { type: 'apiKey', in: 'header', name: 'X-Device-Key' });
+
+  function requireDevice(req, res, next) {
+    const device = sensorService.authenticate(req.get('X-Device-Key'));
+    if (!device) return next(new ApiError(401, 'UNAUTHORIZED', 'A valid X-Device-Key header is required'));
+    req.device = device;
+    next();
+  }
+
+  // === Ingestion ===
+  routes.post('/readings', {
+    operationId: 'ingestReadings',
+    summary: 'Submit one reading or a batch from a registered device',
+    description: `Send a single reading object or { "readings": [...] } with up to ${MAX_BATCH} entries. ` +
+      'Readings out of range, repeating an earlier timestamp, or stuck on one value are rejected individually; ' +
+      'the request fails with 422 only when none are accepted.',
+    tags: ['Readings'],
+    before: [requireDevice],
+    security: [{ deviceKey: [] }],
+    body: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        readings: { type: 'array', maxItems: MAX_BATCH, items: readingSchema },
+        ...readingSchema.properties
+      }
+    },
+    responses: {
+      201: {
+        description: 'At least one reading was stored',
+        schema: {
+          type: 'object',
+          properties: {
+            deviceId: { type: 'string' },
+            accepted: { type: 'integer' },
+            rejected: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  index: { type: 'integer' },
+                  errors: { type: 'array', items: { type: 'object', properties: { field: { type: 'string' }, message: { type: 'string' } } } }
+                }
+              }
+            },
+            readings: { type: 'array', items: { type: 'object', additionalProperties: true }, description: 'Stored, calibrated readings' }
+          }
+        }
+      }
+    },
+    errors: [401, 422]
+  }, async (req, res) => {
+    const { readings: batch, ...single } = req.valid.body;
+    if (batch && Object.keys(single).length > 0) {
+      throw unprocessable('Send either a single reading or a readings array, not both');
+    }
+    const readings = batch || [single];
+    if (readings.length === 0) throw unprocessable('No readings provided');
+    if (!batch && !single.timestamp) {
+      throw unprocessable('Invalid reading', [{ field: 'timestamp', message: 'is required' }]);
+    }
+
+    const { accepted, rejected } = await sensorService.ingest(req.device, readings);
+    if (accepted.length === 0) {
+      const fields = rejected.flatMap(({ index, errors }) =>
+        errors.map(({ field, message }) => ({ field: batch ? `readings[${index}].${field}` : field, message })));
+      throw unprocessable('No readings were accepted', fields);
+    }
+
+    onIngest(req.device, accepted);
+    res.status(201).json({ deviceId: req.device.id, accepted: accepted.length, rejected, readings: accepted });
+  });
+
+  // === Device registry (admin) ===
+  const adminSpec = { tags: ['Admin'], before: [requireAdmin], security: [{ adminToken: [] }], errors: [401] };
+
+  routes.get('/admin/devices', {
+    ...adminSpec,
+    operationId: 'listDevices',
+    summary: 'List registered sensor devices with their latest reading',
+    responses: { 200: { description: 'Devices', schema: { type: 'object', properties: { devices: { type: 'array', items: deviceSchema } } } } }
+  }, (req, res) => {
+    res.json({ devices: sensorService.listDevices() });
+  });
+
+  routes.post('/admin/devices', {
+    ...adminSpec,
+    operationId: 'registerDevice',
+    summary: 'Register a sensor device',
+    description: 'The response contains the device API key. It is only shown once; store it on the device.',
+    body: { type: 'object', required: ['name', 'lat', 'lon'], additionalProperties: false, properties: deviceProperties },
+    responses: {
+      201: {
+        description: 'Registered device and its API key',
+        schema: { type: 'object', properties: { device: deviceSchema, apiKey: { type: 'string' } } }
+      }
+    }
+  }, async (req, res) => {
+    res.status(201).json(await sensorService.registerDevice(req.valid.body));
+  });
+
+  routes.patch('/admin/devices/:id', {
+    ...adminSpec,
+    operationId: 'updateDevice',
+    summary: 'Update a device\'s name, type, position or calibration',
+    params: idParams,
+    body: { type: 'object', additionalProperties: false, properties: deviceProperties },
+    responses: { 200: { description: 'Updated device', schema: deviceSchema } },
+    errors: [401, 404]
+  }, async (req, res) => {
+    const device = await sensorService.updateDevice(req.valid.params.id, req.valid.body);
+    if (!device) throw notFound('Device not found');
+    res.json(device);
+  });
+
+  routes.delete('/admin/devices/:id', {
+    ...adminSpec,
+    operationId: 'deleteDevice',
+    summary: 'Remove a device; its key stops working immediately',
+    params: idParams,
+    responses: { 204: { description: 'Deleted' } },
+    errors: [401, 404]
+  }, async (req, res) => {
+    const deleted = await sensorService.deleteDevice(req.valid.params.id);
+    if (!deleted) throw notFound('Device not found');
+    res.status(204).end();
+  });
+
+  return router;
+}
+
+module.exports = { createReadingsRouter };
@@ -0,0 +1,95 @@
+// routes/watchlist.js - Saved locations shown side by side in the Compare view
+
+const express = require('express');
+const crypto = require('crypto');
+const { ApiError, badRequest, unprocessable, notFound } = require('../lib/errors');
+const { locationQuery } = require('../lib/schemas');
+
+const MAX_ENTRIES = 50;
+
+const idParams = {
+  type: 'object',
+  properties: { id: { type: 'string', maxLength: 100, description: 'Watchlist entry ID' } }
+};
+
+function createWatchlistRouter({ store, resolveLocation, api, schemas }) {
+  const router = express.Router();
+  const routes = api.scope(router, '/api/watchlist');
+  const tags = ['Watchlist'];
+
+  routes.get('/', {
+    operationId: 'listWatchlist',
+    summary: 'List saved locations in the order they were added',
+    tags,
+    responses: {
+      200: { description: 'Saved locations', schema: { type: 'object', properties: { locations: { type: 'array', items: schemas.WatchlistEntry } } } }
+    }
+  }, (req, res) => {
+    res.json({ locations: store.load().locations });
+  });
+
+  routes.post('/', {
+    operationId: 'addToWatchlist',
+    summary: 'Save a location',
+    tags,
+    body: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        ...locationQuery,
+        label: { type: 'string', minLength: 1, maxLength: 60, description: 'Short name shown instead of the place name' }
+      }
+    },
+    responses: { 201: { description: 'Saved location', schema: schemas.WatchlistEntry } },
+    errors: [404, 409, 422]
+  }, async (req, res) => {
+    const { label, ...query } = req.valid.body;
+    if (query.location === undefined && query.locationId === undefined && query.lat === undefined && query.lon === undefined) {
+      throw badRequest('A location is required', [{ field: 'location', message: 'one of location, locationId or lat/lon is required' }]);
+    }
+    const place = resolveLocation(query);
+
+    const entry = await store.update(data => {
+      if (data.locations.some(item => item.locationId === place.id)) return null;
+      if (data.locations.length >= MAX_ENTRIES) {
+        throw unprocessable(`The watchlist holds at most ${MAX_ENTRIES} locations`);
+      }
+      const item = {
+        id: crypto.randomUUID(),
+        locationId: place.id,
+        location: place.displayName,
+        label: label ?? null,
+        coordinates: { lat: place.lat, lon: place.lon },
+        addedAt: new Date().toISOString()
+      };
+      data.locations.push(item);
+      return item;
+    });
+    if (!entry) throw new ApiError(409, 'ALREADY_SAVED', `${place.displayName} is already on the watchlist`);
+
+    res.status(201).json(entry);
+  });
+
+  routes.delete('/:id', {
+    operationId: 'removeFromWatchlist',
+    summary: 'Remove a saved location',
+    tags,
+    params: idParams,
+    responses: { 204: { description: 'Removed' } },
+    errors: [404]
+  }, async (req, res) => {
+    const { id } = req.valid.params;
+    const removed = await store.update(data => {
+      const index = data.locations.findIndex(item => item.id === id);
+      if (index === -1) return false;
+      data.locations.splice(index, 1);
+      return true;
+    });
+    if (!removed) throw notFound('Saved location not found');
+    res.status(204).end();
+  });
+
+  return router;
+}
+
+module.exports = { createWatchlistRouter };
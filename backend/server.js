@@ -3,211 +3,1151 @@
 const express = require('express');
 const cors = require('cors');
 const axios = require('axios');
-const { spawn } = require('child_process');
 const path = require('path');
+const crypto = require('crypto');
+const { ProviderChain, loadProviderConfig } = require('./lib/providers');
+const { ResponseCache, buildCacheKey } = require('./lib/cache');
+const { resolveLocation, searchLocations, getLocationById, listLocationsInBBox, listLocationsNear } = require('./lib/locations');
+const { parseBBox } = require('./lib/geo');
+const { stationIndex } = require('./lib/stations');
+const { HistoryStore, withAQI, aggregateReadings, summarizeReadings, INTERVAL_MS } = require('./lib/historyStore');
+const { JsonFileStore } = require('./lib/jsonStore');
+const { AlertService } = require('./lib/alerts');
+const { createAlertsRouter } = require('./routes/alerts');
+const { SensorService } = require('./lib/sensors');
+const { createReadingsRouter } = require('./routes/readings');
+const { createPreferencesRouter } = require('./routes/preferences');
+const { createWatchlistRouter } = require('./routes/watchlist');
+const { createAccessRouter } = require('./routes/access');
+const { loadAccessConfig, corsOptions, ApiKeyService, identifyClient, rateLimit } = require('./lib/access');
+const { TokenBucketLimiter } = require('./lib/rateLimit');
+const { UsageTracker } = require('./lib/usage');
+const { LiveUpdateHub } = require('./lib/liveUpdates');
+const { computeAQI, listStandards, DEFAULT_STANDARD } = require('./lib/aqi');
+const { FORECAST_LIMITS, GRANULARITIES, HOUR_MS, forecastWindow, toDaily, isValidTimeZone } = require('./lib/forecast');
+const { EXPORT_FORMATS, observedRow, forecastRow, createSerializer, writeChunk, exportFilename } = require('./lib/export');
+const { PROFILES, ACTIVITIES, buildAdvice } = require('./lib/advice');
+const { aqiBadge } = require('./lib/badge');
+const { analyzeReadings, DEFAULT_OPTIONS: EPISODE_DEFAULTS } = require('./lib/episodes');
+const { ApiError, badRequest, unprocessable, notFound, toApiError, requestId, notFoundHandler, errorHandler } = require('./lib/errors');
+const { ApiRegistry } = require('./lib/openapi');
+const { logger, requestLogger } = require('./lib/logger');
+const { metrics, httpMetrics } = require('./lib/metrics');
+const { locationQuery, standardQuery, languageQuery, registerSchemas } = require('./lib/schemas');
+const { DEFAULT_LANGUAGE, language, localizeCategories } = require('./lib/i18n');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Seconds each endpoint's responses stay fresh in the server-side cache
+const CACHE_TTL = {
+  current: parseInt(process.env.CACHE_TTL_CURRENT) || 300,
+  forecast: parseInt(process.env.CACHE_TTL_FORECAST) || 1800,
+  nearby: parseInt(process.env.CACHE_TTL_NEARBY) || 600
+};
+
+const responseCache = new ResponseCache({
+  maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES) || 500
+});
+
+const historyStore = new HistoryStore({
+  rootDir: process.env.HISTORY_DIR || path.join(__dirname, 'data', 'history'),
+  retentionDays: parseInt(process.env.HISTORY_RETENTION_DAYS) || 90
+});
+const HISTORY_MAX_RANGE_DAYS = 366;
+
+const alertService = new AlertService({
+  store: new JsonFileStore(process.env.ALERTS_FILE || path.join(__dirname, 'data', 'alerts.json'), {
+    rules: [],
+    events: [],
+    state: {}
+  }),
+  historyStore,
+  getCurrent: async (locationId, standard) =>
+    (await currentReport(resolveLocation({ locationId }), standard)).entry.value,
+  // Hourly across the longest withinDays rules allow, so short peaks count
+  getForecast: async (locationId, standard) =>
+    (await forecastReport(resolveLocation({ locationId }), standard, { granularity: 'hourly', horizon: 7 * 24 })).entry.value,
+  webhookUrls: (process.env.ALERT_WEBHOOK_URLS || '').split(',').map(url => url.trim()).filter(Boolean),
+  // Hosts that rules may send their own webhooks to; none when unset
+  webhookHosts: (process.env.ALERT_WEBHOOK_HOSTS || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean),
+  intervalMs: (parseInt(process.env.ALERT_INTERVAL_SECONDS) || 300) * 1000
+});
+
+// Registered ground sensors; their recent readings are blended into /current
+const sensorService = new SensorService({
+  store: new JsonFileStore(process.env.DEVICES_FILE || path.join(__dirname, 'data', 'devices.json'), {
+    devices: [],
+    state: {}
+  }),
+  historyStore,
+  blendRadiusKm: parseFloat(process.env.SENSOR_BLEND_RADIUS_KM) || 10,
+  maxAgeMinutes: parseInt(process.env.SENSOR_MAX_AGE_MINUTES) || 60,
+  stuckCount: parseInt(process.env.SENSOR_STUCK_COUNT) || 6
+});
+
+// Dashboard settings synced between browsers under a client-chosen code
+const preferencesStore = new JsonFileStore(
+  process.env.PREFERENCES_FILE || path.join(__dirname, 'data', 'preferences.json'),
+  { profiles: {} }
+);
+
+// Saved locations for the Compare view
+const watchlistStore = new JsonFileStore(
+  process.env.WATCHLIST_FILE || path.join(__dirname, 'data', 'watchlist.json'),
+  { locations: [] }
+);
+
+// API keys, CORS origins and rate limits; see access.json
+const accessConfig = loadAccessConfig(process.env.ACCESS_CONFIG || path.join(__dirname, 'access.json'));
+const apiKeys = new ApiKeyService({
+  store: new JsonFileStore(process.env.API_KEYS_FILE || path.join(__dirname, 'data', 'apikeys.json'), { keys: [] })
+});
+const usage = new UsageTracker();
+const limiter = new TokenBucketLimiter();
+
+const liveUpdates = new LiveUpdateHub({
+  intervalMs: (parseInt(process.env.STREAM_INTERVAL_SECONDS) || 60) * 1000,
+  heartbeatMs: (parseInt(process.env.STREAM_HEARTBEAT_SECONDS) || 15) * 1000,
+  maxClients: parseInt(process.env.STREAM_MAX_CLIENTS) || 200
+});
+
+// Every route is declared through the registry so its schemas both validate
+// requests and appear in /api/openapi.json
+const api = new ApiRegistry({
+  title: 'AirSense360 API',
+  version: '1.0.0',
+  description: 'Air quality readings, forecasts and alerts computed from pollutant concentrations.'
+});
+const schemas = registerSchemas(api);
+api.securityScheme('adminToken', { type: 'apiKey', in: 'header', name: 'X-Admin-Token' });
+// Usage is counted first so rejected and rate-limited requests show up too
+api.use(usage.middleware(), identifyClient({ config: accessConfig, apiKeys }), rateLimit({ config: accessConfig, limiter }));
+const routes = api.scope(app);
+
 // Middleware
-app.use(cors());
+app.set('trust proxy', accessConfig.trustProxy);
+app.use(requestId);
+app.use(requestLogger());
+app.use(httpMetrics());
+app.use(cors(corsOptions(accessConfig, [
+  'X-Request-Id', 'X-Cache', 'ETag', 'Retry-After', 'Content-Disposition',
+  'RateLimit-Policy', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset'
+])));
 app.use(express.json());
+app.use(language());
 
 // === 1. GET Current AQI Data ===
-app.get('/api/aqi/current', async (req, res) => {
-  try {
-    const { location } = req.query;
-    if (!location) return res.status(400).json({ error: 'Location is required' });
-
-    console.log(`Fetching current AQI for: ${location}`);
-    const aqiData = await callPythonModel('predict_current', { location });
-
-    const response = {
-      location: location,
-      aqi: aqiData.aqi,
-      category: getAQICategory(aqiData.aqi),
-      pm25: aqiData.pm25,
-      pm10: aqiData.pm10,
-      no2: aqiData.no2,
-      so2: aqiData.so2,
-      co: aqiData.co,
-      lastUpdated: new Date().toISOString()
-    };
+routes.get('/api/aqi/current', {
+  operationId: 'getCurrentAQI',
+  summary: 'Current AQI and pollutant concentrations for a location',
+  tags: ['AQI'],
+  query: { type: 'object', properties: { ...locationQuery, ...standardQuery, ...languageQuery } },
+  responses: { 200: { description: 'Current reading', schema: schemas.CurrentReport } },
+  errors: [404, 503, 504]
+}, async (req, res) => {
+  const { standard } = req.valid.query;
+  const place = resolveLocation(req.valid.query);
+  sendCachedReport(res, await currentReport(place, standard));
+});
 
-    res.json(response);
-  } catch (error) {
-    console.error('Error fetching current AQI:', error.message);
-    res.status(500).json({ error: 'Failed to fetch air quality data', details: error.message });
-  }
+// === 1b. GET Current AQI Badge (SVG) ===
+// For wikis and READMEs: an image of the /current reading, cached the same way
+routes.get('/api/aqi/badge.svg', {
+  operationId: 'getAQIBadge',
+  summary: 'Current AQI as an SVG badge colored by category',
+  tags: ['AQI'],
+  query: {
+    type: 'object',
+    properties: {
+      ...locationQuery,
+      label: { type: 'string', minLength: 1, maxLength: 40, description: 'Left-hand text (default: the place name)' },
+      ...standardQuery,
+      ...languageQuery
+    }
+  },
+  responses: { 200: { description: 'Badge image', contentType: 'image/svg+xml', schema: { type: 'string' } } },
+  errors: [404, 503, 504]
+}, async (req, res) => {
+  const { standard, label } = req.valid.query;
+  const place = resolveLocation(req.valid.query);
+  const labelHash = label ? `-${crypto.createHash('sha1').update(label).digest('hex').slice(0, 8)}` : '';
+  sendCachedReport(res, await currentReport(place, standard), {
+    transform: report => aqiBadge(localizeCategories(report, req.language), label),
+    variant: `svg${labelHash}`,
+    contentType: 'image/svg+xml; charset=utf-8'
+  });
 });
 
 // === 2. GET Forecast Data ===
-app.get('/api/aqi/forecast', async (req, res) => {
-  try {
-    const { location, days = 3 } = req.query;
-    if (!location) return res.status(400).json({ error: 'Location is required' });
-
-    console.log(`Fetching forecast for: ${location}, days: ${days}`);
-    const forecastData = await callPythonModel('predict_forecast', {
-      location,
-      days: parseInt(days)
-    });
-
-    const response = {
-      location: location,
-      forecast: forecastData.map(item => ({
-        time: item.time,
-        aqi: item.aqi,
-        category: getAQICategory(item.aqi)
-      }))
-    };
+// Daily points cover calendar days in this time zone
+const FORECAST_TIME_ZONE = process.env.FORECAST_TIME_ZONE || 'Asia/Kolkata';
+if (!isValidTimeZone(FORECAST_TIME_ZONE)) throw new Error(`Invalid FORECAST_TIME_ZONE: ${FORECAST_TIME_ZONE}`);
 
-    res.json(response);
-  } catch (error) {
-    console.error('Error fetching forecast:', error.message);
-    res.status(500).json({ error: 'Failed to fetch forecast data', details: error.message });
+const forecastQuery = {
+  granularity: {
+    type: 'string',
+    enum: GRANULARITIES,
+    description: 'Point spacing; defaults to hourly when hours is given, otherwise daily'
+  },
+  hours: {
+    type: 'integer',
+    minimum: 1,
+    maximum: FORECAST_LIMITS.hourly.max,
+    description: `Hourly horizon (default ${FORECAST_LIMITS.hourly.default})`
+  },
+  days: {
+    type: 'integer',
+    minimum: 1,
+    maximum: FORECAST_LIMITS.daily.max,
+    description: `Daily horizon including today (default ${FORECAST_LIMITS.daily.default})`
+  }
+};
+
+// { granularity, horizon } from validated query values; the schema enforces the limits
+function resolveForecastQuery({ granularity, hours, days }) {
+  const resolved = granularity || (hours !== undefined ? 'hourly' : 'daily');
+  const { unit } = FORECAST_LIMITS[resolved];
+  const ignored = unit === 'hours' ? 'days' : 'hours';
+  const horizons = { hours, days };
+  if (horizons[ignored] !== undefined) {
+    throw badRequest(`${ignored} does not apply to granularity=${resolved}`, [{ field: ignored, message: `use ${unit} with granularity=${resolved}` }]);
   }
+  return { granularity: resolved, horizon: horizons[unit] ?? FORECAST_LIMITS[resolved].default };
+}
+
+routes.get('/api/aqi/forecast', {
+  operationId: 'getForecast',
+  summary: 'Hourly or daily AQI forecast with per-pollutant confidence bounds',
+  tags: ['AQI'],
+  query: { type: 'object', properties: { ...locationQuery, ...forecastQuery, ...standardQuery, ...languageQuery } },
+  responses: { 200: { description: 'Forecast', schema: schemas.ForecastReport } },
+  errors: [404, 503, 504]
+}, async (req, res) => {
+  const { standard } = req.valid.query;
+  const place = resolveLocation(req.valid.query);
+  sendCachedReport(res, await forecastReport(place, standard, resolveForecastQuery(req.valid.query)));
 });
 
 // === 3. GET Nearby Regions ===
-app.get('/api/aqi/nearby', async (req, res) => {
-  try {
-    const { location, radius = 50 } = req.query;
-    if (!location) return res.status(400).json({ error: 'Location is required' });
-
-    console.log(`Fetching nearby regions for: ${location}, radius: ${radius}`);
-    const nearbyData = await callPythonModel('predict_nearby', {
-      location,
-      radius: parseInt(radius)
-    });
-
-    const response = {
-      location: location,
-      nearbyRegions: nearbyData.map(item => ({
-        name: item.name,
-        aqi: item.aqi,
-        category: getAQICategory(item.aqi),
-        distance: item.distance
+// Stations from the registry within `radius` km, sorted by distance or AQI
+// (worst first). The cached report holds every station in the radius so that
+// sorting by AQI picks the worst stations, not the worst of the nearest few.
+const NEARBY_MAX_RADIUS_KM = 500;
+const NEARBY_MAX_LIMIT = 50;
+
+routes.get('/api/aqi/nearby', {
+  operationId: 'getNearbyStations',
+  summary: 'Monitoring stations around a location with their AQI',
+  tags: ['AQI'],
+  query: {
+    type: 'object',
+    properties: {
+      ...locationQuery,
+      radius: { type: 'number', minimum: 0.1, maximum: NEARBY_MAX_RADIUS_KM, default: 50, description: 'Search radius in km' },
+      limit: { type: 'integer', minimum: 1, maximum: NEARBY_MAX_LIMIT, default: 10 },
+      sort: { type: 'string', enum: ['distance', 'aqi'], default: 'distance', description: 'Nearest first, or worst AQI first' },
+      ...standardQuery,
+      ...languageQuery
+    }
+  },
+  responses: { 200: { description: 'Nearby stations', schema: schemas.NearbyReport } },
+  errors: [404, 503, 504]
+}, async (req, res) => {
+  const { radius, limit, sort, standard } = req.valid.query;
+  const place = resolveLocation(req.valid.query);
+
+  sendCachedReport(res, await nearbyReport(place, standard, radius), {
+    variant: `${sort}-${limit}`,
+    transform: report => ({
+      ...report,
+      sort,
+      nearbyRegions: [...report.nearbyRegions]
+        .sort((a, b) => (sort === 'aqi' ? b.aqi - a.aqi : 0) || a.distanceKm - b.distanceKm)
+        .slice(0, limit)
+    })
+  });
+});
+
+// === 3b. GET Live Updates (Server-Sent Events) ===
+// Pushes `current` and `forecast` events whenever the underlying report
+// changes. Browsers resend Last-Event-ID on reconnect; clients that reconnect
+// manually can pass ?lastEventId= instead.
+routes.get('/api/aqi/stream', {
+  operationId: 'streamAQI',
+  summary: 'Live current and forecast updates as Server-Sent Events',
+  description: 'Emits `current` and `forecast` events (JSON data matching /current and /forecast) when they change, '
+    + '`status` events when a refresh fails, and comment heartbeats.',
+  tags: ['AQI'],
+  query: {
+    type: 'object',
+    properties: {
+      ...locationQuery,
+      ...forecastQuery,
+      ...standardQuery,
+      ...languageQuery,
+      lastEventId: { type: 'string', maxLength: 100, description: 'Resume after this event (alternative to the Last-Event-ID header)' }
+    }
+  },
+  responses: { 200: { description: 'Event stream', contentType: 'text/event-stream', schema: { type: 'string' } } },
+  errors: [404, 503]
+}, (req, res) => {
+  const { standard, lastEventId } = req.valid.query;
+  const place = resolveLocation(req.valid.query);
+  const forecastOptions = resolveForecastQuery(req.valid.query);
+  // Events bypass res.json, so category names are localized here
+  const localized = ({ value, etag }) => ({ value: localizeCategories(value, req.language), etag });
+
+  liveUpdates.subscribe(req, res, {
+    key: buildCacheKey('stream', place.id, { standard, language: req.language, ...forecastOptions }),
+    lastEventId: req.get('Last-Event-ID') || lastEventId,
+    sources: {
+      current: async () => localized((await currentReport(place, standard)).entry),
+      forecast: async () => localized((await forecastReport(place, standard, forecastOptions)).entry)
+    }
+  });
+});
+
+// === Reports: cached model results shared by routes and background jobs ===
+// Each resolves to { entry, status } from the response cache.
+function currentReport(place, standard) {
+  const cacheKey = buildCacheKey('current', place.id, { standard });
+  return responseCache.wrap(cacheKey, CACHE_TTL.current * 1000, async () => {
+    logger.debug('Fetching current AQI', { location: place.displayName });
+    const { result: aqiData, provider, synthetic } = await providers.call('current', place);
+    const { concentrations, sources, groundReadings } = sensorService.blend(aqiData, place.lat, place.lon);
+    if (!synthetic) recordReading(place, concentrations, groundReadings.length > 0 ? 'blended' : 'model');
+
+    return {
+      ...describeLocation(place),
+      ...summarizeAQI(concentrations, standard),
+      pm25: concentrations.pm25,
+      pm10: concentrations.pm10,
+      no2: concentrations.no2,
+      so2: concentrations.so2,
+      co: concentrations.co,
+      o3: concentrations.o3,
+      provider,
+      synthetic,
+      source: groundReadings.length > 0 ? 'blended' : 'model',
+      sources,
+      groundReadings,
+      lastUpdated: new Date().toISOString()
+    };
+  });
+}
+
+function forecastReport(place, standard, { granularity, horizon }) {
+  const cacheKey = buildCacheKey('forecast', place.id, { standard, granularity, horizon });
+  return responseCache.wrap(cacheKey, CACHE_TTL.forecast * 1000, async () => {
+    logger.debug('Fetching forecast', { location: place.displayName, granularity, horizon });
+    const window = forecastWindow({ granularity, horizon, timeZone: FORECAST_TIME_ZONE });
+    const { result: hourly, provider, synthetic } = await providers.call('forecast', place, window);
+    const points = granularity === 'daily' ? toDaily(hourly, FORECAST_TIME_ZONE) : hourly;
+
+    return {
+      ...describeLocation(place),
+      standard,
+      provider,
+      synthetic,
+      granularity,
+      horizon,
+      timeZone: FORECAST_TIME_ZONE,
+      generatedAt: new Date().toISOString(),
+      forecast: points.map(({ time, values, lower, upper, ...point }) => ({
+        time: new Date(time).toISOString(),
+        ...point,
+        ...summarizeAQI(values, standard),
+        ...values,
+        lower: { aqi: computeAQI(lower, standard).aqi, ...lower },
+        upper: { aqi: computeAQI(upper, standard).aqi, ...upper }
       }))
     };
+  });
+}
 
-    res.json(response);
-  } catch (error) {
-    console.error('Error fetching nearby regions:', error.message);
-    res.status(500).json({ error: 'Failed to fetch nearby regions data', details: error.message });
+function nearbyReport(place, standard, radiusKm) {
+  const cacheKey = buildCacheKey('nearby', place.id, { standard, radius: radiusKm });
+  return responseCache.wrap(cacheKey, CACHE_TTL.nearby * 1000, async () => {
+    logger.debug('Fetching nearby regions', { location: place.displayName, radiusKm });
+    const stations = stationIndex.nearby(place.lat, place.lon, { radiusKm });
+    const { result: nearbyData, provider, synthetic = false } = stations.length === 0
+      ? { result: [], provider: null }
+      : await providers.call('nearby', stations);
+
+    return {
+      ...describeLocation(place),
+      standard,
+      provider,
+      synthetic,
+      radiusKm,
+      total: stations.length,
+      nearbyRegions: stations.map((station, index) => ({
+        id: station.id,
+        name: station.name,
+        city: station.city,
+        state: station.state,
+        coordinates: { lat: station.lat, lon: station.lon },
+        ...summarizeAQI(nearbyData[index], standard),
+        distanceKm: station.distanceKm,
+        bearing: station.bearing,
+        direction: station.direction
+      }))
+    };
+  });
+}
+
+// === Alert Rules and History ===
+app.use('/api/alerts', createAlertsRouter({ alertService, resolveLocation, api, schemas, requireAdmin }));
+
+// New ground readings change what /current reports, so drop cached reports
+app.use('/api', createReadingsRouter({
+  sensorService,
+  api,
+  requireAdmin,
+  onIngest: () => responseCache.purge('current:')
+}));
+
+// === Synced Dashboard Preferences ===
+app.use('/api/preferences', createPreferencesRouter({ store: preferencesStore, api }));
+
+// === Saved Locations ===
+app.use('/api/watchlist', createWatchlistRouter({ store: watchlistStore, resolveLocation, api, schemas }));
+
+// === Admin: API Keys and Usage ===
+app.use('/api/admin', createAccessRouter({ apiKeys, usage, api, requireAdmin }));
+
+// === 4. GET Location Autocomplete ===
+routes.get('/api/locations/search', {
+  operationId: 'searchLocations',
+  summary: 'Autocomplete place names from the offline gazetteer',
+  tags: ['Locations'],
+  query: {
+    type: 'object',
+    properties: {
+      q: { type: 'string', maxLength: 200, default: '', description: 'Partial place name' },
+      limit: { type: 'integer', minimum: 1, maximum: 25, default: 8 }
+    }
+  },
+  responses: {
+    200: {
+      description: 'Matching places, best first',
+      schema: { type: 'object', properties: { query: { type: 'string' }, results: { type: 'array', items: schemas.Place } } }
+    }
   }
+}, (req, res) => {
+  const { q, limit } = req.valid.query;
+  res.json({ query: q, results: searchLocations(q, { limit }) });
 });
 
-// === Helper: Call Python Model ===
-async function callPythonModel(action, params) {
-  return new Promise((resolve, reject) => {
-    // Try multiple Python executables
-    const pythonExecutables = ['python3', 'python', 'py'];
-    let currentExecutable = 0;
+// === 5. GET Reverse Geocode ===
+routes.get('/api/locations/reverse', {
+  operationId: 'reverseGeocode',
+  summary: 'Resolve coordinates to the nearest known place',
+  tags: ['Locations'],
+  query: {
+    type: 'object',
+    required: ['lat', 'lon'],
+    properties: { lat: locationQuery.lat, lon: locationQuery.lon }
+  },
+  responses: { 200: { description: 'Resolved location', schema: { type: 'object', additionalProperties: true } } }
+}, (req, res) => {
+  const place = resolveLocation(req.valid.query);
+  res.json({ ...describeLocation(place), nearestPlace: place.nearestPlace });
+});
+
+// === 6. GET Location by ID ===
+routes.get('/api/locations/:id', {
+  operationId: 'getLocation',
+  summary: 'Look up a gazetteer place by ID',
+  tags: ['Locations'],
+  params: { type: 'object', properties: { id: { type: 'string', maxLength: 100 } } },
+  responses: { 200: { description: 'Place', schema: schemas.Place } },
+  errors: [404]
+}, (req, res) => {
+  const place = getLocationById(req.valid.params.id);
+  if (!place) throw notFound(`Unknown location ID: ${req.valid.params.id}`, 'LOCATION_NOT_FOUND');
+  res.json(place);
+});
 
-    function tryPython() {
-      if (currentExecutable >= pythonExecutables.length) {
-        reject(new Error('No Python executable found. Please install Python.'));
-        return;
+function describeLocation(place) {
+  return {
+    location: place.displayName,
+    locationId: place.id,
+    coordinates: { lat: place.lat, lon: place.lon }
+  };
+}
+
+// === Data Providers ===
+// Reports ask the provider chain (lib/providers) rather than one source; the
+// priority, timeouts and fallback rules come from providers.json.
+const providerConfig = loadProviderConfig(process.env.PROVIDERS_CONFIG || path.join(__dirname, 'providers.json'));
+Object.assign(providerConfig.providers.python, {
+  poolSize: parseInt(process.env.MODEL_POOL_SIZE) || providerConfig.providers.python.poolSize,
+  timeoutMs: parseInt(process.env.MODEL_TIMEOUT_MS) || providerConfig.providers.python.timeoutMs,
+  maxQueue: parseInt(process.env.MODEL_MAX_QUEUE) || providerConfig.providers.python.maxQueue,
+  // MODEL_SEED makes predictions deterministic; MODEL_FIXTURES=record|replay
+  // saves model responses under MODEL_FIXTURES_DIR or answers from them offline
+  seed: process.env.MODEL_SEED || providerConfig.providers.python.seed,
+  fixtures: {
+    ...providerConfig.providers.python.fixtures,
+    ...(process.env.MODEL_FIXTURES ? { mode: process.env.MODEL_FIXTURES } : {}),
+    ...(process.env.MODEL_FIXTURES_DIR ? { dir: path.resolve(process.env.MODEL_FIXTURES_DIR) } : {})
+  }
+});
+const providers = new ProviderChain(providerConfig);
+
+// === Helper: Serve a Cached Report ===
+// Express answers If-None-Match with 304 on its own once the ETag header is set.
+// `transform` derives the response body from the cached value; `variant` must
+// then identify that derivation so each variant gets its own ETag. Bodies are
+// JSON unless a contentType is given. Localized responses get the language
+// added to the ETag as well.
+function sendCachedReport(res, { entry, status }, { transform, variant, contentType } = {}) {
+  const maxAge = Math.max(0, Math.floor((entry.expiresAt - Date.now()) / 1000));
+  const suffix = [variant, res.req.language !== DEFAULT_LANGUAGE && res.req.language].filter(Boolean).join('-');
+
+  res.set({
+    'ETag': suffix ? entry.etag.replace(/"$/, `-${suffix}"`) : entry.etag,
+    'Cache-Control': `public, max-age=${maxAge}`,
+    'X-Cache': status
+  });
+  const body = transform ? transform(entry.value) : entry.value;
+  if (contentType) res.type(contentType).send(body);
+  else res.json(body);
+}
+
+// === Helper: Summarize AQI from pollutant concentrations ===
+function summarizeAQI(concentrations, standard) {
+  const result = computeAQI(concentrations, standard);
+  return {
+    aqi: result.aqi,
+    standard: result.standard,
+    category: result.category.label,
+    categoryKey: result.category.key,
+    color: result.category.color,
+    textColor: result.category.textColor,
+    dominantPollutant: result.dominantPollutant,
+    subIndices: result.subIndices
+  };
+}
+
+// === 7. GET Supported AQI Standards ===
+routes.get('/api/aqi/standards', {
+  operationId: 'listStandards',
+  summary: 'Supported AQI standards and their categories',
+  tags: ['AQI'],
+  query: { type: 'object', properties: { ...languageQuery } },
+  responses: {
+    200: {
+      description: 'Standards',
+      schema: { type: 'object', properties: { default: { type: 'string' }, standards: { type: 'array', items: schemas.Standard } } }
+    }
+  }
+}, (req, res) => {
+  res.json({ default: DEFAULT_STANDARD, standards: listStandards(req.language) });
+});
+
+// === 8. GET Historical Readings ===
+// interval=raw returns stored readings; hourly/daily return min/max/mean
+// buckets, daily ones by calendar day in FORECAST_TIME_ZONE
+routes.get('/api/aqi/history', {
+  operationId: 'getHistory',
+  summary: 'Stored readings for a location, raw or aggregated',
+  tags: ['AQI'],
+  query: {
+    type: 'object',
+    properties: {
+      ...locationQuery,
+      from: { type: 'string', format: 'date-time', description: 'Start of range (default: 24 hours before `to`)' },
+      to: { type: 'string', format: 'date-time', description: 'End of range (default: now)' },
+      interval: { type: 'string', enum: ['raw', 'hourly', 'daily'], default: 'hourly' },
+      ...standardQuery,
+      ...languageQuery
+    }
+  },
+  responses: { 200: { description: 'History', schema: schemas.HistoryReport } },
+  errors: [404, 422]
+}, async (req, res) => {
+  const { from, to, interval, standard } = req.valid.query;
+  const range = parseTimeRange(from, to);
+  const place = resolveLocation(req.valid.query);
+
+  const stored = await historyStore.query({ locationId: place.id, from: range.from, to: range.to });
+  const readings = stored.map(entry => withAQI(entry, standard));
+
+  res.json({
+    ...describeLocation(place),
+    standard,
+    interval,
+    timeZone: FORECAST_TIME_ZONE,
+    from: range.from.toISOString(),
+    to: range.to.toISOString(),
+    count: readings.length,
+    summary: summarizeReadings(readings),
+    readings: interval === 'raw' ? readings : aggregateReadings(readings, interval, FORECAST_TIME_ZONE)
+  });
+});
+
+// === 8a. GET Pollution Episodes and Anomalies ===
+// Analyses stored readings (see lib/episodes). Disagreements compare with
+// the nearest gazetteer places and ground sensors that have stored readings.
+const EPISODE_DEFAULT_DAYS = 7;
+const EPISODE_MAX_NEIGHBORS = 8;
+
+routes.get('/api/aqi/episodes', {
+  operationId: 'getEpisodes',
+  summary: 'Pollution episodes, sudden jumps and disagreement with nearby locations',
+  tags: ['AQI'],
+  query: {
+    type: 'object',
+    properties: {
+      ...locationQuery,
+      from: { type: 'string', format: 'date-time', description: `Start of range (default: ${EPISODE_DEFAULT_DAYS} days before \`to\`)` },
+      to: { type: 'string', format: 'date-time', description: 'End of range (default: now)' },
+      threshold: { type: 'integer', minimum: 0, maximum: 500, default: EPISODE_DEFAULTS.thresholdAqi, description: 'Hours with AQI above this count towards an episode' },
+      radius: { type: 'number', minimum: 1, maximum: 100, default: 25, description: 'Radius in km for nearby locations' },
+      ...standardQuery,
+      ...languageQuery
+    }
+  },
+  responses: { 200: { description: 'Episodes, anomalies and disagreements', schema: schemas.EpisodeReport } },
+  errors: [404, 422]
+}, async (req, res) => {
+  const { from, to, threshold, radius, standard } = req.valid.query;
+  const end = to ? new Date(to) : new Date();
+  const range = parseTimeRange(from || new Date(end.getTime() - EPISODE_DEFAULT_DAYS * INTERVAL_MS.daily).toISOString(), end.toISOString());
+  const place = resolveLocation(req.valid.query);
+  const readingsOf = async (locationId) =>
+    (await historyStore.query({ locationId, from: range.from, to: range.to })).map(entry => withAQI(entry, standard));
+
+  const candidates = [
+    ...listLocationsNear(place.lat, place.lon, { radiusKm: radius, limit: EPISODE_MAX_NEIGHBORS + 1 })
+      .map(near => ({ id: near.id, name: near.displayName, distanceKm: near.distanceKm })),
+    ...sensorService.deviceIndex().nearby(place.lat, place.lon, { radiusKm: radius })
+      .map(device => ({ id: `device:${device.id}`, name: device.name, distanceKm: device.distanceKm }))
+  ]
+    .filter(candidate => candidate.id !== place.id)
+    .sort((a, b) => a.distanceKm - b.distanceKm)
+    .slice(0, EPISODE_MAX_NEIGHBORS);
+
+  const [readings, ...neighborReadings] = await Promise.all([place.id, ...candidates.map(c => c.id)].map(readingsOf));
+  const analysis = analyzeReadings(readings, {
+    standard,
+    thresholdAqi: threshold,
+    neighbors: candidates.map((candidate, index) => ({ ...candidate, readings: neighborReadings[index] }))
+  });
+
+  res.set('Cache-Control', 'public, max-age=60');
+  res.json({
+    ...describeLocation(place),
+    standard,
+    from: range.from.toISOString(),
+    to: range.to.toISOString(),
+    radiusKm: radius,
+    ...analysis
+  });
+});
+
+// === 8b. GET Export Readings and Forecasts ===
+// Streams stored readings for from..to and/or the hourly forecast from now as
+// a download (see lib/export). The forecast is fetched before the first byte
+// goes out so a provider failure is still a normal error response.
+routes.get('/api/aqi/export', {
+  operationId: 'exportAQI',
+  summary: 'Download readings and forecasts as CSV, JSON or NDJSON',
+  tags: ['AQI'],
+  query: {
+    type: 'object',
+    properties: {
+      ...locationQuery,
+      from: { type: 'string', format: 'date-time', description: 'Start of the history range (default: 24 hours before `to`)' },
+      to: { type: 'string', format: 'date-time', description: 'End of the history range (default: now)' },
+      format: { type: 'string', enum: Object.keys(EXPORT_FORMATS), default: 'csv' },
+      include: { type: 'string', enum: ['all', 'history', 'forecast'], default: 'all' },
+      forecastHours: { type: 'integer', minimum: 1, maximum: FORECAST_LIMITS.hourly.max, default: 24 },
+      ...standardQuery
+    }
+  },
+  responses: { 200: { description: 'Export file', contentType: 'text/csv', schema: { type: 'string' } } },
+  errors: [404, 422, 503, 504]
+}, async (req, res) => {
+  const { from, to, format, include, forecastHours, standard } = req.valid.query;
+  const range = parseTimeRange(from, to);
+  const place = resolveLocation(req.valid.query);
+  const withHistory = include !== 'forecast';
+  const forecast = include === 'history'
+    ? null
+    : (await forecastReport(place, standard, { granularity: 'hourly', horizon: forecastHours })).entry.value;
+
+  const period = withHistory ? range : { from: new Date(), to: new Date(Date.now() + forecastHours * HOUR_MS) };
+  const serializer = createSerializer(format, {
+    ...describeLocation(place),
+    standard,
+    from: withHistory ? range.from.toISOString() : null,
+    to: withHistory ? range.to.toISOString() : null,
+    forecastHours: forecast ? forecastHours : 0,
+    generatedAt: new Date().toISOString()
+  });
+
+  res.set({
+    'Content-Type': EXPORT_FORMATS[format].contentType,
+    'Content-Disposition': `attachment; filename="${exportFilename(place.id, period.from, period.to, format)}"`,
+    'Cache-Control': 'no-store'
+  });
+
+  try {
+    await writeChunk(res, serializer.header());
+    if (withHistory) {
+      for await (const entry of historyStore.stream({ locationId: place.id, from: range.from, to: range.to })) {
+        if (res.destroyed) return;
+        await writeChunk(res, serializer.row(observedRow(withAQI(entry, standard))));
       }
+    }
+    for (const point of forecast?.forecast || []) {
+      if (res.destroyed) return;
+      await writeChunk(res, serializer.row(forecastRow(point, forecast.provider)));
+    }
+    res.end(serializer.footer());
+  } catch (error) {
+    // The headers are out, so cut the download short rather than let it look complete
+    logger.error('Export failed', { error });
+    res.destroy(error);
+  }
+});
+
+// === 9. GET AQI Map Layer (GeoJSON) ===
+// bbox=minLon,minLat,maxLon,maxLat. Every gazetteer place inside the box
+// becomes a Point feature; readings come from the same cache as /current.
+const GEOJSON_MAX_FEATURES = 60;
+const NUMBER_PATTERN = '-?\\d+(\\.\\d+)?';
+
+routes.get('/api/aqi/geojson', {
+  operationId: 'getAQIGeoJSON',
+  summary: 'AQI at every known place inside a bounding box, as GeoJSON',
+  tags: ['AQI'],
+  query: {
+    type: 'object',
+    required: ['bbox'],
+    properties: {
+      bbox: {
+        type: 'string',
+        pattern: `^${NUMBER_PATTERN}(,${NUMBER_PATTERN}){3}$`,
+        patternMessage: 'must be minLon,minLat,maxLon,maxLat',
+        description: 'minLon,minLat,maxLon,maxLat'
+      },
+      limit: { type: 'integer', minimum: 1, maximum: GEOJSON_MAX_FEATURES, default: 40 },
+      ...standardQuery,
+      ...languageQuery
+    }
+  },
+  responses: { 200: { description: 'Feature collection', schema: schemas.FeatureCollection } },
+  errors: [422, 503, 504]
+}, async (req, res) => {
+  const { limit, standard } = req.valid.query;
+  const bbox = parseBBox(req.valid.query.bbox);
+  if (!bbox) {
+    throw unprocessable('bbox is empty or outside valid coordinates', [
+      { field: 'bbox', message: 'min values must be below max values, within ±90 lat and ±180 lon' }
+    ]);
+  }
+
+  const places = listLocationsInBBox(bbox, { limit });
+  const results = await Promise.allSettled(places.map(place => currentReport(place, standard)));
+
+  const failures = results.filter(result => result.status === 'rejected');
+  if (places.length > 0 && failures.length === places.length) throw failures[0].reason;
+
+  const features = results
+    .map((result, index) => result.status === 'fulfilled' && toFeature(places[index], result.value.entry.value))
+    .filter(Boolean);
+
+  res.set('Cache-Control', 'public, max-age=60');
+  res.json({
+    type: 'FeatureCollection',
+    bbox: [bbox.minLon, bbox.minLat, bbox.maxLon, bbox.maxLat],
+    standard,
+    generatedAt: new Date().toISOString(),
+    features
+  });
+});
+
+function toFeature(place, report) {
+  return {
+    type: 'Feature',
+    id: place.id,
+    geometry: { type: 'Point', coordinates: [place.lon, place.lat] },
+    properties: {
+      id: place.id,
+      name: place.displayName,
+      placeType: place.type,
+      aqi: report.aqi,
+      category: report.category,
+      categoryKey: report.categoryKey,
+      color: report.color,
+      textColor: report.textColor,
+      dominantPollutant: report.dominantPollutant,
+      pm25: report.pm25,
+      pm10: report.pm10,
+      no2: report.no2,
+      so2: report.so2,
+      co: report.co,
+      o3: report.o3,
+      lastUpdated: report.lastUpdated
+    }
+  };
+}
+
+// === 10. GET Health Advice and Activity Windows ===
+// Combines the current reading with the hourly forecast; both come from the
+// report cache, so advice is cheap to recompute per profile and activity.
+routes.get('/api/advice', {
+  operationId: 'getAdvice',
+  summary: 'Health guidance for a profile and the best times for an outdoor activity',
+  tags: ['Advice'],
+  query: {
+    type: 'object',
+    properties: {
+      ...locationQuery,
+      ...standardQuery,
+      ...languageQuery,
+      profile: { type: 'string', enum: Object.keys(PROFILES), default: 'general' },
+      activity: { type: 'string', enum: Object.keys(ACTIVITIES), default: 'walk' },
+      duration: { type: 'integer', minimum: 15, maximum: 240, default: 60, description: 'Activity length in minutes' },
+      hours: { type: 'integer', minimum: 24, maximum: FORECAST_LIMITS.hourly.max, default: 48, description: 'How far ahead to look for activity windows' }
+    }
+  },
+  responses: { 200: { description: 'Advice', schema: schemas.Advice } },
+  errors: [404, 503, 504]
+}, async (req, res) => {
+  const { standard, profile, activity, duration, hours } = req.valid.query;
+  const place = resolveLocation(req.valid.query);
+  const [current, forecast] = await Promise.all([
+    currentReport(place, standard),
+    forecastReport(place, standard, { granularity: 'hourly', horizon: hours })
+  ]);
+
+  res.json(buildAdvice({
+    current: current.entry.value,
+    forecast: forecast.entry.value,
+    profile,
+    activity,
+    durationMinutes: duration,
+    standard,
+    language: req.language
+  }));
+});
+
+// === 11. POST Batch Current Readings and Short Forecasts ===
+// One call for a whole watchlist. Each location succeeds or fails on its own
+// (failures carry the error a single request would have returned); a forecast
+// that can't be produced leaves `forecast` null rather than failing the
+// location. Readings come from the same report cache as the single endpoints.
+const BATCH_MAX_LOCATIONS = 25;
+
+routes.post('/api/aqi/batch', {
+  operationId: 'getBatchAQI',
+  summary: 'Current AQI and a short hourly forecast for many locations at once',
+  tags: ['AQI'],
+  body: {
+    type: 'object',
+    required: ['locations'],
+    additionalProperties: false,
+    properties: {
+      locations: {
+        type: 'array',
+        maxItems: BATCH_MAX_LOCATIONS,
+        items: { type: 'object', additionalProperties: false, properties: locationQuery }
+      },
+      ...standardQuery,
+      forecastHours: { type: 'integer', minimum: 0, maximum: FORECAST_LIMITS.hourly.max, default: 24, description: '0 skips the forecast' }
+    }
+  },
+  responses: { 200: { description: 'Per-location results in request order', schema: schemas.BatchReport } },
+  errors: [404, 503, 504]
+}, async (req, res) => {
+  const { locations, standard, forecastHours } = req.valid.body;
+
+  const results = await Promise.allSettled(locations.map(async (query) => {
+    const place = resolveLocation(query);
+    const [current, forecast] = await Promise.all([
+      currentReport(place, standard),
+      forecastHours > 0
+        ? forecastReport(place, standard, { granularity: 'hourly', horizon: forecastHours }).catch(() => null)
+        : null
+    ]);
+    return { current: current.entry.value, forecast: forecast && summarizeForecast(forecast.entry.value) };
+  }));
+
+  // Nothing to show: report it the way the single-location endpoints would
+  const failures = results.filter(result => result.status === 'rejected');
+  if (locations.length > 0 && failures.length === locations.length) throw failures[0].reason;
+
+  res.json({
+    standard,
+    forecastHours,
+    generatedAt: new Date().toISOString(),
+    results: results.map((result, index) => {
+      if (result.status === 'fulfilled') return { index, ...result.value };
+      const error = toApiError(result.reason);
+      return { index, error: { status: error.status, code: error.code, message: error.message } };
+    })
+  });
+});
+
+function summarizeForecast(report) {
+  const points = report.forecast.map(({ time, aqi, category, categoryKey, color }) => ({ time, aqi, category, categoryKey, color }));
+  return {
+    provider: report.provider,
+    peak: points.reduce((worst, point) => (!worst || point.aqi > worst.aqi ? point : worst), null),
+    points
+  };
+}
+
+// === Helper: Parse a from/to Query Range (defaults to the last 24 hours) ===
+// Both values have already passed date-time validation; throws 422 for
+// ranges that are backwards or too long.
+function parseTimeRange(from, to) {
+  const end = to ? new Date(to) : new Date();
+  const start = from ? new Date(from) : new Date(end.getTime() - INTERVAL_MS.daily);
 
-      const pythonExe = pythonExecutables[currentExecutable];
-      console.log(`Trying Python executable: ${pythonExe}`);
-
-      const pythonProcess = spawn(pythonExe, [
-        path.join(__dirname, 'ml_model.py'),
-        action,
-        JSON.stringify(params)
-      ]);
-
-      let dataString = '';
-      let errorString = '';
-
-      pythonProcess.stdout.on('data', (data) => {
-        dataString += data.toString();
-      });
-
-      pythonProcess.stderr.on('data', (data) => {
-        errorString += data.toString();
-      });
-
-      pythonProcess.on('error', (error) => {
-        console.error(`Python executable ${pythonExe} failed:`, error.message);
-        currentExecutable++;
-        tryPython();
-      });
-
-      pythonProcess.on('close', (code) => {
-        if (code === 0) {
-          try {
-            console.log(`Python output: ${dataString}`);
-            // Clean the output - remove warnings and extra whitespace
-            const cleanOutput = dataString.trim().split('\n').pop();
-            console.log(`Cleaned output: ${cleanOutput}`);
-            const result = JSON.parse(cleanOutput);
-            resolve(result);
-          } catch (parseError) {
-            console.error('JSON Parse Error:', parseError.message);
-            console.error('Raw output:', dataString);
-            reject(new Error(`Failed to parse Python output: ${dataString}`));
-          }
-        } else {
-          console.error(`Python process exited with code ${code}`);
-          console.error(`Error output: ${errorString}`);
-          currentExecutable++;
-          if (currentExecutable < pythonExecutables.length) {
-            tryPython();
-          } else {
-            reject(new Error(`Python process failed: ${errorString || 'Unknown error'}`));
-          }
-        }
-      });
-    }
-
-    tryPython();
-  });
-}
-
-// === Helper: Get AQI Category ===
-function getAQICategory(aqi) {
-  if (aqi <= 50) return 'Good';
-  if (aqi <= 100) return 'Moderate';
-  if (aqi <= 150) return 'Unhealthy for Sensitive Groups';
-  if (aqi <= 200) return 'Unhealthy';
-  if (aqi <= 300) return 'Very Unhealthy';
-  return 'Hazardous';
+  if (start > end) throw unprocessable('Invalid time range', [{ field: 'from', message: 'must be before to' }]);
+  if (end - start > HISTORY_MAX_RANGE_DAYS * INTERVAL_MS.daily) {
+    throw unprocessable('Invalid time range', [{ field: 'from', message: `range cannot exceed ${HISTORY_MAX_RANGE_DAYS} days` }]);
+  }
+  return { from: start, to: end };
+}
+
+// === Helper: Record a Reading in History ===
+// Fire-and-forget so a slow disk never delays the response
+function recordReading(place, concentrations, source = 'model') {
+  historyStore.record({
+    ...concentrations,
+    locationId: place.id,
+    location: place.displayName,
+    lat: place.lat,
+    lon: place.lon,
+    source
+  }).catch(error => logger.error('Failed to record reading', { error }));
+}
+
+// === Admin: Inspect and Purge the Response Cache ===
+// Requires the X-Admin-Token header to match ADMIN_TOKEN; admin routes stay
+// closed while no token is configured.
+function requireAdmin(req, res, next) {
+  const token = process.env.ADMIN_TOKEN;
+  if (!token) {
+    return next(new ApiError(401, 'UNAUTHORIZED', 'Admin routes are disabled until ADMIN_TOKEN is set'));
+  }
+  if (req.get('X-Admin-Token') !== token) {
+    return next(new ApiError(401, 'UNAUTHORIZED', 'Admin token required'));
+  }
+  next();
 }
 
+const adminSpec = { tags: ['Admin'], before: [requireAdmin], security: [{ adminToken: [] }], errors: [401] };
+
+routes.get('/api/admin/cache', {
+  ...adminSpec,
+  operationId: 'getCacheStats',
+  summary: 'Response cache statistics and entries',
+  responses: { 200: { description: 'Cache contents', schema: { type: 'object', additionalProperties: true } } }
+}, (req, res) => {
+  res.json({ ttlSeconds: CACHE_TTL, stats: responseCache.getStats(), entries: responseCache.list() });
+});
+
+routes.delete('/api/admin/cache', {
+  ...adminSpec,
+  operationId: 'purgeCache',
+  summary: 'Purge cached responses',
+  query: {
+    type: 'object',
+    properties: {
+      prefix: { type: 'string', maxLength: 200, default: '', description: 'Only purge keys with this prefix, e.g. "current"' }
+    }
+  },
+  responses: { 200: { description: 'Number of entries removed', schema: { type: 'object', properties: { removed: { type: 'integer' } } } } }
+}, (req, res) => {
+  const removed = responseCache.purge(req.valid.query.prefix);
+  logger.info('Purged cache entries', { removed, prefix: req.valid.query.prefix });
+  res.json({ removed });
+});
+
 // === Test Python Connection ===
-app.get('/api/test-python', async (req, res) => {
+routes.get('/api/test-python', {
+  operationId: 'testPython',
+  summary: 'Run one prediction to check the Python model is reachable',
+  tags: ['Health'],
+  responses: { 200: { description: 'Model reachable', schema: { type: 'object', additionalProperties: true } } },
+  errors: [503, 504]
+}, async (req, res) => {
+  const python = providers.get('python');
+  if (!python) throw new ApiError(503, 'PYTHON_UNAVAILABLE', 'The Python provider is disabled in providers.json');
+  const testData = await python.current(resolveLocation({ location: 'Gurugram' }));
+  res.json({
+    success: true,
+    message: 'Python connection successful',
+    data: testData
+  });
+});
+
+// === Health Check Endpoint ===
+routes.get('/api/health', {
+  operationId: 'getHealth',
+  summary: 'Service status with data provider and live update statistics',
+  description: 'status is DEGRADED when the highest-priority provider is unavailable or cooling down, DOWN when none is usable. '
+    + 'This reflects recorded failures only; /api/health/ready actually calls each provider.',
+  tags: ['Health'],
+  responses: { 200: { description: 'Service status', schema: { type: 'object', additionalProperties: true } } }
+}, (req, res) => {
+  const providerStatus = providers.getStatus();
+  const usable = providerStatus.filter(p => p.available && !p.coolingDown);
+  res.json({
+    status: usable.length === 0 ? 'DOWN' : usable[0] === providerStatus[0] ? 'OK' : 'DEGRADED',
+    timestamp: new Date().toISOString(),
+    providers: providerStatus,
+    liveUpdates: liveUpdates.getStats()
+  });
+});
+
+// === Readiness Check ===
+// Unlike /api/health, calls every provider (the Python model included) for
+// current conditions at a known place, and checks history can be written.
+const READINESS_LOCATION = 'Gurugram';
+
+const checkSchema = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', description: 'provider:<name> or storage:history' },
+    ok: { type: 'boolean' },
+    durationMs: { type: 'integer' },
+    note: { type: 'string' },
+    error: { type: 'object', properties: { code: { type: 'string' }, message: { type: 'string' } } }
+  }
+};
+const readinessSchema = {
+  type: 'object',
+  properties: {
+    status: { type: 'string', enum: ['READY', 'DEGRADED', 'NOT_READY'] },
+    timestamp: { type: 'string', format: 'date-time' },
+    checks: { type: 'array', items: checkSchema }
+  }
+};
+
+async function checkStorage() {
+  const started = Date.now();
   try {
-    console.log('Testing Python connection...');
-    const testData = await callPythonModel('predict_current', { location: 'Test Location' });
-    res.json({ 
-      success: true, 
-      message: 'Python connection successful',
-      data: testData 
-    });
+    await historyStore.checkWritable();
+    return { name: 'storage:history', ok: true, durationMs: Date.now() - started };
   } catch (error) {
-    console.error('Python test failed:', error.message);
-    res.status(500).json({ 
-      success: false, 
-      error: error.message,
-      suggestion: 'Please ensure Python is installed and numpy is available'
-    });
+    return { name: 'storage:history', ok: false, durationMs: Date.now() - started, error: { code: error.code || 'ERROR', message: error.message } };
   }
+}
+
+routes.get('/api/health/ready', {
+  operationId: 'getReadiness',
+  summary: 'Readiness with live checks of the model, each data provider and storage',
+  description: 'READY when every check passes, DEGRADED when some provider fails but another answers, '
+    + 'NOT_READY (with status 503) when no provider answers or history cannot be written.',
+  tags: ['Health'],
+  responses: {
+    200: { description: 'Ready or degraded', schema: readinessSchema },
+    503: { description: 'Not ready', schema: readinessSchema }
+  }
+}, async (req, res) => {
+  const [providerChecks, storage] = await Promise.all([
+    providers.check(resolveLocation({ location: READINESS_LOCATION })),
+    checkStorage()
+  ]);
+  const checks = [...providerChecks.map(check => ({ ...check, name: `provider:${check.name}` })), storage];
+  providerChecks.filter(check => !check.ok).forEach(check => logger.warn('Readiness check failed', check));
+
+  const status = !storage.ok || !providerChecks.some(check => check.ok) ? 'NOT_READY'
+    : checks.every(check => check.ok) ? 'READY' : 'DEGRADED';
+  res.status(status === 'NOT_READY' ? 503 : 200).json({ status, timestamp: new Date().toISOString(), checks });
 });
 
-// === Health Check Endpoint ===
-app.get('/api/health', (req, res) => {
-  res.json({ status: 'OK', timestamp: new Date().toISOString() });
+// === Prometheus Metrics ===
+// Request latency, model calls and failures are recorded as they happen;
+// cache, provider, model pool and live update figures are read at scrape time.
+const cacheLookups = metrics.counter('response_cache_lookups_total', 'Response cache lookups by result', ['result']);
+const cacheEntries = metrics.gauge('response_cache_entries', 'Entries in the response cache');
+const cacheHitRatio = metrics.gauge('response_cache_hit_ratio', 'Share of lookups answered from cache or an in-flight request');
+const providerCalls = metrics.counter('provider_calls_total', 'Data provider calls by outcome', ['provider', 'outcome']);
+const providerUp = metrics.gauge('provider_up', '1 when a provider is available and not cooling down', ['provider']);
+const modelWorkers = metrics.gauge('model_workers', 'Python model workers by state', ['state']);
+const modelQueue = metrics.gauge('model_queue_length', 'Model calls waiting for a free worker');
+const modelRestarts = metrics.counter('model_worker_restarts_total', 'Python model worker restarts');
+const liveClients = metrics.gauge('live_update_clients', 'Connected Server-Sent Events clients');
+const memoryBytes = metrics.gauge('process_resident_memory_bytes', 'Resident memory size in bytes');
+const uptimeSeconds = metrics.gauge('process_uptime_seconds', 'Seconds since the process started');
+
+metrics.collect(() => {
+  const cacheStats = responseCache.getStats();
+  ['hits', 'misses', 'coalesced'].forEach(result => cacheLookups.set({ result }, cacheStats[result]));
+  cacheEntries.set({}, cacheStats.entries);
+  cacheHitRatio.set({}, cacheStats.hitRate);
+
+  for (const status of providers.getStatus()) {
+    providerCalls.set({ provider: status.name, outcome: 'success' }, status.successes);
+    providerCalls.set({ provider: status.name, outcome: 'failure' }, status.failures);
+    providerUp.set({ provider: status.name }, status.available && !status.coolingDown ? 1 : 0);
+  }
+
+  const pool = providers.get('python')?.pool?.getStats();
+  if (pool) {
+    modelWorkers.set({ state: 'ready' }, pool.ready);
+    modelWorkers.set({ state: 'busy' }, pool.busy);
+    modelQueue.set({}, pool.queued);
+    modelRestarts.set({}, pool.restarts);
+  }
+
+  liveClients.set({}, liveUpdates.getStats().clients);
+  memoryBytes.set({}, process.memoryUsage().rss);
+  uptimeSeconds.set({}, Math.round(process.uptime()));
 });
 
-// === Start Server ===
-app.listen(PORT, () => {
-  console.log(`✅ Server running on http://localhost:${PORT}`);
-  console.log(`📊 Test Python: http://localhost:${PORT}/api/test-python`);
+app.get('/metrics', (req, res) => {
+  res.type('text/plain; version=0.0.4').send(metrics.render());
 });
 
-// Export (optional for tests)
-module.exports = app;
\ No newline at end of file
+// === OpenAPI Document ===
+// Generated from the route specs above, so SDKs always match what's validated
+app.get('/api/openapi.json', (req, res) => {
+  res.json(api.document({ servers: [{ url: `${req.protocol}://${req.get('host')}` }] }));
+});
+
+// === Errors ===
+app.use('/api', notFoundHandler);
+app.use(errorHandler);
+
+// === Start Server ===
+// Only when run directly. Tests can require('./server') and drive `app`
+// (e.g. with supertest) without a listener, alert scheduler or open port;
+// call close() afterwards to stop model workers and timers.
+function start(port = PORT) {
+  const server = app.listen(port, () => {
+    logger.info('Server running', { url: `http://localhost:${server.address().port}`, logLevel: logger.level });
+    alertService.start();
+  });
+  return server;
+}
+
+function close() {
+  alertService.stop();
+  liveUpdates.close();
+  providers.close();
+}
+
+// === Graceful Shutdown ===
+if (require.main === module) {
+  const server = start();
+  const shutdown = () => {
+    close();
+    server.close(() => process.exit(0));
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+module.exports = { app, start, close };
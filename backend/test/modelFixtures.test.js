@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ProviderChain } = require('../lib/providers');
+const { toApiError } = require('../lib/errors');
+
+const place = { id: 'delhi', displayName: 'Delhi', lat: 28.6139, lon: 77.209 };
+
+// Python replaying from an empty fixture directory, with mock behind it
+function replayChain() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fixtures-'));
+  return new ProviderChain({
+    priority: ['python', 'mock'],
+    fallback: { on: '*', maxFailures: 1, cooldownSeconds: 60 },
+    providers: {
+      python: { fixtures: { mode: 'replay', dir } },
+      mock: {}
+    },
+    baseDir: dir
+  });
+}
+
+test('a missing replay fixture fails the request instead of falling back', async () => {
+  const chain = replayChain();
+
+  // Repeated misses must not put python in cooldown and let mock answer
+  for (let attempt = 0; attempt < 3; attempt++) {
+    await assert.rejects(chain.call('current', place), { code: 'FIXTURE_MISSING' });
+  }
+  const [python, mock] = chain.getStatus();
+  assert.strictEqual(python.coolingDown, false);
+  assert.strictEqual(mock.successes, 0);
+});
+
+test('a missing replay fixture is reported as 503', async () => {
+  const error = await replayChain().call('forecast', place, { start: new Date().toISOString(), hours: 24 }).catch(e => e);
+  assert.strictEqual(toApiError(error).status, 503);
+  assert.strictEqual(toApiError(error).code, 'FIXTURE_MISSING');
+});
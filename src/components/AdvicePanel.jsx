@@ -0,0 +1,135 @@
+import React, { useState, useEffect } from 'react';
+import { HeartPulse, Clock } from 'lucide-react';
+import { toQueryString } from '../lib/api';
+import { useI18n } from '../lib/i18n';
+
+// Labels are profile.<id> and activity.<id> in the catalogs
+const PROFILES = ['general', 'asthma', 'elderly', 'children', 'pregnant', 'athlete'];
+
+const ACTIVITIES = ['walk', 'cycle', 'run', 'sports', 'play', 'gardening'];
+
+const DURATIONS = [30, 60, 90, 120];
+
+const PRIORITY_STYLES = {
+  important: 'border-red-200 bg-red-50 text-red-800',
+  advised: 'border-amber-200 bg-amber-50 text-amber-800',
+  info: 'border-gray-200 bg-gray-50 text-gray-700'
+};
+
+const selectClass = 'px-3 py-2 border border-gray-300 rounded-lg bg-white text-sm text-gray-700';
+
+// refreshKey changes whenever the current reading does, so advice follows live updates
+const AdvicePanel = ({ apiBaseUrl, locationId, standard, refreshKey }) => {
+  const { t, language, formatDateTime } = useI18n();
+  const [profile, setProfile] = useState('general');
+  const [activity, setActivity] = useState('walk');
+  const [duration, setDuration] = useState(60);
+  const [advice, setAdvice] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!locationId) return;
+    let cancelled = false;
+
+    const fetchAdvice = async () => {
+      try {
+        setError('');
+        const response = await fetch(
+          `${apiBaseUrl}/advice?${toQueryString({ locationId, standard, profile, activity, duration, hours: 48, lang: language })}`
+        );
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+        const data = await response.json();
+        if (!cancelled) setAdvice(data);
+      } catch (error) {
+        console.error('Error fetching advice:', error);
+        if (!cancelled) setError('advice.error');
+      }
+    };
+
+    fetchAdvice();
+    return () => {
+      cancelled = true;
+    };
+  }, [apiBaseUrl, locationId, standard, profile, activity, duration, language, refreshKey]);
+
+  const formatTime = (value) => formatDateTime(value, {
+    timeZone: advice?.timeZone,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6">
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 mb-4">
+        <h2 className="text-2xl font-bold text-gray-900 flex items-center">
+          <HeartPulse className="h-6 w-6 text-rose-600 mr-2" />
+          {t('advice.title')}
+        </h2>
+        <div className="flex flex-wrap gap-2">
+          <select value={profile} onChange={(e) => setProfile(e.target.value)} className={selectClass}>
+            {PROFILES.map(id => <option key={id} value={id}>{t(`profile.${id}`)}</option>)}
+          </select>
+          <select value={activity} onChange={(e) => setActivity(e.target.value)} className={selectClass}>
+            {ACTIVITIES.map(id => <option key={id} value={id}>{t(`activity.${id}`)}</option>)}
+          </select>
+          <select value={duration} onChange={(e) => setDuration(Number(e.target.value))} className={selectClass}>
+            {DURATIONS.map(d => (
+              <option key={d} value={d}>{d < 60 ? t('unit.minutes', { count: d }) : t('unit.hours', { count: d / 60 })}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {error && <p className="text-red-700 mb-4">{t(error)}</p>}
+
+      {advice && (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          <div>
+            <p className="font-medium text-gray-900 mb-3">{advice.headline}</p>
+            <ul className="space-y-2">
+              {advice.recommendations.map((rec, index) => (
+                <li key={index} className={`border rounded-lg px-3 py-2 text-sm ${PRIORITY_STYLES[rec.priority]}`}>
+                  {rec.text}
+                </li>
+              ))}
+            </ul>
+          </div>
+
+          <div>
+            <h3 className="font-semibold text-gray-900 mb-3 flex items-center">
+              <Clock className="h-4 w-4 text-gray-500 mr-2" />
+              {t('advice.bestTimes', { activity: t(`activity.${advice.activity.id}`), duration })}
+            </h3>
+            {advice.bestWindows.length === 0 ? (
+              <p className="text-sm text-gray-500">{t('advice.noWindow', { hours: advice.forecastHours })}</p>
+            ) : (
+              <div className="space-y-2">
+                {advice.bestWindows.map(window => (
+                  <div key={window.start} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+                    <div>
+                      <div className="text-sm font-medium text-gray-900">
+                        {formatTime(window.start)} – {formatTime(window.end)}
+                      </div>
+                      <div className="text-xs text-gray-500">
+                        {t(window.suitable ? 'advice.goodWindow' : 'advice.notIdeal')} · {t('advice.peakAqi', { aqi: window.peakAqi })}
+                      </div>
+                    </div>
+                    <span
+                      className="inline-flex items-center justify-center w-10 h-10 rounded-full text-white text-sm font-bold"
+                      style={{ backgroundColor: window.color }}
+                    >
+                      {window.averageAqi}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdvicePanel;
@@ -1,348 +1,746 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useMemo, useCallback } from 'react';
 import {
   Search, MapPin, Bell, TrendingUp, Wind, Eye, AlertTriangle,
-  Leaf, Navigation, Calendar, BarChart3, Settings
+  Leaf, BarChart3, Settings, ArrowUp, WifiOff, Languages
 } from 'lucide-react';
+import HistoryPanel from './HistoryPanel';
+import AlertsPanel from './AlertsPanel';
+import MapPanel from './MapPanel';
+import ForecastPanel from './ForecastPanel';
+import AdvicePanel from './AdvicePanel';
+import ComparePanel from './ComparePanel';
+import SettingsPanel from './SettingsPanel';
+import ExportMenu from './ExportMenu';
+import ReportView from './ReportView';
+import { toQueryString, dashboardUrls } from '../lib/api';
+import { useApiResource } from '../lib/fetcher';
+import { TABS, readUrlState, writeUrlState } from '../lib/urlState';
+import { subscribeToAQIStream } from '../lib/liveStream';
+import { useOnlineStatus, warmSavedLocations, staleLabel } from '../lib/offline';
+import { LANGUAGES, I18nContext, createI18n } from '../lib/i18n';
+import { POLLUTANT_LABELS, pollutantUnit, convertConcentration, describeSource } from '../lib/pollutants';
+import {
+  AQI_STANDARDS, loadSettings, saveSettings, forecastParams, fetchSyncedSettings, pushSyncedSettings, applyTheme
+} from '../lib/settings';
+
+// Text for a failed /aqi/current request; unknown places come with suggestions
+const currentErrorMessage = (error, isOnline, t) => {
+  if (!error.status && !isOnline) return t('error.offlineUnsaved');
+  if (error.status !== 404) return t('error.fetchCurrent');
+  const hints = (error.body?.error?.suggestions || []).map(s => s.displayName).join(', ');
+  return hints ? t('error.locationNotFoundHints', { hints }) : t('error.locationNotFound');
+};
+
+// Live indicator per stream status (see lib/liveStream)
+const LIVE_COLORS = { live: 'bg-green-500', degraded: 'bg-orange-400', connecting: 'bg-yellow-400', offline: 'bg-gray-400' };
+const LIVE_HINTS = { live: 'live.liveHint', degraded: 'live.degradedHint', connecting: 'live.retryHint', offline: 'live.retryHint' };
 
 const AirSense360 = () => {
-  const [location, setLocation] = useState('');
-  const [currentAQI, setCurrentAQI] = useState(null);
-  const [forecastData, setForecastData] = useState([]);
-  const [nearbyRegions, setNearbyRegions] = useState([]);
-  const [activeTab, setActiveTab] = useState('dashboard');
-  const [isLoading, setIsLoading] = useState(false);
+  const [settings, setSettings] = useState(loadSettings);
+  // Requests wait for synced settings so the first load uses them
+  const [settingsReady, setSettingsReady] = useState(() => !settings.syncId);
+  const [view, setView] = useState(readUrlState);
+  const [showSettings, setShowSettings] = useState(false);
+  const [showReport, setShowReport] = useState(false);
+  const [location, setLocation] = useState(() => {
+    const initial = readUrlState();
+    return initial.lat ? `${initial.lat}, ${initial.lon}` : initial.location || settings.defaultLocation;
+  });
+  const [suggestions, setSuggestions] = useState([]);
+  const [highlightedSuggestion, setHighlightedSuggestion] = useState(-1);
+  const [nearbySort, setNearbySort] = useState('distance');
+  const [isLocating, setIsLocating] = useState(false);
   const [notifications, setNotifications] = useState([]);
-  const [error, setError] = useState('');
+  const [unreadAlerts, setUnreadAlerts] = useState(0);
+  const [liveStatus, setLiveStatus] = useState('offline');
+  // Stored as a catalog key, so it follows language changes
+  const [locationError, setLocationError] = useState('');
+  const isOnline = useOnlineStatus();
 
-  const API_BASE_URL = 'http://localhost:5000/api';
+  const suggestionTimer = useRef(null);
+  const latestSuggestionQuery = useRef('');
 
-  const fetchCurrentAQI = async (searchLocation) => {
-    try {
-      setIsLoading(true);
-      setError('');
-      const response = await fetch(`${API_BASE_URL}/aqi/current?location=${encodeURIComponent(searchLocation)}`);
-      if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
-      const data = await response.json();
-      setCurrentAQI(data);
-    } catch (error) {
-      console.error('Error fetching current AQI:', error);
-      setError('Failed to fetch air quality data. Please try again.');
-    } finally {
-      setIsLoading(false);
+  const { apiBaseUrl, units, forecastGranularity, forecastHours, forecastDays, theme, language } = settings;
+  const i18n = useMemo(() => createI18n(language), [language]);
+  const { t, formatNumber, formatTime } = i18n;
+  // A standard in the URL applies to this view only; settings keep the default
+  const standard = view.standard || settings.standard;
+  const activeTab = view.tab;
+
+  // Location, tab and standard changes go through the URL so they can be
+  // shared and undone with the back button
+  const navigate = (changes) => {
+    const next = { ...view, ...changes };
+    setView(next);
+    writeUrlState(next);
+  };
+
+  useEffect(() => {
+    const handlePopState = () => {
+      const next = readUrlState();
+      setView(next);
+      setLocation(next.lat ? `${next.lat}, ${next.lon}` : next.location || settings.defaultLocation);
+    };
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, [settings.defaultLocation]);
+
+  // Persists locally, and on the server when sync is on
+  const updateSettings = (changes) => {
+    const next = { ...settings, ...changes };
+    setSettings(next);
+    saveSettings(next);
+    if (next.syncId) {
+      pushSyncedSettings(next).catch(error => console.error('Error syncing settings:', error));
     }
+    return next;
   };
 
-  const fetchForecast = async (searchLocation) => {
+  // === Data for the selected location ===
+  // One resource per panel, each with its own loading and error state; a
+  // newer location or setting cancels whatever was still loading.
+  const locationQuery = view.lat && view.lon
+    ? { lat: view.lat, lon: view.lon }
+    : { location: view.location || settings.defaultLocation };
+  const urls = settingsReady ? dashboardUrls(apiBaseUrl, locationQuery, { ...settings, standard, nearbySort }) : {};
+
+  const current = useApiResource(urls.current ?? null);
+  const forecast = useApiResource(urls.forecast ?? null);
+  const nearby = useApiResource(urls.nearby ?? null);
+
+  const currentAQI = current.data;
+  const nearbyRegions = nearby.data?.nearbyRegions || [];
+  const { mutate: setCurrentAQI, reload: reloadCurrent } = current;
+  const { mutate: setForecast, reload: reloadForecast } = forecast;
+  const { reload: reloadNearby } = nearby;
+
+  // Show the name the backend resolved, e.g. after a coordinates search
+  const resolvedName = currentAQI?.location;
+  useEffect(() => {
+    if (resolvedName) setLocation(resolvedName);
+  }, [resolvedName]);
+
+  // Latest settings for callbacks that outlive a render
+  const settingsRef = useRef(settings);
+  useEffect(() => {
+    settingsRef.current = settings;
+  });
+
+  const fetchNotifications = useCallback(async (prefs = settingsRef.current) => {
     try {
-      const response = await fetch(`${API_BASE_URL}/aqi/forecast?location=${encodeURIComponent(searchLocation)}&days=3`);
+      const response = await fetch(`${prefs.apiBaseUrl}/alerts/events?${toQueryString({ limit: 20, lang: prefs.language })}`);
       if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
       const data = await response.json();
-      setForecastData(data.forecast || []);
+      setNotifications(data.events || []);
+      setUnreadAlerts(data.unread || 0);
     } catch (error) {
-      console.error('Error fetching forecast:', error);
-      setError('Failed to fetch forecast data.');
+      console.error('Error fetching alerts:', error);
     }
+  }, []);
+
+  // Synced settings win over local ones, so pull them before the first load.
+  // Runs once, with the settings and URL the page was opened with.
+  useEffect(() => {
+    const start = async () => {
+      const stored = settingsRef.current;
+      let initial = stored;
+      if (stored.syncId) {
+        try {
+          const synced = await fetchSyncedSettings(stored.apiBaseUrl, stored.syncId);
+          if (synced) {
+            initial = { ...stored, ...synced };
+            setSettings(initial);
+            saveSettings(initial);
+            const opened = readUrlState();
+            if (!opened.location && !opened.lat) setLocation(initial.defaultLocation);
+          }
+        } catch (error) {
+          console.error('Error loading synced settings:', error);
+        }
+      }
+      setSettingsReady(true);
+      fetchNotifications(initial);
+      warmSavedLocations(initial);
+    };
+    start();
+  }, [fetchNotifications]);
+
+  useEffect(() => applyTheme(theme), [theme]);
+
+  useEffect(() => {
+    document.documentElement.lang = i18n.language;
+  }, [i18n.language]);
+
+  const reloadAll = () => {
+    reloadCurrent();
+    reloadForecast();
+    reloadNearby();
   };
 
-  const fetchNearbyRegions = async (searchLocation) => {
+  // Reload the dashboard and check for new alerts (evaluated on the server)
+  // every refreshMinutes. The ref lets the timer call the latest closures
+  // without restarting on every render.
+  const refreshRef = useRef(null);
+  useEffect(() => {
+    refreshRef.current = () => {
+      fetchNotifications();
+      reloadAll();
+    };
+  });
+  useEffect(() => {
+    if (!settings.refreshMinutes) return;
+    const timer = setInterval(() => refreshRef.current(), settings.refreshMinutes * 60000);
+    return () => clearInterval(timer);
+  }, [settings.refreshMinutes]);
+
+  // Back online: replace offline copies with fresh data right away
+  const wasOnline = useRef(isOnline);
+  useEffect(() => {
+    const cameBack = isOnline && !wasOnline.current;
+    wasOnline.current = isOnline;
+    if (!cameBack || !settingsReady) return;
+    refreshRef.current();
+    warmSavedLocations(settingsRef.current, { force: true });
+  }, [isOnline, settingsReady]);
+
+  // Live updates for the active location; the stream resolves the same
+  // location IDs as the REST endpoints
+  const liveLocationId = currentAQI?.locationId;
+  useEffect(() => {
+    if (!liveLocationId) return;
+    return subscribeToAQIStream(
+      `${apiBaseUrl}/aqi/stream?${toQueryString({
+        locationId: liveLocationId,
+        ...forecastParams({ forecastGranularity, forecastHours, forecastDays }),
+        standard,
+        lang: language
+      })}`,
+      {
+        onCurrent: setCurrentAQI,
+        onForecast: setForecast,
+        onStatus: setLiveStatus
+      }
+    );
+  }, [liveLocationId, apiBaseUrl, standard, language, forecastGranularity, forecastHours, forecastDays, setCurrentAQI, setForecast]);
+
+  // Searching for the place already shown reloads it instead
+  const showLocation = (changes) => {
+    setLocationError('');
+    const next = { lat: '', lon: '', location: '', ...changes };
+    if (next.location === view.location && next.lat === view.lat && next.lon === view.lon && !changes.tab) {
+      reloadAll();
+      return;
+    }
+    navigate(next);
+  };
+
+  const fetchSuggestions = async (query) => {
+    latestSuggestionQuery.current = query;
     try {
-      const response = await fetch(`${API_BASE_URL}/aqi/nearby?location=${encodeURIComponent(searchLocation)}&radius=50`);
+      const response = await fetch(`${apiBaseUrl}/locations/search?${toQueryString({ q: query, limit: 6 })}`);
       if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
       const data = await response.json();
-      setNearbyRegions(data.nearbyRegions || []);
+      // Ignore replies for queries the user has already typed past
+      if (latestSuggestionQuery.current !== query) return;
+      setSuggestions(data.results || []);
+      setHighlightedSuggestion(-1);
     } catch (error) {
-      console.error('Error fetching nearby regions:', error);
+      console.error('Error fetching location suggestions:', error);
     }
   };
 
-  useEffect(() => {
-    const defaultLocation = 'Gurugram, Haryana';
-    setLocation(defaultLocation);
-    loadAllData(defaultLocation);
-  }, []);
+  const handleLocationInput = (value) => {
+    setLocation(value);
+    clearTimeout(suggestionTimer.current);
+    if (value.trim().length < 2) {
+      latestSuggestionQuery.current = '';
+      setSuggestions([]);
+      return;
+    }
+    suggestionTimer.current = setTimeout(() => fetchSuggestions(value.trim()), 250);
+  };
 
-  const loadAllData = async (searchLocation) => {
-    await Promise.all([
-      fetchCurrentAQI(searchLocation),
-      fetchForecast(searchLocation),
-      fetchNearbyRegions(searchLocation)
-    ]);
+  const clearSuggestions = () => {
+    clearTimeout(suggestionTimer.current);
+    latestSuggestionQuery.current = '';
+    setSuggestions([]);
+    setHighlightedSuggestion(-1);
   };
 
-  const getAQIColor = (aqi) => {
-    if (aqi <= 50) return 'bg-green-500';
-    if (aqi <= 100) return 'bg-yellow-500';
-    if (aqi <= 150) return 'bg-orange-500';
-    if (aqi <= 200) return 'bg-red-500';
-    if (aqi <= 300) return 'bg-purple-500';
-    return 'bg-red-900';
+  const handleSuggestionSelect = (place) => {
+    clearSuggestions();
+    setLocation(place.displayName);
+    showLocation({ location: place.displayName });
   };
 
-  const getAQITextColor = (aqi) => {
-    if (aqi <= 50) return 'text-green-600';
-    if (aqi <= 100) return 'text-yellow-600';
-    if (aqi <= 150) return 'text-orange-600';
-    if (aqi <= 200) return 'text-red-600';
-    if (aqi <= 300) return 'text-purple-600';
-    return 'text-red-900';
+  const handleCompareSelect = (item) => {
+    setLocation(item.location);
+    showLocation({ location: item.location, tab: 'dashboard' });
   };
 
+  const handleSearchKeyDown = (e) => {
+    if (e.key === 'ArrowDown' && suggestions.length > 0) {
+      e.preventDefault();
+      setHighlightedSuggestion((highlightedSuggestion + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp' && suggestions.length > 0) {
+      e.preventDefault();
+      setHighlightedSuggestion(highlightedSuggestion <= 0 ? suggestions.length - 1 : highlightedSuggestion - 1);
+    } else if (e.key === 'Escape') {
+      clearSuggestions();
+    } else if (e.key === 'Enter') {
+      if (highlightedSuggestion >= 0 && suggestions[highlightedSuggestion]) {
+        handleSuggestionSelect(suggestions[highlightedSuggestion]);
+      } else {
+        handleSearch();
+      }
+    }
+  };
+
+  // Category colors come from the backend so they always match the selected standard
+  const aqiBadgeStyle = (item) => ({ backgroundColor: item.color });
+  const aqiTextStyle = (item) => ({ color: item.textColor });
+
   const handleSearch = () => {
     if (!location.trim()) return;
-    loadAllData(location);
+    clearSuggestions();
+    showLocation({ location: location.trim() });
+  };
+
+  const handleForecastGranularityChange = (granularity) => {
+    updateSettings({ forecastGranularity: granularity });
+  };
+
+  // Becomes the default and is also written to the URL, so a shared link
+  // shows the same numbers
+  const handleStandardChange = (newStandard) => {
+    updateSettings({ standard: newStandard });
+    navigate({ standard: newStandard });
+  };
+
+  // Alert messages come translated from the backend, so they are refetched
+  const handleLanguageChange = (newLanguage) => {
+    fetchNotifications(updateSettings({ language: newLanguage }));
+  };
+
+  // Resources pick up data-affecting changes on their own
+  const handleSettingsSave = (changes) => {
+    const next = updateSettings(changes);
+    setShowSettings(false);
+    if (next.apiBaseUrl !== settings.apiBaseUrl || next.language !== settings.language) fetchNotifications(next);
   };
 
   const handleLocationClick = () => {
-    if (navigator.geolocation) {
-      setIsLoading(true);
-      navigator.geolocation.getCurrentPosition(
-        async (position) => {
-          try {
-            const { latitude, longitude } = position.coords;
-            const locationName = `${latitude.toFixed(2)}, ${longitude.toFixed(2)}`;
-            setLocation(locationName);
-            loadAllData(locationName);
-          } catch (error) {
-            console.error('Error getting location:', error);
-            setError('Failed to get current location');
-            setIsLoading(false);
-          }
-        },
-        (error) => {
-          console.error('Geolocation error:', error);
-          setError('Location access denied');
-          setIsLoading(false);
-        }
-      );
-    } else {
-      setError('Geolocation not supported');
+    if (!navigator.geolocation) {
+      setLocationError('error.geolocationUnsupported');
+      return;
     }
+    setIsLocating(true);
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        const lat = position.coords.latitude.toFixed(4);
+        const lon = position.coords.longitude.toFixed(4);
+        // The backend reverse-geocodes these and sends back the nearest place name
+        setLocation(`${lat}, ${lon}`);
+        clearSuggestions();
+        setIsLocating(false);
+        showLocation({ lat, lon });
+      },
+      (error) => {
+        console.error('Geolocation error:', error);
+        setLocationError('error.locationDenied');
+        setIsLocating(false);
+      }
+    );
   };
 
+  const isLoading = current.isLoading || isLocating;
+  const error = locationError ? t(locationError) : current.error ? currentErrorMessage(current.error, isOnline, t) : '';
+  const currentStale = staleLabel(current.cachedAt, isOnline, i18n);
+  const nearbyStale = staleLabel(nearby.cachedAt, isOnline, i18n);
+
+  if (showReport && currentAQI) {
+    return (
+      <I18nContext.Provider value={i18n}>
+        <ReportView
+          apiBaseUrl={apiBaseUrl}
+          current={currentAQI}
+          forecast={forecast.data}
+          standard={standard}
+          units={units}
+          onClose={() => setShowReport(false)}
+        />
+      </I18nContext.Provider>
+    );
+  }
+
   return (
-    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100">
-      {/* Header */}
-      <header className="bg-white shadow-sm border-b">
-        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
-          <div className="flex justify-between items-center h-16">
-            <div className="flex items-center">
-              <Wind className="h-8 w-8 text-blue-600 mr-2" />
-              <h1 className="text-xl font-bold text-gray-900">AirSense360</h1>
-            </div>
+    <I18nContext.Provider value={i18n}>
+      <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100">
+        {/* Header */}
+        <header className="bg-white shadow-sm border-b">
+          <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+            <div className="flex justify-between items-center h-16">
+              <div className="flex items-center">
+                <Wind className="h-8 w-8 text-blue-600 mr-2" />
+                <h1 className="text-xl font-bold text-gray-900">AirSense360</h1>
+              </div>
             
-            <div className="flex items-center space-x-4">
-              <Bell className="h-6 w-6 text-gray-500 hover:text-blue-600 cursor-pointer" />
-              <Settings className="h-6 w-6 text-gray-500 hover:text-blue-600 cursor-pointer" />
+              <div className="flex items-center space-x-4">
+                {!isOnline && (
+                  <span className="flex items-center text-xs font-medium text-amber-700" title={t('header.offlineHint')}>
+                    <WifiOff className="h-4 w-4 mr-1" />
+                    {t('header.offline')}
+                  </span>
+                )}
+                {isOnline && liveLocationId && (
+                  <span
+                    className="flex items-center text-xs text-gray-500"
+                    title={t(LIVE_HINTS[liveStatus])}
+                  >
+                    <span className={`h-2 w-2 rounded-full mr-1 ${LIVE_COLORS[liveStatus]}`}
+                    />
+                    {t(`live.${liveStatus}`)}
+                  </span>
+                )}
+                <label className="flex items-center text-sm text-gray-500" title={t('language.label')}>
+                  <Languages className="h-5 w-5 mr-1" />
+                  <select
+                    value={i18n.language}
+                    onChange={(e) => handleLanguageChange(e.target.value)}
+                    aria-label={t('language.label')}
+                    className="bg-transparent text-gray-700 focus:outline-none"
+                  >
+                    {LANGUAGES.map(l => <option key={l.id} value={l.id}>{l.label}</option>)}
+                  </select>
+                </label>
+                <button
+                  onClick={() => navigate({ tab: 'alerts' })}
+                  className="relative"
+                  title={unreadAlerts > 0 ? t('header.unreadAlerts', { count: unreadAlerts }) : t('tab.alerts')}
+                >
+                  <Bell className="h-6 w-6 text-gray-500 hover:text-blue-600" />
+                  {unreadAlerts > 0 && (
+                    <span className="absolute -top-1 -right-1 min-w-4 h-4 px-1 rounded-full bg-red-600 text-white text-xs leading-4 text-center">
+                      {unreadAlerts > 9 ? '9+' : unreadAlerts}
+                    </span>
+                  )}
+                </button>
+                <button onClick={() => setShowSettings(true)} title={t('common.settings')}>
+                  <Settings className="h-6 w-6 text-gray-500 hover:text-blue-600" />
+                </button>
+              </div>
+            </div>
+          </div>
+        </header>
+
+        {/* Navigation */}
+        <nav className="bg-white border-b">
+          <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+            <div className="flex space-x-8">
+              {TABS.map((tab) => (
+                <button
+                  key={tab}
+                  onClick={() => navigate({ tab })}
+                  className={`py-4 px-1 border-b-2 font-medium text-sm ${
+                    activeTab === tab
+                      ? 'border-blue-500 text-blue-600'
+                      : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                  }`}
+                >
+                  {t(`tab.${tab}`)}
+                </button>
+              ))}
             </div>
           </div>
-        </div>
-      </header>
-
-      {/* Navigation */}
-      <nav className="bg-white border-b">
-        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
-          <div className="flex space-x-8">
-            {['dashboard', 'forecast', 'map', 'alerts'].map((tab) => (
+        </nav>
+
+        {/* Main Content */}
+        <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+          {/* Search Bar */}
+          <div className="mb-8">
+            <div className="flex flex-col sm:flex-row gap-4">
+              <div className="flex-1 relative">
+                <Search className="absolute left-3 top-3 h-5 w-5 text-gray-400" />
+                <input
+                  type="text"
+                  placeholder={t('search.placeholder')}
+                  value={location}
+                  onChange={(e) => handleLocationInput(e.target.value)}
+                  onKeyDown={handleSearchKeyDown}
+                  onBlur={clearSuggestions}
+                  autoComplete="off"
+                  className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+                {suggestions.length > 0 && (
+                  <ul className="absolute z-10 mt-1 w-full bg-white border border-gray-200 rounded-lg shadow-lg overflow-hidden">
+                    {suggestions.map((place, index) => (
+                      <li
+                        key={place.id}
+                        // mousedown fires before the input's blur clears the list
+                        onMouseDown={(e) => {
+                          e.preventDefault();
+                          handleSuggestionSelect(place);
+                        }}
+                        onMouseEnter={() => setHighlightedSuggestion(index)}
+                        className={`px-4 py-2 cursor-pointer flex items-center justify-between ${
+                          index === highlightedSuggestion ? 'bg-blue-50' : ''
+                        }`}
+                      >
+                        <span className="text-gray-900">{place.name}</span>
+                        <span className="text-xs text-gray-500">{place.state}</span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+              <select
+                value={standard}
+                onChange={(e) => handleStandardChange(e.target.value)}
+                className="px-4 py-2 border border-gray-300 rounded-lg bg-white text-gray-700 focus:ring-2 focus:ring-blue-500"
+              >
+                {AQI_STANDARDS.map(s => <option key={s.id} value={s.id}>{s.label}</option>)}
+              </select>
               <button
-                key={tab}
-                onClick={() => setActiveTab(tab)}
-                className={`py-4 px-1 border-b-2 font-medium text-sm capitalize ${
-                  activeTab === tab
-                    ? 'border-blue-500 text-blue-600'
-                    : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
-                }`}
+                onClick={handleSearch}
+                disabled={isLoading}
+                className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
               >
-                {tab}
+                {isLoading ? t('common.loading') : t('search.button')}
+              </button>
+              <button
+                onClick={handleLocationClick}
+                className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 flex items-center"
+              >
+                <MapPin className="h-4 w-4 mr-2" />
+                {t('search.currentLocation')}
               </button>
-            ))}
-          </div>
-        </div>
-      </nav>
-
-      {/* Main Content */}
-      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
-        {/* Search Bar */}
-        <div className="mb-8">
-          <div className="flex flex-col sm:flex-row gap-4">
-            <div className="flex-1 relative">
-              <Search className="absolute left-3 top-3 h-5 w-5 text-gray-400" />
-              <input
-                type="text"
-                placeholder="Search location..."
-                value={location}
-                onChange={(e) => setLocation(e.target.value)}
-                onKeyPress={(e) => e.key === 'Enter' && handleSearch()}
-                className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-              />
             </div>
-            <button
-              onClick={handleSearch}
-              disabled={isLoading}
-              className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
-            >
-              {isLoading ? 'Loading...' : 'Search'}
-            </button>
-            <button
-              onClick={handleLocationClick}
-              className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 flex items-center"
-            >
-              <MapPin className="h-4 w-4 mr-2" />
-              Current Location
-            </button>
           </div>
-        </div>
-
-        {/* Error Message */}
-        {error && (
-          <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg">
-            <div className="flex items-center">
-              <AlertTriangle className="h-5 w-5 text-red-600 mr-2" />
-              <p className="text-red-800">{error}</p>
+
+          {/* Error Message */}
+          {error && (
+            <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg">
+              <div className="flex items-center">
+                <AlertTriangle className="h-5 w-5 text-red-600 mr-2" />
+                <p className="text-red-800">{error}</p>
+              </div>
             </div>
-          </div>
-        )}
+          )}
 
-        {/* Dashboard Tab */}
-        {activeTab === 'dashboard' && (
-          <div className="space-y-6">
-            {/* Current AQI Card */}
-            {currentAQI && (
-              <div className="bg-white rounded-xl shadow-lg p-6">
-                <div className="flex items-center justify-between mb-4">
-                  <h2 className="text-2xl font-bold text-gray-900">Current Air Quality</h2>
-                  <span className="text-sm text-gray-500">
-                    {currentAQI.location}
-                  </span>
-                </div>
-                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-                  <div className="text-center">
-                    <div className={`inline-flex items-center justify-center w-32 h-32 rounded-full ${getAQIColor(currentAQI.aqi)} text-white mb-4`}>
-                      <span className="text-3xl font-bold">{currentAQI.aqi}</span>
-                    </div>
-                    <h3 className={`text-xl font-semibold ${getAQITextColor(currentAQI.aqi)}`}>
-                      {currentAQI.category}
-                    </h3>
-                    <p className="text-sm text-gray-600 mt-1">
-                      Last updated: {new Date(currentAQI.lastUpdated).toLocaleTimeString()}
-                    </p>
-                  </div>
-                  <div className="grid grid-cols-2 gap-4">
-                    <div className="bg-gray-50 rounded-lg p-4">
-                      <div className="text-sm text-gray-600">PM2.5</div>
-                      <div className="text-2xl font-bold text-gray-900">{currentAQI.pm25}</div>
-                      <div className="text-xs text-gray-500">µg/m³</div>
-                    </div>
-                    <div className="bg-gray-50 rounded-lg p-4">
-                      <div className="text-sm text-gray-600">PM10</div>
-                      <div className="text-2xl font-bold text-gray-900">{currentAQI.pm10}</div>
-                      <div className="text-xs text-gray-500">µg/m³</div>
-                    </div>
-                    <div className="bg-gray-50 rounded-lg p-4">
-                      <div className="text-sm text-gray-600">NO2</div>
-                      <div className="text-2xl font-bold text-gray-900">{currentAQI.no2}</div>
-                      <div className="text-xs text-gray-500">µg/m³</div>
-                    </div>
-                    <div className="bg-gray-50 rounded-lg p-4">
-                      <div className="text-sm text-gray-600">CO</div>
-                      <div className="text-2xl font-bold text-gray-900">{currentAQI.co}</div>
-                      <div className="text-xs text-gray-500">mg/m³</div>
+          {/* Dashboard Tab */}
+          {activeTab === 'dashboard' && (
+            <div className="space-y-6">
+              {/* Current AQI Card */}
+              {!currentAQI && current.isLoading && (
+                <div className="bg-white rounded-xl shadow-lg p-6 text-center text-gray-500">{t('current.loading')}</div>
+              )}
+              {currentAQI && (
+                <div className={`bg-white rounded-xl shadow-lg p-6 transition-opacity ${current.isLoading ? 'opacity-60' : ''}`}>
+                  <div className="flex items-center justify-between mb-4">
+                    <h2 className="text-2xl font-bold text-gray-900">{t('current.title')}</h2>
+                    <div className="flex items-center gap-4">
+                      <span className="text-sm text-gray-500">
+                        {currentAQI.location}
+                        {currentAQI.coordinates && (
+                          <span className="ml-2 text-xs text-gray-400">
+                            ({formatNumber(currentAQI.coordinates.lat)}, {formatNumber(currentAQI.coordinates.lon)})
+                          </span>
+                        )}
+                      </span>
+                      <ExportMenu
+                        apiBaseUrl={apiBaseUrl}
+                        params={{ locationId: currentAQI.locationId, standard, include: 'all', forecastHours }}
+                        onReport={() => setShowReport(true)}
+                      />
                     </div>
                   </div>
-                </div>
-              </div>
-            )}
-
-            {/* Nearby Regions */}
-            {nearbyRegions.length > 0 && (
-              <div className="bg-white rounded-xl shadow-lg p-6">
-                <h2 className="text-2xl font-bold text-gray-900 mb-4">Nearby Regions</h2>
-                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
-                  {nearbyRegions.map((region, index) => (
-                    <div key={index} className="bg-gray-50 rounded-lg p-4">
-                      <div className="flex items-center justify-between mb-2">
-                        <h3 className="font-semibold text-gray-900">{region.name}</h3>
-                        <span className="text-xs text-gray-500">{region.distance}</span>
+                  {currentStale && <p className="mb-4 px-3 py-2 rounded-lg bg-amber-50 text-sm text-amber-800">{currentStale}</p>}
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                    <div className="text-center">
+                      <div
+                        className="inline-flex items-center justify-center w-32 h-32 rounded-full text-white mb-4"
+                        style={aqiBadgeStyle(currentAQI)}
+                      >
+                        <span className="text-3xl font-bold">{currentAQI.aqi}</span>
                       </div>
-                      <div className={`inline-flex items-center justify-center w-12 h-12 rounded-full ${getAQIColor(region.aqi)} text-white mb-2`}>
-                        <span className="text-sm font-bold">{region.aqi}</span>
-                      </div>
-                      <p className={`text-sm ${getAQITextColor(region.aqi)}`}>
-                        {region.category}
+                      <h3 className="text-xl font-semibold" style={aqiTextStyle(currentAQI)}>
+                        {currentAQI.category}
+                      </h3>
+                      {currentAQI.dominantPollutant && (
+                        <p className="text-sm text-gray-600 mt-1">
+                          {t('current.dominant')}{' '}
+                          <span className="font-medium" title={t(`pollutant.${currentAQI.dominantPollutant}`)}>
+                            {POLLUTANT_LABELS[currentAQI.dominantPollutant]}
+                          </span>
+                        </p>
+                      )}
+                      <p className="text-sm text-gray-600 mt-1">
+                        {t('current.lastUpdated', { time: formatTime(currentAQI.lastUpdated, { second: '2-digit' }) })}
+                        {currentAQI.provider && <span className="text-gray-400"> · {t('current.via', { provider: currentAQI.provider })}</span>}
                       </p>
+                      {currentAQI.groundReadings?.length > 0 && (
+                        <p className="text-xs text-gray-500 mt-1">
+                          {t('current.blended', {
+                            count: currentAQI.groundReadings.length,
+                            km: formatNumber(Math.max(...currentAQI.groundReadings.map(g => g.distanceKm)))
+                          })}
+                        </p>
+                      )}
+                    </div>
+                    <div className="grid grid-cols-2 gap-4">
+                      {['pm25', 'pm10', 'no2', 'co', 'so2', 'o3'].map(pollutant => (
+                        <div key={pollutant} className="bg-gray-50 rounded-lg p-4">
+                          <div className="text-sm text-gray-600">
+                            {POLLUTANT_LABELS[pollutant]}
+                            <span className="ml-1 text-xs text-gray-400">{t(`pollutant.${pollutant}`)}</span>
+                          </div>
+                          <div className="text-2xl font-bold text-gray-900">{formatNumber(convertConcentration(pollutant, currentAQI[pollutant], units))}</div>
+                          <div className="text-xs text-gray-500">{pollutantUnit(pollutant, units)}</div>
+                          {currentAQI.sources?.[pollutant] && (
+                            <div className="text-xs text-gray-400 mt-1">{describeSource(currentAQI.sources[pollutant], t)}</div>
+                          )}
+                        </div>
+                      ))}
                     </div>
-                  ))}
+                  </div>
                 </div>
-              </div>
-            )}
-          </div>
-        )}
+              )}
 
-        {/* Forecast Tab */}
-        {activeTab === 'forecast' && (
-          <div className="bg-white rounded-xl shadow-lg p-6">
-            <h2 className="text-2xl font-bold text-gray-900 mb-6">Air Quality Forecast</h2>
-            {forecastData.length > 0 ? (
-              <div className="space-y-4">
-                {forecastData.map((item, index) => (
-                  <div key={index} className="flex items-center justify-between p-4 bg-gray-50 rounded-lg">
-                    <div className="flex items-center">
-                      <Calendar className="h-5 w-5 text-gray-500 mr-3" />
-                      <span className="font-medium text-gray-900">{item.time}</span>
+              {/* Health Advice */}
+              {currentAQI && (
+                <AdvicePanel
+                  apiBaseUrl={apiBaseUrl}
+                  locationId={currentAQI.locationId}
+                  standard={standard}
+                  refreshKey={currentAQI.lastUpdated}
+                />
+              )}
+
+              {/* Nearby Regions */}
+              {(nearbyRegions.length > 0 || nearby.error) && (
+                <div className={`bg-white rounded-xl shadow-lg p-6 transition-opacity ${nearby.isLoading ? 'opacity-60' : ''}`}>
+                  <div className="flex items-center justify-between mb-4">
+                    <h2 className="text-2xl font-bold text-gray-900">{t('nearby.title')}</h2>
+                    <div className="flex items-center text-sm">
+                      <span className="text-gray-500 mr-2">{t('nearby.sortBy')}</span>
+                      {[['distance', t('nearby.sortDistance')], ['aqi', t('nearby.sortAqi')]].map(([value, label]) => (
+                        <button
+                          key={value}
+                          onClick={() => setNearbySort(value)}
+                          className={`px-3 py-1 rounded-lg ml-1 ${
+                            nearbySort === value ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                          }`}
+                        >
+                          {label}
+                        </button>
+                      ))}
                     </div>
-                    <div className="flex items-center">
-                      <div className={`inline-flex items-center justify-center w-12 h-12 rounded-full ${getAQIColor(item.aqi)} text-white mr-4`}>
-                        <span className="text-sm font-bold">{item.aqi}</span>
+                  </div>
+                  {nearby.error && <p className="text-red-700 mb-4">{t('error.fetchNearby')}</p>}
+                  {nearbyStale && <p className="mb-4 px-3 py-2 rounded-lg bg-amber-50 text-sm text-amber-800">{nearbyStale}</p>}
+                  <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+                    {nearbyRegions.map(region => (
+                      <div key={region.id} className="bg-gray-50 rounded-lg p-4">
+                        <div className="flex items-start justify-between mb-2">
+                          <h3 className="font-semibold text-gray-900">{region.name}</h3>
+                          <span className="flex items-center text-xs text-gray-500 whitespace-nowrap ml-2" title={t('nearby.bearing', { bearing: region.bearing })}>
+                            <ArrowUp className="h-3 w-3 mr-1" style={{ transform: `rotate(${region.bearing}deg)` }} />
+                            {t('unit.km', { count: formatNumber(region.distanceKm) })} {region.direction}
+                          </span>
+                        </div>
+                        <div
+                          className="inline-flex items-center justify-center w-12 h-12 rounded-full text-white mb-2"
+                          style={aqiBadgeStyle(region)}
+                        >
+                          <span className="text-sm font-bold">{region.aqi}</span>
+                        </div>
+                        <p className="text-sm" style={aqiTextStyle(region)}>
+                          {region.category}
+                        </p>
                       </div>
-                      <span className={`text-sm ${getAQITextColor(item.aqi)}`}>
-                        {item.category}
-                      </span>
-                    </div>
+                    ))}
                   </div>
-                ))}
-              </div>
-            ) : (
-              <p className="text-gray-500 text-center py-8">No forecast data available</p>
-            )}
-          </div>
-        )}
-
-        {/* Map Tab */}
-        {activeTab === 'map' && (
-          <div className="bg-white rounded-xl shadow-lg p-6">
-            <h2 className="text-2xl font-bold text-gray-900 mb-6">Air Quality Map</h2>
-            <div className="h-96 bg-gray-100 rounded-lg flex items-center justify-center">
-              <div className="text-center">
-                <Navigation className="h-12 w-12 text-gray-400 mx-auto mb-4" />
-                <p className="text-gray-600">Interactive map coming soon...</p>
-              </div>
-            </div>
-          </div>
-        )}
-
-        {/* Alerts Tab */}
-        {activeTab === 'alerts' && (
-          <div className="bg-white rounded-xl shadow-lg p-6">
-            <h2 className="text-2xl font-bold text-gray-900 mb-6">Air Quality Alerts</h2>
-            <div className="space-y-4">
-              <div className="flex items-center p-4 bg-yellow-50 border border-yellow-200 rounded-lg">
-                <AlertTriangle className="h-5 w-5 text-yellow-600 mr-3" />
-                <div>
-                  <p className="font-medium text-yellow-800">Moderate Air Quality</p>
-                  <p className="text-sm text-yellow-700">Sensitive individuals should limit outdoor activities</p>
                 </div>
-              </div>
-              <div className="flex items-center p-4 bg-blue-50 border border-blue-200 rounded-lg">
-                <Bell className="h-5 w-5 text-blue-600 mr-3" />
-                <div>
-                  <p className="font-medium text-blue-800">Weather Alert</p>
-                  <p className="text-sm text-blue-700">Wind conditions may affect air quality readings</p>
-                </div>
-              </div>
+              )}
             </div>
-          </div>
+          )}
+
+          {/* Forecast Tab */}
+          {activeTab === 'forecast' && (
+            <ForecastPanel
+              forecast={forecast.data}
+              isLoading={forecast.isLoading}
+              // An unknown location is already reported above
+              error={forecast.error && forecast.error.status !== 404 ? t('error.fetchForecast') : ''}
+              staleNotice={staleLabel(forecast.cachedAt, isOnline, i18n)}
+              granularity={forecastGranularity}
+              units={units}
+              onGranularityChange={handleForecastGranularityChange}
+              actions={currentAQI && (
+                <ExportMenu
+                  apiBaseUrl={apiBaseUrl}
+                  params={{ locationId: currentAQI.locationId, standard, include: 'forecast', forecastHours }}
+                />
+              )}
+            />
+          )}
+
+          {/* History Tab */}
+          {activeTab === 'history' && (
+            <HistoryPanel
+              apiBaseUrl={apiBaseUrl}
+              locationId={currentAQI?.locationId}
+              standard={standard}
+              units={units}
+            />
+          )}
+
+          {/* Map Tab */}
+          {activeTab === 'map' && (
+            <MapPanel
+              apiBaseUrl={apiBaseUrl}
+              center={currentAQI?.coordinates}
+              locationId={currentAQI?.locationId}
+              standard={standard}
+              units={units}
+            />
+          )}
+
+          {/* Compare Tab */}
+          {activeTab === 'compare' && (
+            <ComparePanel
+              apiBaseUrl={apiBaseUrl}
+              standard={standard}
+              units={units}
+              current={currentAQI}
+              refreshKey={currentAQI?.lastUpdated}
+              onSelect={handleCompareSelect}
+            />
+          )}
+
+          {/* Alerts Tab */}
+          {activeTab === 'alerts' && (
+            <AlertsPanel
+              apiBaseUrl={apiBaseUrl}
+              locationId={currentAQI?.locationId}
+              locationName={currentAQI?.location}
+              standard={standard}
+              events={notifications}
+              onEventsChanged={fetchNotifications}
+            />
+          )}
+        </main>
+
+        {showSettings && (
+          <SettingsPanel
+            settings={settings}
+            currentLocation={currentAQI?.location}
+            onSave={handleSettingsSave}
+            onClose={() => setShowSettings(false)}
+          />
         )}
-      </main>
-    </div>
+      </div>
+    </I18nContext.Provider>
   );
 };
 
@@ -0,0 +1,315 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { AlertTriangle, Bell, Plus, Trash2 } from 'lucide-react';
+import { POLLUTANT_LABELS } from '../lib/pollutants';
+import { toQueryString } from '../lib/api';
+import { useI18n } from '../lib/i18n';
+
+const METRICS = ['aqi', 'pm25', 'pm10', 'no2', 'so2', 'co', 'o3'];
+const metricLabel = (metric) => (metric === 'aqi' ? 'AQI' : POLLUTANT_LABELS[metric]);
+
+const EMPTY_FORM = {
+  type: 'threshold',
+  metric: 'aqi',
+  operator: 'above',
+  threshold: 150,
+  changePercent: 50,
+  windowMinutes: 60,
+  category: '',
+  withinDays: 1,
+  webhook: ''
+};
+
+// categories come from /aqi/standards, to name a forecast rule's category key
+const describeRule = (rule, categories, t) => {
+  if (rule.type === 'threshold') {
+    return t('alerts.rule.threshold', { metric: metricLabel(rule.metric), operator: rule.operator, threshold: rule.threshold });
+  }
+  if (rule.type === 'change') {
+    return t('alerts.rule.change', { metric: metricLabel(rule.metric), percent: rule.changePercent, minutes: rule.windowMinutes });
+  }
+  const category = categories.find(c => c.key === rule.category)?.label || rule.category;
+  return t('alerts.rule.forecast', { category, days: rule.withinDays });
+};
+
+const AlertsPanel = ({ apiBaseUrl, locationId, locationName, standard, events, onEventsChanged }) => {
+  const { t, language, formatDateTime } = useI18n();
+  const [rules, setRules] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [formError, setFormError] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const loadRules = useCallback(async () => {
+    try {
+      const response = await fetch(`${apiBaseUrl}/alerts/rules`);
+      if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+      const data = await response.json();
+      setRules(data.rules || []);
+    } catch (error) {
+      console.error('Error fetching alert rules:', error);
+    }
+  }, [apiBaseUrl]);
+
+  useEffect(() => {
+    loadRules();
+  }, [loadRules]);
+
+  // Category choices for forecast rules follow the selected AQI standard
+  useEffect(() => {
+    const loadCategories = async () => {
+      try {
+        const response = await fetch(`${apiBaseUrl}/aqi/standards?${toQueryString({ lang: language })}`);
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+        const data = await response.json();
+        const selected = data.standards.find(s => s.id === standard) || data.standards[0];
+        setCategories(selected.categories);
+        setForm(f => ({ ...f, category: f.category || selected.categories[2]?.key || '' }));
+      } catch (error) {
+        console.error('Error fetching AQI standards:', error);
+      }
+    };
+    loadCategories();
+  }, [apiBaseUrl, standard, language]);
+
+  const updateForm = (field, value) => setForm(f => ({ ...f, [field]: value }));
+
+  const buildRule = () => {
+    const rule = { type: form.type, locationId, standard };
+    if (form.type === 'threshold') {
+      Object.assign(rule, { metric: form.metric, operator: form.operator, threshold: Number(form.threshold) });
+    } else if (form.type === 'change') {
+      Object.assign(rule, { metric: form.metric, changePercent: Number(form.changePercent), windowMinutes: Number(form.windowMinutes) });
+    } else {
+      Object.assign(rule, { category: form.category, withinDays: Number(form.withinDays) });
+    }
+    if (form.webhook.trim()) rule.webhooks = [form.webhook.trim()];
+    return rule;
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!locationId) return;
+    try {
+      setIsSaving(true);
+      setFormError('');
+      const response = await fetch(`${apiBaseUrl}/alerts/rules`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(buildRule())
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        const fieldErrors = (data.error?.fields || []).map(({ field, message }) => `${field} ${message}`).join('; ');
+        setFormError(fieldErrors || data.error?.message || t('alerts.createFailed'));
+        return;
+      }
+      setForm(f => ({ ...EMPTY_FORM, category: f.category }));
+      loadRules();
+    } catch (error) {
+      console.error('Error creating alert rule:', error);
+      setFormError(t('alerts.createFailed'));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleToggle = async (rule) => {
+    try {
+      await fetch(`${apiBaseUrl}/alerts/rules/${rule.id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ enabled: !rule.enabled })
+      });
+      loadRules();
+    } catch (error) {
+      console.error('Error updating alert rule:', error);
+    }
+  };
+
+  const handleDelete = async (rule) => {
+    try {
+      await fetch(`${apiBaseUrl}/alerts/rules/${rule.id}`, { method: 'DELETE' });
+      loadRules();
+    } catch (error) {
+      console.error('Error deleting alert rule:', error);
+    }
+  };
+
+  // Viewing the tab marks everything read. The ref keeps a new
+  // onEventsChanged from the parent from marking them read again.
+  const onEventsChangedRef = useRef(onEventsChanged);
+  useEffect(() => {
+    onEventsChangedRef.current = onEventsChanged;
+  });
+  useEffect(() => {
+    if (!events.some(event => !event.read)) return;
+    const markRead = async () => {
+      try {
+        await fetch(`${apiBaseUrl}/alerts/events/read`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({})
+        });
+        onEventsChangedRef.current();
+      } catch (error) {
+        console.error('Error marking alerts read:', error);
+      }
+    };
+    markRead();
+  }, [events, apiBaseUrl]);
+
+  const inputClass = 'px-3 py-2 border border-gray-300 rounded-lg bg-white text-sm text-gray-700';
+
+  return (
+    <div className="space-y-6">
+      {/* Alert History */}
+      <div className="bg-white rounded-xl shadow-lg p-6">
+        <h2 className="text-2xl font-bold text-gray-900 mb-6">{t('alerts.title')}</h2>
+        {events.length === 0 ? (
+          <div className="text-center py-8">
+            <Bell className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+            <p className="text-gray-600">{t('alerts.empty')}</p>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {events.map(event => (
+              <div
+                key={event.id}
+                className="flex items-start p-4 bg-gray-50 border border-gray-200 rounded-lg border-l-4"
+                style={{ borderLeftColor: event.color || '#f97316' }}
+              >
+                <AlertTriangle className="h-5 w-5 text-gray-600 mr-3 mt-0.5" />
+                <div className="flex-1">
+                  <p className={`text-gray-900 ${event.read ? '' : 'font-semibold'}`}>{event.message}</p>
+                  <p className="text-sm text-gray-500">
+                    {formatDateTime(event.triggeredAt)}
+                    {event.deliveries.length > 0 && (
+                      <span className="ml-2">
+                        · {t('alerts.webhooks', { ok: event.deliveries.filter(d => d.ok).length, total: event.deliveries.length })}
+                      </span>
+                    )}
+                  </p>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Alert Rules */}
+      <div className="bg-white rounded-xl shadow-lg p-6">
+        <h2 className="text-2xl font-bold text-gray-900 mb-4">{t('alerts.rules')}</h2>
+
+        <form onSubmit={handleCreate} className="flex flex-wrap items-end gap-2 mb-6">
+          <select value={form.type} onChange={(e) => updateForm('type', e.target.value)} className={inputClass}>
+            {['threshold', 'change', 'forecast'].map(type => <option key={type} value={type}>{t(`alerts.type.${type}`)}</option>)}
+          </select>
+
+          {form.type !== 'forecast' && (
+            <select value={form.metric} onChange={(e) => updateForm('metric', e.target.value)} className={inputClass}>
+              {METRICS.map(m => <option key={m} value={m}>{metricLabel(m)}</option>)}
+            </select>
+          )}
+
+          {form.type === 'threshold' && (
+            <>
+              <select value={form.operator} onChange={(e) => updateForm('operator', e.target.value)} className={inputClass}>
+                <option value="above">{t('alerts.operator.above')}</option>
+                <option value="below">{t('alerts.operator.below')}</option>
+              </select>
+              <input
+                type="number"
+                value={form.threshold}
+                onChange={(e) => updateForm('threshold', e.target.value)}
+                className={`${inputClass} w-24`}
+              />
+            </>
+          )}
+
+          {form.type === 'change' && (
+            <>
+              <input
+                type="number"
+                value={form.changePercent}
+                onChange={(e) => updateForm('changePercent', e.target.value)}
+                className={`${inputClass} w-24`}
+                title={t('alerts.changeHint')}
+              />
+              <span className="text-sm text-gray-600 py-2">{t('alerts.percentWithin')}</span>
+              <input
+                type="number"
+                value={form.windowMinutes}
+                onChange={(e) => updateForm('windowMinutes', e.target.value)}
+                className={`${inputClass} w-24`}
+              />
+              <span className="text-sm text-gray-600 py-2">{t('alerts.minutes')}</span>
+            </>
+          )}
+
+          {form.type === 'forecast' && (
+            <>
+              <select value={form.category} onChange={(e) => updateForm('category', e.target.value)} className={inputClass}>
+                {categories.map(c => <option key={c.key} value={c.key}>{t('alerts.orWorse', { category: c.label })}</option>)}
+              </select>
+              <span className="text-sm text-gray-600 py-2">{t('alerts.within')}</span>
+              <select value={form.withinDays} onChange={(e) => updateForm('withinDays', e.target.value)} className={inputClass}>
+                {[1, 2, 3].map(d => <option key={d} value={d}>{t('unit.days', { count: d })}</option>)}
+              </select>
+            </>
+          )}
+
+          <input
+            type="url"
+            placeholder={t('alerts.webhookPlaceholder')}
+            value={form.webhook}
+            onChange={(e) => updateForm('webhook', e.target.value)}
+            className={`${inputClass} flex-1 min-w-48`}
+          />
+          <button
+            type="submit"
+            disabled={isSaving || !locationId}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 flex items-center"
+          >
+            <Plus className="h-4 w-4 mr-1" />
+            {t('alerts.addFor', { location: locationName || t('alerts.thisLocation') })}
+          </button>
+        </form>
+        {formError && <p className="text-sm text-red-700 mb-4">{formError}</p>}
+
+        {rules.length === 0 ? (
+          <p className="text-gray-500">{t('alerts.noRules')}</p>
+        ) : (
+          <div className="space-y-2">
+            {rules.map(rule => (
+              <div key={rule.id} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+                <div>
+                  <p className="font-medium text-gray-900">{rule.name || describeRule(rule, categories, t)}</p>
+                  <p className="text-sm text-gray-500">
+                    {rule.locationName}
+                    {rule.state?.active && <span className="ml-2 text-orange-600">· {t('alerts.triggered')}</span>}
+                  </p>
+                </div>
+                <div className="flex items-center space-x-3">
+                  <label className="flex items-center text-sm text-gray-600">
+                    <input
+                      type="checkbox"
+                      checked={rule.enabled}
+                      onChange={() => handleToggle(rule)}
+                      className="mr-1"
+                    />
+                    {t('alerts.enabled')}
+                  </label>
+                  <button onClick={() => handleDelete(rule)} className="text-gray-400 hover:text-red-600" title={t('alerts.delete')}>
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AlertsPanel;
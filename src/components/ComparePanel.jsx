@@ -0,0 +1,234 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Columns3, Plus, Trash2, ArrowUp, ArrowDown } from 'lucide-react';
+import { toQueryString } from '../lib/api';
+import { POLLUTANT_LABELS, pollutantUnit, convertConcentration } from '../lib/pollutants';
+import { useI18n } from '../lib/i18n';
+
+const METRICS = ['aqi', 'pm25', 'pm10', 'no2', 'so2', 'co', 'o3'];
+const FORECAST_HOURS = 24;
+
+const metricLabel = (metric) => (metric === 'aqi' ? 'AQI' : POLLUTANT_LABELS[metric]);
+
+// Saved locations side by side. Rows are ranked by the sort metric; lower is
+// always better, so the best and worst rows don't depend on the sort direction.
+const ComparePanel = ({ apiBaseUrl, standard, units, current, refreshKey, onSelect }) => {
+  const { language } = useI18n();
+  const [watchlist, setWatchlist] = useState([]);
+  const [results, setResults] = useState({});
+  const [sortMetric, setSortMetric] = useState('aqi');
+  const [descending, setDescending] = useState(true);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const fetchWatchlist = useCallback(async () => {
+    try {
+      const response = await fetch(`${apiBaseUrl}/watchlist`);
+      if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+      const data = await response.json();
+      setWatchlist(data.locations || []);
+    } catch (error) {
+      console.error('Error fetching watchlist:', error);
+      setError('Failed to load saved locations.');
+    }
+  }, [apiBaseUrl]);
+
+  useEffect(() => {
+    fetchWatchlist();
+  }, [fetchWatchlist]);
+
+  // One batch request covers every saved location
+  useEffect(() => {
+    if (watchlist.length === 0) return;
+    let cancelled = false;
+
+    const fetchBatch = async () => {
+      try {
+        setIsLoading(true);
+        setError('');
+        const response = await fetch(`${apiBaseUrl}/aqi/batch?${toQueryString({ lang: language })}`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            locations: watchlist.map(item => ({ locationId: item.locationId })),
+            standard,
+            forecastHours: FORECAST_HOURS
+          })
+        });
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+        const data = await response.json();
+        if (!cancelled) {
+          setResults(Object.fromEntries(data.results.map(result => [watchlist[result.index].id, result])));
+        }
+      } catch (error) {
+        console.error('Error fetching batch readings:', error);
+        if (!cancelled) setError('Failed to load readings for saved locations.');
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    };
+
+    fetchBatch();
+    return () => {
+      cancelled = true;
+    };
+  }, [apiBaseUrl, watchlist, standard, language, refreshKey]);
+
+  const handleAdd = async () => {
+    try {
+      const response = await fetch(`${apiBaseUrl}/watchlist`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ locationId: current.locationId })
+      });
+      if (!response.ok && response.status !== 409) throw new Error(`HTTP error! status: ${response.status}`);
+      fetchWatchlist();
+    } catch (error) {
+      console.error('Error saving location:', error);
+      setError('Failed to save the location.');
+    }
+  };
+
+  const handleRemove = async (item) => {
+    try {
+      await fetch(`${apiBaseUrl}/watchlist/${item.id}`, { method: 'DELETE' });
+      fetchWatchlist();
+    } catch (error) {
+      console.error('Error removing location:', error);
+    }
+  };
+
+  const handleSort = (metric) => {
+    if (metric === sortMetric) {
+      setDescending(!descending);
+    } else {
+      setSortMetric(metric);
+      setDescending(true);
+    }
+  };
+
+  const valueOf = (item) => results[item.id]?.current?.[sortMetric];
+  const ranked = watchlist
+    .filter(item => typeof valueOf(item) === 'number')
+    .sort((a, b) => valueOf(a) - valueOf(b));
+  const best = ranked.length > 1 ? ranked[0].id : null;
+  const worst = ranked.length > 1 ? ranked[ranked.length - 1].id : null;
+
+  // Locations without a value for the metric go last either way
+  const rows = [
+    ...(descending ? [...ranked].reverse() : ranked),
+    ...watchlist.filter(item => !ranked.includes(item))
+  ];
+
+  const isSaved = current && watchlist.some(item => item.locationId === current.locationId);
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6">
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 mb-6">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900 flex items-center">
+            <Columns3 className="h-6 w-6 text-blue-600 mr-2" />
+            Compare Locations
+          </h2>
+          <p className="text-sm text-gray-500">
+            {watchlist.length} saved · click a column to sort{isLoading && ' · updating...'}
+          </p>
+        </div>
+        {current && !isSaved && (
+          <button
+            onClick={handleAdd}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 flex items-center"
+          >
+            <Plus className="h-4 w-4 mr-2" />
+            Save {current.location}
+          </button>
+        )}
+      </div>
+
+      {error && <p className="text-red-700 mb-4">{error}</p>}
+
+      {watchlist.length === 0 ? (
+        <div className="text-center py-8">
+          <Columns3 className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+          <p className="text-gray-600">No saved locations yet. Save the current location to start comparing.</p>
+        </div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-gray-200 text-left text-gray-600">
+                <th className="py-2 pr-4 font-medium">Location</th>
+                {METRICS.map(metric => (
+                  <th key={metric} className="py-2 px-2 font-medium text-right">
+                    <button
+                      onClick={() => handleSort(metric)}
+                      className={`inline-flex items-center ${metric === sortMetric ? 'text-blue-600' : 'hover:text-gray-900'}`}
+                    >
+                      {metricLabel(metric)}
+                      {metric === sortMetric && (descending ? <ArrowDown className="h-3 w-3 ml-1" /> : <ArrowUp className="h-3 w-3 ml-1" />)}
+                    </button>
+                    {metric !== 'aqi' && <div className="text-xs font-normal text-gray-400">{pollutantUnit(metric, units)}</div>}
+                  </th>
+                ))}
+                <th className="py-2 px-2 font-medium text-right">Next {FORECAST_HOURS}h peak</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(item => {
+                const result = results[item.id];
+                const reading = result?.current;
+                const peak = result?.forecast?.peak;
+                return (
+                  <tr
+                    key={item.id}
+                    className={`border-b border-gray-200 ${
+                      item.id === best ? 'bg-green-50' : item.id === worst ? 'bg-red-50' : ''
+                    }`}
+                  >
+                    <td className="py-3 pr-4">
+                      <button onClick={() => onSelect(item)} className="font-medium text-gray-900 hover:text-blue-600 text-left">
+                        {item.label || item.location}
+                      </button>
+                      {item.label && <div className="text-xs text-gray-500">{item.location}</div>}
+                      {item.id === best && <span className="text-xs font-medium text-green-700">Best {metricLabel(sortMetric)}</span>}
+                      {item.id === worst && <span className="text-xs font-medium text-red-700">Worst {metricLabel(sortMetric)}</span>}
+                      {result?.error && <div className="text-xs text-red-700">{result.error.message}</div>}
+                    </td>
+                    <td className="py-3 px-2 text-right">
+                      {reading ? (
+                        <span
+                          className="inline-flex items-center justify-center min-w-10 h-8 px-2 rounded-full text-white font-bold"
+                          style={{ backgroundColor: reading.color }}
+                          title={reading.category}
+                        >
+                          {reading.aqi}
+                        </span>
+                      ) : '—'}
+                    </td>
+                    {METRICS.slice(1).map(metric => (
+                      <td key={metric} className="py-3 px-2 text-right text-gray-900">
+                        {convertConcentration(metric, reading?.[metric], units) ?? '—'}
+                      </td>
+                    ))}
+                    <td className="py-3 px-2 text-right">
+                      {peak ? (
+                        <span style={{ color: peak.color }} className="font-medium" title={peak.category}>{peak.aqi}</span>
+                      ) : '—'}
+                    </td>
+                    <td className="py-3 pl-2 text-right">
+                      <button onClick={() => handleRemove(item)} title="Remove from saved locations">
+                        <Trash2 className="h-4 w-4 text-gray-400 hover:text-red-600" />
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ComparePanel;
@@ -0,0 +1,67 @@
+import React, { useState } from 'react';
+import { Download, Printer } from 'lucide-react';
+import { EXPORT_FORMATS, EXPORT_PERIODS, periodStart, exportUrl } from '../lib/export';
+
+// params are passed to /aqi/export as-is; with include=forecast there is no
+// history period to choose. onReport, when given, adds a printable report entry.
+const ExportMenu = ({ apiBaseUrl, params, onReport }) => {
+  const [open, setOpen] = useState(false);
+  const [periodKey, setPeriodKey] = useState('24h');
+
+  const withHistory = params.include !== 'forecast';
+  const period = EXPORT_PERIODS.find(p => p.key === periodKey);
+  const urlFor = (format) => exportUrl(apiBaseUrl, {
+    ...params,
+    format,
+    from: withHistory ? periodStart(period) : undefined
+  });
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        className="px-3 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 text-sm flex items-center"
+      >
+        <Download className="h-4 w-4 mr-2" />
+        Export
+      </button>
+      {open && (
+        <div className="absolute right-0 z-10 mt-1 w-56 bg-white border border-gray-200 rounded-lg shadow-lg p-3 space-y-2">
+          {withHistory && (
+            <select
+              value={periodKey}
+              onChange={(e) => setPeriodKey(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg bg-white text-sm text-gray-700"
+            >
+              {EXPORT_PERIODS.map(p => <option key={p.key} value={p.key}>{p.label}</option>)}
+            </select>
+          )}
+          {EXPORT_FORMATS.map(format => (
+            <a
+              key={format.id}
+              href={urlFor(format.id)}
+              onClick={() => setOpen(false)}
+              className="block px-3 py-1 rounded text-sm text-gray-700 hover:bg-gray-50"
+            >
+              Download {format.label}
+            </a>
+          ))}
+          {onReport && (
+            <button
+              onClick={() => {
+                setOpen(false);
+                onReport();
+              }}
+              className="w-full flex items-center px-3 py-1 rounded text-sm text-gray-700 hover:bg-gray-50 border-t border-gray-200 pt-2"
+            >
+              <Printer className="h-4 w-4 mr-2" />
+              Printable report
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
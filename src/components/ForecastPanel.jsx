@@ -0,0 +1,123 @@
+import React, { useState } from 'react';
+import { Calendar } from 'lucide-react';
+import LineChart from './LineChart';
+import { POLLUTANT_LABELS, pollutantUnit, convertConcentration } from '../lib/pollutants';
+import { useI18n } from '../lib/i18n';
+
+const METRICS = ['aqi', 'pm25', 'pm10', 'no2', 'so2', 'co', 'o3'];
+
+const metricLabel = (metric) => (metric === 'aqi' ? 'AQI' : POLLUTANT_LABELS[metric]);
+const metricUnit = (metric, units) => (metric === 'aqi' ? '' : pollutantUnit(metric, units));
+
+// forecast is the /aqi/forecast body; its points carry lower/upper bounds per metric.
+// isLoading is true while a forecast for new settings or a new place loads.
+// staleNotice says when the forecast is an offline copy (see lib/offline).
+// actions renders next to the granularity toggle (e.g. an export menu).
+const ForecastPanel = ({ forecast, isLoading, error, staleNotice, granularity, units, onGranularityChange, actions }) => {
+  const { t, formatDateTime } = useI18n();
+  const [metric, setMetric] = useState('aqi');
+  const display = (value) => convertConcentration(metric, value, units);
+
+  const points = forecast?.forecast || [];
+  const timeZone = forecast?.timeZone;
+  const formatX = (value) => formatDateTime(value, granularity === 'daily'
+    ? { timeZone, weekday: 'short', month: 'short', day: 'numeric' }
+    : { timeZone, weekday: 'short', hour: '2-digit', minute: '2-digit' });
+
+  const withMetric = points.filter(p => p[metric] !== undefined);
+  const series = [{
+    key: metric,
+    label: metricLabel(metric),
+    color: '#2563eb',
+    points: withMetric.map(p => ({ x: new Date(p.time), y: display(p[metric]) }))
+  }];
+  const bands = [{
+    key: 'confidence',
+    color: '#2563eb',
+    points: withMetric.map(p => ({ x: new Date(p.time), low: display(p.lower?.[metric]), high: display(p.upper?.[metric]) }))
+  }];
+
+  const peak = points.reduce((worst, p) => (!worst || p.aqi > worst.aqi ? p : worst), null);
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6">
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 mb-6">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">{t('forecast.title')}</h2>
+          {forecast && (
+            <p className="text-sm text-gray-500">
+              {forecast.location} · {t(granularity === 'daily' ? 'unit.days' : 'forecast.nextHours', { count: forecast.horizon })}
+              {forecast.provider && ` · ${t('current.via', { provider: forecast.provider })}`}
+            </p>
+          )}
+        </div>
+        <div className="flex flex-wrap gap-2">
+          {[['hourly', t('forecast.hourly')], ['daily', t('forecast.daily')]].map(([value, label]) => (
+            <button
+              key={value}
+              onClick={() => onGranularityChange(value)}
+              className={`px-3 py-2 rounded-lg text-sm ${
+                granularity === value ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+          {actions}
+        </div>
+      </div>
+
+      {error && <p className="text-red-700 mb-4">{error}</p>}
+      {staleNotice && <p className="mb-4 px-3 py-2 rounded-lg bg-amber-50 text-sm text-amber-800">{staleNotice}</p>}
+
+      {isLoading && points.length === 0 ? (
+        <p className="text-gray-500 text-center py-8">{t('forecast.loading')}</p>
+      ) : points.length === 0 ? (
+        <div className="text-center py-8">
+          <Calendar className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+          <p className="text-gray-500">{t('forecast.empty')}</p>
+        </div>
+      ) : (
+        <>
+          <div className="flex flex-wrap gap-2 mb-4">
+            {METRICS.map(m => (
+              <button
+                key={m}
+                onClick={() => setMetric(m)}
+                className={`px-3 py-1 rounded-full text-sm border ${
+                  m === metric ? 'bg-blue-50 border-blue-300 text-blue-700' : 'bg-white border-gray-200 text-gray-600 hover:bg-gray-50'
+                }`}
+              >
+                {metricLabel(m)}
+              </button>
+            ))}
+          </div>
+
+          <LineChart series={series} bands={bands} formatX={formatX} yLabel={metricUnit(metric, units) || metricLabel(metric)} />
+          <p className="text-xs text-gray-500 mt-2">{t('forecast.confidence')}</p>
+
+          {peak && (
+            <div className="mt-6 flex items-center p-4 bg-gray-50 rounded-lg">
+              <div
+                className="inline-flex items-center justify-center w-12 h-12 rounded-full text-white mr-4"
+                style={{ backgroundColor: peak.color }}
+              >
+                <span className="font-bold">{peak.aqi}</span>
+              </div>
+              <div>
+                <div className="font-medium text-gray-900">
+                  {t('forecast.worst')} <span style={{ color: peak.textColor }}>{peak.category}</span>
+                </div>
+                <div className="text-sm text-gray-600">
+                  {formatX(peak.time)} · {t('forecast.aqiRange', { low: peak.lower?.aqi, high: peak.upper?.aqi })}
+                </div>
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ForecastPanel;
@@ -0,0 +1,233 @@
+import React, { useState, useEffect } from 'react';
+import { History, AlertTriangle } from 'lucide-react';
+import LineChart from './LineChart';
+import { toQueryString } from '../lib/api';
+import { POLLUTANT_LABELS, pollutantUnit, convertConcentration } from '../lib/pollutants';
+import { useI18n } from '../lib/i18n';
+
+const RANGES = [
+  { key: '24h', label: 'Last 24 hours', hours: 24 },
+  { key: '7d', label: 'Last 7 days', hours: 24 * 7 },
+  { key: '30d', label: 'Last 30 days', hours: 24 * 30 }
+];
+
+const METRICS = ['aqi', 'pm25', 'pm10', 'no2', 'so2', 'co', 'o3'];
+
+const metricLabel = (metric) => (metric === 'aqi' ? 'AQI' : POLLUTANT_LABELS[metric]);
+const metricUnit = (metric, units) => (metric === 'aqi' ? '' : pollutantUnit(metric, units));
+
+const ANOMALY_COLOR = '#dc2626';
+const DISAGREEMENT_COLOR = '#7c3aed';
+
+const formatTime = (value) => new Date(value).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+const formatHours = (hours) => (hours < 48 ? `${hours} h` : `${Math.round(hours / 24)} days`);
+
+// Timeline markers and list entries for an /aqi/episodes reply, oldest first
+const describeEvents = (report) => [
+  ...report.episodes.map(e => ({
+    kind: 'Episode',
+    from: new Date(e.start),
+    to: new Date(e.end),
+    color: e.peak.color,
+    text: `AQI above ${report.thresholdAqi} for ${formatHours(e.durationHours)}${e.ongoing ? ' (ongoing)' : ''}, peak ${e.peak.aqi} ${e.peak.category}${e.peak.dominantPollutant ? ` from ${POLLUTANT_LABELS[e.peak.dominantPollutant]}` : ''}`
+  })),
+  ...report.anomalies.map(a => ({
+    kind: a.direction === 'rise' ? 'Sudden rise' : 'Sudden drop',
+    from: new Date(a.time),
+    to: new Date(a.time),
+    color: ANOMALY_COLOR,
+    text: `AQI ${a.previousAqi} → ${a.aqi} within an hour`
+  })),
+  ...report.disagreements.map(d => ({
+    kind: 'Differs from nearby',
+    from: new Date(d.start),
+    to: new Date(d.end),
+    color: DISAGREEMENT_COLOR,
+    text: `AQI ${d.aqi} vs ${d.neighborMedian} at ${d.neighbors.map(n => n.name).join(', ')} (${d.direction} for ${formatHours(d.durationHours)})`
+  }))
+].sort((a, b) => a.from - b.from);
+
+const HistoryPanel = ({ apiBaseUrl, locationId, standard, units }) => {
+  const { language } = useI18n();
+  const [range, setRange] = useState('24h');
+  const [bucket, setBucket] = useState('hourly');
+  const [metric, setMetric] = useState('aqi');
+  const [history, setHistory] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [episodes, setEpisodes] = useState(null);
+
+  useEffect(() => {
+    if (!locationId) return;
+    let cancelled = false;
+
+    const fetchHistory = async () => {
+      try {
+        setIsLoading(true);
+        setError('');
+        const hours = RANGES.find(r => r.key === range).hours;
+        const from = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+        const response = await fetch(
+          `${apiBaseUrl}/aqi/history?${toQueryString({ locationId, from, interval: bucket, standard, lang: language })}`
+        );
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+        const data = await response.json();
+        if (!cancelled) setHistory(data);
+      } catch (error) {
+        console.error('Error fetching history:', error);
+        if (!cancelled) setError('Failed to fetch history data.');
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    };
+
+    fetchHistory();
+    return () => {
+      cancelled = true;
+    };
+  }, [apiBaseUrl, locationId, standard, language, range, bucket]);
+
+  // Episodes are marked on the timeline; they don't depend on the bucket size
+  useEffect(() => {
+    if (!locationId) return;
+    let cancelled = false;
+
+    const fetchEpisodes = async () => {
+      try {
+        const hours = RANGES.find(r => r.key === range).hours;
+        const from = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+        const response = await fetch(`${apiBaseUrl}/aqi/episodes?${toQueryString({ locationId, from, standard, lang: language })}`);
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+        const data = await response.json();
+        if (!cancelled) setEpisodes(data);
+      } catch (error) {
+        console.error('Error fetching episodes:', error);
+        if (!cancelled) setEpisodes(null);
+      }
+    };
+
+    fetchEpisodes();
+    return () => {
+      cancelled = true;
+    };
+  }, [apiBaseUrl, locationId, standard, language, range]);
+
+  const display = (m, value) => convertConcentration(m, value, units);
+  const readings = history?.readings || [];
+  const isRaw = history?.interval === 'raw';
+  const points = readings
+    .filter(r => r[metric] !== undefined)
+    .map(r => ({ x: new Date(r.time), y: display(metric, isRaw ? r[metric] : r[metric].mean) }));
+  const band = isRaw
+    ? []
+    : [{
+        key: 'minmax',
+        color: '#2563eb',
+        points: readings
+          .filter(r => r[metric] !== undefined)
+          .map(r => ({ x: new Date(r.time), low: display(metric, r[metric].min), high: display(metric, r[metric].max) }))
+      }];
+
+  const summary = history?.summary || {};
+  const events = episodes ? describeEvents(episodes) : [];
+  const annotations = events.map(event => ({
+    from: event.from,
+    to: event.to,
+    color: event.color,
+    title: `${event.kind}: ${event.text}`
+  }));
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6">
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 mb-6">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">Air Quality History</h2>
+          {history && <p className="text-sm text-gray-500">{history.location} · {history.count} readings</p>}
+        </div>
+        <div className="flex flex-wrap gap-2">
+          <select
+            value={range}
+            onChange={(e) => setRange(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg bg-white text-sm text-gray-700"
+          >
+            {RANGES.map(r => <option key={r.key} value={r.key}>{r.label}</option>)}
+          </select>
+          <select
+            value={bucket}
+            onChange={(e) => setBucket(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg bg-white text-sm text-gray-700"
+          >
+            <option value="raw">Raw readings</option>
+            <option value="hourly">Hourly average</option>
+            <option value="daily">Daily average</option>
+          </select>
+          <select
+            value={metric}
+            onChange={(e) => setMetric(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg bg-white text-sm text-gray-700"
+          >
+            {METRICS.map(m => <option key={m} value={m}>{metricLabel(m)}</option>)}
+          </select>
+        </div>
+      </div>
+
+      {error && <p className="text-red-700 mb-4">{error}</p>}
+
+      {isLoading && !history ? (
+        <p className="text-gray-500 text-center py-8">Loading history...</p>
+      ) : readings.length === 0 ? (
+        <div className="text-center py-8">
+          <History className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+          <p className="text-gray-600">No readings recorded for this period yet</p>
+        </div>
+      ) : (
+        <LineChart
+          series={[{ key: metric, label: `${metricLabel(metric)}${isRaw ? '' : ' (mean)'}`, color: '#2563eb', points }]}
+          bands={band}
+          annotations={annotations}
+          yLabel={metricUnit(metric, units) || metricLabel(metric)}
+        />
+      )}
+
+      {events.length > 0 && (
+        <div className="mt-6">
+          <h3 className="flex items-center font-semibold text-gray-900 mb-2">
+            <AlertTriangle className="h-4 w-4 mr-2 text-amber-600" />
+            Unusual events
+          </h3>
+          <ul className="space-y-2">
+            {events.map((event, index) => (
+              <li key={index} className="flex items-start text-sm">
+                <span className="inline-block w-3 h-3 rounded-sm mt-1 mr-2 flex-shrink-0" style={{ backgroundColor: event.color }} />
+                <span>
+                  <span className="font-medium text-gray-900">{event.kind}</span>
+                  <span className="text-gray-500"> · {formatTime(event.from)}</span>
+                  <span className="block text-gray-600">{event.text}</span>
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {Object.keys(summary).length > 0 && (
+        <div className="mt-6 grid grid-cols-2 md:grid-cols-4 lg:grid-cols-7 gap-4">
+          {METRICS.filter(m => summary[m]).map(m => (
+            <div
+              key={m}
+              className={`rounded-lg p-4 ${m === metric ? 'bg-blue-50 border border-blue-200' : 'bg-gray-50'}`}
+            >
+              <div className="text-sm text-gray-600">{metricLabel(m)}</div>
+              <div className="text-2xl font-bold text-gray-900">{display(m, summary[m].mean)}</div>
+              <div className="text-xs text-gray-500">
+                min {display(m, summary[m].min)} · max {display(m, summary[m].max)} {metricUnit(m, units)}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default HistoryPanel;
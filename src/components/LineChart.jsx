@@ -0,0 +1,186 @@
+import React, { useState } from 'react';
+
+const WIDTH = 800;
+const PADDING = { top: 16, right: 16, bottom: 32, left: 48 };
+
+// Round a raw step up to 1, 2 or 5 times a power of ten
+const niceStep = (range, ticks) => {
+  const raw = range / Math.max(1, ticks);
+  const magnitude = Math.pow(10, Math.floor(Math.log10(raw || 1)));
+  const normalized = raw / magnitude;
+  const step = normalized <= 1 ? 1 : normalized <= 2 ? 2 : normalized <= 5 ? 5 : 10;
+  return step * magnitude;
+};
+
+const defaultFormatX = (value) =>
+  new Date(value).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit' });
+
+/**
+ * Dependency-free SVG time-series chart.
+ *
+ * series:      [{ key, label, color, points: [{ x: Date|number, y: number }] }]
+ * bands:       [{ key, color, points: [{ x, low, high }] }] shaded ranges (min/max, confidence)
+ * annotations: [{ from, to, label, color, title }] shaded spans along the x axis; a
+ *              single moment (from == to) is a thin marker. title shows on hover.
+ */
+const LineChart = ({ series = [], bands = [], annotations = [], height = 260, formatX = defaultFormatX, yLabel }) => {
+  const [hoverIndex, setHoverIndex] = useState(null);
+
+  const allPoints = series.flatMap(s => s.points);
+  if (allPoints.length === 0) {
+    return <p className="text-gray-500 text-center py-8">No data for this period</p>;
+  }
+
+  const xs = [...allPoints.map(p => +p.x), ...bands.flatMap(b => b.points.map(p => +p.x))];
+  const ys = [
+    ...allPoints.map(p => p.y),
+    ...bands.flatMap(b => b.points.flatMap(p => [p.low, p.high]))
+  ].filter(y => y !== null && y !== undefined && !isNaN(y));
+
+  const xMin = Math.min(...xs);
+  const xMax = Math.max(...xs);
+  const step = niceStep(Math.max(...ys) - Math.min(0, ...ys), 5);
+  const yMin = Math.floor(Math.min(0, ...ys) / step) * step;
+  const yMax = Math.max(step, Math.ceil(Math.max(...ys) / step) * step);
+
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = height - PADDING.top - PADDING.bottom;
+  const scaleX = (x) => PADDING.left + (xMax === xMin ? plotWidth / 2 : ((+x - xMin) / (xMax - xMin)) * plotWidth);
+  const scaleY = (y) => PADDING.top + plotHeight - ((y - yMin) / (yMax - yMin)) * plotHeight;
+
+  const yTicks = [];
+  for (let y = yMin; y <= yMax + step / 2; y += step) yTicks.push(y);
+  const xTickCount = Math.min(6, allPoints.length);
+  const xTicks = Array.from({ length: xTickCount }, (_, i) =>
+    xTickCount === 1 ? xMin : xMin + ((xMax - xMin) * i) / (xTickCount - 1)
+  );
+
+  const linePath = (points) =>
+    points
+      .filter(p => p.y !== null && p.y !== undefined)
+      .map((p, i) => `${i === 0 ? 'M' : 'L'}${scaleX(p.x).toFixed(1)},${scaleY(p.y).toFixed(1)}`)
+      .join(' ');
+
+  const bandPath = (points) => {
+    if (points.length === 0) return '';
+    const upper = points.map((p, i) => `${i === 0 ? 'M' : 'L'}${scaleX(p.x).toFixed(1)},${scaleY(p.high).toFixed(1)}`);
+    const lower = [...points].reverse().map(p => `L${scaleX(p.x).toFixed(1)},${scaleY(p.low).toFixed(1)}`);
+    return `${upper.join(' ')} ${lower.join(' ')} Z`;
+  };
+
+  // Hover snaps to the nearest point of the first series
+  const hoverSeries = series[0]?.points || [];
+  const handleMouseMove = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const x = ((e.clientX - rect.left) / rect.width) * WIDTH;
+    let nearest = null;
+    hoverSeries.forEach((p, i) => {
+      const distance = Math.abs(scaleX(p.x) - x);
+      if (nearest === null || distance < nearest.distance) nearest = { index: i, distance };
+    });
+    setHoverIndex(nearest ? nearest.index : null);
+  };
+
+  const hoverPoint = hoverIndex !== null ? hoverSeries[hoverIndex] : null;
+
+  return (
+    <div className="relative">
+      <svg
+        viewBox={`0 0 ${WIDTH} ${height}`}
+        className="w-full h-auto"
+        onMouseMove={handleMouseMove}
+        onMouseLeave={() => setHoverIndex(null)}
+      >
+        {annotations.map((a, i) => (
+          <g key={`annotation-${i}`}>
+            {a.title && <title>{a.title}</title>}
+            <rect
+              x={scaleX(Math.max(+a.from, xMin))}
+              y={PADDING.top}
+              width={Math.max(2, scaleX(Math.min(+a.to, xMax)) - scaleX(Math.max(+a.from, xMin)))}
+              height={plotHeight}
+              fill={a.color || '#f97316'}
+              opacity="0.15"
+            />
+            {a.label && (
+              <text x={scaleX(Math.max(+a.from, xMin)) + 4} y={PADDING.top + 12} fontSize="11" fill={a.color || '#c2410c'}>
+                {a.label}
+              </text>
+            )}
+          </g>
+        ))}
+
+        {yTicks.map(y => (
+          <g key={`y-${y}`}>
+            <line x1={PADDING.left} x2={WIDTH - PADDING.right} y1={scaleY(y)} y2={scaleY(y)} stroke="#e5e7eb" />
+            <text x={PADDING.left - 8} y={scaleY(y) + 4} fontSize="11" textAnchor="end" fill="#6b7280">
+              {Math.round(y * 100) / 100}
+            </text>
+          </g>
+        ))}
+        {yLabel && (
+          <text x={12} y={PADDING.top + plotHeight / 2} fontSize="11" fill="#6b7280" transform={`rotate(-90 12 ${PADDING.top + plotHeight / 2})`} textAnchor="middle">
+            {yLabel}
+          </text>
+        )}
+
+        {xTicks.map((x, i) => (
+          <text key={`x-${i}`} x={scaleX(x)} y={height - 8} fontSize="11" textAnchor="middle" fill="#6b7280">
+            {formatX(x)}
+          </text>
+        ))}
+
+        {bands.map(b => (
+          <path key={`band-${b.key}`} d={bandPath(b.points)} fill={b.color} opacity="0.2" />
+        ))}
+
+        {series.map(s => (
+          <path key={`line-${s.key}`} d={linePath(s.points)} fill="none" stroke={s.color} strokeWidth="2" />
+        ))}
+
+        {hoverPoint && (
+          <line
+            x1={scaleX(hoverPoint.x)}
+            x2={scaleX(hoverPoint.x)}
+            y1={PADDING.top}
+            y2={PADDING.top + plotHeight}
+            stroke="#9ca3af"
+            strokeDasharray="4 4"
+          />
+        )}
+        {hoverPoint && series.map(s => {
+          const p = s.points[hoverIndex];
+          return p && p.y !== null && p.y !== undefined ? (
+            <circle key={`dot-${s.key}`} cx={scaleX(p.x)} cy={scaleY(p.y)} r="4" fill={s.color} />
+          ) : null;
+        })}
+      </svg>
+
+      {hoverPoint && (
+        <div className="absolute top-2 right-2 bg-white border border-gray-200 rounded-lg shadow px-3 py-2 text-xs">
+          <div className="font-medium text-gray-900 mb-1">{formatX(hoverPoint.x)}</div>
+          {series.map(s => s.points[hoverIndex] && (
+            <div key={`tip-${s.key}`} className="flex items-center">
+              <span className="inline-block w-2 h-2 rounded-full mr-2" style={{ backgroundColor: s.color }} />
+              <span className="text-gray-600 mr-2">{s.label}</span>
+              <span className="font-medium text-gray-900">{s.points[hoverIndex].y}</span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {series.length > 1 && (
+        <div className="flex flex-wrap gap-4 mt-2 text-xs text-gray-600">
+          {series.map(s => (
+            <span key={`legend-${s.key}`} className="flex items-center">
+              <span className="inline-block w-3 h-0.5 mr-1" style={{ backgroundColor: s.color }} />
+              {s.label}
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LineChart;
@@ -0,0 +1,298 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Minus, Plus, X } from 'lucide-react';
+import { toQueryString } from '../lib/api';
+import { POLLUTANT_LABELS, pollutantUnit, convertConcentration } from '../lib/pollutants';
+import { useI18n } from '../lib/i18n';
+import boundaries from '../data/boundaries.json';
+
+const WIDTH = 800;
+const HEIGHT = 500;
+const GRID_COLUMNS = 40;
+const GRID_ROWS = 25;
+const DEFAULT_SPAN = 0.6;
+const MIN_SPAN = 0.1;
+const MAX_SPAN = 12;
+
+// Equirectangular view: `span` is half the visible latitude range, and the
+// longitude range is widened by 1/cos(lat) so distances look right
+const viewBounds = ({ lat, lon, span }) => {
+  const lonSpan = span * (WIDTH / HEIGHT) / Math.cos(lat * Math.PI / 180);
+  return { minLat: lat - span, maxLat: lat + span, minLon: lon - lonSpan, maxLon: lon + lonSpan };
+};
+
+const project = (bounds, lon, lat) => [
+  (lon - bounds.minLon) / (bounds.maxLon - bounds.minLon) * WIDTH,
+  (bounds.maxLat - lat) / (bounds.maxLat - bounds.minLat) * HEIGHT
+];
+
+const polygonPath = (bounds, rings) =>
+  rings
+    .map(ring => ring.map(([lon, lat], i) => `${i === 0 ? 'M' : 'L'}${project(bounds, lon, lat).map(v => v.toFixed(1)).join(',')}`).join(' ') + ' Z')
+    .join(' ');
+
+// Inverse-distance-weighted AQI estimate for each grid cell
+const interpolateGrid = (bounds, features) => {
+  const cells = [];
+  const cellWidth = WIDTH / GRID_COLUMNS;
+  const cellHeight = HEIGHT / GRID_ROWS;
+  const points = features.map(f => ({ xy: project(bounds, ...f.geometry.coordinates), aqi: f.properties.aqi }));
+
+  for (let row = 0; row < GRID_ROWS; row++) {
+    for (let col = 0; col < GRID_COLUMNS; col++) {
+      const x = (col + 0.5) * cellWidth;
+      const y = (row + 0.5) * cellHeight;
+      let weighted = 0;
+      let totalWeight = 0;
+      for (const point of points) {
+        const distanceSq = (point.xy[0] - x) ** 2 + (point.xy[1] - y) ** 2;
+        const weight = 1 / Math.max(distanceSq, 1);
+        weighted += point.aqi * weight;
+        totalWeight += weight;
+      }
+      cells.push({ x: col * cellWidth, y: row * cellHeight, width: cellWidth, height: cellHeight, aqi: weighted / totalWeight });
+    }
+  }
+  return cells;
+};
+
+const categoryColor = (categories, aqi) => {
+  const match = categories.find(c => aqi >= c.min && aqi <= c.max) || categories[categories.length - 1];
+  return match ? match.color : '#9ca3af';
+};
+
+const MapPanel = ({ apiBaseUrl, center, locationId, standard, units }) => {
+  const { language } = useI18n();
+  const [view, setView] = useState(center ? { ...center, span: DEFAULT_SPAN } : null);
+  const [features, setFeatures] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+  const dragStart = useRef(null);
+
+  // Recentre whenever the searched location changes
+  const centerLat = center?.lat;
+  const centerLon = center?.lon;
+  useEffect(() => {
+    if (centerLat === undefined) return;
+    setView({ lat: centerLat, lon: centerLon, span: DEFAULT_SPAN });
+    setSelected(null);
+  }, [centerLat, centerLon]);
+
+  useEffect(() => {
+    const loadCategories = async () => {
+      try {
+        const response = await fetch(`${apiBaseUrl}/aqi/standards?${toQueryString({ lang: language })}`);
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+        const data = await response.json();
+        setCategories((data.standards.find(s => s.id === standard) || data.standards[0]).categories);
+      } catch (err) {
+        console.error('Error fetching AQI standards:', err);
+      }
+    };
+    loadCategories();
+  }, [apiBaseUrl, standard, language]);
+
+  // Debounced so panning doesn't fire a request per pointer move
+  useEffect(() => {
+    if (!view) return;
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      const bounds = viewBounds(view);
+      try {
+        setIsLoading(true);
+        setError('');
+        const bbox = [bounds.minLon, bounds.minLat, bounds.maxLon, bounds.maxLat].map(v => v.toFixed(4)).join(',');
+        const response = await fetch(`${apiBaseUrl}/aqi/geojson?${toQueryString({ bbox, standard, lang: language })}`);
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+        const data = await response.json();
+        if (!cancelled) setFeatures(data.features);
+      } catch (err) {
+        console.error('Error fetching map data:', err);
+        if (!cancelled) setError('Failed to load map data.');
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    }, 300);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [apiBaseUrl, view, standard, language]);
+
+  if (!view) {
+    return (
+      <div className="bg-white rounded-xl shadow-lg p-6">
+        <h2 className="text-2xl font-bold text-gray-900 mb-6">Air Quality Map</h2>
+        <p className="text-gray-600">Search for a location to see the map.</p>
+      </div>
+    );
+  }
+
+  const bounds = viewBounds(view);
+  const zoom = (factor) => setView(v => ({ ...v, span: Math.min(MAX_SPAN, Math.max(MIN_SPAN, v.span * factor)) }));
+
+  const handlePointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    dragStart.current = { x: e.clientX, y: e.clientY, view };
+  };
+
+  const handlePointerMove = (e) => {
+    if (!dragStart.current) return;
+    const rect = e.currentTarget.getBoundingClientRect();
+    const start = dragStart.current;
+    const startBounds = viewBounds(start.view);
+    const dLon = (e.clientX - start.x) / rect.width * (startBounds.maxLon - startBounds.minLon);
+    const dLat = (e.clientY - start.y) / rect.height * (startBounds.maxLat - startBounds.minLat);
+    setView({ ...start.view, lat: start.view.lat + dLat, lon: start.view.lon - dLon });
+  };
+
+  const handlePointerUp = () => {
+    dragStart.current = null;
+  };
+
+  const heatCells = categories.length > 0 && features.length > 0 ? interpolateGrid(bounds, features) : [];
+  const [centerX, centerY] = project(bounds, center.lon, center.lat);
+  const searchedIsStation = features.some(f => f.id === locationId);
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-2xl font-bold text-gray-900">Air Quality Map</h2>
+        <div className="flex items-center space-x-2">
+          {isLoading && <span className="text-sm text-gray-500">Loading…</span>}
+          <button onClick={() => zoom(1 / 1.5)} className="p-2 border border-gray-300 rounded-lg hover:bg-gray-50" title="Zoom in">
+            <Plus className="h-4 w-4" />
+          </button>
+          <button onClick={() => zoom(1.5)} className="p-2 border border-gray-300 rounded-lg hover:bg-gray-50" title="Zoom out">
+            <Minus className="h-4 w-4" />
+          </button>
+        </div>
+      </div>
+
+      {error && <p className="text-sm text-red-700 mb-2">{error}</p>}
+
+      <div className="flex flex-col lg:flex-row gap-4">
+        <div className="flex-1">
+          <svg
+            viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+            className="w-full rounded-lg bg-sky-50 cursor-grab touch-none select-none"
+            onPointerDown={handlePointerDown}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            onPointerLeave={handlePointerUp}
+          >
+            {boundaries.features.map(boundary => (
+              <path
+                key={boundary.properties.name}
+                d={polygonPath(bounds, boundary.geometry.coordinates)}
+                fill={boundary.properties.kind === 'country' ? '#f8fafc' : 'none'}
+                stroke="#94a3b8"
+                strokeWidth={boundary.properties.kind === 'country' ? 1.5 : 1}
+                strokeDasharray={boundary.properties.kind === 'state' ? '4 3' : undefined}
+              />
+            ))}
+
+            <g opacity="0.35">
+              {heatCells.map(cell => (
+                <rect
+                  key={`${cell.x}-${cell.y}`}
+                  x={cell.x}
+                  y={cell.y}
+                  width={cell.width + 0.5}
+                  height={cell.height + 0.5}
+                  fill={categoryColor(categories, cell.aqi)}
+                />
+              ))}
+            </g>
+
+            {features.map(feature => {
+              const [x, y] = project(bounds, ...feature.geometry.coordinates);
+              const isSearched = feature.id === locationId;
+              return (
+                <g
+                  key={feature.id}
+                  className="cursor-pointer"
+                  onPointerDown={(e) => e.stopPropagation()}
+                  onClick={() => setSelected(feature)}
+                >
+                  <title>{`${feature.properties.name}: AQI ${feature.properties.aqi}`}</title>
+                  <circle
+                    cx={x}
+                    cy={y}
+                    r={isSearched ? 11 : 7}
+                    fill={feature.properties.color}
+                    stroke={selected?.id === feature.id ? '#111827' : '#ffffff'}
+                    strokeWidth={isSearched || selected?.id === feature.id ? 3 : 2}
+                  />
+                  {isSearched && (
+                    <text x={x} y={y - 16} textAnchor="middle" className="text-xs font-semibold" fill="#111827">
+                      {feature.properties.name.split(',')[0]}
+                    </text>
+                  )}
+                </g>
+              );
+            })}
+
+            {!searchedIsStation && (
+              <circle cx={centerX} cy={centerY} r="6" fill="#2563eb" stroke="#ffffff" strokeWidth="2" />
+            )}
+          </svg>
+
+          {categories.length > 0 && (
+            <div className="flex flex-wrap gap-3 mt-3 text-xs text-gray-600">
+              {categories.map(category => (
+                <span key={category.key} className="flex items-center">
+                  <span className="inline-block w-3 h-3 rounded-full mr-1" style={{ backgroundColor: category.color }} />
+                  {category.label}
+                </span>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {selected && (
+          <div className="lg:w-72 bg-gray-50 rounded-lg p-4">
+            <div className="flex items-start justify-between mb-3">
+              <h3 className="font-semibold text-gray-900">{selected.properties.name}</h3>
+              <button onClick={() => setSelected(null)} className="text-gray-400 hover:text-gray-600" title="Close">
+                <X className="h-4 w-4" />
+              </button>
+            </div>
+            <div className="flex items-center mb-3">
+              <span
+                className="px-3 py-1 rounded-full text-white font-bold mr-2"
+                style={{ backgroundColor: selected.properties.color }}
+              >
+                {selected.properties.aqi}
+              </span>
+              <span className="font-medium" style={{ color: selected.properties.textColor }}>
+                {selected.properties.category}
+              </span>
+            </div>
+            {selected.properties.dominantPollutant && (
+              <p className="text-sm text-gray-600 mb-3">
+                Dominant pollutant: <span className="font-medium">{POLLUTANT_LABELS[selected.properties.dominantPollutant]}</span>
+              </p>
+            )}
+            <div className="grid grid-cols-2 gap-2">
+              {Object.keys(POLLUTANT_LABELS).map(key => (
+                <div key={key} className="bg-white rounded p-2">
+                  <p className="text-xs text-gray-500">{POLLUTANT_LABELS[key]}</p>
+                  <p className="font-semibold text-gray-900">
+                    {convertConcentration(key, selected.properties[key], units) ?? '—'} <span className="text-xs font-normal text-gray-500">{pollutantUnit(key, units)}</span>
+                  </p>
+                </div>
+              ))}
+            </div>
+            <p className="text-xs text-gray-500 mt-3">
+              Updated {new Date(selected.properties.lastUpdated).toLocaleTimeString()}
+            </p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MapPanel;
@@ -0,0 +1,176 @@
+import React, { useState, useEffect } from 'react';
+import { Printer, ArrowLeft, Download } from 'lucide-react';
+import LineChart from './LineChart';
+import { toQueryString } from '../lib/api';
+import { AQI_STANDARDS } from '../lib/settings';
+import { POLLUTANT_LABELS, pollutantUnit, convertConcentration } from '../lib/pollutants';
+import { EXPORT_PERIODS, periodStart, exportUrl } from '../lib/export';
+import { useI18n } from '../lib/i18n';
+
+const METRICS = ['aqi', 'pm25', 'pm10', 'no2', 'so2', 'co', 'o3'];
+
+const metricLabel = (metric) => (metric === 'aqi' ? 'AQI' : POLLUTANT_LABELS[metric]);
+
+// Full-page report for printing or saving as PDF: summary table for the
+// period plus history and forecast charts. The toolbar is hidden on paper.
+const ReportView = ({ apiBaseUrl, current, forecast, standard, units, onClose }) => {
+  const { language } = useI18n();
+  const [periodKey, setPeriodKey] = useState('24h');
+  const [history, setHistory] = useState(null);
+  const [error, setError] = useState('');
+
+  const period = EXPORT_PERIODS.find(p => p.key === periodKey);
+  const locationId = current.locationId;
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchHistory = async () => {
+      try {
+        setError('');
+        const from = periodStart(period);
+        const response = await fetch(
+          `${apiBaseUrl}/aqi/history?${toQueryString({ locationId, from, interval: period.interval, standard, lang: language })}`
+        );
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+        const data = await response.json();
+        if (!cancelled) setHistory(data);
+      } catch (error) {
+        console.error('Error fetching report history:', error);
+        if (!cancelled) setError('Failed to load history for the report.');
+      }
+    };
+
+    fetchHistory();
+    return () => {
+      cancelled = true;
+    };
+  }, [apiBaseUrl, locationId, standard, language, period]);
+
+  const display = (metric, value) => convertConcentration(metric, value, units);
+  const summary = history?.summary || {};
+  const points = forecast?.granularity === 'hourly' ? forecast.forecast : [];
+  const forecastMax = (metric) => {
+    const values = points.map(p => p[metric]).filter(value => typeof value === 'number');
+    return values.length > 0 ? Math.max(...values) : undefined;
+  };
+
+  const historySeries = [{
+    key: 'aqi',
+    label: 'AQI (mean)',
+    color: '#2563eb',
+    points: (history?.readings || []).filter(r => r.aqi).map(r => ({ x: new Date(r.time), y: r.aqi.mean }))
+  }];
+  const historyBands = [{
+    key: 'minmax',
+    color: '#2563eb',
+    points: (history?.readings || []).filter(r => r.aqi).map(r => ({ x: new Date(r.time), low: r.aqi.min, high: r.aqi.max }))
+  }];
+  const forecastSeries = [{
+    key: 'aqi',
+    label: 'Forecast AQI',
+    color: '#7c3aed',
+    points: points.map(p => ({ x: new Date(p.time), y: p.aqi }))
+  }];
+
+  const formatDate = (value) => new Date(value).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+  const standardLabel = AQI_STANDARDS.find(s => s.id === standard)?.label || standard;
+
+  return (
+    <div className="min-h-screen bg-gray-100 print:bg-white">
+      <div className="max-w-4xl mx-auto px-4 py-6 print:p-0">
+        <div className="flex flex-wrap items-center gap-2 mb-6 print:hidden">
+          <button
+            onClick={onClose}
+            className="px-3 py-2 bg-white text-gray-700 rounded-lg hover:bg-gray-50 text-sm flex items-center"
+          >
+            <ArrowLeft className="h-4 w-4 mr-2" />
+            Back to dashboard
+          </button>
+          <select
+            value={periodKey}
+            onChange={(e) => setPeriodKey(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg bg-white text-sm text-gray-700"
+          >
+            {EXPORT_PERIODS.map(p => <option key={p.key} value={p.key}>{p.label}</option>)}
+          </select>
+          <a
+            href={exportUrl(apiBaseUrl, { locationId, standard, from: periodStart(period), include: 'history', format: 'csv' })}
+            className="px-3 py-2 bg-white text-gray-700 rounded-lg hover:bg-gray-50 text-sm flex items-center"
+          >
+            <Download className="h-4 w-4 mr-2" />
+            CSV
+          </a>
+          <button
+            onClick={() => window.print()}
+            className="px-3 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 text-sm flex items-center ml-auto"
+          >
+            <Printer className="h-4 w-4 mr-2" />
+            Print
+          </button>
+        </div>
+
+        <div className="bg-white rounded-xl shadow-lg p-8 print:shadow-none print:p-0">
+          <header className="border-b border-gray-200 pb-4 mb-6">
+            <p className="text-sm text-gray-500">AirSense360 air quality report</p>
+            <h1 className="text-3xl font-bold text-gray-900">{current.location}</h1>
+            <p className="text-sm text-gray-600 mt-1">
+              {period.label}
+              {history && ` (${formatDate(history.from)} – ${formatDate(history.to)})`} · {standardLabel} · generated {formatDate(Date.now())}
+            </p>
+          </header>
+
+          {error && <p className="text-red-700 mb-4">{error}</p>}
+
+          <section className="mb-8">
+            <h2 className="text-lg font-semibold text-gray-900 mb-3">Summary</h2>
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b border-gray-200 text-left text-gray-600">
+                  <th className="py-2 font-medium">Metric</th>
+                  <th className="py-2 font-medium">Unit</th>
+                  <th className="py-2 font-medium text-right">Current</th>
+                  <th className="py-2 font-medium text-right">Min</th>
+                  <th className="py-2 font-medium text-right">Mean</th>
+                  <th className="py-2 font-medium text-right">Max</th>
+                  <th className="py-2 font-medium text-right">Forecast max</th>
+                </tr>
+              </thead>
+              <tbody>
+                {METRICS.map(metric => (
+                  <tr key={metric} className="border-b border-gray-200">
+                    <td className="py-2 font-medium text-gray-900">{metricLabel(metric)}</td>
+                    <td className="py-2 text-gray-500">{metric === 'aqi' ? '' : pollutantUnit(metric, units)}</td>
+                    <td className="py-2 text-right text-gray-900">{display(metric, current[metric]) ?? '—'}</td>
+                    <td className="py-2 text-right text-gray-900">{display(metric, summary[metric]?.min) ?? '—'}</td>
+                    <td className="py-2 text-right text-gray-900">{display(metric, summary[metric]?.mean) ?? '—'}</td>
+                    <td className="py-2 text-right text-gray-900">{display(metric, summary[metric]?.max) ?? '—'}</td>
+                    <td className="py-2 text-right text-gray-900">{display(metric, forecastMax(metric)) ?? '—'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <p className="text-xs text-gray-500 mt-2">
+              Current: {current.aqi} ({current.category}) at {formatDate(current.lastUpdated)}.
+              {history && ` ${history.count} stored readings in the period.`}
+            </p>
+          </section>
+
+          <section className="mb-8 break-inside-avoid">
+            <h2 className="text-lg font-semibold text-gray-900 mb-3">AQI history</h2>
+            <LineChart series={historySeries} bands={historyBands} yLabel="AQI" />
+          </section>
+
+          {points.length > 0 && (
+            <section className="break-inside-avoid">
+              <h2 className="text-lg font-semibold text-gray-900 mb-3">AQI forecast, next {forecast.horizon} hours</h2>
+              <LineChart series={forecastSeries} yLabel="AQI" />
+            </section>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ReportView;
@@ -0,0 +1,225 @@
+import React, { useState } from 'react';
+import { Settings, X, RefreshCw } from 'lucide-react';
+import { CONCENTRATION_UNITS } from '../lib/pollutants';
+import { AQI_STANDARDS, DEFAULT_SETTINGS, createSyncId, fetchSyncedSettings } from '../lib/settings';
+
+const FORECAST_HOURS = [24, 48, 72];
+const FORECAST_DAYS = [3, 5, 7];
+const REFRESH_MINUTES = [0, 1, 5, 15, 30];
+const NEARBY_RADII = [10, 25, 50, 100, 200];
+const THEMES = [
+  { id: 'light', label: 'Light' },
+  { id: 'dark', label: 'Dark' },
+  { id: 'system', label: 'Match system' }
+];
+
+const SYNC_ID_PATTERN = /^[A-Za-z0-9_-]{16,64}$/;
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg bg-white text-sm text-gray-700';
+
+const Field = ({ label, hint, children }) => (
+  <label className="block">
+    <span className="block text-sm font-medium text-gray-700 mb-1">{label}</span>
+    {children}
+    {hint && <span className="block text-xs text-gray-500 mt-1">{hint}</span>}
+  </label>
+);
+
+// Edits a draft; nothing changes until Save, which hands the result to onSave
+const SettingsPanel = ({ settings, currentLocation, onSave, onClose }) => {
+  const [draft, setDraft] = useState(settings);
+  const [linkCode, setLinkCode] = useState('');
+  const [syncMessage, setSyncMessage] = useState('');
+  const [isLinking, setIsLinking] = useState(false);
+
+  const set = (key, value) => setDraft({ ...draft, [key]: value });
+
+  const handleLink = async () => {
+    const code = linkCode.trim();
+    if (!SYNC_ID_PATTERN.test(code)) {
+      setSyncMessage('Sync codes are 16–64 letters and digits.');
+      return;
+    }
+    try {
+      setIsLinking(true);
+      const remote = await fetchSyncedSettings(draft.apiBaseUrl, code);
+      if (!remote) {
+        setSyncMessage('Nothing is stored under that code yet.');
+        return;
+      }
+      setDraft({ ...draft, ...remote, syncId: code });
+      setLinkCode('');
+      setSyncMessage('Loaded the synced settings. Save to use them here.');
+    } catch (error) {
+      console.error('Error loading synced settings:', error);
+      setSyncMessage('Could not reach the server to load synced settings.');
+    } finally {
+      setIsLinking(false);
+    }
+  };
+
+  const handleSave = () => onSave({
+    ...draft,
+    defaultLocation: draft.defaultLocation.trim() || settings.defaultLocation,
+    apiBaseUrl: draft.apiBaseUrl.trim().replace(/\/+$/, '') || DEFAULT_SETTINGS.apiBaseUrl
+  });
+
+  return (
+    <div className="fixed inset-0 z-20 bg-black/40 flex items-start justify-center overflow-y-auto p-4" onClick={onClose}>
+      <div
+        role="dialog"
+        aria-labelledby="settings-title"
+        className="bg-white rounded-xl shadow-lg p-6 w-full max-w-2xl my-8"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between mb-6">
+          <h2 id="settings-title" className="text-2xl font-bold text-gray-900 flex items-center">
+            <Settings className="h-6 w-6 text-blue-600 mr-2" />
+            Settings
+          </h2>
+          <button onClick={onClose} title="Close">
+            <X className="h-6 w-6 text-gray-500 hover:text-gray-700" />
+          </button>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <Field label="Default location" hint="Loaded when the dashboard opens">
+            <input
+              type="text"
+              value={draft.defaultLocation}
+              onChange={(e) => set('defaultLocation', e.target.value)}
+              className={inputClass}
+            />
+            {currentLocation && currentLocation !== draft.defaultLocation && (
+              <button
+                type="button"
+                onClick={() => set('defaultLocation', currentLocation)}
+                className="text-xs text-blue-600 hover:underline mt-1"
+              >
+                Use {currentLocation}
+              </button>
+            )}
+          </Field>
+
+          <Field label="AQI standard">
+            <select value={draft.standard} onChange={(e) => set('standard', e.target.value)} className={inputClass}>
+              {AQI_STANDARDS.map(s => <option key={s.id} value={s.id}>{s.label}</option>)}
+            </select>
+          </Field>
+
+          <Field label="Gas concentrations" hint="Particulates are always shown in µg/m³; CO in ppm when using ppb">
+            <select value={draft.units} onChange={(e) => set('units', e.target.value)} className={inputClass}>
+              {CONCENTRATION_UNITS.map(u => <option key={u.id} value={u.id}>{u.label}</option>)}
+            </select>
+          </Field>
+
+          <Field label="Theme">
+            <select value={draft.theme} onChange={(e) => set('theme', e.target.value)} className={inputClass}>
+              {THEMES.map(t => <option key={t.id} value={t.id}>{t.label}</option>)}
+            </select>
+          </Field>
+
+          <Field label="Hourly forecast horizon">
+            <select value={draft.forecastHours} onChange={(e) => set('forecastHours', Number(e.target.value))} className={inputClass}>
+              {FORECAST_HOURS.map(h => <option key={h} value={h}>{h} hours</option>)}
+            </select>
+          </Field>
+
+          <Field label="Daily forecast horizon">
+            <select value={draft.forecastDays} onChange={(e) => set('forecastDays', Number(e.target.value))} className={inputClass}>
+              {FORECAST_DAYS.map(d => <option key={d} value={d}>{d} days</option>)}
+            </select>
+          </Field>
+
+          <Field label="Refresh interval" hint="Reloads readings and checks for new alerts">
+            <select value={draft.refreshMinutes} onChange={(e) => set('refreshMinutes', Number(e.target.value))} className={inputClass}>
+              {REFRESH_MINUTES.map(m => (
+                <option key={m} value={m}>{m === 0 ? 'Live updates only' : `Every ${m} min`}</option>
+              ))}
+            </select>
+          </Field>
+
+          <Field label="Nearby stations radius">
+            <select value={draft.nearbyRadiusKm} onChange={(e) => set('nearbyRadiusKm', Number(e.target.value))} className={inputClass}>
+              {NEARBY_RADII.map(r => <option key={r} value={r}>{r} km</option>)}
+            </select>
+          </Field>
+
+          <Field label="API address" hint={`Default: ${DEFAULT_SETTINGS.apiBaseUrl}`}>
+            <input
+              type="url"
+              value={draft.apiBaseUrl}
+              onChange={(e) => set('apiBaseUrl', e.target.value)}
+              className={inputClass}
+            />
+          </Field>
+        </div>
+
+        <div className="mt-6 p-4 bg-gray-50 rounded-lg">
+          <h3 className="font-semibold text-gray-900 mb-1 flex items-center">
+            <RefreshCw className="h-4 w-4 text-gray-500 mr-2" />
+            Sync across devices
+          </h3>
+          {draft.syncId ? (
+            <>
+              <p className="text-sm text-gray-600 mb-2">
+                Settings are saved on the server under this code. Enter it on another device to use them there.
+              </p>
+              <div className="flex flex-wrap items-center gap-2">
+                <code className="px-2 py-1 bg-white border border-gray-200 rounded text-sm text-gray-900 select-all">{draft.syncId}</code>
+                <button
+                  onClick={() => set('syncId', '')}
+                  className="px-3 py-1 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 text-sm"
+                >
+                  Stop syncing
+                </button>
+              </div>
+            </>
+          ) : (
+            <>
+              <p className="text-sm text-gray-600 mb-2">Settings are only stored in this browser.</p>
+              <div className="flex flex-wrap items-center gap-2">
+                <button
+                  onClick={() => set('syncId', createSyncId())}
+                  className="px-3 py-1 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 text-sm"
+                >
+                  Create sync code
+                </button>
+                <span className="text-sm text-gray-500">or</span>
+                <input
+                  type="text"
+                  placeholder="Enter a sync code"
+                  value={linkCode}
+                  onChange={(e) => setLinkCode(e.target.value)}
+                  className="px-3 py-1 border border-gray-300 rounded-lg bg-white text-sm text-gray-700"
+                />
+                <button
+                  onClick={handleLink}
+                  disabled={isLinking || !linkCode.trim()}
+                  className="px-3 py-1 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 text-sm disabled:opacity-50"
+                >
+                  {isLinking ? 'Loading...' : 'Link'}
+                </button>
+              </div>
+            </>
+          )}
+          {syncMessage && <p className="text-xs text-gray-600 mt-2">{syncMessage}</p>}
+        </div>
+
+        <div className="flex justify-end gap-2 mt-6">
+          <button onClick={onClose} className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200">
+            Cancel
+          </button>
+          <button
+            onClick={handleSave}
+            className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+          >
+            Save
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SettingsPanel;
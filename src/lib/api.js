@@ -0,0 +1,20 @@
+import { forecastParams } from './settings';
+
+// Drops empty values so callers can pass optional params straight through
+export const toQueryString = (params) =>
+  new URLSearchParams(
+    Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '')
+  ).toString();
+
+// Current, forecast and nearby URLs for one place. The dashboard and the
+// offline prefetch of saved locations both use these, so the service worker
+// finds prefetched responses under the URLs the dashboard asks for.
+export const dashboardUrls = (apiBaseUrl, locationQuery, {
+  standard, nearbyRadiusKm, nearbySort = 'distance', language, ...forecastSettings
+}) => ({
+  current: `${apiBaseUrl}/aqi/current?${toQueryString({ ...locationQuery, standard, lang: language })}`,
+  forecast: `${apiBaseUrl}/aqi/forecast?${toQueryString({ ...locationQuery, ...forecastParams(forecastSettings), standard, lang: language })}`,
+  nearby: `${apiBaseUrl}/aqi/nearby?${toQueryString({
+    ...locationQuery, radius: nearbyRadiusKm, limit: 8, sort: nearbySort, standard, lang: language
+  })}`
+});
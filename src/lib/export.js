@@ -0,0 +1,20 @@
+import { toQueryString } from './api';
+
+export const EXPORT_FORMATS = [
+  { id: 'csv', label: 'CSV' },
+  { id: 'json', label: 'JSON' },
+  { id: 'ndjson', label: 'NDJSON' }
+];
+
+// History periods offered for exports and reports; interval is what the
+// report charts aggregate to
+export const EXPORT_PERIODS = [
+  { key: '24h', label: 'Last 24 hours', hours: 24, interval: 'hourly' },
+  { key: '7d', label: 'Last 7 days', hours: 24 * 7, interval: 'hourly' },
+  { key: '30d', label: 'Last 30 days', hours: 24 * 30, interval: 'daily' }
+];
+
+export const periodStart = (period) => new Date(Date.now() - period.hours * 60 * 60 * 1000).toISOString();
+
+// The server sends Content-Disposition: attachment, so following the link downloads the file
+export const exportUrl = (apiBaseUrl, params) => `${apiBaseUrl}/aqi/export?${toQueryString(params)}`;
@@ -0,0 +1,135 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+
+// Shared data fetching for the dashboard panels.
+//
+// useApiResource(url) keeps one GET per panel: changing the URL aborts the
+// request for the old one, so a slow reply can never overwrite a newer one.
+// Responses are cached by URL (stale-while-revalidate): a cached copy shows
+// at once and is refreshed in the background once older than staleTimeMs.
+// Network errors, 429 and 5xx responses are retried with backoff.
+//
+// When the service worker answers from its offline copy (see
+// serviceWorker.js), cachedAt is the time that copy was saved; it is null
+// for fresh data.
+
+const MAX_CACHE_ENTRIES = 100;
+const RETRY_BASE_MS = 500;
+const MAX_RETRY_AFTER_MS = 10000;
+
+const cache = new Map();
+
+// Non-2xx response; `body` is the API's error envelope when there is one
+export class ApiRequestError extends Error {
+  constructor(status, body) {
+    super(body?.error?.message || `HTTP error! status: ${status}`);
+    this.name = 'ApiRequestError';
+    this.status = status;
+    this.code = body?.error?.code;
+    this.body = body;
+  }
+}
+
+const isRetryable = (error) => !(error instanceof ApiRequestError) || error.status === 429 || error.status >= 500;
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(signal.reason);
+  }, { once: true });
+});
+
+const CACHED_AT_HEADER = 'X-Cached-At';
+
+const fetchWithRetries = async (url, { signal, retries = 2 } = {}) => {
+  for (let attempt = 0; ; attempt++) {
+    let retryAfterMs = null;
+    try {
+      const response = await fetch(url, { signal });
+      if (response.ok) return { data: await response.json(), cachedAt: response.headers.get(CACHED_AT_HEADER) };
+      retryAfterMs = parseInt(response.headers.get('Retry-After')) * 1000 || null;
+      throw new ApiRequestError(response.status, await response.json().catch(() => null));
+    } catch (error) {
+      if (signal?.aborted || attempt >= retries || !isRetryable(error)) throw error;
+      await sleep(Math.min(MAX_RETRY_AFTER_MS, retryAfterMs ?? RETRY_BASE_MS * 2 ** attempt), signal);
+    }
+  }
+};
+
+export const fetchJson = async (url, options) => (await fetchWithRetries(url, options)).data;
+
+const cacheResponse = (url, data, cachedAt = null) => {
+  cache.delete(url);
+  cache.set(url, { data, cachedAt, updatedAt: Date.now() });
+  if (cache.size > MAX_CACHE_ENTRIES) cache.delete(cache.keys().next().value);
+};
+
+export const getCached = (url) => cache.get(url)?.data;
+
+// State for `url` before its own request has finished: the cached copy if any
+const initialState = (url) => ({
+  url,
+  data: url ? getCached(url) ?? null : null,
+  cachedAt: url ? cache.get(url)?.cachedAt ?? null : null,
+  error: null,
+  isLoading: Boolean(url) && !cache.has(url),
+  isValidating: false
+});
+
+// A null url disables the resource. Data always belongs to the current URL:
+// a new URL starts from its cached copy, or empty while it loads.
+// mutate(data) replaces the data for the current URL, e.g. from a live update.
+export const useApiResource = (url, { staleTimeMs = 30000, retries = 2 } = {}) => {
+  const [state, setState] = useState(() => initialState(url));
+  const [reloadCount, setReloadCount] = useState(0);
+  const forceReload = useRef(false);
+
+  useEffect(() => {
+    if (!url) return;
+    const cached = cache.get(url);
+    const force = forceReload.current;
+    forceReload.current = false;
+
+    // An offline copy is always worth another try
+    if (cached && !force && !cached.cachedAt && Date.now() - cached.updatedAt < staleTimeMs) {
+      setState({ url, data: cached.data, cachedAt: null, error: null, isLoading: false, isValidating: false });
+      return;
+    }
+
+    const controller = new AbortController();
+    // A reload keeps showing the current data; another URL never inherits it
+    setState(prev => ({
+      ...(prev.url === url ? prev : initialState(url)),
+      error: null,
+      isLoading: !cached,
+      isValidating: true
+    }));
+
+    fetchWithRetries(url, { signal: controller.signal, retries })
+      .then(({ data, cachedAt }) => {
+        cacheResponse(url, data, cachedAt);
+        setState({ url, data, cachedAt, error: null, isLoading: false, isValidating: false });
+      })
+      .catch(error => {
+        if (controller.signal.aborted) return;
+        console.error(`Error fetching ${url}:`, error);
+        setState(prev => ({ ...(prev.url === url ? prev : initialState(url)), error, isLoading: false, isValidating: false }));
+      });
+
+    return () => controller.abort();
+  }, [url, reloadCount, staleTimeMs, retries]);
+
+  const reload = useCallback(() => {
+    forceReload.current = true;
+    setReloadCount(count => count + 1);
+  }, []);
+
+  const mutate = useCallback((data) => {
+    if (url) cacheResponse(url, data);
+    setState(prev => ({ ...prev, url, data, cachedAt: null, error: null }));
+  }, [url]);
+
+  // Until the effect catches up with a URL change, don't return the old URL's data
+  const { url: _stateUrl, ...current } = state.url === url ? state : initialState(url);
+  return { ...current, reload, mutate };
+};
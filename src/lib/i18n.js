@@ -0,0 +1,46 @@
+import { createContext, useContext } from 'react';
+import en from '../locales/en';
+import hi from '../locales/hi';
+
+// UI text and number/date formatting for the chosen language.
+//
+// Catalogs (src/locales) map keys to strings with {name} placeholders, or to
+// functions of the params where the wording depends on them (plurals, word
+// order). Keys missing from a catalog fall back to English. Category names,
+// advice and alert messages come translated from the backend, which is why
+// every request carries the `lang` param.
+
+export const LANGUAGES = [
+  { id: 'en', label: 'English', locale: 'en-IN' },
+  { id: 'hi', label: 'हिन्दी', locale: 'hi-IN' }
+];
+
+const CATALOGS = { en, hi };
+
+const interpolate = (message, params) =>
+  message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+
+export const createI18n = (language) => {
+  const { id, locale } = LANGUAGES.find(l => l.id === language) || LANGUAGES[0];
+  const catalog = CATALOGS[id];
+
+  const t = (key, params = {}) => {
+    const message = catalog[key] ?? en[key] ?? key;
+    return typeof message === 'function' ? message(params) : interpolate(message, params);
+  };
+
+  // Non-numbers (e.g. a missing reading) pass through unchanged
+  const formatNumber = (value, options) =>
+    (typeof value === 'number' ? value.toLocaleString(locale, { maximumFractionDigits: 2, ...options }) : value);
+
+  const formatTime = (value, options) =>
+    new Date(value).toLocaleTimeString(locale, { hour: '2-digit', minute: '2-digit', ...options });
+
+  const formatDateTime = (value, options) => new Date(value).toLocaleString(locale, options);
+
+  return { language: id, locale, t, formatNumber, formatTime, formatDateTime };
+};
+
+export const I18nContext = createContext(createI18n('en'));
+
+export const useI18n = () => useContext(I18nContext);
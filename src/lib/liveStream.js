@@ -0,0 +1,71 @@
+// Subscribes to /api/aqi/stream and keeps the connection alive.
+//
+// EventSource retries on its own, but at a fixed interval and not at all once
+// the server answers with an error status. We reconnect ourselves with
+// exponential backoff and pass the last event ID along so nothing is missed.
+//
+// The server sends a `status` event when it can't refresh a source (current
+// or forecast); the stream counts as degraded until that source updates again.
+
+const MIN_RETRY_MS = 1000;
+const MAX_RETRY_MS = 60000;
+
+// onStatus receives 'connecting' | 'live' | 'degraded' | 'offline'. Returns an
+// unsubscribe function.
+export const subscribeToAQIStream = (streamUrl, { onCurrent, onForecast, onStatus }) => {
+  let source = null;
+  let retryTimer = null;
+  let attempts = 0;
+  let lastEventId = '';
+  let stopped = false;
+  const failing = new Set();
+
+  const reportLive = () => onStatus(failing.size > 0 ? 'degraded' : 'live');
+
+  const track = (name, handler) => (event) => {
+    lastEventId = event.lastEventId || lastEventId;
+    handler(JSON.parse(event.data));
+    if (failing.delete(name)) reportLive();
+  };
+
+  // Status events aren't replayed on reconnect, so their IDs aren't tracked
+  const trackStatus = (event) => {
+    const { source: name, ok } = JSON.parse(event.data);
+    if (ok) failing.delete(name);
+    else failing.add(name);
+    reportLive();
+  };
+
+  const connect = () => {
+    failing.clear();
+    onStatus('connecting');
+    const url = lastEventId
+      ? `${streamUrl}${streamUrl.includes('?') ? '&' : '?'}lastEventId=${encodeURIComponent(lastEventId)}`
+      : streamUrl;
+    source = new EventSource(url);
+
+    source.onopen = () => {
+      attempts = 0;
+      reportLive();
+    };
+    source.addEventListener('current', track('current', onCurrent));
+    source.addEventListener('forecast', track('forecast', onForecast));
+    source.addEventListener('status', trackStatus);
+    source.onerror = () => {
+      source.close();
+      if (stopped) return;
+      onStatus('offline');
+      const delay = Math.min(MAX_RETRY_MS, MIN_RETRY_MS * 2 ** attempts);
+      attempts++;
+      retryTimer = setTimeout(connect, delay);
+    };
+  };
+
+  connect();
+
+  return () => {
+    stopped = true;
+    clearTimeout(retryTimer);
+    if (source) source.close();
+  };
+};
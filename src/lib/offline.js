@@ -0,0 +1,74 @@
+import { useState, useEffect } from 'react';
+import { dashboardUrls } from './api';
+
+// Offline support: registers the service worker (production builds only, so
+// it never serves a stale shell during development) and fills its data
+// cache with the saved locations, so they can still be opened without a
+// connection.
+
+const WARMED_AT_KEY = 'airsense360.offlineWarmedAt';
+const WARM_INTERVAL_MS = 15 * 60000;
+const MAX_WARMED_LOCATIONS = 10;
+
+export const registerServiceWorker = () => {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`)
+      .catch(error => console.error('Error registering service worker:', error));
+  });
+};
+
+export const useOnlineStatus = () => {
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+  useEffect(() => {
+    const update = () => setIsOnline(navigator.onLine);
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+    };
+  }, []);
+  return isOnline;
+};
+
+// Requests the dashboard data for each watchlist entry, one at a time; the
+// service worker keeps the responses. Runs at most every WARM_INTERVAL_MS
+// unless forced, e.g. when the connection comes back.
+export const warmSavedLocations = async (settings, { force = false } = {}) => {
+  if (!navigator.serviceWorker?.controller || !navigator.onLine) return;
+  const warmedAt = Number(localStorage.getItem(WARMED_AT_KEY)) || 0;
+  if (!force && Date.now() - warmedAt < WARM_INTERVAL_MS) return;
+  localStorage.setItem(WARMED_AT_KEY, String(Date.now()));
+
+  try {
+    const response = await fetch(`${settings.apiBaseUrl}/watchlist`);
+    if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+    const { locations = [] } = await response.json();
+    for (const item of locations.slice(0, MAX_WARMED_LOCATIONS)) {
+      const urls = dashboardUrls(settings.apiBaseUrl, { location: item.location }, settings);
+      for (const url of Object.values(urls)) {
+        await fetch(url).catch(() => null);
+      }
+    }
+  } catch (error) {
+    console.error('Error saving locations for offline use:', error);
+  }
+};
+
+// "12 min", "3 h", "2 days" in the UI language
+export const formatAge = (isoTime, { t }, now = Date.now()) => {
+  const minutes = Math.max(0, Math.round((now - Date.parse(isoTime)) / 60000));
+  if (minutes < 1) return t('offline.lessThanMinute');
+  if (minutes < 60) return t('unit.minutes', { count: minutes });
+  const hours = Math.round(minutes / 60);
+  if (hours < 48) return t('unit.hours', { count: hours });
+  return t('unit.days', { count: Math.round(hours / 24) });
+};
+
+// Label for data answered from the offline copy, or '' for fresh data;
+// i18n is the object from useI18n()
+export const staleLabel = (cachedAt, isOnline, i18n) => {
+  if (!cachedAt) return '';
+  return i18n.t(isOnline ? 'offline.savedUnreachable' : 'offline.savedOffline', { age: formatAge(cachedAt, i18n) });
+};
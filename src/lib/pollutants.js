@@ -0,0 +1,50 @@
+export const POLLUTANT_LABELS = {
+  pm25: 'PM2.5',
+  pm10: 'PM10',
+  no2: 'NO2',
+  so2: 'SO2',
+  co: 'CO',
+  o3: 'O3'
+};
+
+// Units of the concentrations returned by the backend
+export const POLLUTANT_UNITS = {
+  pm25: 'µg/m³',
+  pm10: 'µg/m³',
+  no2: 'µg/m³',
+  so2: 'µg/m³',
+  co: 'mg/m³',
+  o3: 'µg/m³'
+};
+
+export const CONCENTRATION_UNITS = [
+  { id: 'ugm3', label: 'µg/m³ (mass)' },
+  { id: 'ppb', label: 'ppb (volume)' }
+];
+
+// Gases can be shown as mixing ratios; particulates are always mass per volume.
+// 24.45 L/mol is the molar volume of air at 25 °C and 1 atm.
+const MOLECULAR_WEIGHTS = { no2: 46.01, so2: 64.07, co: 28.01, o3: 48.0 };
+const MOLAR_VOLUME = 24.45;
+
+const isVolumetric = (pollutant, units) => units === 'ppb' && pollutant in MOLECULAR_WEIGHTS;
+
+// CO arrives in mg/m³, so the same factor turns it into ppm rather than ppb
+export const pollutantUnit = (pollutant, units) =>
+  isVolumetric(pollutant, units) ? (pollutant === 'co' ? 'ppm' : 'ppb') : POLLUTANT_UNITS[pollutant];
+
+// Converts a backend concentration for display; anything else (e.g. AQI) passes through
+export const convertConcentration = (pollutant, value, units) => {
+  if (typeof value !== 'number' || !isVolumetric(pollutant, units)) return value;
+  const scale = pollutant === 'co' ? 100 : 10;
+  return Math.round((value * MOLAR_VOLUME / MOLECULAR_WEIGHTS[pollutant]) * scale) / scale;
+};
+
+// Short label for where a current value came from (see `sources` in
+// /aqi/current), in the language of `t` (see lib/i18n)
+export const describeSource = ({ source, sensors, ageMinutes }, t) => {
+  if (source === 'model') return t('source.model');
+  const freshness = ageMinutes < 1 ? t('source.justNow') : t('source.minutesAgo', { count: ageMinutes });
+  const count = t('source.sensors', { count: sensors });
+  return t(source === 'blended' ? 'source.blended' : 'source.ground', { sensors: count, freshness });
+};
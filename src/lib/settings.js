@@ -0,0 +1,90 @@
+const STORAGE_KEY = 'airsense360.settings';
+
+export const AQI_STANDARDS = [
+  { id: 'us-epa', label: 'US EPA' },
+  { id: 'in-cpcb', label: 'India NAQI' }
+];
+
+export const DEFAULT_SETTINGS = {
+  apiBaseUrl: import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000/api',
+  defaultLocation: 'Gurugram, Haryana',
+  standard: 'us-epa',
+  units: 'ugm3',
+  forecastGranularity: 'hourly',
+  forecastHours: 48,
+  forecastDays: 5,
+  refreshMinutes: 1,
+  nearbyRadiusKm: 50,
+  theme: 'light',
+  // Hindi for browsers set to it, English otherwise (see lib/i18n)
+  language: navigator.language?.toLowerCase().startsWith('hi') ? 'hi' : 'en',
+  syncId: ''
+};
+
+// Stored in the backend profile (see /api/preferences); the API address and
+// the sync code itself only make sense for this browser
+const SYNCED_KEYS = [
+  'defaultLocation', 'standard', 'units', 'forecastGranularity', 'forecastHours',
+  'forecastDays', 'refreshMinutes', 'nearbyRadiusKm', 'theme', 'language'
+];
+
+// Keep only known keys whose type matches the default, so stale or edited
+// storage can't break the dashboard
+const sanitize = (stored) => Object.fromEntries(
+  Object.entries(stored || {}).filter(([key, value]) =>
+    key in DEFAULT_SETTINGS && typeof value === typeof DEFAULT_SETTINGS[key])
+);
+
+export const loadSettings = () => {
+  try {
+    return { ...DEFAULT_SETTINGS, ...sanitize(JSON.parse(localStorage.getItem(STORAGE_KEY))) };
+  } catch {
+    return { ...DEFAULT_SETTINGS };
+  }
+};
+
+export const saveSettings = (settings) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+};
+
+// Query params for /aqi/forecast and /aqi/stream
+export const forecastParams = ({ forecastGranularity, forecastHours, forecastDays }) =>
+  forecastGranularity === 'daily'
+    ? { granularity: 'daily', days: forecastDays }
+    : { granularity: 'hourly', hours: forecastHours };
+
+// 32 hex characters; getRandomValues also works outside secure contexts
+// (plain-http LAN addresses), unlike randomUUID
+export const createSyncId = () =>
+  Array.from(crypto.getRandomValues(new Uint8Array(16)), byte => byte.toString(16).padStart(2, '0')).join('');
+
+// Settings stored under syncId, or null when nothing has been stored yet
+export const fetchSyncedSettings = async (apiBaseUrl, syncId) => {
+  const response = await fetch(`${apiBaseUrl}/preferences/${encodeURIComponent(syncId)}`);
+  if (response.status === 404) return null;
+  if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+  const data = await response.json();
+  return sanitize(data.settings);
+};
+
+export const pushSyncedSettings = async (settings) => {
+  const response = await fetch(`${settings.apiBaseUrl}/preferences/${encodeURIComponent(settings.syncId)}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ settings: Object.fromEntries(SYNCED_KEYS.map(key => [key, settings[key]])) })
+  });
+  if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+};
+
+// Toggles the `dark` class on <html>; for 'system' it follows the OS setting
+// and returns a cleanup that stops listening
+export const applyTheme = (theme) => {
+  const media = window.matchMedia('(prefers-color-scheme: dark)');
+  const update = () => {
+    document.documentElement.classList.toggle('dark', theme === 'dark' || (theme === 'system' && media.matches));
+  };
+  update();
+  if (theme !== 'system') return undefined;
+  media.addEventListener('change', update);
+  return () => media.removeEventListener('change', update);
+};
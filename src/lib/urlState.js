@@ -0,0 +1,50 @@
+import { AQI_STANDARDS } from './settings';
+
+// The dashboard's location, tab and standard live in the query string so a
+// view can be bookmarked or shared (?location=Noida&tab=forecast) and the
+// browser's back/forward buttons move between views.
+//
+// location is a place name as the backend resolves it; lat/lon are used for
+// "Current Location" until the reply names the place. A missing standard
+// means the one from settings.
+
+export const TABS = ['dashboard', 'forecast', 'history', 'map', 'compare', 'alerts'];
+
+const COORDINATE_PATTERN = /^-?\d{1,3}(\.\d+)?$/;
+
+export const readUrlState = (search = window.location.search) => {
+  const params = new URLSearchParams(search);
+  const lat = params.get('lat');
+  const lon = params.get('lon');
+  const tab = params.get('tab');
+  const standard = params.get('standard');
+  const hasCoordinates = COORDINATE_PATTERN.test(lat || '') && COORDINATE_PATTERN.test(lon || '');
+  return {
+    location: params.get('location')?.trim() || '',
+    lat: hasCoordinates ? lat : '',
+    lon: hasCoordinates ? lon : '',
+    tab: TABS.includes(tab) ? tab : 'dashboard',
+    standard: AQI_STANDARDS.some(s => s.id === standard) ? standard : ''
+  };
+};
+
+export const urlForState = ({ location, lat, lon, tab, standard }) => {
+  const params = new URLSearchParams();
+  if (lat && lon) {
+    params.set('lat', lat);
+    params.set('lon', lon);
+  } else if (location) {
+    params.set('location', location);
+  }
+  if (tab && tab !== 'dashboard') params.set('tab', tab);
+  if (standard) params.set('standard', standard);
+  const search = params.toString();
+  return `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`;
+};
+
+// Pushes a history entry unless the URL already matches
+export const writeUrlState = (state) => {
+  const url = urlForState(state);
+  if (url === `${window.location.pathname}${window.location.search}${window.location.hash}`) return;
+  window.history.pushState(null, '', url);
+};
@@ -0,0 +1,135 @@
+// English UI text; see lib/i18n for the message format. Every key used in
+// the app must exist here, since other languages fall back to it.
+
+const plural = (count, one, many) => `${count} ${count === 1 ? one : many}`;
+
+export default {
+  'language.label': 'Language',
+
+  'tab.dashboard': 'Dashboard',
+  'tab.forecast': 'Forecast',
+  'tab.history': 'History',
+  'tab.map': 'Map',
+  'tab.compare': 'Compare',
+  'tab.alerts': 'Alerts',
+
+  'pollutant.pm25': 'Fine particles',
+  'pollutant.pm10': 'Coarse particles',
+  'pollutant.no2': 'Nitrogen dioxide',
+  'pollutant.so2': 'Sulphur dioxide',
+  'pollutant.co': 'Carbon monoxide',
+  'pollutant.o3': 'Ozone',
+
+  'unit.minutes': '{count} min',
+  'unit.hours': '{count} h',
+  'unit.days': ({ count }) => plural(count, 'day', 'days'),
+  'unit.km': '{count} km',
+
+  'common.loading': 'Loading...',
+  'common.settings': 'Settings',
+
+  'header.offline': 'Offline',
+  'header.offlineHint': 'Showing readings saved on this device',
+  'header.unreadAlerts': ({ count }) => plural(count, 'unread alert', 'unread alerts'),
+  'live.live': 'Live',
+  'live.connecting': 'Connecting',
+  'live.offline': 'Offline',
+  'live.liveHint': 'Receiving live updates',
+  'live.retryHint': 'Live updates unavailable, retrying',
+  'live.degraded': 'Delayed',
+  'live.degradedHint': 'Connected, but the server could not refresh the latest data',
+
+  'search.placeholder': 'Search location...',
+  'search.button': 'Search',
+  'search.currentLocation': 'Current Location',
+
+  'error.geolocationUnsupported': 'Geolocation not supported',
+  'error.locationDenied': 'Location access denied',
+  'error.offlineUnsaved': "You're offline and this location hasn't been saved for offline use.",
+  'error.fetchCurrent': 'Failed to fetch air quality data. Please try again.',
+  'error.locationNotFound': 'Location not found. Try a city or district name.',
+  'error.locationNotFoundHints': 'Location not found. Did you mean {hints}?',
+  'error.fetchNearby': 'Failed to fetch nearby stations.',
+  'error.fetchForecast': 'Failed to fetch forecast data.',
+
+  'offline.savedOffline': 'Offline — showing readings saved {age} ago',
+  'offline.savedUnreachable': 'Server unreachable — showing readings saved {age} ago',
+  'offline.lessThanMinute': 'less than a minute',
+
+  'current.title': 'Current Air Quality',
+  'current.loading': 'Loading air quality data...',
+  'current.dominant': 'Dominant pollutant:',
+  'current.lastUpdated': 'Last updated: {time}',
+  'current.via': 'via {provider}',
+  'current.blended': ({ count, km }) => `Blended with ${plural(count, 'ground sensor', 'ground sensors')} within ${km} km`,
+
+  'source.model': 'Model estimate',
+  'source.justNow': 'just now',
+  'source.minutesAgo': '{count} min ago',
+  'source.sensors': ({ count }) => plural(count, 'sensor', 'sensors'),
+  'source.blended': 'Model + {sensors}, {freshness}',
+  'source.ground': '{sensors}, {freshness}',
+
+  'nearby.title': 'Nearby Stations',
+  'nearby.sortBy': 'Sort by',
+  'nearby.sortDistance': 'Distance',
+  'nearby.sortAqi': 'Worst AQI',
+  'nearby.bearing': 'Bearing {bearing}°',
+
+  'forecast.title': 'Air Quality Forecast',
+  'forecast.nextHours': 'next {count} hours',
+  'forecast.hourly': 'Hourly',
+  'forecast.daily': 'Daily',
+  'forecast.loading': 'Loading forecast...',
+  'forecast.empty': 'No forecast data available',
+  'forecast.confidence': 'Shaded area: confidence range, widening further ahead.',
+  'forecast.worst': 'Worst expected:',
+  'forecast.aqiRange': 'AQI range {low}–{high}',
+
+  'advice.title': 'Health Advice',
+  'advice.error': 'Failed to load health advice.',
+  'advice.bestTimes': ({ activity, duration }) => `Best times for ${activity.toLowerCase()} (${duration} min)`,
+  'advice.noWindow': 'No daytime window in the next {hours} hours.',
+  'advice.goodWindow': 'Good window',
+  'advice.notIdeal': 'Best available, still not ideal',
+  'advice.peakAqi': 'peak AQI {aqi}',
+  'profile.general': 'General public',
+  'profile.asthma': 'Asthma or lung disease',
+  'profile.elderly': 'Older adults',
+  'profile.children': 'Children',
+  'profile.pregnant': 'Pregnant',
+  'profile.athlete': 'Outdoor athlete',
+  'activity.walk': 'Walking',
+  'activity.cycle': 'Cycling',
+  'activity.run': 'Running',
+  'activity.sports': 'Outdoor sports',
+  'activity.play': 'Outdoor play',
+  'activity.gardening': 'Gardening',
+
+  'alerts.title': 'Air Quality Alerts',
+  'alerts.empty': 'No alerts yet. Create a rule below to get notified.',
+  'alerts.webhooks': 'webhooks: {ok}/{total} delivered',
+  'alerts.rules': 'Alert Rules',
+  'alerts.noRules': 'No alert rules yet',
+  'alerts.type.threshold': 'Threshold',
+  'alerts.type.change': 'Rapid change',
+  'alerts.type.forecast': 'Forecast',
+  'alerts.operator.above': 'above',
+  'alerts.operator.below': 'below',
+  'alerts.changeHint': 'Percent change (negative for drops)',
+  'alerts.percentWithin': '% within',
+  'alerts.minutes': 'min',
+  'alerts.orWorse': '{category} or worse',
+  'alerts.within': 'within',
+  'alerts.webhookPlaceholder': 'Webhook URL (optional)',
+  'alerts.addFor': 'Add for {location}',
+  'alerts.thisLocation': 'location',
+  'alerts.createFailed': 'Failed to create alert rule',
+  'alerts.triggered': 'currently triggered',
+  'alerts.enabled': 'Enabled',
+  'alerts.delete': 'Delete rule',
+  'alerts.rule.threshold': ({ metric, operator, threshold }) => `${metric} ${operator} ${threshold}`,
+  'alerts.rule.change': ({ metric, percent, minutes }) =>
+    `${metric} ${percent > 0 ? 'rises' : 'falls'} ${Math.abs(percent)}% within ${minutes} min`,
+  'alerts.rule.forecast': ({ category, days }) => `Forecast reaches "${category}" within ${plural(days, 'day', 'days')}`
+};
@@ -0,0 +1,133 @@
+// Hindi UI text; keys missing here fall back to English (locales/en.js)
+
+export default {
+  'language.label': 'भाषा',
+
+  'tab.dashboard': 'डैशबोर्ड',
+  'tab.forecast': 'पूर्वानुमान',
+  'tab.history': 'इतिहास',
+  'tab.map': 'नक्शा',
+  'tab.compare': 'तुलना',
+  'tab.alerts': 'अलर्ट',
+
+  'pollutant.pm25': 'सूक्ष्म कण',
+  'pollutant.pm10': 'मोटे कण',
+  'pollutant.no2': 'नाइट्रोजन डाइऑक्साइड',
+  'pollutant.so2': 'सल्फ़र डाइऑक्साइड',
+  'pollutant.co': 'कार्बन मोनोऑक्साइड',
+  'pollutant.o3': 'ओज़ोन',
+
+  'unit.minutes': '{count} मिनट',
+  'unit.hours': '{count} घंटे',
+  'unit.days': '{count} दिन',
+  'unit.km': '{count} किमी',
+
+  'common.loading': 'लोड हो रहा है...',
+  'common.settings': 'सेटिंग्स',
+
+  'header.offline': 'ऑफ़लाइन',
+  'header.offlineHint': 'इस डिवाइस पर सहेजी गई रीडिंग दिखाई जा रही हैं',
+  'header.unreadAlerts': '{count} अपठित अलर्ट',
+  'live.live': 'लाइव',
+  'live.connecting': 'कनेक्ट हो रहा है',
+  'live.offline': 'ऑफ़लाइन',
+  'live.liveHint': 'लाइव अपडेट मिल रहे हैं',
+  'live.retryHint': 'लाइव अपडेट उपलब्ध नहीं, फिर से कोशिश की जा रही है',
+  'live.degraded': 'देरी से',
+  'live.degradedHint': 'कनेक्ट है, लेकिन सर्वर नया डेटा नहीं ला सका',
+
+  'search.placeholder': 'स्थान खोजें...',
+  'search.button': 'खोजें',
+  'search.currentLocation': 'मौजूदा स्थान',
+
+  'error.geolocationUnsupported': 'इस ब्राउज़र में लोकेशन की सुविधा नहीं है',
+  'error.locationDenied': 'लोकेशन की अनुमति नहीं मिली',
+  'error.offlineUnsaved': 'आप ऑफ़लाइन हैं और यह स्थान ऑफ़लाइन उपयोग के लिए सहेजा नहीं गया है।',
+  'error.fetchCurrent': 'वायु गुणवत्ता का डेटा नहीं मिल सका। कृपया फिर से कोशिश करें।',
+  'error.locationNotFound': 'स्थान नहीं मिला। किसी शहर या ज़िले का नाम आज़माएँ।',
+  'error.locationNotFoundHints': 'स्थान नहीं मिला। क्या आपका मतलब {hints} था?',
+  'error.fetchNearby': 'आस-पास के स्टेशनों का डेटा नहीं मिल सका।',
+  'error.fetchForecast': 'पूर्वानुमान का डेटा नहीं मिल सका।',
+
+  'offline.savedOffline': 'ऑफ़लाइन — {age} पहले सहेजी गई रीडिंग दिखाई जा रही हैं',
+  'offline.savedUnreachable': 'सर्वर से संपर्क नहीं हो सका — {age} पहले सहेजी गई रीडिंग दिखाई जा रही हैं',
+  'offline.lessThanMinute': 'एक मिनट से कम',
+
+  'current.title': 'मौजूदा वायु गुणवत्ता',
+  'current.loading': 'वायु गुणवत्ता का डेटा लोड हो रहा है...',
+  'current.dominant': 'मुख्य प्रदूषक:',
+  'current.lastUpdated': 'अंतिम अपडेट: {time}',
+  'current.via': 'स्रोत: {provider}',
+  'current.blended': '{km} किमी के भीतर {count} ज़मीनी सेंसर की रीडिंग शामिल',
+
+  'source.model': 'मॉडल अनुमान',
+  'source.justNow': 'अभी',
+  'source.minutesAgo': '{count} मिनट पहले',
+  'source.sensors': '{count} सेंसर',
+  'source.blended': 'मॉडल + {sensors}, {freshness}',
+  'source.ground': '{sensors}, {freshness}',
+
+  'nearby.title': 'आस-पास के स्टेशन',
+  'nearby.sortBy': 'क्रम',
+  'nearby.sortDistance': 'दूरी',
+  'nearby.sortAqi': 'सबसे खराब AQI',
+  'nearby.bearing': 'दिशा {bearing}°',
+
+  'forecast.title': 'वायु गुणवत्ता पूर्वानुमान',
+  'forecast.nextHours': 'अगले {count} घंटे',
+  'forecast.hourly': 'घंटेवार',
+  'forecast.daily': 'दैनिक',
+  'forecast.loading': 'पूर्वानुमान लोड हो रहा है...',
+  'forecast.empty': 'पूर्वानुमान का डेटा उपलब्ध नहीं है',
+  'forecast.confidence': 'छायांकित क्षेत्र: अनुमान की संभावित सीमा, जो आगे के समय के लिए चौड़ी होती जाती है।',
+  'forecast.worst': 'सबसे खराब संभावित:',
+  'forecast.aqiRange': 'AQI सीमा {low}–{high}',
+
+  'advice.title': 'स्वास्थ्य सलाह',
+  'advice.error': 'स्वास्थ्य सलाह लोड नहीं हो सकी।',
+  'advice.bestTimes': 'सबसे अच्छा समय: {activity} ({duration} मिनट)',
+  'advice.noWindow': 'अगले {hours} घंटों में दिन का कोई उपयुक्त समय नहीं है।',
+  'advice.goodWindow': 'अच्छा समय',
+  'advice.notIdeal': 'उपलब्ध में सबसे अच्छा, फिर भी आदर्श नहीं',
+  'advice.peakAqi': 'अधिकतम AQI {aqi}',
+  'profile.general': 'आम जनता',
+  'profile.asthma': 'अस्थमा या फेफड़ों की बीमारी',
+  'profile.elderly': 'बुज़ुर्ग',
+  'profile.children': 'बच्चे',
+  'profile.pregnant': 'गर्भवती',
+  'profile.athlete': 'बाहर खेलने वाले खिलाड़ी',
+  'activity.walk': 'पैदल चलना',
+  'activity.cycle': 'साइकिल चलाना',
+  'activity.run': 'दौड़ना',
+  'activity.sports': 'बाहरी खेल',
+  'activity.play': 'बाहर खेलना',
+  'activity.gardening': 'बागवानी',
+
+  'alerts.title': 'वायु गुणवत्ता अलर्ट',
+  'alerts.empty': 'अभी कोई अलर्ट नहीं है। सूचना पाने के लिए नीचे एक नियम बनाएँ।',
+  'alerts.webhooks': 'वेबहुक: {total} में से {ok} पहुँचे',
+  'alerts.rules': 'अलर्ट नियम',
+  'alerts.noRules': 'अभी कोई अलर्ट नियम नहीं है',
+  'alerts.type.threshold': 'सीमा',
+  'alerts.type.change': 'तेज़ बदलाव',
+  'alerts.type.forecast': 'पूर्वानुमान',
+  'alerts.operator.above': 'से ऊपर',
+  'alerts.operator.below': 'से नीचे',
+  'alerts.changeHint': 'प्रतिशत बदलाव (गिरावट के लिए ऋणात्मक)',
+  'alerts.percentWithin': '% बदलाव, समय',
+  'alerts.minutes': 'मिनट',
+  'alerts.orWorse': '{category} या इससे खराब',
+  'alerts.within': 'समय',
+  'alerts.webhookPlaceholder': 'वेबहुक URL (वैकल्पिक)',
+  'alerts.addFor': '{location} के लिए जोड़ें',
+  'alerts.thisLocation': 'स्थान',
+  'alerts.createFailed': 'अलर्ट नियम नहीं बन सका',
+  'alerts.triggered': 'अभी सक्रिय',
+  'alerts.enabled': 'चालू',
+  'alerts.delete': 'नियम हटाएँ',
+  'alerts.rule.threshold': ({ metric, operator, threshold }) =>
+    `${metric} ${threshold} ${operator === 'below' ? 'से नीचे' : 'से ऊपर'}`,
+  'alerts.rule.change': ({ metric, percent, minutes }) =>
+    `${minutes} मिनट में ${metric} ${Math.abs(percent)}% ${percent > 0 ? 'बढ़े' : 'घटे'}`,
+  'alerts.rule.forecast': ({ category, days }) => `${days} दिन में पूर्वानुमान "${category}" तक पहुँचे`
+};
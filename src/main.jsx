@@ -3,6 +3,9 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import { registerServiceWorker } from './lib/offline'
+
+registerServiceWorker()
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
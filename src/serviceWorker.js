@@ -0,0 +1,88 @@
+/* global PRECACHE_VERSION, PRECACHE_URLS */
+// Service worker for the installable app. The build (see vite.config.js)
+// turns this file into dist/sw.js, prepending PRECACHE_VERSION and
+// PRECACHE_URLS: every file of that build, so the app shell works offline.
+//
+// Current, forecast and nearby responses go network-first into a data cache
+// the app fills for saved locations. When the network fails or stalls, the
+// last response is served instead, marked with an X-Cached-At header so the
+// app can label it as stale; the network reply still updates the cache.
+
+const SHELL_CACHE = `airsense360-shell-${PRECACHE_VERSION}`;
+const DATA_CACHE = 'airsense360-data';
+const DATA_PATH = /\/aqi\/(current|forecast|nearby)$/;
+const MAX_DATA_ENTRIES = 150;
+const NETWORK_TIMEOUT_MS = 8000;
+const CACHED_AT_HEADER = 'X-Cached-At';
+
+const PRECACHE_PATHS = new Set(PRECACHE_URLS.map(url => new URL(url, self.location).pathname));
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(PRECACHE_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+// Drop the shells of earlier builds
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name.startsWith('airsense360-shell-') && name !== SHELL_CACHE)
+      .map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate') {
+    event.respondWith(navigationResponse(request));
+  } else if (DATA_PATH.test(url.pathname)) {
+    event.respondWith(dataResponse(event));
+  } else if (url.origin === self.location.origin && PRECACHE_PATHS.has(url.pathname)) {
+    event.respondWith(caches.match(request, { cacheName: SHELL_CACHE }).then(cached => cached || fetch(request)));
+  }
+});
+
+// Fresh pages when online, precached ones otherwise (index.html for any
+// dashboard URL, widget.html for the widget)
+async function navigationResponse(request) {
+  try {
+    return await fetch(request);
+  } catch (error) {
+    const shell = await caches.match(request, { cacheName: SHELL_CACHE, ignoreSearch: true })
+      || await caches.match(new URL('index.html', self.registration.scope), { cacheName: SHELL_CACHE });
+    if (shell) return shell;
+    throw error;
+  }
+}
+
+async function dataResponse(event) {
+  const cache = await caches.open(DATA_CACHE);
+  const network = fetch(event.request).then(async (response) => {
+    if (response.ok) await storeData(cache, event.request, response.clone());
+    return response;
+  });
+  event.waitUntil(network.catch(() => {}));
+
+  const cached = await cache.match(event.request);
+  if (!cached) return network;
+  const timeout = new Promise(resolve => setTimeout(() => resolve(cached), NETWORK_TIMEOUT_MS));
+  return Promise.race([network, timeout]).catch(() => cached);
+}
+
+async function storeData(cache, request, response) {
+  const headers = new Headers(response.headers);
+  headers.set(CACHED_AT_HEADER, new Date().toISOString());
+  await cache.put(request, new Response(await response.blob(), { status: response.status, headers }));
+
+  // Oldest first; a refreshed entry keeps its place, which is close enough
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - MAX_DATA_ENTRIES)).map(key => cache.delete(key)));
+}
@@ -0,0 +1,32 @@
+import { renderWidget } from './renderWidget';
+
+// Entry for the standalone script (dist/widget.js, built by
+// vite.widget.config.js). Each element with data-airsense-widget becomes a
+// card:
+//   <div data-airsense-widget data-location="Noida" data-mode="compact"></div>
+//   <script src="https://airsense.example.org/widget.js" async></script>
+// data-standard and data-api work like the iframe's query params. Cards
+// added later can be mounted with AirSense360Widget.mountAll(), or rendered
+// directly with AirSense360Widget.renderWidget(element, options).
+//
+// The host page calls the API from its own origin, so the backend's CORS
+// settings must allow it (see access.json).
+
+// Only set while this script first runs
+const appUrl = document.currentScript ? new URL('./', document.currentScript.src).href : undefined;
+
+export const mountAll = () => {
+  document.querySelectorAll('[data-airsense-widget]').forEach(element => {
+    if (element.shadowRoot) return;
+    const { location, mode, standard, api } = element.dataset;
+    renderWidget(element, { location: location?.trim(), mode, standard, apiBaseUrl: api, appUrl });
+  });
+};
+
+export { renderWidget };
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', mountAll);
+} else {
+  mountAll();
+}
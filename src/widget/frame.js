@@ -0,0 +1,16 @@
+import { renderWidget } from './renderWidget';
+
+// Entry for widget.html, the iframe version:
+//   <iframe src="https://airsense.example.org/widget.html?location=Noida&mode=dark"
+//           width="320" height="150" style="border:0"></iframe>
+// Query params are those of renderWidget(); `api` overrides the backend address.
+
+const params = new URLSearchParams(window.location.search);
+
+renderWidget(document.getElementById('widget'), {
+  location: params.get('location')?.trim(),
+  mode: params.get('mode') || undefined,
+  standard: params.get('standard') || undefined,
+  apiBaseUrl: params.get('api') || undefined,
+  appUrl: new URL('./', window.location.href).href
+});
@@ -0,0 +1,137 @@
+import { DEFAULT_SETTINGS } from '../lib/settings';
+import { toQueryString } from '../lib/api';
+import { POLLUTANT_LABELS } from '../lib/pollutants';
+
+// Compact current-AQI card for other sites, shared by the iframe page
+// (widget.html) and the standalone script (embed.js). It is plain DOM in a
+// shadow root, not React, so the script stays small and neither the host
+// page's CSS nor ours leaks across.
+//
+// Readings come from /aqi/current; its Cache-Control header lets the
+// browser reuse a reading until it expires, so many widgets for one place
+// cost one request.
+
+export const WIDGET_MODES = ['light', 'dark', 'compact'];
+const REFRESH_MS = 5 * 60000;
+
+const STYLES = `
+  :host { display: block; }
+  .card {
+    font-family: system-ui, -apple-system, 'Segoe UI', Roboto, sans-serif;
+    box-sizing: border-box; border-radius: 12px; padding: 16px; max-width: 320px;
+    background: #ffffff; color: #111827; border: 1px solid #e5e7eb;
+  }
+  .card.dark { background: #111827; color: #f9fafb; border-color: #374151; }
+  .card.compact { display: flex; align-items: center; gap: 10px; padding: 8px 12px; border-radius: 999px; max-width: none; }
+  .header { display: flex; justify-content: space-between; align-items: baseline; gap: 8px; margin-bottom: 12px; }
+  .place { font-weight: 600; font-size: 15px; }
+  .muted { font-size: 12px; color: #6b7280; }
+  .dark .muted { color: #9ca3af; }
+  .body { display: flex; align-items: center; gap: 12px; }
+  .badge {
+    display: inline-flex; align-items: center; justify-content: center; flex-shrink: 0;
+    width: 56px; height: 56px; border-radius: 50%; color: #ffffff; font-weight: 700; font-size: 20px;
+  }
+  .compact .badge { width: 36px; height: 36px; font-size: 14px; }
+  .category { font-weight: 600; }
+  .compact .place { font-size: 14px; }
+  a { color: inherit; font-size: 12px; }
+  .footer { margin-top: 12px; display: flex; justify-content: space-between; }
+`;
+
+const el = (tag, className, text) => {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text !== undefined) node.textContent = text;
+  return node;
+};
+
+const renderReading = (card, reading, { mode, detailsUrl }) => {
+  const badge = el('span', 'badge', String(reading.aqi));
+  badge.style.backgroundColor = reading.color;
+  const category = el('div', 'category', reading.category);
+  if (mode !== 'dark') category.style.color = reading.textColor;
+  const updated = `Updated ${new Date(reading.lastUpdated).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+
+  if (mode === 'compact') {
+    const text = el('div');
+    text.append(el('div', 'place', reading.location), category);
+    card.title = updated;
+    card.append(badge, text);
+    return;
+  }
+
+  const header = el('div', 'header');
+  header.append(el('span', 'place', reading.location), el('span', 'muted', 'Air quality'));
+  const summary = el('div');
+  summary.append(category);
+  if (reading.dominantPollutant) {
+    summary.append(el('div', 'muted', `Dominant: ${POLLUTANT_LABELS[reading.dominantPollutant] || reading.dominantPollutant}`));
+  }
+  const body = el('div', 'body');
+  body.append(badge, summary);
+
+  const footer = el('div', 'footer');
+  footer.append(el('span', 'muted', updated));
+  if (detailsUrl) {
+    const link = el('a', '', 'Details');
+    link.href = detailsUrl;
+    link.target = '_blank';
+    link.rel = 'noopener';
+    footer.append(link);
+  }
+  card.append(header, body, footer);
+};
+
+// Renders into `container` and refreshes every few minutes. Returns a
+// function that stops the refreshes.
+//   location   place name as the dashboard's search takes it
+//   mode       light (default), dark or compact
+//   standard   AQI standard ID (default: the backend's)
+//   apiBaseUrl backend address, e.g. https://aqi.example.org/api
+//   appUrl     dashboard address the card links to
+export const renderWidget = (container, {
+  location,
+  mode = 'light',
+  standard,
+  apiBaseUrl = DEFAULT_SETTINGS.apiBaseUrl,
+  appUrl
+}) => {
+  const root = container.shadowRoot || container.attachShadow({ mode: 'open' });
+  const style = el('style', '', STYLES);
+  const card = el('div', `card ${WIDGET_MODES.includes(mode) ? mode : 'light'}`);
+  root.replaceChildren(style, card);
+
+  if (!location) {
+    card.append(el('span', 'muted', 'No location set for this widget.'));
+    return () => {};
+  }
+
+  const url = `${apiBaseUrl}/aqi/current?${toQueryString({ location, standard })}`;
+  const detailsUrl = appUrl && `${appUrl}?${toQueryString({ location, standard })}`;
+
+  let hasReading = false;
+  const load = async () => {
+    try {
+      const response = await fetch(url);
+      if (response.status === 404) {
+        card.replaceChildren(el('span', 'muted', `Unknown location: ${location}`));
+        return;
+      }
+      if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+      const reading = await response.json();
+      card.replaceChildren();
+      renderReading(card, reading, { mode, detailsUrl });
+      hasReading = true;
+    } catch (error) {
+      console.error('Error fetching widget reading:', error);
+      // Keep showing the last reading if there is one
+      if (!hasReading) card.replaceChildren(el('span', 'muted', 'Air quality unavailable'));
+    }
+  };
+
+  card.append(el('span', 'muted', 'Loading air quality…'));
+  load();
+  const timer = setInterval(load, REFRESH_MS);
+  return () => clearInterval(timer);
+};
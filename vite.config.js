@@ -1,7 +1,44 @@
+import { readFileSync } from 'node:fs'
+import { createHash } from 'node:crypto'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Public files the service worker precaches besides the build output
+const PWA_PUBLIC_FILES = ['manifest.webmanifest', 'icon.svg']
+
+// Builds dist/sw.js from src/serviceWorker.js with the list of files to
+// precache. The version changes with every build that changes a file, so
+// browsers install the new worker and drop the old app shell.
+const serviceWorker = () => {
+  let base = '/'
+  return {
+    name: 'airsense360-service-worker',
+    apply: 'build',
+    enforce: 'post',
+    configResolved(config) {
+      base = config.base
+    },
+    generateBundle(_options, bundle) {
+      const files = Object.keys(bundle).filter(file => !file.endsWith('.map') && file !== 'sw.js')
+      const urls = [...files, ...PWA_PUBLIC_FILES].sort().map(file => `${base}${file}`)
+      const source = readFileSync(new URL('./src/serviceWorker.js', import.meta.url), 'utf8')
+      const version = createHash('sha256').update(urls.join('\n')).update(source).digest('hex').slice(0, 12)
+      this.emitFile({
+        type: 'asset',
+        fileName: 'sw.js',
+        source: `const PRECACHE_VERSION = ${JSON.stringify(version)};\nconst PRECACHE_URLS = ${JSON.stringify(urls, null, 2)};\n\n${source}`,
+      })
+    },
+  }
+}
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
+  build: {
+    rollupOptions: {
+      // widget.html is the iframe version of the embeddable widget
+      input: ['index.html', 'widget.html'],
+    },
+  },
 })
@@ -0,0 +1,17 @@
+import { defineConfig } from 'vite'
+
+// The embeddable widget as one classic script, dist/widget.js, so any page
+// can load it with a plain <script> tag (see src/widget/embed.js). Runs
+// after the app build and adds to its output.
+export default defineConfig({
+  build: {
+    emptyOutDir: false,
+    copyPublicDir: false,
+    lib: {
+      entry: 'src/widget/embed.js',
+      name: 'AirSense360Widget',
+      formats: ['iife'],
+      fileName: () => 'widget.js',
+    },
+  },
+})